@@ -0,0 +1,200 @@
+/**
+ * Controller for attendance (clock-in / clock-out).
+ *
+ * Mounted by routes/attendanceRoutes.js → /api/attendance
+ *
+ * Each user has at most one record per working day: clock-in opens it,
+ * clock-out closes it. Both need a GPS position and a selfie (upload key from
+ * POST /api/uploads/presign); the time is the server's. Rules for late
+ * arrival and missing clock-outs live in services/attendanceService.js.
+ *
+ * Attendance shape:
+ *   { id, user_id, work_date, status, is_late, late_minutes,
+ *     clock_in_at, clock_in_latitude, clock_in_longitude, clock_in_accuracy_m, clock_in_photo, clock_in_note,
+ *     clock_out_at, clock_out_latitude, clock_out_longitude, clock_out_accuracy_m, clock_out_photo, clock_out_note,
+ *     created_at, updated_at }
+ */
+
+const pool = require('../db');
+const attendanceService = require('../services/attendanceService');
+const { ensurePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+const ER_DUP_ENTRY = 1062;
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/** Rules as sent to the app. */
+function describeRules() {
+  const rules = attendanceService.getAttendanceRules();
+  return { start_time: rules.startTime, late_grace_minutes: rules.lateGraceMinutes };
+}
+
+/* ----------------------
+ * Handlers
+ * ---------------------- */
+
+/**
+ * GET /api/attendance/today
+ * The caller's record for today (null before clock-in), their previous
+ * record (e.g. a missed clock-out) and the rules.
+ *
+ * Response: 200 { work_date, attendance, previous, rules: { start_time, late_grace_minutes } }
+ */
+async function getToday(req, res) {
+  const today = attendanceService.toWorkDate(new Date());
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await attendanceService.markMissedClockOuts(conn, { today, userId: req.user.id });
+    const attendance = await attendanceService.findAttendance(conn, req.user.id, today);
+    const previous = await attendanceService.findPreviousAttendance(conn, req.user.id, today);
+    return res.json({ work_date: today, attendance, previous, rules: describeRules() });
+  } catch (err) {
+    console.error('getToday error:', err);
+    return res.status(500).json({ message: 'Server error fetching attendance', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/attendance/clock-in
+ * Body: { latitude, longitude, accuracy_m?, photo, note? }
+ *
+ * Response: 201 { message, attendance }
+ *           409 { code: 'ALREADY_CLOCKED_IN', attendance } when today's record exists
+ */
+async function clockIn(req, res) {
+  const { values, errors } = attendanceService.validateClockEvent(req.body);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  const userId = req.user.id;
+  const now = new Date();
+  const today = attendanceService.toWorkDate(now);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await attendanceService.markMissedClockOuts(conn, { today, userId });
+
+    let id;
+    try {
+      id = await attendanceService.clockIn(conn, userId, values, now);
+    } catch (err) {
+      if (err.errno !== ER_DUP_ENTRY) throw err;
+      const attendance = await attendanceService.findAttendance(conn, userId, today);
+      return res.status(409).json({ message: 'You have already clocked in today.', code: 'ALREADY_CLOCKED_IN', attendance });
+    }
+
+    const attendance = await attendanceService.findAttendanceById(conn, id);
+    return res.status(201).json({
+      message: attendance.is_late ? `Clocked in, ${attendance.late_minutes} minutes late.` : 'Clocked in.',
+      attendance,
+    });
+  } catch (err) {
+    console.error('clockIn error:', err);
+    return res.status(500).json({ message: 'Server error clocking in', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/attendance/clock-out
+ * Body: { latitude, longitude, accuracy_m?, photo, note? }
+ *
+ * Response: 200 { message, attendance }
+ *           409 { code: 'NOT_CLOCKED_IN' } without a clock-in today
+ *           409 { code: 'ALREADY_CLOCKED_OUT', attendance }
+ */
+async function clockOut(req, res) {
+  const { values, errors } = attendanceService.validateClockEvent(req.body);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  const userId = req.user.id;
+  const now = new Date();
+  const today = attendanceService.toWorkDate(now);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const current = await attendanceService.findAttendance(conn, userId, today, { forUpdate: true });
+    if (!current) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'You have not clocked in today.', code: 'NOT_CLOCKED_IN' });
+    }
+    if (current.status !== 'open') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'You have already clocked out today.', code: 'ALREADY_CLOCKED_OUT', attendance: current });
+    }
+
+    await attendanceService.clockOut(conn, current.id, values, now);
+    await conn.commit();
+
+    const attendance = await attendanceService.findAttendanceById(conn, current.id);
+    return res.json({ message: 'Clocked out.', attendance });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('clockOut error:', err);
+    return res.status(500).json({ message: 'Server error clocking out', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/attendance?from=&to=&status=&late=&limit=&user_id=
+ * The caller's attendance records, newest day first (max 500, default 100).
+ * `user_id` of another user, or `all`, requires `attendance.read_all`.
+ * `late=1` keeps late arrivals only.
+ */
+async function listAttendance(req, res) {
+  let userId = req.user.id;
+
+  if (req.query.user_id === 'all') {
+    if (!ensurePermission(req, res, PERMISSIONS.ATTENDANCE_READ_ALL)) return undefined;
+    userId = null;
+  } else if (req.query.user_id != null && req.query.user_id !== '') {
+    userId = parseId(req.query.user_id);
+    if (!userId) return res.status(400).json({ message: 'user_id is invalid' });
+    if (userId !== req.user.id && !ensurePermission(req, res, PERMISSIONS.ATTENDANCE_READ_ALL)) return undefined;
+  }
+
+  const { values, errors } = attendanceService.validateListFilters(req.query);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await attendanceService.markMissedClockOuts(conn, {
+      today: attendanceService.toWorkDate(new Date()),
+      userId,
+    });
+
+    const attendance = await attendanceService.listAttendance(conn, {
+      ...values,
+      userId,
+      lateOnly: ['1', 'true'].includes(String(req.query.late)),
+    });
+    return res.json({ attendance, rules: describeRules() });
+  } catch (err) {
+    console.error('listAttendance error:', err);
+    return res.status(500).json({ message: 'Server error fetching attendance', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  getToday,
+  clockIn,
+  clockOut,
+  listAttendance,
+};
@@ -0,0 +1,424 @@
+/**
+ * Controller for the auth API (/api/auth).
+ *
+ * Session model (see services/tokenService.js):
+ *  - login returns a short-lived access `token` plus a `refresh_token`
+ *  - the app calls /refresh when the access token expires; the refresh token
+ *    rotates on every call, so the app must store the new one each time
+ *  - /logout revokes this device's refresh token, /logout-all every device
+ *
+ * Passwords (services/passwordService.js):
+ *  - /change-password for the signed-in user; signs out other devices
+ *  - admins issue a one-time reset code, the user redeems it at /reset-password
+ *  - plaintext passwords are rehashed with bcrypt on successful login
+ *
+ * GET /me lets the app refresh the signed-in user's role and permissions
+ * (e.g. after an admin changes a role) without logging in again.
+ *
+ * Staff identity (services/staffService.js): admins link sales and technician
+ * accounts to their name in the master data lists (PUT /users/:id/staff);
+ * the user's `staff` is that option, and the forms lock the name to it.
+ *
+ * Refresh failures answer 401 with code REFRESH_INVALID; the app then
+ * clears its session and shows the login screen.
+ */
+
+const pool = require('../db');
+const userService = require('../services/userService');
+const tokenService = require('../services/tokenService');
+const passwordService = require('../services/passwordService');
+const staffService = require('../services/staffService');
+const { parseId, sendValidationErrors } = require('../utils/controllerHelpers');
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/**
+ * Build the token part of a login/refresh response.
+ */
+function buildSessionResponse(user, refreshToken) {
+  const { token, expiresIn } = tokenService.signAccessToken(user);
+  return { token, refresh_token: refreshToken, expires_in: expiresIn };
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password }
+ *
+ * Response: { message, token, refresh_token, expires_in, user }
+ */
+async function login(req, res) {
+  const { email, password } = req.body || {};
+  let conn;
+
+  // Basic validation
+  if (!email || !password) {
+    return res.status(400).json({ message: 'Email and password required' });
+  }
+
+  try {
+    conn = await pool.getConnection();
+
+    const user = await userService.findUserByEmail(conn, email);
+
+    if (!user) {
+      // Do not reveal whether email exists in production (to avoid user enumeration).
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    // Verify password (bcrypt, or legacy plaintext while allowed)
+    const passwordOk = await passwordService.verifyPassword(password, user.password);
+    if (!passwordOk) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    // Migrate plaintext / weak hashes now that we know the password
+    if (passwordService.needsRehash(user.password)) {
+      try {
+        await userService.updatePasswordHash(conn, user.id, await passwordService.hashPassword(password), { rehash: true });
+      } catch (e) {
+        console.error(`Password rehash failed for user ${user.id}:`, e);
+      }
+    }
+
+    const publicUser = userService.toPublicUser(user);
+    const refresh = await tokenService.issueRefreshToken(conn, user.id, { userAgent: req.get('user-agent') });
+
+    return res.json({
+      message: 'Login successful',
+      ...buildSessionResponse(publicUser, refresh.token),
+      user: publicUser,
+    });
+  } catch (err) {
+    console.error('Login error:', err);
+    return res.status(500).json({ message: 'Server error' });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refresh_token }
+ *
+ * Response: { token, refresh_token, expires_in, user }
+ */
+async function refresh(req, res) {
+  const refreshToken = req.body?.refresh_token;
+  if (!refreshToken) return res.status(400).json({ message: 'refresh_token is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const result = await tokenService.rotateRefreshToken(conn, refreshToken, { userAgent: req.get('user-agent') });
+
+    // Commit even on reuse so the family revocation sticks
+    await conn.commit();
+
+    if (result.status === 'reused') {
+      console.warn(`[auth] refresh token reuse detected for user ${result.userId}; session revoked`);
+    }
+    if (result.status !== 'ok') {
+      return res.status(401).json({ message: 'Session expired. Please log in again.', code: 'REFRESH_INVALID' });
+    }
+
+    const user = await userService.findUserById(conn, result.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists', code: 'REFRESH_INVALID' });
+    }
+
+    const publicUser = userService.toPublicUser(user);
+    return res.json({ ...buildSessionResponse(publicUser, result.refreshToken), user: publicUser });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('refresh error:', err);
+    return res.status(500).json({ message: 'Server error refreshing session', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/logout
+ * Body: { refresh_token }
+ * Revokes this device's refresh token. Works with an expired access token.
+ */
+async function logout(req, res) {
+  const refreshToken = req.body?.refresh_token;
+  if (!refreshToken) return res.status(400).json({ message: 'refresh_token is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await tokenService.revokeRefreshToken(conn, refreshToken);
+    return res.json({ message: 'Logged out.' });
+  } catch (err) {
+    console.error('logout error:', err);
+    return res.status(500).json({ message: 'Server error logging out', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/logout-all   (requires auth)
+ * Revokes every refresh token of the signed-in user. Other devices are signed
+ * out once their current access token expires.
+ */
+async function logoutAll(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const revoked = await tokenService.revokeAllRefreshTokens(conn, req.user.id);
+    return res.json({ message: 'Logged out from all devices.', revoked });
+  } catch (err) {
+    console.error('logoutAll error:', err);
+    return res.status(500).json({ message: 'Server error logging out', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/users/:id/revoke-sessions   (requires users.manage)
+ * Sign a user out of every device, e.g. when a phone is lost.
+ */
+async function revokeUserSessions(req, res) {
+  const userId = parseId(req.params.id);
+  if (!userId) return res.status(400).json({ message: 'user id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const user = await userService.findUserById(conn, userId);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const revoked = await tokenService.revokeAllRefreshTokens(conn, userId);
+    return res.json({ message: 'All sessions revoked.', revoked });
+  } catch (err) {
+    console.error('revokeUserSessions error:', err);
+    return res.status(500).json({ message: 'Server error revoking sessions', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/change-password   (requires auth)
+ * Body: { current_password, new_password }
+ *
+ * All existing sessions are revoked; the response carries a new session for
+ * this device: { message, token, refresh_token, expires_in, user }.
+ * A wrong current password is 400 (not 401) so the app does not try to refresh.
+ */
+async function changePassword(req, res) {
+  const { current_password, new_password } = req.body || {};
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'current_password and new_password are required' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const user = await userService.findUserById(conn, req.user.id, { withPassword: true });
+    if (!user) return res.status(401).json({ message: 'User no longer exists', code: 'TOKEN_INVALID' });
+
+    if (!(await passwordService.verifyPassword(current_password, user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+    if (current_password === new_password) {
+      return sendValidationErrors(res, { new_password: 'New password must be different' });
+    }
+
+    const errors = passwordService.validatePasswordStrength(new_password, user);
+    if (errors.length) return sendValidationErrors(res, { new_password: errors.join('; ') });
+
+    const passwordHash = await passwordService.hashPassword(new_password);
+
+    await conn.beginTransaction();
+    await userService.updatePasswordHash(conn, user.id, passwordHash);
+    await tokenService.revokeAllRefreshTokens(conn, user.id);
+    const refreshToken = await tokenService.issueRefreshToken(conn, user.id, { userAgent: req.get('user-agent') });
+    await conn.commit();
+
+    const publicUser = userService.toPublicUser(user);
+    return res.json({
+      message: 'Password changed successfully.',
+      ...buildSessionResponse(publicUser, refreshToken.token),
+      user: publicUser,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('changePassword error:', err);
+    return res.status(500).json({ message: 'Server error changing password', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/users/:id/password-reset   (requires users.manage)
+ * Issue a one-time reset code for a user. The admin passes it on; the user
+ * redeems it at POST /api/auth/reset-password.
+ *
+ * Response: 201 { message, reset_token, expires_in_hours }
+ */
+async function createPasswordReset(req, res) {
+  const userId = parseId(req.params.id);
+  if (!userId) return res.status(400).json({ message: 'user id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const user = await userService.findUserById(conn, userId);
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    await conn.beginTransaction();
+    const { token, expiresInHours } = await passwordService.createResetToken(conn, userId, req.user.id);
+    await conn.commit();
+
+    return res.status(201).json({
+      message: 'Reset code created. It can be used once.',
+      reset_token: token,
+      expires_in_hours: expiresInHours,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('createPasswordReset error:', err);
+    return res.status(500).json({ message: 'Server error creating reset code', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, new_password }
+ *
+ * Sets a new password with a one-time reset code and signs the user out of
+ * every device. The code stays valid if the new password is rejected.
+ */
+async function resetPassword(req, res) {
+  const { token, new_password } = req.body || {};
+  if (!token || !new_password) return res.status(400).json({ message: 'token and new_password are required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const userId = await passwordService.consumeResetToken(conn, token);
+    const user = userId ? await userService.findUserById(conn, userId) : null;
+    if (!user) {
+      await conn.rollback();
+      return res.status(400).json({ message: 'Reset code is invalid or has expired.' });
+    }
+
+    const errors = passwordService.validatePasswordStrength(new_password, user);
+    if (errors.length) {
+      await conn.rollback();
+      return sendValidationErrors(res, { new_password: errors.join('; ') });
+    }
+
+    await userService.updatePasswordHash(conn, user.id, await passwordService.hashPassword(new_password));
+    await tokenService.revokeAllRefreshTokens(conn, user.id);
+    await conn.commit();
+
+    return res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('resetPassword error:', err);
+    return res.status(500).json({ message: 'Server error resetting password', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /api/auth/users/:id/staff   (requires users.manage)
+ * Body: { staff_item_id }  - an active option of `nama_sales` (sales accounts)
+ *                            or `nama_teknisi` (technicians); null unlinks
+ *
+ * The user's existing visits are renamed to the linked name.
+ *
+ * Response: { message, user } | 409 when the option belongs to another account
+ */
+async function setUserStaff(req, res) {
+  const userId = parseId(req.params.id);
+  if (!userId) return res.status(400).json({ message: 'user id is invalid' });
+
+  const raw = (req.body || {}).staff_item_id;
+  const itemId = raw === null ? null : Number(raw);
+  if (itemId !== null && (!Number.isInteger(itemId) || itemId <= 0)) {
+    return res.status(400).json({ message: 'staff_item_id must be an option id or null' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const { error } = await staffService.linkUserStaff(conn, userId, itemId);
+    if (error) {
+      await conn.rollback();
+      return res.status(error.status).json({ message: error.message });
+    }
+    await conn.commit();
+
+    const user = await userService.findUserById(conn, userId);
+    return res.json({
+      message: itemId ? 'Staff name linked.' : 'Staff name unlinked.',
+      user: userService.toPublicUser(user),
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    if (err.errno === ER_DUP_ENTRY) {
+      return res.status(409).json({ message: 'This name is already linked to another account.' });
+    }
+    console.error('setUserStaff error:', err);
+    return res.status(500).json({ message: 'Server error linking staff name', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/auth/me
+ *
+ * Response: { user: { id, user_id, name, email, position, role, permissions, staff } }
+ */
+async function getMe(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const user = await userService.findUserById(conn, req.user.id);
+
+    // Token is valid but the account is gone: treat as signed out
+    if (!user) return res.status(401).json({ message: 'User no longer exists', code: 'TOKEN_INVALID' });
+
+    return res.json({ user: userService.toPublicUser(user) });
+  } catch (err) {
+    console.error('getMe error:', err);
+    return res.status(500).json({ message: 'Server error fetching user', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  revokeUserSessions,
+  changePassword,
+  createPasswordReset,
+  resetPassword,
+  setUserStaff,
+  getMe,
+};
@@ -0,0 +1,277 @@
+/**
+ * Controller for the customers API (/api/customers).
+ *
+ * A customer is the hospital or company visits are made at. Visits are
+ * linked by the server (services/customerService.js); these endpoints let the
+ * app and admins look customers up, register one ahead of a visit, and report
+ * per customer (GET /api/visits?customer_id=).
+ *
+ * Customer shape:
+ *   { id, name, customer_type, hospital_id, region, address, created_at, updated_at }
+ *
+ * Each customer keeps the people met there as contacts
+ * (services/contactService.js), offered as quick-picks by the sales form:
+ *   { id, customer_id, name, position, phone, last_met_at, created_at, updated_at }
+ */
+
+const pool = require('../db');
+const customerService = require('../services/customerService');
+const contactService = require('../services/contactService');
+const masterDataService = require('../services/masterDataService');
+const { PERMISSIONS, hasPermission } = require('../services/accessControl');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/* ----------------------
+ * Handlers
+ * ---------------------- */
+
+/**
+ * GET /api/customers?q=&type=&limit=
+ * Search by partial name (prefix matches first), optionally of one type.
+ *
+ * Response: { customers: [...] } each with `visit_count`
+ */
+async function searchCustomers(req, res) {
+  const { values, errors } = customerService.validateSearchQuery(req.query);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const customers = await customerService.searchCustomers(conn, values);
+    return res.json({ customers });
+  } catch (err) {
+    console.error('searchCustomers error:', err);
+    return res.status(500).json({ message: 'Server error searching customers', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/customers/by-hospital/:hospital_id
+ *
+ * Response: 200 { exists: true, customer } | 404 { exists: false }
+ */
+async function getCustomerByHospital(req, res) {
+  const hospitalId = parseId(req.params.hospital_id);
+  if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const customer = await customerService.findCustomerByHospital(conn, hospitalId);
+
+    if (!customer) return res.status(404).json({ exists: false });
+
+    return res.json({ exists: true, customer });
+  } catch (err) {
+    console.error('getCustomerByHospital error:', err);
+    return res.status(500).json({ message: 'Server error fetching customer', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/customers/:id
+ * The customer with a summary of its visits: the caller's own, or everyone's
+ * for users with `visits.read_all`.
+ *
+ * Response: { customer, visits: { visit_count, by_type, first_visited_at, last_visited_at } }
+ */
+async function getCustomer(req, res) {
+  const customerId = parseId(req.params.id);
+  if (!customerId) return res.status(400).json({ message: 'customer id is invalid' });
+
+  const readAll = hasPermission(req.user, PERMISSIONS.VISITS_READ_ALL);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const customer = await customerService.findCustomerById(conn, customerId);
+    if (!customer) return res.status(404).json({ message: 'Customer not found.' });
+
+    const visits = await customerService.summarizeCustomerVisits(conn, customerId, {
+      userId: readAll ? null : req.user.id,
+    });
+    return res.json({ customer, visits });
+  } catch (err) {
+    console.error('getCustomer error:', err);
+    return res.status(500).json({ message: 'Server error fetching customer', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/customers
+ * Body: hospital_id  (faskes from the hospital list)
+ *    or name, customer_type (healthcare | non_healthcare), region?, address?
+ *
+ * Returns the existing customer for the hospital / name, or creates it.
+ * Response: 201 { customer, created: true } | 200 { customer, created: false }
+ */
+async function getOrCreateCustomer(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, errors } = customerService.validateCustomer(req.body || {}, {
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    const result = await customerService.getOrCreateCustomer(conn, values, { userId: req.user.id });
+    if (!result) return sendValidationErrors(res, { hospital_id: 'Hospital not found' });
+
+    return res.status(result.created ? 201 : 200).json(result);
+  } catch (err) {
+    console.error('getOrCreateCustomer error:', err);
+    return res.status(500).json({ message: 'Server error saving customer', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/* ----------------------
+ * Contacts
+ * ---------------------- */
+
+/**
+ * GET /api/customers/:id/contacts
+ * The customer's contacts, most recently met first.
+ *
+ * Response: { contacts: [...] } each with `visit_count`
+ */
+async function listCustomerContacts(req, res) {
+  const customerId = parseId(req.params.id);
+  if (!customerId) return res.status(400).json({ message: 'customer id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const customer = await customerService.findCustomerById(conn, customerId);
+    if (!customer) return res.status(404).json({ message: 'Customer not found.' });
+
+    const contacts = await contactService.listContacts(conn, customerId);
+    return res.json({ contacts });
+  } catch (err) {
+    console.error('listCustomerContacts error:', err);
+    return res.status(500).json({ message: 'Server error fetching contacts', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/customers/by-hospital/:hospital_id/contacts
+ * Quick-picks for the sales form once a hospital is selected; empty while
+ * the hospital has no customer yet.
+ *
+ * Response: { customer: Object|null, contacts: [...] }
+ */
+async function listHospitalContacts(req, res) {
+  const hospitalId = parseId(req.params.hospital_id);
+  if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const customer = await customerService.findCustomerByHospital(conn, hospitalId);
+    const contacts = customer ? await contactService.listContacts(conn, customer.id) : [];
+    return res.json({ customer, contacts });
+  } catch (err) {
+    console.error('listHospitalContacts error:', err);
+    return res.status(500).json({ message: 'Server error fetching contacts', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/customers/:id/contacts
+ * Body: { name, position?, phone? }   (position: a `jabatan` value from appData)
+ *
+ * Returns the customer's contact with that name, or creates it.
+ * Response: 201 { contact, created: true } | 200 { contact, created: false }
+ */
+async function createCustomerContact(req, res) {
+  const customerId = parseId(req.params.id);
+  if (!customerId) return res.status(400).json({ message: 'customer id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, errors } = contactService.validateContact(req.body || {}, {
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    const customer = await customerService.findCustomerById(conn, customerId);
+    if (!customer) return res.status(404).json({ message: 'Customer not found.' });
+
+    const result = await contactService.getOrCreateContact(conn, customerId, values, { userId: req.user.id });
+    return res.status(result.created ? 201 : 200).json(result);
+  } catch (err) {
+    console.error('createCustomerContact error:', err);
+    return res.status(500).json({ message: 'Server error saving contact', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PATCH /api/customers/:id/contacts/:contact_id
+ * Body: any of { name, position, phone }; null clears position / phone.
+ *
+ * Response: { contact } | 409 when another contact of the customer has the name
+ */
+async function updateCustomerContact(req, res) {
+  const customerId = parseId(req.params.id);
+  const contactId = parseId(req.params.contact_id);
+  if (!customerId || !contactId) return res.status(400).json({ message: 'id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { values, errors } = contactService.validateContact(req.body || {}, {
+      partial: true,
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    const contact = await contactService.updateContact(conn, customerId, contactId, values);
+    if (!contact) return res.status(404).json({ message: 'Contact not found.' });
+
+    return res.json({ contact });
+  } catch (err) {
+    if (err.errno === ER_DUP_ENTRY) {
+      return res.status(409).json({ message: 'This customer already has a contact with that name.' });
+    }
+    console.error('updateCustomerContact error:', err);
+    return res.status(500).json({ message: 'Server error saving contact', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  searchCustomers,
+  getCustomerByHospital,
+  getCustomer,
+  getOrCreateCustomer,
+  listCustomerContacts,
+  listHospitalContacts,
+  createCustomerContact,
+  updateCustomerContact,
+};
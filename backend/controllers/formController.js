@@ -1,23 +1,110 @@
 /**
- * Controller for handling various form submissions:
+ * Controller for the legacy /api/forms submissions:
  * - Technician service (tech-service)
  * - Technician activity (tech-activity)
  * - Sales visit (faskes / non-faskes)
  *
+ * MIGRATION SHIM
+ * These endpoints predate /api/visits. They still accept the old multipart
+ * payloads with Indonesian field names, but now write to the visits schema
+ * (a `visits` header + one detail row) through services/visitService.js, so
+ * every submission shows up in the new task list. New clients should call
+ * /api/visits directly.
+ *
  * Responsibilities:
- * - Validate minimal required fields
+ * - Validate minimal required fields (submitted forms only)
  * - Handle uploaded files (via multer)
- * - Ensure `products` table contains the product (by serial_number)
- * - Insert appropriate records in technician_services, technician_activities, sales_visits
+ * - Ensure `products` table contains the product (by serial_number, via services/productService.js)
+ * - Translate legacy field names to visit header/detail columns
+ * - Take the owner from the verified token (`req.user.id`), not from the body
  *
  * Notes:
- * - All DB operations use transactions where multiple queries must be atomic.
+ * - Header + detail (+ product) are inserted in one transaction.
  * - Files are expected to be available on `req.file` or `req.files` depending on multer config:
  *    - single file: req.file.filename
  *    - multiple fields: req.files['fieldName'][0].filename
  */
 
 const pool = require('../db');
+const visitService = require('../services/visitService');
+const { refreshVisitDerivedData } = require('../services/visitRefreshService');
+const { describeErrors } = require('../services/visitSchemas');
+const productService = require('../services/productService');
+
+/* ----------------------
+ * Legacy field mapping
+ * ---------------------- */
+
+/**
+ * Legacy form field → visit detail column, per visit_type.
+ * Also used by routes/formRoutes.js to translate PATCH bodies.
+ */
+const LEGACY_DETAIL_FIELDS = {
+  sales: {
+    nama_sales: 'sales_name',
+    region: 'region',
+    nama_lokasi: 'location_name',
+    alamat_lokasi: 'location_address',
+    tujuan_kunjungan: 'visit_purpose',
+    status_kunjungan: 'visit_status',
+    dokumentasi_kunjungan: 'visit_documentation',
+  },
+  technician_activity: {
+    tanggal_aktivitas: 'activity_date',
+    nama_teknisi: 'technician_name',
+    nama_lokasi: 'location_name',
+    alamat_lokasi: 'location_address',
+    teknisi_lain: 'additional_technicians',
+    tujuan_kunjungan: 'activity_purpose',
+    notes: 'activity_notes',
+    nomor_berita_acara: 'official_report_number',
+    kuantitas_unit: 'unit_quantity',
+    selfie_foto_kegiatan: 'selfie_photo',
+    foto_ba_daftar_hadir: 'attendance_document_photo',
+  },
+  technician_service: {
+    nama_customer: 'customer_name',
+    kontak_customer: 'customer_contact',
+    nama_faskes: 'healthcare_facility_name',
+    tanggal_pengambilan: 'pickup_date',
+    deskripsi_masalah: 'issue_description',
+    estimasi_penyelesaian: 'resolution_estimate',
+    penyebab_masalah: 'root_cause',
+    koreksi: 'corrective_action',
+    tindakan_koreksi_capa: 'capa_action',
+    kuantitas_unit: 'unit_quantity',
+    foto_alat_sebelum_service: 'device_before_service_photo',
+    bukti_koreksi: 'corrective_proof',
+    tindakan_koreksi_img: 'capa_action_image',
+  },
+};
+
+/**
+ * Rename legacy keys to their visit detail column names.
+ * Keys that are already new column names are passed through untouched.
+ *
+ * @param {string} visitType
+ * @param {Object} body
+ * @returns {Object}
+ */
+function mapLegacyFields(visitType, body = {}) {
+  const map = LEGACY_DETAIL_FIELDS[visitType] || {};
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    out[map[key] || key] = value;
+  }
+  return out;
+}
+
+/**
+ * Split a legacy "lat, lng" coordinate string.
+ * @returns {{ latitude: string|null, longitude: string|null }}
+ */
+function splitCoordinates(koordinat) {
+  if (!koordinat || typeof koordinat !== 'string') return { latitude: null, longitude: null };
+  const [lat, lng] = koordinat.split(',').map((s) => s.trim());
+  return { latitude: lat || null, longitude: lng || null };
+}
 
 /* ----------------------
  * Helper utilities
@@ -47,35 +134,70 @@ function getUploadedFilename(files, field) {
 }
 
 /**
- * Ensure product exists in `products` table by serial_number.
- * If found return existing id, otherwise insert and return new id.
- *
- * Uses the provided connection (so transactions can be honoured).
+ * Insert a legacy form as visit header + detail in a single transaction.
  *
- * @param {Object} conn - DB connection
- * @param {string} serial_number
- * @param {string} nama_produk
- * @param {string} tipe_produk
- * @param {string} merk_produk
- * @returns {Promise<number>} product_id
+ * @param {Object} params
+ * @param {Object} params.header   - raw header fields for visitService.buildVisitHeader
+ * @param {string} params.visitType
+ * @param {Object} params.detail   - legacy-named detail fields
+ * @param {Object} [params.product] - { serial_number, nama_produk, tipe_produk, merk_produk }
+ * @returns {Promise<number>} visit id
+ * @throws {Error} with `status = 422` when the header is invalid
  */
-async function getOrCreateProduct(conn, serial_number, nama_produk, tipe_produk, merk_produk) {
-  const rows = await conn.query(
-    'SELECT id FROM products WHERE serial_number = ?',
-    [serial_number]
-  );
-
-  if (rows && rows.length > 0) {
-    return rows[0].id;
+async function saveLegacyForm({ header: rawHeader, visitType, detail: legacyDetail, product }) {
+  const { header, errors } = visitService.buildVisitHeader({ ...rawHeader, visit_type: visitType });
+  if (Object.keys(errors).length) {
+    const err = new Error(describeErrors(errors));
+    err.status = 422;
+    err.errors = errors;
+    throw err;
   }
 
-  const result = await conn.query(
-    `INSERT INTO products (nama_produk, tipe_produk, serial_number, merk_produk, created_at, updated_at)
-     VALUES (?, ?, ?, ?, NOW(), NOW())`,
-    [nama_produk, tipe_produk, serial_number, merk_produk]
-  );
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    const detailInput = mapLegacyFields(visitType, legacyDetail);
+
+    if (product?.serial_number) {
+      const { product: saved } = await productService.getOrCreateProduct(conn, {
+        serial_number: product.serial_number,
+        product_name: product.nama_produk,
+        product_type: product.tipe_produk,
+        brand_name: product.merk_produk,
+      });
+      detailInput.product_id = saved.id;
+    }
 
-  return result.insertId;
+    const visitId = await visitService.insertVisit(conn, header);
+    await visitService.insertVisitDetail(
+      conn,
+      visitType,
+      visitId,
+      visitService.pickDetailColumns(visitType, detailInput)
+    );
+    await refreshVisitDerivedData(conn, visitId);
+
+    await conn.commit();
+    return visitId;
+  } catch (err) {
+    if (conn) await conn.rollback();
+    throw err;
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * Send the error response for a failed legacy save.
+ */
+function sendSaveError(res, err, label) {
+  if (err.status === 422) {
+    return res.status(422).json({ message: err.message, errors: err.errors });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: `Server error saving ${label}`, error: err.message });
 }
 
 /* ----------------------
@@ -86,7 +208,7 @@ async function getOrCreateProduct(conn, serial_number, nama_produk, tipe_produk,
  * Create a technician service record.
  *
  * Expected request body fields (FormData / multipart):
- * - user_id, nama_customer, kontak_customer, nama_faskes, tanggal_pengambilan,
+ * - nama_customer, kontak_customer, nama_faskes, tanggal_pengambilan,
  * - nama_produk, tipe_produk, serial_number, kuantitas_unit, merk_produk,
  * - deskripsi_masalah, estimasi_penyelesaian, penyebab_masalah, koreksi, tindakan_koreksi_capa
  *
@@ -94,98 +216,48 @@ async function getOrCreateProduct(conn, serial_number, nama_produk, tipe_produk,
  * - bukti_koreksi, tindakan_koreksi_img, foto_alat_sebelum_service
  *
  * Response:
- * - 200 JSON success, or appropriate error code/message
+ * - 200 JSON success (with visit_id), or appropriate error code/message
  */
 async function createTechnicianService(req, res) {
   const {
-    user_id,
     nama_customer,
-    kontak_customer,
     nama_faskes,
-    tanggal_pengambilan,
     nama_produk,
     tipe_produk,
     serial_number,
-    kuantitas_unit,
     merk_produk,
-    deskripsi_masalah,
-    estimasi_penyelesaian,
-    penyebab_masalah,
-    koreksi,
-    tindakan_koreksi_capa,
   } = req.body;
 
-    const formStatus =
-      req.body.status === 'submitted' ? 'submitted' : 'draft';
-    
-    // Backend validation ONLY for submitted forms
-    if (formStatus === 'submitted') {
-      if (
-        !nama_customer ||
-        !user_id ||
-        !nama_faskes 
-      ) {
-        return res.status(400).json({
-          message: 'Missing required fields for submitted form',
-        });
-      }
-    }
+  const formStatus = req.body.status === 'submitted' ? 'submitted' : 'draft';
 
-  // Minimal validation
-  if (!serial_number && formStatus === 'submitted') {
-    return res.status(400).json({ message: 'serial_number is required' });
+  // Backend validation ONLY for submitted forms
+  if (formStatus === 'submitted') {
+    if (!nama_customer || !nama_faskes) {
+      return res.status(400).json({
+        message: 'Missing required fields for submitted form',
+      });
+    }
+    if (!serial_number) {
+      return res.status(400).json({ message: 'serial_number is required' });
+    }
   }
 
-  // Extract filenames from uploaded files
-  const bukti_koreksi = getUploadedFilename(req.files, 'bukti_koreksi');
-  const tindakan_koreksi_img = getUploadedFilename(req.files, 'tindakan_koreksi_img');
-  const foto_alat_sebelum_service = getUploadedFilename(req.files, 'foto_alat_sebelum_service');
-
-  let conn;
   try {
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
-    const product_id = await getOrCreateProduct(conn, serial_number, nama_produk, tipe_produk, merk_produk);
-
-    const insertSql = `
-      INSERT INTO technician_services 
-        (user_id, product_id, nama_customer, kontak_customer, nama_faskes, tanggal_pengambilan,
-         deskripsi_masalah, estimasi_penyelesaian, foto_alat_sebelum_service,
-         penyebab_masalah, koreksi, tindakan_koreksi_capa,
-         bukti_koreksi, tindakan_koreksi_img, kuantitas_unit, created_at, updated_at, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), ?)
-    `;
-
-    const params = [
-      user_id,
-      product_id,
-      nama_customer,
-      kontak_customer,
-      nama_faskes,
-      tanggal_pengambilan,
-      deskripsi_masalah,
-      estimasi_penyelesaian,
-      foto_alat_sebelum_service,
-      penyebab_masalah,
-      koreksi,
-      tindakan_koreksi_capa,
-      bukti_koreksi,
-      tindakan_koreksi_img,
-      kuantitas_unit,
-      formStatus
-    ];
-
-    await conn.query(insertSql, params);
-    await conn.commit();
+    const visitId = await saveLegacyForm({
+      visitType: 'technician_service',
+      header: { user_id: req.user.id, is_draft: formStatus === 'draft' },
+      detail: {
+        ...req.body,
+        bukti_koreksi: getUploadedFilename(req.files, 'bukti_koreksi'),
+        tindakan_koreksi_img: getUploadedFilename(req.files, 'tindakan_koreksi_img'),
+        foto_alat_sebelum_service: getUploadedFilename(req.files, 'foto_alat_sebelum_service'),
+      },
+      product: { serial_number, nama_produk, tipe_produk, merk_produk },
+    });
 
-    return res.json({ message: 'Technician Service saved successfully.' });
+    return res.json({ message: 'Technician Service saved successfully.', visit_id: visitId });
   } catch (err) {
-    if (conn) await conn.rollback();
-    console.error('createTechnicianService error:', err);
-    return res.status(500).json({ message: 'Server error saving technician service', error: err.message });
-  } finally {
-    if (conn) conn.release();
+    return sendSaveError(res, err, 'technician service');
   }
 }
 
@@ -193,7 +265,7 @@ async function createTechnicianService(req, res) {
  * Create a technician activity record.
  *
  * Expected request body fields:
- * - user_id, tanggal_aktivitas, nama_teknisi, nama_lokasi, alamat_lokasi,
+ * - tanggal_aktivitas, nama_teknisi, nama_lokasi, alamat_lokasi,
  *   teknisi_lain, nama_produk, tipe_produk, serial_number, kuantitas_unit,
  *   merk_produk, nomor_berita_acara, tujuan_kunjungan, notes
  *
@@ -202,95 +274,112 @@ async function createTechnicianService(req, res) {
  */
 async function createTechnicianActivity(req, res) {
   const {
-    user_id,
-    tanggal_aktivitas,
     nama_teknisi,
     nama_lokasi,
     alamat_lokasi,
-    teknisi_lain,
     nama_produk,
     tipe_produk,
     serial_number,
-    kuantitas_unit,
     merk_produk,
-    nomor_berita_acara,
-    tujuan_kunjungan,
-    notes
+    notes,
   } = req.body;
 
   const formStatus = req.body.status === 'submitted' ? 'submitted' : 'draft';
 
-
-   // Backend validation ONLY for submitted forms
-    if (formStatus === 'submitted') {
-      if (
-        !nama_teknisi ||
-        !nama_lokasi ||
-        !alamat_lokasi 
-      ) {
-        return res.status(400).json({
-          message: 'Missing required fields for submitted form',
-        });
-      }
+  // Backend validation ONLY for submitted forms
+  if (formStatus === 'submitted') {
+    if (!nama_teknisi || !nama_lokasi || !alamat_lokasi) {
+      return res.status(400).json({
+        message: 'Missing required fields for submitted form',
+      });
+    }
+    if (!serial_number) {
+      return res.status(400).json({ message: 'serial_number is required' });
     }
-
-  if (!serial_number && formStatus === 'submitted') {
-    return res.status(400).json({ message: 'serial_number is required' });
   }
 
-  const selfie_foto_kegiatan = getUploadedFilename(req.files, 'selfie_foto_kegiatan');
-  const foto_ba_daftar_hadir = getUploadedFilename(req.files, 'foto_ba_daftar_hadir');
-
-  let conn;
   try {
-    conn = await pool.getConnection();
-    await conn.beginTransaction();
-
-    const product_id = await getOrCreateProduct(conn, serial_number, nama_produk, tipe_produk, merk_produk);
-
-    const insertSql = `
-      INSERT INTO technician_activities
-        (user_id, product_id, tanggal_aktivitas, nama_teknisi, nama_lokasi, alamat_lokasi,
-         teknisi_lain, nomor_berita_acara, tujuan_kunjungan, selfie_foto_kegiatan,
-         foto_ba_daftar_hadir, notes, kuantitas_unit, created_at, updated_at, status)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), ?)
-    `;
-
-    const params = [
-      user_id,
-      product_id,
-      tanggal_aktivitas,
-      nama_teknisi,
-      nama_lokasi,
-      alamat_lokasi,
-      teknisi_lain,
-      nomor_berita_acara,
-      tujuan_kunjungan,
-      selfie_foto_kegiatan,
-      foto_ba_daftar_hadir,
-      notes,
-      kuantitas_unit,
-      formStatus
-    ];
-
-    await conn.query(insertSql, params);
-    await conn.commit();
+    const visitId = await saveLegacyForm({
+      visitType: 'technician_activity',
+      header: { user_id: req.user.id, note: notes, is_draft: formStatus === 'draft' },
+      detail: {
+        ...req.body,
+        selfie_foto_kegiatan: getUploadedFilename(req.files, 'selfie_foto_kegiatan'),
+        foto_ba_daftar_hadir: getUploadedFilename(req.files, 'foto_ba_daftar_hadir'),
+      },
+      product: { serial_number, nama_produk, tipe_produk, merk_produk },
+    });
 
-    return res.json({ message: 'Technician Activity saved successfully.' });
+    return res.json({ message: 'Technician Activity saved successfully.', visit_id: visitId });
   } catch (err) {
-    if (conn) await conn.rollback();
-    console.error('createTechnicianActivity error:', err);
-    return res.status(500).json({ message: 'Server error saving technician activity', error: err.message });
-  } finally {
-    if (conn) conn.release();
+    return sendSaveError(res, err, 'technician activity');
   }
 }
 
+/**
+ * Shared implementation for both sales visit variants.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {'healthcare'|'non_healthcare'} category
+ * @returns {Promise<{visitId: number, formStatus: string}|null>} null when a 400 was already sent
+ */
+async function createSalesVisit(req, res, category) {
+  const {
+    nama_sales,
+    region,
+    nama_lokasi,
+    alamat_lokasi,
+    koordinat_lokasi,
+    note_kunjungan,
+    nama_user,
+    jabatan_user,
+  } = req.body;
+
+  // Normalize form lifecycle status (DO NOT trust client)
+  const formStatus = req.body.status === 'submitted' ? 'submitted' : 'draft';
+
+  // Backend validation ONLY for submitted forms
+  if (formStatus === 'submitted') {
+    if (!nama_sales || !region || !nama_lokasi || !alamat_lokasi || !koordinat_lokasi) {
+      res.status(400).json({
+        message: 'Missing required fields for submitted form',
+      });
+      return null;
+    }
+  }
+
+  // Handle uploaded file
+  const dokumentasi_kunjungan = req.file?.filename || getUploadedFilename(req.files, 'dokumentasi_kunjungan');
+
+  // Old faskes form sent a single contact as nama_user / jabatan_user
+  const contacts = nama_user || jabatan_user ? [{ nama: nama_user || '', jabatan: jabatan_user || '' }] : null;
+
+  const visitId = await saveLegacyForm({
+    visitType: 'sales',
+    header: {
+      user_id: req.user.id,
+      ...splitCoordinates(koordinat_lokasi),
+      note: note_kunjungan,
+      sales_category: category,
+      is_draft: formStatus === 'draft',
+    },
+    detail: {
+      ...req.body,
+      visit_form_type: category,
+      dokumentasi_kunjungan,
+      customer_contacts: contacts,
+    },
+  });
+
+  return { visitId, formStatus };
+}
+
 /**
  * Create a sales visit record for a healthcare facility (faskes).
  *
  * Request body fields:
- * - user_id, nama_sales, region, nama_lokasi, alamat_lokasi, koordinat_lokasi,
+ * - nama_sales, region, nama_lokasi, alamat_lokasi, koordinat_lokasi,
  *   tujuan_kunjungan, note_kunjungan, nama_user, jabatan_user, status_kunjungan
  *
  * Uploads (optional):
@@ -298,176 +387,38 @@ async function createTechnicianActivity(req, res) {
  */
 async function createSalesVisitCustomer(req, res) {
   try {
-    const {
-      user_id,
-      nama_sales,
-      region,
-      nama_lokasi,
-      alamat_lokasi,
-      koordinat_lokasi,
-      tujuan_kunjungan,
-      note_kunjungan,
-      nama_user,
-      jabatan_user,
-      status_kunjungan,
-    } = req.body;
-
-    // Normalize form lifecycle status (DO NOT trust client)
-    const formStatus =
-      req.body.status === 'submitted' ? 'submitted' : 'draft';
-
-    // Backend validation ONLY for submitted forms
-    if (formStatus === 'submitted') {
-      if (
-        !nama_sales ||
-        !region ||
-        !nama_lokasi ||
-        !alamat_lokasi ||
-        !koordinat_lokasi
-      ) {
-        return res.status(400).json({
-          message: 'Missing required fields for submitted form',
-        });
-      }
-    }
-
-    // Handle uploaded file
-    let dokumentasi_kunjungan = null;
-    if (req.file?.filename) {
-      dokumentasi_kunjungan = req.file.filename;
-    } else {
-      dokumentasi_kunjungan = getUploadedFilename(
-        req.files,
-        'dokumentasi_kunjungan'
-      );
-    }
-
-    const sql = `
-      INSERT INTO sales_visits
-      (
-        user_id,
-        form_type,
-        nama_sales,
-        region,
-        nama_lokasi,
-        alamat_lokasi,
-        koordinat_lokasi,
-        tujuan_kunjungan,
-        dokumentasi_kunjungan,
-        note_kunjungan,
-        nama_user,
-        jabatan_user,
-        status_kunjungan,
-        status
-      )
-      VALUES (?, 'faskes', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const params = [
-      user_id,
-      nama_sales,
-      region,
-      nama_lokasi,
-      alamat_lokasi,
-      koordinat_lokasi,
-      tujuan_kunjungan,
-      dokumentasi_kunjungan,
-      note_kunjungan,
-      nama_user,
-      jabatan_user,
-      status_kunjungan,
-      formStatus, // normalized value only
-    ];
-
-    const conn = await pool.getConnection();
-    await conn.query(sql, params);
-    conn.release();
+    const result = await createSalesVisit(req, res, 'healthcare');
+    if (!result) return undefined; // validation response already sent
 
     return res.json({
       message:
-        formStatus === 'draft'
+        result.formStatus === 'draft'
           ? 'Draft saved successfully.'
           : 'Sales Visit (Customer) submitted successfully.',
+      visit_id: result.visitId,
     });
   } catch (err) {
-    console.error('createSalesVisitCustomer error:', err);
-    return res.status(500).json({
-      message: 'Server error saving sales visit (customer)',
-      error: err.message,
-    });
+    return sendSaveError(res, err, 'sales visit (customer)');
   }
 }
 
-
 /**
  * Create a sales visit record for non-healthcare customers (non-faskes).
  *
  * Expected fields:
- * - user_id, nama_sales, region, nama_lokasi, alamat_lokasi, koordinat_lokasi, tujuan_kunjungan, note_kunjungan
+ * - nama_sales, region, nama_lokasi, alamat_lokasi, koordinat_lokasi, tujuan_kunjungan, note_kunjungan
  *
  * File upload:
  * - dokumentasi_kunjungan (single file)
  */
 async function createSalesVisitNonFaskes(req, res) {
-  const {
-    user_id,
-    nama_sales,
-    region,
-    nama_lokasi,
-    alamat_lokasi,
-    koordinat_lokasi,
-    tujuan_kunjungan,
-    note_kunjungan,
-  } = req.body;
-
-  const dokumentasi_kunjungan = req.file ? req.file.filename : null;
-  const formStatus = req.body.status === 'submitted' ? 'submitted' : 'draft';
-
-  if (formStatus === 'submitted') {
-      if (
-        !nama_sales ||
-        !region ||
-        !nama_lokasi ||
-        !alamat_lokasi ||
-        !koordinat_lokasi
-      ) {
-        return res.status(400).json({
-          message: 'Missing required fields for submitted form',
-        });
-      }
-  }
-
-
   try {
-    const conn = await pool.getConnection();
-
-    const sql = `
-      INSERT INTO sales_visits
-      (user_id, form_type, nama_sales, region, nama_lokasi, alamat_lokasi, koordinat_lokasi,
-       tujuan_kunjungan, dokumentasi_kunjungan, note_kunjungan, status)
-      VALUES (?, 'non-faskes', ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    const params = [
-      user_id,
-      nama_sales,
-      region,
-      nama_lokasi,
-      alamat_lokasi,
-      koordinat_lokasi,
-      tujuan_kunjungan,
-      dokumentasi_kunjungan,
-      note_kunjungan,
-      formStatus
-    ];
-
-    await conn.query(sql, params);
-    conn.release();
+    const result = await createSalesVisit(req, res, 'non_healthcare');
+    if (!result) return undefined; // validation response already sent
 
-    return res.json({ message: 'Sales Visit (Non-Faskes) saved successfully.' });
+    return res.json({ message: 'Sales Visit (Non-Faskes) saved successfully.', visit_id: result.visitId });
   } catch (err) {
-    console.error('createSalesVisitNonFaskes error:', err);
-    return res.status(500).json({ message: 'Server error saving sales visit (non-faskes)', error: err.message });
+    return sendSaveError(res, err, 'sales visit (non-faskes)');
   }
 }
 
@@ -477,4 +428,5 @@ module.exports = {
   createSalesVisitNonFaskes,
   createTechnicianActivity,
   createTechnicianService,
+  mapLegacyFields,
 };
@@ -0,0 +1,578 @@
+/**
+ * Controller for hospital (faskes) master data.
+ *
+ * Mounted by:
+ *  - routes/visitRoutes.js    → GET /api/visits/hospital/:region  (used by the forms)
+ *  - routes/formRoutes.js     → GET /api/forms/hospital/:region   (legacy)
+ *  - routes/hospitalRoutes.js → /api/hospitals (create / edit / approve / merge)
+ *
+ * Approval flow: field staff (hospitals.propose) add hospitals as `pending`
+ * and propose edits as change requests; admins (hospitals.manage) create and
+ * edit directly, and approve / reject what staff proposed. Every change is
+ * written to the audit log (GET /api/hospitals/:id/history).
+ *
+ * Hospital shape:
+ *   { hospital_id, region, name, street, latitude, longitude, status,
+ *     merged_into_id, created_by, approved_by, approved_at, created_at, updated_at }
+ */
+
+const pool = require('../db');
+const hospitalService = require('../services/hospitalService');
+const customerService = require('../services/customerService');
+const masterDataService = require('../services/masterDataService');
+const { refreshVisitDerivedData } = require('../services/visitRefreshService');
+const { PERMISSIONS, hasPermission } = require('../services/accessControl');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+const isAdmin = (req) => hasPermission(req.user, PERMISSIONS.HOSPITALS_MANAGE);
+
+/**
+ * Whether the caller may see a hospital: active ones for everyone, others only
+ * for their proposer and admins (services/hospitalService.js).
+ */
+const canSeeHospital = (req, hospital) =>
+  hospital.status === 'active' || Number(hospital.created_by) === req.user.id || isAdmin(req);
+
+/** `force: true` lets an admin save despite possible duplicates. */
+const isForced = (req) => isAdmin(req) && (req.body?.force === true || req.body?.force === 'true');
+
+/** 409 listing the hospitals that look like the one being saved. */
+function sendDuplicates(res, duplicates) {
+  return res.status(409).json({
+    message: 'A hospital with the same name or location already exists.',
+    code: 'DUPLICATE_HOSPITAL',
+    duplicates,
+  });
+}
+
+/** Whether `values` touch a field used by duplicate detection. */
+function touchesIdentity(values) {
+  return ['name', 'region', 'latitude', 'longitude'].some((f) => f in values);
+}
+
+/* ----------------------
+ * Lookups
+ * ---------------------- */
+
+/**
+ * GET /hospital/:region
+ * Returns active hospitals for a given region (case-insensitive match), plus
+ * the caller's own pending proposals.
+ *
+ * Response: { retrieved_hospitals: [{ hospital_id, region, name, street, latitude, longitude, status }] }
+ */
+async function getHospitalsByRegion(req, res) {
+  const region = (req.params.region || '').trim();
+  if (!region) return res.status(400).json({ message: 'region is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const rows = await hospitalService.listHospitalsByRegion(conn, region, { userId: req.user?.id });
+
+    return res.json({ retrieved_hospitals: rows });
+  } catch (err) {
+    console.error('[hospital] ERROR', err?.stack || err);
+    return res.status(500).json({ message: 'Server error fetching hospitals' });
+  } finally {
+    if (conn) {
+      try { conn.release(); } catch (e) { /* ignore release errors */ }
+    }
+  }
+}
+
+/**
+ * GET /api/hospitals?region=&status=&q=&limit=
+ *
+ * Response: { hospitals: [...] }
+ */
+async function listHospitals(req, res) {
+  const status = hospitalService.cleanText(req.query.status) || null;
+  if (status && !hospitalService.HOSPITAL_STATUSES.includes(status)) {
+    return res.status(400).json({ message: `status must be one of: ${hospitalService.HOSPITAL_STATUSES.join(', ')}` });
+  }
+
+  const regionText = hospitalService.cleanText(req.query.region);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { regions } = await masterDataService.getValidationLists(conn);
+    const region = regionText ? hospitalService.normalizeRegion(regionText, regions) : null;
+    if (regionText && !region) return res.status(400).json({ message: `Unknown region "${regionText}"` });
+
+    const hospitals = await hospitalService.listHospitals(conn, {
+      region,
+      status,
+      q: hospitalService.cleanText(req.query.q),
+      limit: req.query.limit,
+    });
+    return res.json({ hospitals });
+  } catch (err) {
+    console.error('listHospitals error:', err);
+    return res.status(500).json({ message: 'Server error fetching hospitals', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/hospitals/duplicates?name=&region=&latitude=&longitude=
+ * Lets the app warn before proposing a hospital that already exists.
+ *
+ * Response: { duplicates: [{ ...hospital, match: ['name' | 'distance'], distance_m }] }
+ */
+async function checkDuplicates(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { regions } = await masterDataService.getValidationLists(conn);
+    const { values, errors } = hospitalService.validateHospital(req.query, { regions });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    const duplicates = await hospitalService.findDuplicates(conn, values, { excludeId: parseId(req.query.exclude_id) });
+    return res.json({ duplicates });
+  } catch (err) {
+    console.error('checkDuplicates error:', err);
+    return res.status(500).json({ message: 'Server error checking duplicates', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/hospitals/nearest?latitude=&longitude=&radius_km=&limit=
+ * Hospitals around the device position, nearest first (active ones plus the
+ * caller's own pending proposals). radius_km defaults to 5 (max 50), limit to 10 (max 50).
+ *
+ * Response: { hospitals: [{ hospital_id, region, name, street, latitude, longitude, status, distance_m }] }
+ */
+async function getNearestHospitals(req, res) {
+  const blank = (v) => hospitalService.cleanText(v) === '';
+  const latitude = Number(req.query.latitude);
+  const longitude = Number(req.query.longitude);
+  const errors = {};
+  if (blank(req.query.latitude) || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+    errors.latitude = 'Latitude must be a number between -90 and 90';
+  }
+  if (blank(req.query.longitude) || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    errors.longitude = 'Longitude must be a number between -180 and 180';
+  }
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const hospitals = await hospitalService.findNearestHospitals(conn, {
+      latitude,
+      longitude,
+      radiusKm: req.query.radius_km,
+      limit: req.query.limit,
+      userId: req.user.id,
+    });
+    return res.json({ hospitals });
+  } catch (err) {
+    console.error('getNearestHospitals error:', err);
+    return res.status(500).json({ message: 'Server error fetching nearest hospitals', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/hospitals/:id
+ *
+ * Response: { hospital }
+ */
+async function getHospital(req, res) {
+  const hospitalId = parseId(req.params.id);
+  if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const hospital = await hospitalService.findHospitalById(conn, hospitalId);
+    if (!hospital || !canSeeHospital(req, hospital)) return res.status(404).json({ message: 'Hospital not found' });
+    return res.json({ hospital });
+  } catch (err) {
+    console.error('getHospital error:', err);
+    return res.status(500).json({ message: 'Server error fetching hospital', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/hospitals/:id/history
+ * Audit log, newest first. `changes` is field → { from, to }.
+ *
+ * Response: { history: [{ id, user_id, user_name, action, changes, created_at }] }
+ */
+async function getHospitalHistory(req, res) {
+  const hospitalId = parseId(req.params.id);
+  if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const history = await hospitalService.listAuditLog(conn, hospitalId);
+    return res.json({ history });
+  } catch (err) {
+    console.error('getHospitalHistory error:', err);
+    return res.status(500).json({ message: 'Server error fetching hospital history', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/hospitals/pending
+ * Proposed hospitals (each with its possible duplicates) and proposed edits.
+ *
+ * Response: { hospitals: [{ ...hospital, created_by_name, duplicates }], changes: [...] }
+ */
+async function listPending(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { hospitals, changes } = await hospitalService.listPending(conn);
+    for (const hospital of hospitals) {
+      hospital.duplicates = await hospitalService.findDuplicates(conn, hospital, { excludeId: hospital.hospital_id });
+    }
+    return res.json({ hospitals, changes });
+  } catch (err) {
+    console.error('listPending error:', err);
+    return res.status(500).json({ message: 'Server error fetching pending hospitals', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/* ----------------------
+ * Create / update
+ * ---------------------- */
+
+/**
+ * POST /api/hospitals
+ * Body: name, region, street?, latitude?, longitude?, force? (admin only)
+ *
+ * Admins create active hospitals; field staff create pending ones that only
+ * they (and admins) see until approved.
+ *
+ * Response: 201 { hospital } | 409 { code: 'DUPLICATE_HOSPITAL', duplicates } | 422 { errors }
+ */
+async function createHospital(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { regions } = await masterDataService.getValidationLists(conn);
+    const { values, errors } = hospitalService.validateHospital(req.body || {}, { regions });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    if (!isForced(req)) {
+      const duplicates = await hospitalService.findDuplicates(conn, values);
+      if (duplicates.length) return sendDuplicates(res, duplicates);
+    }
+
+    await conn.beginTransaction();
+    const hospitalId = await hospitalService.createHospital(conn, values, {
+      userId: req.user.id,
+      status: isAdmin(req) ? 'active' : 'pending',
+    });
+    await conn.commit();
+
+    const hospital = await hospitalService.findHospitalById(conn, hospitalId);
+    return res.status(201).json({ hospital });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('createHospital error:', err);
+    return res.status(500).json({ message: 'Server error creating hospital', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PATCH /api/hospitals/:id
+ * Body: any of name, region, street, latitude, longitude; force? (admin only)
+ *
+ * Admins (and the proposer of a still-pending hospital) change the hospital
+ * directly. Other field staff get a change request for an admin to review.
+ *
+ * Response: 200 { hospital, changes } | 202 { change_request } | 409 | 422
+ */
+async function updateHospital(req, res) {
+  const hospitalId = parseId(req.params.id);
+  if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+  const body = req.body || {};
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { regions } = await masterDataService.getValidationLists(conn);
+    const { values, errors } = hospitalService.validateHospital(body, { partial: true, regions });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+    if (!Object.keys(values).length) return res.status(400).json({ message: 'No updatable fields provided.' });
+
+    await conn.beginTransaction();
+
+    const hospital = await hospitalService.findHospitalById(conn, hospitalId, { forUpdate: true });
+    if (!hospital || !canSeeHospital(req, hospital)) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    if (hospital.status === 'merged') {
+      await conn.rollback();
+      return res.status(409).json({ message: `Hospital was merged into #${hospital.merged_into_id}` });
+    }
+
+    const changes = hospitalService.diffFields(hospital, values);
+    if (!Object.keys(changes).length) {
+      await conn.rollback();
+      return res.json({ hospital, changes });
+    }
+
+    if (touchesIdentity(changes) && !isForced(req)) {
+      const duplicates = await hospitalService.findDuplicates(conn, { ...hospital, ...values }, { excludeId: hospitalId });
+      if (duplicates.length) {
+        await conn.rollback();
+        return sendDuplicates(res, duplicates);
+      }
+    }
+
+    const ownProposal = hospital.status === 'pending' && Number(hospital.created_by) === req.user.id;
+    if (!isAdmin(req) && !ownProposal) {
+      const changeId = await hospitalService.createChangeRequest(conn, hospitalId, changes, { userId: req.user.id });
+      await conn.commit();
+      const changeRequest = await hospitalService.findChangeRequest(conn, changeId);
+      return res.status(202).json({ message: 'Change submitted for approval.', change_request: changeRequest });
+    }
+
+    await hospitalService.updateHospital(conn, hospital, values, { userId: req.user.id });
+    await conn.commit();
+
+    const updated = await hospitalService.findHospitalById(conn, hospitalId);
+    return res.json({ hospital: updated, changes });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('updateHospital error:', err);
+    return res.status(500).json({ message: 'Server error updating hospital', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/* ----------------------
+ * Admin actions
+ * ---------------------- */
+
+/**
+ * Build a handler that moves a hospital from one of `from` to `to`.
+ *
+ * @param {Object} transition
+ * @param {string[]} transition.from - allowed current statuses
+ * @param {string} transition.to
+ * @param {string} transition.action - audit action
+ * @param {string} transition.label - for messages ("approve", ...)
+ */
+function statusHandler({ from, to, action, label }) {
+  return async function changeHospitalStatus(req, res) {
+    const hospitalId = parseId(req.params.id);
+    if (!hospitalId) return res.status(400).json({ message: 'hospital id is invalid' });
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const hospital = await hospitalService.findHospitalById(conn, hospitalId, { forUpdate: true });
+      if (!hospital) {
+        await conn.rollback();
+        return res.status(404).json({ message: 'Hospital not found' });
+      }
+      if (!from.includes(hospital.status)) {
+        await conn.rollback();
+        return res.status(409).json({ message: `Cannot ${label} a hospital that is ${hospital.status}` });
+      }
+
+      await hospitalService.setHospitalStatus(conn, hospital, to, { userId: req.user.id, action });
+      await conn.commit();
+
+      const updated = await hospitalService.findHospitalById(conn, hospitalId);
+      return res.json({ hospital: updated });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error(`${label} hospital error:`, err);
+      return res.status(500).json({ message: `Server error trying to ${label} hospital`, error: err.message });
+    } finally {
+      if (conn) conn.release();
+    }
+  };
+}
+
+/** POST /api/hospitals/:id/approve → pending becomes active. Response: { hospital } */
+const approveHospital = statusHandler({ from: ['pending'], to: 'active', action: 'approve', label: 'approve' });
+
+/** POST /api/hospitals/:id/reject → pending becomes inactive. Response: { hospital } */
+const rejectHospital = statusHandler({ from: ['pending'], to: 'inactive', action: 'reject', label: 'reject' });
+
+/** POST /api/hospitals/:id/deactivate → no longer offered by the forms. Response: { hospital } */
+const deactivateHospital = statusHandler({
+  from: ['pending', 'active'],
+  to: 'inactive',
+  action: 'deactivate',
+  label: 'deactivate',
+});
+
+/** POST /api/hospitals/:id/activate → undo deactivate. Response: { hospital } */
+const activateHospital = statusHandler({ from: ['inactive'], to: 'active', action: 'activate', label: 'activate' });
+
+/**
+ * POST /api/hospitals/:id/merge
+ * Body: into_id
+ *
+ * Marks :id as a duplicate of into_id. The kept hospital takes the
+ * duplicate's street / coordinates only when it has none. The duplicate's
+ * visits move to the kept hospital (their geofence, customer and search text
+ * are recomputed) and its customer is folded into the kept hospital's.
+ *
+ * Response: { hospital } (the kept one)
+ */
+async function mergeHospital(req, res) {
+  const sourceId = parseId(req.params.id);
+  const targetId = parseId(req.body?.into_id);
+  if (!sourceId) return res.status(400).json({ message: 'hospital id is invalid' });
+  if (!targetId) return sendValidationErrors(res, { into_id: 'into_id is required' });
+  if (sourceId === targetId) return sendValidationErrors(res, { into_id: 'Cannot merge a hospital into itself' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    // Lock in id order so two opposite merges cannot deadlock
+    const [first, second] = [sourceId, targetId].sort((a, b) => a - b);
+    const locked = {
+      [first]: await hospitalService.findHospitalById(conn, first, { forUpdate: true }),
+      [second]: await hospitalService.findHospitalById(conn, second, { forUpdate: true }),
+    };
+    const source = locked[sourceId];
+    const target = locked[targetId];
+
+    if (!source || !target) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+    if (source.status === 'merged' || target.status === 'merged') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'One of the hospitals is already merged' });
+    }
+    if (target.status !== 'active') {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Hospitals can only be merged into an active hospital' });
+    }
+
+    await hospitalService.mergeHospital(conn, source, target, { userId: req.user.id });
+    await customerService.mergeHospitalCustomers(conn, source, target);
+    const visitIds = await hospitalService.moveHospitalVisits(conn, sourceId, targetId);
+    for (const visitId of visitIds) await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    const hospital = await hospitalService.findHospitalById(conn, targetId);
+    return res.json({ hospital });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('mergeHospital error:', err);
+    return res.status(500).json({ message: 'Server error merging hospitals', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * Build the approve / reject handler for change requests.
+ * Body: note?
+ *
+ * Response: { change_request, hospital, changes }
+ */
+function changeRequestHandler(approve) {
+  const label = approve ? 'approve' : 'reject';
+
+  return async function reviewChangeRequest(req, res) {
+    const changeId = parseId(req.params.changeId);
+    if (!changeId) return res.status(400).json({ message: 'change request id is invalid' });
+    const note = hospitalService.cleanText(req.body?.note).slice(0, 500) || null;
+
+    let conn;
+    try {
+      conn = await pool.getConnection();
+      await conn.beginTransaction();
+
+      const request = await hospitalService.findChangeRequest(conn, changeId, { forUpdate: true });
+      if (!request) {
+        await conn.rollback();
+        return res.status(404).json({ message: 'Change request not found' });
+      }
+      if (request.status !== 'pending') {
+        await conn.rollback();
+        return res.status(409).json({ message: `Change request was already ${request.status}` });
+      }
+
+      const hospital = await hospitalService.findHospitalById(conn, request.hospital_id, { forUpdate: true });
+      if (!hospital || hospital.status === 'merged') {
+        await conn.rollback();
+        return res.status(409).json({ message: 'Hospital no longer exists or was merged' });
+      }
+
+      const changes = await hospitalService.reviewChangeRequest(conn, request, hospital, {
+        userId: req.user.id,
+        approve,
+        note,
+      });
+      await conn.commit();
+
+      return res.json({
+        change_request: await hospitalService.findChangeRequest(conn, changeId),
+        hospital: await hospitalService.findHospitalById(conn, hospital.hospital_id),
+        changes,
+      });
+    } catch (err) {
+      if (conn) await conn.rollback();
+      console.error(`${label} change request error:`, err);
+      return res.status(500).json({ message: `Server error trying to ${label} change request`, error: err.message });
+    } finally {
+      if (conn) conn.release();
+    }
+  };
+}
+
+/** POST /api/hospitals/changes/:changeId/approve */
+const approveChangeRequest = changeRequestHandler(true);
+
+/** POST /api/hospitals/changes/:changeId/reject */
+const rejectChangeRequest = changeRequestHandler(false);
+
+module.exports = {
+  getHospitalsByRegion,
+  listHospitals,
+  checkDuplicates,
+  getNearestHospitals,
+  getHospital,
+  getHospitalHistory,
+  listPending,
+  createHospital,
+  updateHospital,
+  approveHospital,
+  rejectHospital,
+  deactivateHospital,
+  activateHospital,
+  mergeHospital,
+  approveChangeRequest,
+  rejectChangeRequest,
+};
@@ -0,0 +1,192 @@
+/**
+ * Controller for the master data API (/api/master-data).
+ *
+ * The app downloads the option lists of its forms here and caches them
+ * (frontend/config/masterData.js); admins maintain them. Lists and rules live
+ * in services/masterDataService.js.
+ *
+ * Option shape (admin endpoints):
+ *   { id, list_key, value, label, sort_order, is_active, created_at, updated_at }
+ */
+
+const pool = require('../db');
+const masterDataService = require('../services/masterDataService');
+const staffService = require('../services/staffService');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/** The list named in the route, or null (the handler answers 404). */
+function routeList(req) {
+  const listKey = String(req.params.list || '');
+  return Object.prototype.hasOwnProperty.call(masterDataService.MASTER_LISTS, listKey) ? listKey : null;
+}
+
+const etagOf = (version) => `"${version}"`;
+
+/** Whether the client's cached copy (If-None-Match) is the current version. */
+function isCurrent(req, version) {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  return header
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === '*' || tag === etagOf(version));
+}
+
+/* ----------------------
+ * Handlers
+ * ---------------------- */
+
+/**
+ * GET /api/master-data
+ * Active options of every list. Send the ETag of the cached copy as
+ * If-None-Match; 304 when it is still current.
+ *
+ * Response: { version, lists: { nama_sales: [{ value, label }], regions: [...], ... } }
+ */
+async function getMasterData(req, res) {
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const version = await masterDataService.getMasterDataVersion(conn);
+    res.set('ETag', etagOf(version));
+    res.set('Cache-Control', 'private, no-cache');
+    if (isCurrent(req, version)) return res.status(304).end();
+
+    const data = await masterDataService.getMasterData(conn);
+    res.set('ETag', etagOf(data.version));
+    return res.json(data);
+  } catch (err) {
+    console.error('getMasterData error:', err);
+    return res.status(500).json({ message: 'Server error fetching master data', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/master-data/lists
+ * The maintained lists, for the admin screens.
+ *
+ * Response: { lists: [{ key, label, validated }] }
+ */
+function listMasterLists(req, res) {
+  const lists = Object.entries(masterDataService.MASTER_LISTS).map(([key, list]) => ({
+    key,
+    label: list.label,
+    validated: masterDataService.VALIDATED_LISTS.includes(key),
+  }));
+  return res.json({ lists });
+}
+
+/**
+ * GET /api/master-data/:list/items
+ * Every option of a list, inactive ones included.
+ *
+ * Response: { list, items }
+ */
+async function listItems(req, res) {
+  const listKey = routeList(req);
+  if (!listKey) return res.status(404).json({ message: 'Master data list not found.' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const items = await masterDataService.listItems(conn, listKey);
+    return res.json({ list: listKey, items });
+  } catch (err) {
+    console.error('listItems error:', err);
+    return res.status(500).json({ message: 'Server error fetching master data', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/master-data/:list/items
+ * Body: { label, value?, sort_order?, is_active? }
+ * `value` defaults from the label; it cannot be changed later.
+ *
+ * Response: 201 { item } | 409 when the list already has the value
+ */
+async function createItem(req, res) {
+  const listKey = routeList(req);
+  if (!listKey) return res.status(404).json({ message: 'Master data list not found.' });
+
+  const { values, errors } = masterDataService.validateNewItem(listKey, req.body || {});
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const item = await masterDataService.createItem(conn, listKey, values, { userId: req.user.id });
+    await conn.commit();
+
+    return res.status(201).json({ item });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    if (err.errno === ER_DUP_ENTRY) {
+      return res.status(409).json({ message: `${listKey} already has the value "${values.value}".` });
+    }
+    console.error('createItem error:', err);
+    return res.status(500).json({ message: 'Server error saving master data', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PATCH /api/master-data/:list/items/:id
+ * Body: any of { label, sort_order, is_active }
+ * Relabelling a nama_sales / nama_teknisi option renames the visits of the
+ * account linked to it (services/staffService.js).
+ *
+ * Response: { item }
+ */
+async function updateItem(req, res) {
+  const listKey = routeList(req);
+  if (!listKey) return res.status(404).json({ message: 'Master data list not found.' });
+
+  const itemId = parseId(req.params.id);
+  if (!itemId) return res.status(400).json({ message: 'item id is invalid' });
+
+  const { values, errors } = masterDataService.validateItemUpdate(req.body || {});
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const item = await masterDataService.updateItem(conn, listKey, itemId, values);
+    if (!item) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Option not found.' });
+    }
+    if (values.label !== undefined) await staffService.renameStaffItemVisits(conn, itemId);
+    await conn.commit();
+
+    return res.json({ item });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('updateItem error:', err);
+    return res.status(500).json({ message: 'Server error saving master data', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  getMasterData,
+  listMasterLists,
+  listItems,
+  createItem,
+  updateItem,
+};
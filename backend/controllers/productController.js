@@ -0,0 +1,94 @@
+/**
+ * Controller for the products API (/api/products).
+ *
+ * Technician forms look a device up by serial number when the field loses
+ * focus, and call get-or-create on submit when the device is new.
+ *
+ * Product shape (all endpoints):
+ *   { id, serial_number, product_name, product_type, brand_name, created_at, updated_at }
+ */
+
+const pool = require('../db');
+const productService = require('../services/productService');
+
+/**
+ * GET /api/products?q=&limit=
+ * Search by partial serial number, product name or brand.
+ *
+ * Response: { products: [...] }
+ */
+async function searchProducts(req, res) {
+  const q = productService.cleanText(req.query.q);
+  if (!q) return res.status(400).json({ message: 'q is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const products = await productService.searchProducts(conn, { q, limit: req.query.limit });
+    return res.json({ products });
+  } catch (err) {
+    console.error('searchProducts error:', err);
+    return res.status(500).json({ message: 'Server error searching products', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/products/by-serial/:serial_number
+ *
+ * Response: 200 { exists: true, product } | 404 { exists: false }
+ */
+async function getProductBySerial(req, res) {
+  const serialNumber = productService.cleanText(req.params.serial_number);
+  if (!serialNumber) return res.status(400).json({ message: 'serial_number is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const product = await productService.findProductBySerial(conn, serialNumber);
+
+    if (!product) return res.status(404).json({ exists: false });
+
+    return res.json({ exists: true, product });
+  } catch (err) {
+    console.error('getProductBySerial error:', err);
+    return res.status(500).json({ message: 'Server error fetching product', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/products/get-or-create
+ * Body: serial_number, product_name?, product_type?, brand_name?
+ *
+ * Returns the existing product for the serial number, or creates it.
+ * Response: 201 { product, created: true } | 200 { product, created: false }
+ */
+async function getOrCreateProduct(req, res) {
+  const serialNumber = productService.cleanText(req.body?.serial_number);
+  if (!serialNumber) return res.status(400).json({ message: 'serial_number is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const { product, created } = await productService.getOrCreateProduct(conn, {
+      ...req.body,
+      serial_number: serialNumber,
+    });
+
+    return res.status(created ? 201 : 200).json({ product, created });
+  } catch (err) {
+    console.error('getOrCreateProduct error:', err);
+    return res.status(500).json({ message: 'Server error saving product', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  searchProducts,
+  getProductBySerial,
+  getOrCreateProduct,
+};
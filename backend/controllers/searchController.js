@@ -0,0 +1,64 @@
+/**
+ * Controller for visit search.
+ *
+ * Mounted by routes/searchRoutes.js → /api/search
+ *
+ * Searches the text of the user's visits: notes, location names and
+ * addresses, customer and facility names, technicians, official report
+ * numbers, issue descriptions and product serials / names / brands. Indexing
+ * and matching live in services/searchService.js.
+ */
+
+const pool = require('../db');
+const searchService = require('../services/searchService');
+const { ensurePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+/* ----------------------
+ * Handlers
+ * ---------------------- */
+
+/**
+ * GET /api/search?q=&from=&to=&limit=&user_id=
+ * The user's visits matching every word of `q`, best match first
+ * (max 50, default 20). `from`/`to` bound visited_at (inclusive days).
+ * `user_id` of another user requires `visits.read_all`.
+ *
+ * Response: 200 { terms, results: [{ ...visit header, matches: [{ field, label, text }] }] }
+ *   `terms` are the words that were searched for (the app highlights them in `text`).
+ */
+async function searchVisits(req, res) {
+  let userId = req.user.id;
+
+  if (req.query.user_id != null && req.query.user_id !== '') {
+    userId = parseId(req.query.user_id);
+    if (!userId) return res.status(400).json({ message: 'user_id is invalid' });
+    if (userId !== req.user.id && !ensurePermission(req, res, PERMISSIONS.VISITS_READ_ALL)) return undefined;
+  }
+
+  const { values, errors } = searchService.validateSearchQuery(req.query);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const results = await searchService.searchVisits(conn, {
+      userId,
+      terms: values.terms,
+      from: values.from,
+      to: values.to,
+      limit: values.limit,
+    });
+    return res.json({ terms: values.terms, results });
+  } catch (err) {
+    console.error('searchVisits error:', err);
+    return res.status(500).json({ message: 'Server error searching visits', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  searchVisits,
+};
@@ -0,0 +1,153 @@
+/**
+ * Controller for photo uploads (/api/uploads).
+ *
+ * Flow used by the forms and CardInfo:
+ *  1. POST /api/uploads/presign  { fileName, contentType, folder? }
+ *       -> { uploadUrl, key, expiresIn }
+ *  2. Client PUTs the raw file to `uploadUrl` with the same Content-Type.
+ *  3. Client stores `key` in the visit detail (e.g. visit_documentation).
+ *  4. GET /api/uploads/image?key=  -> { imageUrl, expiresIn } (short-lived),
+ *     only for keys on a visit or attendance record the caller may read
+ *     (services/photoService.js)
+ *
+ * With the local driver, step 2 and the image URL hit putObject/getObject
+ * below; with the s3 driver they go straight to the bucket.
+ */
+
+const pool = require('../db');
+const storage = require('../services/storage');
+const photoService = require('../services/photoService');
+
+/**
+ * Base URL the signed local URLs should point at. PUBLIC_BASE_URL wins so the
+ * server can sit behind a proxy; otherwise use the host the client called.
+ */
+function getBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+/**
+ * Express 5 delivers `/*key` wildcards as an array of path segments.
+ */
+function getKeyParam(req) {
+  const { key } = req.params;
+  return Array.isArray(key) ? key.join('/') : key;
+}
+
+/**
+ * POST /api/uploads/presign
+ * Body: fileName?, contentType, folder?
+ */
+async function createPresignedUpload(req, res) {
+  const contentType = storage.normalizeContentType(req.body?.contentType || 'image/jpeg');
+
+  if (!storage.ALLOWED_CONTENT_TYPES[contentType]) {
+    return res.status(400).json({
+      message: `Unsupported contentType: ${contentType}. Allowed: ${Object.keys(storage.ALLOWED_CONTENT_TYPES).join(', ')}`,
+    });
+  }
+
+  try {
+    const key = storage.buildObjectKey(req.body?.folder, contentType);
+    const expiresIn = storage.getUrlTtl();
+
+    const uploadUrl = storage.getStorage().createUploadUrl({
+      key,
+      contentType,
+      expiresIn,
+      baseUrl: getBaseUrl(req),
+    });
+
+    return res.json({ uploadUrl, key, expiresIn });
+  } catch (err) {
+    console.error('createPresignedUpload error:', err);
+    return res.status(500).json({ message: 'Server error creating upload URL', error: err.message });
+  }
+}
+
+/**
+ * GET /api/uploads/image?key=
+ * Return a short-lived URL for reading an uploaded image.
+ * 404 unless the key belongs to a visit or attendance record the caller may read.
+ */
+async function getImageUrl(req, res) {
+  const { key } = req.query;
+
+  if (!storage.isValidKey(key)) {
+    return res.status(400).json({ message: 'A valid key is required' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    if (!(await photoService.canReadPhoto(conn, key, req.user))) {
+      return res.status(404).json({ message: 'Image not found.' });
+    }
+
+    const expiresIn = storage.getUrlTtl();
+    const imageUrl = storage.getStorage().createDownloadUrl({ key, expiresIn, baseUrl: getBaseUrl(req) });
+
+    return res.json({ imageUrl, expiresIn });
+  } catch (err) {
+    console.error('getImageUrl error:', err);
+    return res.status(500).json({ message: 'Server error creating image URL', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /api/uploads/object/*key   (local driver only)
+ * Receive the raw file for a signed upload URL.
+ */
+async function putObject(req, res) {
+  const driver = storage.getStorage();
+  if (driver.name !== 'local') return res.status(404).json({ message: 'Not found' });
+
+  const key = getKeyParam(req);
+  if (!storage.isValidKey(key)) return res.status(400).json({ message: 'Invalid key' });
+
+  const signatureError = driver.verify('PUT', key, req.query);
+  if (signatureError) return res.status(403).json({ message: signatureError });
+
+  if (storage.normalizeContentType(req.get('content-type')) !== req.query.ct) {
+    return res.status(400).json({ message: `Content-Type must be ${req.query.ct}` });
+  }
+
+  try {
+    const bytes = await driver.writeObject(key, req, { maxBytes: storage.getMaxUploadBytes() });
+    return res.json({ message: 'Upload complete.', key, size: bytes });
+  } catch (err) {
+    if (err.status === 413) return res.status(413).json({ message: err.message });
+    console.error('putObject error:', err);
+    return res.status(500).json({ message: 'Server error storing upload', error: err.message });
+  }
+}
+
+/**
+ * GET /api/uploads/object/*key   (local driver only)
+ * Serve an object for a signed download URL.
+ */
+async function getObject(req, res) {
+  const driver = storage.getStorage();
+  if (driver.name !== 'local') return res.status(404).json({ message: 'Not found' });
+
+  const key = getKeyParam(req);
+  if (!storage.isValidKey(key)) return res.status(400).json({ message: 'Invalid key' });
+
+  const signatureError = driver.verify('GET', key, req.query);
+  if (signatureError) return res.status(403).json({ message: signatureError });
+
+  const filePath = driver.getObjectPath(key);
+  if (!filePath) return res.status(404).json({ message: 'File not found' });
+
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.sendFile(filePath);
+}
+
+module.exports = {
+  createPresignedUpload,
+  getImageUrl,
+  putObject,
+  getObject,
+};
@@ -0,0 +1,801 @@
+/**
+ * Controller for the visits API (/api/visits).
+ *
+ * A visit is a header row (who / when / where / draft flag) plus one detail row
+ * whose shape depends on `visit_type`:
+ *  - sales                → /api/visits/:id/sales
+ *  - technician_activity  → /api/visits/:id/activity
+ *  - technician_service   → /api/visits/:id/service
+ *
+ * The mobile forms submit header + detail (+ a new product) in one request,
+ * POST /api/visits/submit, which commits everything in a single transaction.
+ * The older two-step flow (POST /api/visits, then POST /api/visits/:id/<type>)
+ * is kept for existing clients. Storage details live in services/visitService.js.
+ *
+ * Retries are safe: the app's offline outbox sends an `Idempotency-Key` header
+ * (stored as visits.client_ref), and a repeated key returns the visit created
+ * the first time. In the two-step flow a repeated detail POST gets 409.
+ *
+ * All routes run behind `requireAuth`; the acting user is `req.user.id`.
+ * A `user_id` sent by the client is ignored, except that users with
+ * `visits.read_all` (admins) may pass it to read another user's visits.
+ * Creating a visit requires the role permission for its visit_type.
+ *
+ * Responses:
+ *  - 400 for malformed ids
+ *  - 401 when the token is missing or invalid (middleware/auth.js)
+ *  - 403 when the role may not create this visit type / read other users
+ *  - 404 when the visit does not exist, is deleted or belongs to another user
+ *  - 409 when a detail row already exists
+ *  - 410 when restoring a visit whose trash retention has passed
+ *  - 422 for payload validation errors: { message, errors } where `errors` maps
+ *    field → message (rules in services/visitSchemas.js); the forms highlight
+ *    those fields
+ *
+ * Sales visits are checked against the hospital's geofence on every write
+ * (services/geofenceService.js); `geofence` in the response is
+ * { status, distance_m, radius_m }, or null for other visit types.
+ * Every visit's coordinates are also scored for tampering
+ * (services/locationRiskService.js): `location_risk` is { score, flags, suspicious }.
+ * The visit's search text (GET /api/search) is rewritten on every write too,
+ * and so is its customer (services/customerService.js): `customer_id` is
+ * resolved from the hospital or location name, a value sent by the client is
+ * ignored. The people listed in a sales visit (`users_json`) become contacts
+ * of that customer, linked to the visit (services/contactService.js); the
+ * sales detail is returned with them as `contacts`. `sales_name` and
+ * `technician_name` are always the name of the visit's owner
+ * (services/staffService.js); the value sent by the form is overwritten.
+ * All of these are recomputed together, in the same transaction as the write
+ * (services/visitRefreshService.js).
+ * Other accounts that took part (join visits, other technicians) are the
+ * visit's `participants` (services/participantService.js): they can read it
+ * and it is listed for them, but only the owner changes it.
+ *
+ * Deleting a visit moves it to the trash (GET /api/visits/trash), from where
+ * it can be restored for VISIT_TRASH_RETENTION_DAYS; scripts/purgeVisits.js
+ * removes it for good afterwards (services/trashService.js).
+ */
+
+const pool = require('../db');
+const visitService = require('../services/visitService');
+const productService = require('../services/productService');
+const geofenceService = require('../services/geofenceService');
+const locationRiskService = require('../services/locationRiskService');
+const searchService = require('../services/searchService');
+const contactService = require('../services/contactService');
+const { refreshVisitDerivedData } = require('../services/visitRefreshService');
+const participantService = require('../services/participantService');
+const masterDataService = require('../services/masterDataService');
+const trashService = require('../services/trashService');
+const { ensurePermission } = require('../middleware/auth');
+const { PERMISSIONS, CREATE_PERMISSION_BY_VISIT_TYPE, hasPermission } = require('../services/accessControl');
+const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/**
+ * Load a visit and make sure it belongs to the given user.
+ * Returns null when missing, deleted or owned by someone else.
+ */
+async function loadOwnedVisit(conn, visitId, userId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit || Number(visit.user_id) !== userId) return null;
+  return visit;
+}
+
+/**
+ * Load a visit for reading: owners always, participants once it is submitted,
+ * other users' visits only with `visits.read_all`.
+ */
+async function loadReadableVisit(conn, visitId, user) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit) return null;
+  if (Number(visit.user_id) === user.id || hasPermission(user, PERMISSIONS.VISITS_READ_ALL)) return visit;
+  if (Number(visit.is_draft) === 1) return null;
+  return (await participantService.isParticipant(conn, visitId, user.id)) ? visit : null;
+}
+
+/* ----------------------
+ * Controller actions
+ * ---------------------- */
+
+/**
+ * Respond with a visit that was already created with the same idempotency key.
+ */
+function sendExistingVisit(res, visit) {
+  return res.status(200).json({
+    message: 'Visit already created.',
+    visit_id: visit.id,
+    id: visit.id,
+    duplicate: true,
+  });
+}
+
+/**
+ * POST /api/visits
+ * Create a visit header.
+ *
+ * Headers: Idempotency-Key? (or body.client_ref)
+ * Body: visit_type, visited_at?, latitude?, longitude?, note?,
+ *       is_draft?, sales_category?, hospital_id?,
+ *       location_accuracy_m?, location_captured_at?, location_source?, location_mocked?,
+ *       participants? (staff list values, services/participantService.js)
+ *
+ * Response: 201 { message, visit_id, id, customer_id, geofence, location_risk }
+ *           200 { message, visit_id, id, duplicate: true } for a repeated key
+ */
+async function createVisit(req, res) {
+  const clientRef = req.get('idempotency-key') || req.body?.client_ref;
+  const { header, errors } = visitService.buildVisitHeader({ ...req.body, client_ref: clientRef, user_id: req.user.id });
+  const participantInput = participantService.parseParticipants(req.body?.participants);
+  Object.assign(errors, participantInput.errors);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  if (!ensurePermission(req, res, CREATE_PERMISSION_BY_VISIT_TYPE[header.visit_type])) return undefined;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+
+    if (header.client_ref) {
+      const existing = await visitService.findVisitByClientRef(conn, header.user_id, header.client_ref);
+      if (existing) {
+        await conn.rollback();
+        return sendExistingVisit(res, existing);
+      }
+    }
+
+    const { participants, errors: participantErrors } = await participantService.resolveParticipants(
+      conn,
+      header,
+      participantInput.values || []
+    );
+    if (hasErrors(participantErrors)) {
+      await conn.rollback();
+      return sendValidationErrors(res, participantErrors);
+    }
+
+    let visitId;
+    try {
+      visitId = await visitService.insertVisit(conn, header);
+    } catch (err) {
+      // Two retries raced on the same key; the other one won
+      if (err.errno !== ER_DUP_ENTRY || !header.client_ref) throw err;
+      await conn.rollback();
+      const existing = await visitService.findVisitByClientRef(conn, header.user_id, header.client_ref);
+      if (!existing) throw err;
+      return sendExistingVisit(res, existing);
+    }
+
+    if (participants.length) {
+      await participantService.setVisitParticipants(conn, { ...header, id: visitId }, participants, { addedBy: req.user.id });
+    }
+    const { geofence, locationRisk, customer } = await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    return res.status(201).json({
+      message: header.is_draft ? 'Draft visit created.' : 'Visit created.',
+      visit_id: visitId,
+      id: visitId,
+      customer_id: customer ? customer.id : null,
+      geofence,
+      location_risk: locationRisk,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('createVisit error:', err);
+    return res.status(500).json({ message: 'Server error creating visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/visits/submit
+ * Create a visit header and its detail row in one transaction, registering
+ * the product first when the technician entered a new device.
+ *
+ * Headers: Idempotency-Key? (or visit.client_ref)
+ * Body: {
+ *   visit:    { visit_type, visited_at?, latitude?, longitude?, note?, is_draft?, sales_category?,
+ *               hospital_id?, location_accuracy_m?, location_captured_at?, location_source?, location_mocked?,
+ *               participants? },
+ *   detail:   { ...columns of the visit_type's detail table },
+ *   product?: { serial_number, product_name?, product_type?, brand_name? }  (technician visits only)
+ * }
+ *
+ * Response: 201 { message, visit_id, id, product_id, customer_id, geofence, location_risk }
+ *           200 { message, visit_id, id, duplicate: true } for a repeated key
+ *
+ * Nothing is stored unless every part succeeds.
+ */
+async function submitVisit(req, res) {
+  const body = req.body || {};
+  const visitBody = body.visit && typeof body.visit === 'object' ? body.visit : null;
+  const detailBody = body.detail && typeof body.detail === 'object' ? body.detail : null;
+  if (!visitBody || !detailBody) {
+    return sendValidationErrors(res, { [visitBody ? 'detail' : 'visit']: 'visit and detail are required' });
+  }
+
+  const clientRef = req.get('idempotency-key') || visitBody.client_ref;
+  const { header, errors } = visitService.buildVisitHeader({ ...visitBody, client_ref: clientRef, user_id: req.user.id });
+  if (!header) return sendValidationErrors(res, errors);
+
+  const participantInput = participantService.parseParticipants(visitBody.participants);
+  Object.assign(errors, participantInput.errors);
+
+  const picked = visitService.pickDetailColumns(header.visit_type, detailBody);
+
+  // Only technician details reference a product
+  const productInput = body.product && 'product_id' in picked ? body.product : null;
+  const serialNumber = productInput ? productService.cleanText(productInput.serial_number) : null;
+  if (productInput && !serialNumber) errors.serial_number = 'Serial number is required';
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    // A new product's id is filled in inside the transaction
+    const { values: detail, errors: detailErrors } = visitService.validateDetail(header.visit_type, picked, {
+      isDraft: header.is_draft === 1,
+      provided: serialNumber ? ['product_id'] : [],
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    Object.assign(errors, detailErrors);
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    const required = [CREATE_PERMISSION_BY_VISIT_TYPE[header.visit_type]];
+    if (serialNumber) required.push(PERMISSIONS.PRODUCTS_WRITE);
+    if (!ensurePermission(req, res, ...required)) return undefined;
+
+    await conn.beginTransaction();
+
+    if (header.client_ref) {
+      const existing = await visitService.findVisitByClientRef(conn, header.user_id, header.client_ref);
+      if (existing) {
+        await conn.rollback();
+        return sendExistingVisit(res, existing);
+      }
+    }
+
+    const { participants, errors: participantErrors } = await participantService.resolveParticipants(
+      conn,
+      header,
+      participantInput.values || []
+    );
+    if (hasErrors(participantErrors)) {
+      await conn.rollback();
+      return sendValidationErrors(res, participantErrors);
+    }
+
+    if (serialNumber) {
+      const { product } = await productService.getOrCreateProduct(conn, { ...productInput, serial_number: serialNumber });
+      detail.product_id = product.id;
+    }
+
+    let visitId;
+    try {
+      visitId = await visitService.insertVisit(conn, header);
+    } catch (err) {
+      // Two retries raced on the same key; the other one won
+      if (err.errno !== ER_DUP_ENTRY || !header.client_ref) throw err;
+      await conn.rollback();
+      const existing = await visitService.findVisitByClientRef(conn, header.user_id, header.client_ref);
+      if (!existing) throw err;
+      return sendExistingVisit(res, existing);
+    }
+
+    await visitService.insertVisitDetail(conn, header.visit_type, visitId, detail);
+    if (participants.length) {
+      await participantService.setVisitParticipants(conn, { ...header, id: visitId }, participants, { addedBy: req.user.id });
+    }
+    const { geofence, locationRisk, customer } = await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    return res.status(201).json({
+      message: header.is_draft ? 'Draft saved successfully.' : 'Visit submitted successfully.',
+      visit_id: visitId,
+      id: visitId,
+      product_id: detail.product_id ?? null,
+      customer_id: customer ? customer.id : null,
+      geofence,
+      location_risk: locationRisk,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('submitVisit error:', err);
+    return res.status(500).json({ message: 'Server error submitting visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/visits?visit_type=&status=&from=&to=&q=&sort=&order=&limit=&cursor=&user_id=&customer_id=&geofence=&suspicious=
+ * List the user's visit headers (newest first), including visits they took part
+ * in; `participation` on each is owner | participant. Soft-deleted visits are excluded.
+ * `visit_type` is a comma-separated list of visit types and/or sales categories
+ * (healthcare, non_healthcare); a visit matching any of them is listed.
+ * `status` is draft | submitted; `from`/`to` bound visited_at (inclusive days);
+ * `q` searches the note and the main detail fields; `sort` is visited_at | created_at.
+ * `user_id` of another user requires `visits.read_all`.
+ * `customer_id` keeps the visits made at one customer (GET /api/customers).
+ * `geofence` is one geofence_status, or `flagged` for every status shown as a warning.
+ * `suspicious=1` keeps visits whose location risk score reaches LOCATION_RISK_THRESHOLD.
+ *
+ * Response: with `limit` or `cursor`, one page { visits, next_cursor } (pass
+ * next_cursor back with the same filters; null on the last page). Without
+ * them, every matching visit as an array (older app builds).
+ */
+async function listVisits(req, res) {
+  let userId = req.user.id;
+
+  if (req.query.user_id != null && req.query.user_id !== '') {
+    userId = parseId(req.query.user_id);
+    if (!userId) return res.status(400).json({ message: 'user_id is invalid' });
+    if (userId !== req.user.id && !ensurePermission(req, res, PERMISSIONS.VISITS_READ_ALL)) return undefined;
+  }
+
+  const types = req.query.visit_type ? visitService.resolveTypeFilter(req.query.visit_type) : null;
+  if (req.query.visit_type && !types) {
+    return res.status(400).json({ message: `Unsupported visit_type: ${req.query.visit_type}` });
+  }
+
+  let geofenceStatuses = null;
+  if (req.query.geofence) {
+    geofenceStatuses = geofenceService.resolveGeofenceFilter(req.query.geofence);
+    if (!geofenceStatuses) return res.status(400).json({ message: `Unsupported geofence: ${req.query.geofence}` });
+  }
+
+  const minRiskScore = ['1', 'true'].includes(String(req.query.suspicious))
+    ? locationRiskService.getRiskConfig().threshold
+    : null;
+
+  const { values, errors } = visitService.validateListFilters(req.query);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+  const filters = {
+    userId,
+    types,
+    isDraft: values.status ? Number(values.status === 'draft') : null,
+    from: values.from,
+    to: values.to,
+    search: values.q,
+    customerId: values.customer_id,
+    geofenceStatuses,
+    minRiskScore,
+    sort: values.sort,
+    order: values.order,
+    cursor: values.cursor,
+    limit: values.limit,
+  };
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    if (!values.limit && !values.cursor) {
+      const visits = await visitService.listVisits(conn, filters);
+      return res.json(visits);
+    }
+
+    const { visits, nextCursor } = await visitService.listVisitPage(conn, filters);
+    return res.json({ visits, next_cursor: nextCursor });
+  } catch (err) {
+    console.error('listVisits error:', err);
+    return res.status(500).json({ message: 'Server error fetching visits', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/visits/:id
+ * Return the visit header merged with its detail row and `participants`.
+ */
+async function getVisit(req, res) {
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const visit = await loadReadableVisit(conn, visitId, req.user);
+    if (!visit) return res.status(404).json({ message: 'Visit not found.' });
+
+    const detail = await visitService.findVisitDetail(conn, visit.visit_type, visitId);
+    const participants = await participantService.listVisitParticipants(conn, visitId);
+    return res.json({ ...(detail || {}), ...visit, participants });
+  } catch (err) {
+    console.error('getVisit error:', err);
+    return res.status(500).json({ message: 'Server error fetching visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/visits/:type/:id   (type = sales | activity | service)
+ * Return the detail row of a visit. MenuTabs merges this into the header it
+ * already has before opening CardInfo. Every detail carries `participants`
+ * ([{ user_id, name, staff_name }]); sales details also carry `contacts`, the
+ * customer contacts linked to the visit.
+ */
+async function getVisitDetail(req, res) {
+  const visitType = visitService.VISIT_TYPE_BY_ROUTE[req.params.type];
+  if (!visitType) return res.status(400).json({ message: `Unsupported detail type: ${req.params.type}` });
+
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const visit = await loadReadableVisit(conn, visitId, req.user);
+    if (!visit || visit.visit_type !== visitType) {
+      return res.status(404).json({ message: 'Visit not found.' });
+    }
+
+    const detail = await visitService.findVisitDetail(conn, visitType, visitId);
+    if (!detail) return res.status(404).json({ message: 'Visit detail not found.' });
+
+    detail.participants = await participantService.listVisitParticipants(conn, visitId);
+    if (visitType === 'sales') detail.contacts = await contactService.listVisitContacts(conn, visitId);
+    return res.json(detail);
+  } catch (err) {
+    console.error('getVisitDetail error:', err);
+    return res.status(500).json({ message: 'Server error fetching visit detail', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/visits/:id/:detailType   (detailType = sales | activity | service)
+ * Create the detail row for an existing visit header.
+ */
+async function createVisitDetail(req, res) {
+  const visitType = visitService.VISIT_TYPE_BY_ROUTE[req.params.detailType];
+  if (!visitType) return res.status(400).json({ message: `Unsupported detail type: ${req.params.detailType}` });
+
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const picked = visitService.pickDetailColumns(visitType, req.body);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const visit = await loadOwnedVisit(conn, visitId, req.user.id);
+    if (!visit) return res.status(404).json({ message: 'Visit not found.' });
+
+    if (visit.visit_type !== visitType) {
+      return res.status(422).json({
+        message: `Visit ${visitId} is a ${visit.visit_type} visit, not ${visitType}.`,
+      });
+    }
+
+    const { values: detail, errors } = visitService.validateDetail(visitType, picked, {
+      isDraft: Number(visit.is_draft) === 1,
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    await conn.beginTransaction();
+    const existing = await visitService.findVisitDetail(conn, visitType, visitId);
+    if (existing) {
+      await conn.rollback();
+      return res.status(409).json({ message: 'Detail already exists for this visit. Use PATCH to update it.' });
+    }
+
+    try {
+      await visitService.insertVisitDetail(conn, visitType, visitId, detail);
+    } catch (err) {
+      // A concurrent request inserted the detail after the check above
+      if (err.errno !== ER_DUP_ENTRY) throw err;
+      await conn.rollback();
+      return res.status(409).json({ message: 'Detail already exists for this visit. Use PATCH to update it.' });
+    }
+    const { geofence, customer } = await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    return res.status(201).json({
+      message: Number(visit.is_draft) ? 'Draft saved successfully.' : 'Visit submitted successfully.',
+      visit_id: visitId,
+      customer_id: customer ? customer.id : null,
+      geofence,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('createVisitDetail error:', err);
+    return res.status(500).json({ message: 'Server error saving visit detail', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PATCH /api/visits/:id  and  PATCH /api/visits/:id/visit
+ * Partial update of the visit header (note, coordinates, visited_at, draft flag).
+ * Only visits owned by the authenticated user can be updated.
+ * Publishing a draft (is_draft: 0) checks the whole visit against the submit rules.
+ */
+async function updateVisit(req, res) {
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const userId = req.user.id;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const visit = await loadOwnedVisit(conn, visitId, userId);
+    if (!visit) {
+      return res.status(404).json({ message: 'Visit not found or you do not have permission to update it.', affectedRows: 0 });
+    }
+
+    const wasDraft = Number(visit.is_draft) === 1;
+    const { updates, errors } = visitService.pickHeaderUpdates(req.body, visit.visit_type, { isDraft: wasDraft });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'No updatable fields provided.' });
+    }
+
+    if (wasDraft && updates.is_draft === 0) {
+      const publishErrors = await visitService.validateForPublish(conn, visit, updates);
+      if (hasErrors(publishErrors)) return sendValidationErrors(res, publishErrors);
+    }
+
+    await conn.beginTransaction();
+    const affectedRows = await visitService.updateVisit(conn, visitId, userId, updates);
+
+    if (affectedRows === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Visit not found or you do not have permission to update it.', affectedRows: 0 });
+    }
+
+    const { geofence, locationRisk } = await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    return res.json({ message: 'Visit updated successfully.', affectedRows, geofence, location_risk: locationRisk });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('updateVisit error:', err);
+    return res.status(500).json({ message: 'Server error updating visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PATCH /api/visits/:id/:detailType   (detailType = sales | activity | service)
+ * Partial update of the visit detail. `visit` as detailType updates the header.
+ * Only visits owned by the authenticated user can be updated.
+ */
+async function updateVisitDetail(req, res) {
+  if (req.params.detailType === 'visit') return updateVisit(req, res);
+
+  const visitType = visitService.VISIT_TYPE_BY_ROUTE[req.params.detailType];
+  if (!visitType) return res.status(400).json({ message: `Unsupported detail type: ${req.params.detailType}` });
+
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const userId = req.user.id;
+
+  const picked = visitService.pickDetailColumns(visitType, req.body, { partial: true });
+  if (Object.keys(picked).length === 0) {
+    return res.status(400).json({ message: 'No updatable fields provided.' });
+  }
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const visit = await loadOwnedVisit(conn, visitId, userId);
+    if (!visit || visit.visit_type !== visitType) {
+      return res.status(404).json({ message: 'Visit not found or you do not have permission to update it.', affectedRows: 0 });
+    }
+
+    const { values: updates, errors } = visitService.validateDetail(visitType, picked, {
+      isDraft: Number(visit.is_draft) === 1,
+      partial: true,
+      lists: await masterDataService.getValidationLists(conn),
+    });
+    if (hasErrors(errors)) return sendValidationErrors(res, errors);
+
+    await conn.beginTransaction();
+    const affectedRows = await visitService.updateVisitDetail(conn, visitType, visitId, updates);
+    if (affectedRows > 0) await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    if (affectedRows === 0) {
+      return res.status(404).json({ message: 'Visit detail not found.', affectedRows: 0 });
+    }
+
+    return res.json({ message: 'Visit detail updated successfully.', affectedRows });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('updateVisitDetail error:', err);
+    return res.status(500).json({ message: 'Server error updating visit detail', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * PUT /api/visits/:id/participants
+ * Body: { participants: [staff list values] }  (empty list or null removes them)
+ * Replace the participants of a visit owned by the authenticated user.
+ *
+ * Response: { message, participants: [{ user_id, name, staff_name }] }
+ */
+async function setParticipants(req, res) {
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const { values, errors } = participantService.parseParticipants((req.body || {}).participants);
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
+  if (!values) return sendValidationErrors(res, { participants: 'participants is required' });
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const visit = await loadOwnedVisit(conn, visitId, req.user.id);
+    if (!visit) return res.status(404).json({ message: 'Visit not found or you do not have permission to update it.' });
+
+    const { participants, errors: participantErrors } = await participantService.resolveParticipants(conn, visit, values);
+    if (hasErrors(participantErrors)) return sendValidationErrors(res, participantErrors);
+
+    await conn.beginTransaction();
+    await participantService.setVisitParticipants(conn, visit, participants, { addedBy: req.user.id });
+    await searchService.refreshVisitSearch(conn, visitId);
+    await conn.commit();
+
+    return res.json({
+      message: 'Participants updated.',
+      participants: await participantService.listVisitParticipants(conn, visitId),
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('setParticipants error:', err);
+    return res.status(500).json({ message: 'Server error updating participants', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * DELETE /api/visits/:id
+ * Soft-delete a visit owned by the authenticated user (sets deleted_at).
+ * `restore_until` tells the app how long it stays in the trash.
+ */
+async function deleteVisit(req, res) {
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const userId = req.user.id;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    await conn.beginTransaction();
+    const affectedRows = await visitService.softDeleteVisit(conn, visitId, userId);
+
+    if (affectedRows === 0) {
+      await conn.rollback();
+      return res.status(404).json({ message: 'Visit not found or you do not have permission to delete it.' });
+    }
+    await contactService.refreshVisitLastMet(conn, visitId);
+    await conn.commit();
+
+    const deleted = await visitService.findDeletedVisit(conn, visitId, userId);
+    return res.json({
+      message: 'Visit deleted successfully.',
+      affectedRows,
+      restore_until: deleted ? trashService.restoreDeadline(deleted.deleted_at) : null,
+    });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('deleteVisit error:', err);
+    return res.status(500).json({ message: 'Server error deleting visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * GET /api/visits/trash
+ * The user's deleted visits that can still be restored, most recently deleted
+ * first, each with `restore_until`.
+ * Response: { visits, retention_days }
+ */
+async function listTrash(req, res) {
+  const config = trashService.getTrashConfig();
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const visits = await visitService.listDeletedVisits(conn, {
+      userId: req.user.id,
+      since: trashService.trashCutoff(new Date(), config),
+    });
+
+    return res.json({
+      visits: visits.map((v) => ({ ...v, restore_until: trashService.restoreDeadline(v.deleted_at, config) })),
+      retention_days: config.retentionDays,
+    });
+  } catch (err) {
+    console.error('listTrash error:', err);
+    return res.status(500).json({ message: 'Server error fetching trash', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+/**
+ * POST /api/visits/:id/restore
+ * Move a deleted visit of the authenticated user back out of the trash.
+ * 404 when it is not in the trash, 410 when its retention has passed.
+ * Its derived data is recomputed, since renames skip visits in the trash.
+ */
+async function restoreVisit(req, res) {
+  const visitId = parseId(req.params.id);
+  if (!visitId) return res.status(400).json({ message: 'visit id is invalid' });
+
+  const userId = req.user.id;
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    const deleted = await visitService.findDeletedVisit(conn, visitId, userId);
+    if (!deleted) return res.status(404).json({ message: 'Visit not found in trash.' });
+
+    await conn.beginTransaction();
+    const affectedRows = await visitService.restoreVisit(conn, visitId, userId, trashService.trashCutoff());
+    if (affectedRows === 0) {
+      await conn.rollback();
+      return res.status(410).json({
+        message: 'This visit was deleted too long ago to be restored.',
+        restore_until: trashService.restoreDeadline(deleted.deleted_at),
+      });
+    }
+
+    // Also recomputes last_met_at of its contacts
+    await refreshVisitDerivedData(conn, visitId);
+    await conn.commit();
+
+    const visit = await visitService.findVisit(conn, visitId);
+    return res.json({ message: 'Visit restored successfully.', visit });
+  } catch (err) {
+    if (conn) await conn.rollback();
+    console.error('restoreVisit error:', err);
+    return res.status(500).json({ message: 'Server error restoring visit', error: err.message });
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+module.exports = {
+  createVisit,
+  submitVisit,
+  listVisits,
+  getVisit,
+  getVisitDetail,
+  createVisitDetail,
+  updateVisit,
+  updateVisitDetail,
+  setParticipants,
+  deleteVisit,
+  listTrash,
+  restoreVisit,
+};
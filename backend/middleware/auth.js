@@ -0,0 +1,112 @@
+/**
+ * Authentication middleware
+ * -------------------------
+ * Verifies the access token (JWT) issued by POST /api/auth/login and
+ * POST /api/auth/refresh (services/tokenService.js) and attaches the caller to
+ * the request:
+ *
+ *   req.user = { id, email, role }
+ *
+ * Controllers must take the acting user from `req.user.id`, never from a
+ * `user_id` query/body parameter.
+ *
+ * Failures return 401 with `{ message, code }`; the app then tries
+ * /api/auth/refresh once and sends the user back to the login screen only
+ * when the refresh token is rejected as well:
+ *   - AUTH_REQUIRED  → no bearer token
+ *   - TOKEN_EXPIRED  → token expired
+ *   - TOKEN_INVALID  → bad signature / malformed token / missing user_id
+ *
+ * `requirePermission` / `ensurePermission` answer 403 `{ message, code: 'FORBIDDEN' }` when the
+ * caller's role lacks a permission (see services/accessControl.js).
+ *
+ * Usage:
+ *   const { requireAuth, requirePermission } = require('../middleware/auth');
+ *   router.use(requireAuth);
+ *   router.post('/x', requirePermission(PERMISSIONS.SALES_VISIT_CREATE), handler);
+ */
+
+const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../services/accessControl');
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+function unauthorized(res, message, code) {
+  return res.status(401).json({ message, code });
+}
+
+/**
+ * Reject the request with 401 unless it carries a valid JWT.
+ */
+function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return unauthorized(res, 'Authentication required', 'AUTH_REQUIRED');
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      return unauthorized(res, 'Session expired. Please log in again.', 'TOKEN_EXPIRED');
+    }
+    return unauthorized(res, 'Invalid token', 'TOKEN_INVALID');
+  }
+
+  const userId = Number(payload?.user_id);
+  if (!Number.isInteger(userId) || userId <= 0) {
+    return unauthorized(res, 'Invalid token', 'TOKEN_INVALID');
+  }
+
+  // `role` is null for users without one; undefined only in tokens issued before roles existed
+  req.user = { id: userId, email: payload.email, role: payload.role };
+  return next();
+}
+
+/**
+ * Check that `req.user` holds every given permission, answering 401/403 if not.
+ * For handlers whose required permission depends on the payload.
+ *
+ * @returns {boolean} true when allowed; false when a response was already sent
+ */
+function ensurePermission(req, res, ...permissions) {
+  if (req.user?.role === undefined) {
+    // Old token without a role claim; make the app log in again to get one.
+    unauthorized(res, 'Session is outdated. Please log in again.', 'TOKEN_INVALID');
+    return false;
+  }
+
+  if (!permissions.every((p) => hasPermission(req.user, p))) {
+    res.status(403).json({ message: 'You do not have permission to perform this action.', code: 'FORBIDDEN' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Build a middleware that requires `req.user` to hold every given permission.
+ * Must run after requireAuth.
+ *
+ * @param {...string} permissions
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!ensurePermission(req, res, ...permissions)) return undefined;
+    return next();
+  };
+}
+
+module.exports = {
+  requireAuth,
+  requirePermission,
+  ensurePermission,
+  getBearerToken,
+};
@@ -0,0 +1,47 @@
+/**
+ * Rate limiters
+ * -------------
+ * Shared express-rate-limit instances for sensitive endpoints. Defined once so
+ * the legacy and new login routes share the same counters.
+ */
+
+const rateLimit = require('express-rate-limit');
+
+/** Login: max 10 attempts per IP per 15 minutes. */
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 menit
+  max: 10, // max 10 login attempt
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: 'Too many login attempts. Please try again later.'
+  }
+});
+
+/** Token refresh: generous, but stops brute-forcing refresh tokens. */
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: 'Too many requests. Please try again later.'
+  }
+});
+
+/** Reset-code redemption: reset codes are short, so keep guessing expensive. */
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    message: 'Too many attempts. Please try again later.'
+  }
+});
+
+module.exports = {
+  loginLimiter,
+  refreshLimiter,
+  passwordResetLimiter,
+};
@@ -0,0 +1,45 @@
+/**
+ * Users, with the role and password lifecycle columns.
+ *
+ * On a database that already has `users`, only the missing columns are added
+ * and roles are backfilled from the free-text `position` (services/accessControl.js).
+ * Users left with a NULL role have no permissions until an admin sets one.
+ *
+ * `down` only drops the added columns: the table usually predates the
+ * migrations and holds the real accounts. The wider password column stays,
+ * bcrypt hashes would not fit the old one.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS users (
+      id                  INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      name                VARCHAR(128) NOT NULL,
+      email               VARCHAR(255) NOT NULL,
+      password            VARCHAR(255) NOT NULL,
+      position            VARCHAR(128) NULL,
+      role                ENUM('sales', 'technician', 'admin') NULL,
+      password_changed_at DATETIME NULL,
+      created_at          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_users_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    // Existing tables: bcrypt hashes need 60+ chars
+    `ALTER TABLE users
+      MODIFY COLUMN password VARCHAR(255) NOT NULL,
+      ADD COLUMN IF NOT EXISTS role ENUM('sales', 'technician', 'admin') NULL AFTER position,
+      ADD COLUMN IF NOT EXISTS password_changed_at DATETIME NULL`,
+
+    `UPDATE users SET role = 'admin' WHERE role IS NULL AND LOWER(position) LIKE '%admin%'`,
+    `UPDATE users SET role = 'sales' WHERE role IS NULL AND LOWER(position) LIKE '%sales%'`,
+    `UPDATE users SET role = 'technician'
+      WHERE role IS NULL AND (LOWER(position) LIKE '%tech%' OR LOWER(position) LIKE '%teknisi%')`,
+  ],
+
+  down: [
+    `ALTER TABLE users
+      DROP COLUMN IF EXISTS password_changed_at,
+      DROP COLUMN IF EXISTS role`,
+  ],
+};
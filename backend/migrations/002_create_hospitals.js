@@ -0,0 +1,28 @@
+/**
+ * Hospitals / healthcare facilities (faskes) offered by the sales forms,
+ * looked up by region (controllers/hospitalController.js).
+ *
+ * `down` only drops the region index; the table usually predates the
+ * migrations and holds the imported hospitals.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS hospitals (
+      hospital_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      region      VARCHAR(64) NULL,
+      name        VARCHAR(255) NULL,
+      street      VARCHAR(500) NULL,
+      latitude    DECIMAL(10, 7) NULL,
+      longitude   DECIMAL(10, 7) NULL,
+      PRIMARY KEY (hospital_id),
+      KEY idx_hospitals_region (region)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    'ALTER TABLE hospitals ADD KEY IF NOT EXISTS idx_hospitals_region (region)',
+  ],
+
+  down: [
+    'ALTER TABLE hospitals DROP KEY IF EXISTS idx_hospitals_region',
+  ],
+};
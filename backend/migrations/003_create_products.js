@@ -0,0 +1,47 @@
+/**
+ * Devices serviced by technicians, identified by their serial number.
+ * `serial_number` is UNIQUE so concurrent get-or-create calls for the same
+ * device cannot create duplicates (services/productService.js).
+ *
+ * Older tables used Indonesian column names and had no unique key; they are
+ * renamed here. Remove duplicate serial numbers first, otherwise the unique
+ * key cannot be added. `down` undoes the keys and the renames and keeps the
+ * table and its rows.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS products (
+      id            INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      serial_number VARCHAR(128) NOT NULL,
+      product_name  VARCHAR(255) NULL,
+      product_type  VARCHAR(255) NULL,
+      brand_name    VARCHAR(255) NULL,
+      created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_products_serial_number (serial_number),
+      KEY idx_products_name (product_name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `ALTER TABLE products
+      CHANGE COLUMN IF EXISTS nama_produk product_name VARCHAR(255) NULL,
+      CHANGE COLUMN IF EXISTS tipe_produk product_type VARCHAR(255) NULL,
+      CHANGE COLUMN IF EXISTS merk_produk brand_name   VARCHAR(255) NULL`,
+
+    `ALTER TABLE products
+      ADD UNIQUE KEY IF NOT EXISTS uq_products_serial_number (serial_number),
+      ADD KEY IF NOT EXISTS idx_products_name (product_name)`,
+  ],
+
+  down: [
+    `ALTER TABLE products
+      DROP KEY IF EXISTS idx_products_name,
+      DROP KEY IF EXISTS uq_products_serial_number`,
+
+    `ALTER TABLE products
+      CHANGE COLUMN IF EXISTS product_name nama_produk VARCHAR(255) NULL,
+      CHANGE COLUMN IF EXISTS product_type tipe_produk VARCHAR(255) NULL,
+      CHANGE COLUMN IF EXISTS brand_name   merk_produk VARCHAR(255) NULL`,
+  ],
+};
@@ -0,0 +1,273 @@
+/**
+ * Visits: one header row per field visit (`visits`) plus exactly one detail
+ * row in the table matching its `visit_type`:
+ *
+ *   sales                -> sales_visit_details
+ *   technician_activity  -> technician_activity_details
+ *   technician_service   -> technician_service_details
+ *
+ * Detail tables use `visit_id` as their primary key (1:1 with the header).
+ * Rows are never hard-deleted by the API; `deleted_at` marks a soft delete.
+ *
+ * `client_ref` is the idempotency key generated by the app's offline outbox;
+ * (user_id, client_ref) is unique so a retried submission finds its visit
+ * instead of creating a second one.
+ *
+ * Forms filed before this schema live in `sales_visits`, `technician_activities`
+ * and `technician_services` (Indonesian column names). They are copied into
+ * `visits` + detail rows, with `client_ref` = legacy_<table>_<id> so a re-run
+ * skips rows already copied; the later migrations then backfill the copies like
+ * any other visit. The old tables are left untouched. Photo filenames are kept
+ * as storage keys: the multer files sit at the root of the local driver's
+ * UPLOAD_DIR (with STORAGE_DRIVER=s3, upload them to the bucket root).
+ * Rows without a user_id belonged to nobody's task list and are skipped.
+ */
+
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS visits (
+    id             INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    user_id        INT UNSIGNED NOT NULL,
+    client_ref     VARCHAR(64) NULL,
+    customer_id    INT UNSIGNED NULL,
+    visit_type     ENUM('sales', 'technician_activity', 'technician_service') NOT NULL,
+    sales_category ENUM('healthcare', 'non_healthcare') NULL,
+    visited_at     DATETIME NOT NULL,
+    latitude       DECIMAL(10, 7) NULL,
+    longitude      DECIMAL(10, 7) NULL,
+    note           TEXT NULL,
+    is_draft       TINYINT(1) NOT NULL DEFAULT 0,
+    created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    deleted_at     DATETIME NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_visits_user_client_ref (user_id, client_ref),
+    KEY idx_visits_user_visited (user_id, visited_at),
+    KEY idx_visits_type (visit_type)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  // Tables created before the offline outbox
+  `ALTER TABLE visits
+    ADD COLUMN IF NOT EXISTS client_ref VARCHAR(64) NULL AFTER user_id,
+    ADD UNIQUE KEY IF NOT EXISTS uq_visits_user_client_ref (user_id, client_ref)`,
+
+  `CREATE TABLE IF NOT EXISTS sales_visit_details (
+    visit_id            INT UNSIGNED NOT NULL,
+    visit_form_type     ENUM('healthcare', 'non_healthcare') NULL,
+    region              VARCHAR(64) NULL,
+    location_name       VARCHAR(255) NULL,
+    location_address    VARCHAR(500) NULL,
+    visit_purpose       VARCHAR(500) NULL,
+    visit_status        VARCHAR(64) NULL,
+    sales_name          VARCHAR(128) NULL,
+    users_json          TEXT NULL,
+    visit_documentation VARCHAR(255) NULL,
+    PRIMARY KEY (visit_id),
+    CONSTRAINT fk_sales_details_visit FOREIGN KEY (visit_id) REFERENCES visits (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS technician_activity_details (
+    visit_id                  INT UNSIGNED NOT NULL,
+    product_id                INT UNSIGNED NULL,
+    unit_quantity             INT NULL,
+    activity_date             DATE NULL,
+    technician_name           VARCHAR(128) NULL,
+    location_name             VARCHAR(255) NULL,
+    location_address          VARCHAR(500) NULL,
+    additional_technicians    VARCHAR(255) NULL,
+    activity_purpose          VARCHAR(500) NULL,
+    activity_notes            TEXT NULL,
+    official_report_number    VARCHAR(128) NULL,
+    selfie_photo              VARCHAR(255) NULL,
+    attendance_document_photo VARCHAR(255) NULL,
+    PRIMARY KEY (visit_id),
+    CONSTRAINT fk_activity_details_visit FOREIGN KEY (visit_id) REFERENCES visits (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+  `CREATE TABLE IF NOT EXISTS technician_service_details (
+    visit_id                    INT UNSIGNED NOT NULL,
+    product_id                  INT UNSIGNED NULL,
+    unit_quantity               INT NULL,
+    customer_name               VARCHAR(255) NULL,
+    customer_contact            VARCHAR(255) NULL,
+    healthcare_facility_name    VARCHAR(255) NULL,
+    pickup_date                 DATE NULL,
+    issue_description           TEXT NULL,
+    resolution_estimate         VARCHAR(255) NULL,
+    root_cause                  TEXT NULL,
+    corrective_action           TEXT NULL,
+    capa_action                 TEXT NULL,
+    device_before_service_photo VARCHAR(255) NULL,
+    corrective_proof            VARCHAR(255) NULL,
+    capa_action_image           VARCHAR(255) NULL,
+    PRIMARY KEY (visit_id),
+    CONSTRAINT fk_service_details_visit FOREIGN KEY (visit_id) REFERENCES visits (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+];
+
+/* ----------------------
+ * Legacy forms
+ * ---------------------- */
+
+const DETAIL_TABLES = {
+  sales: 'sales_visit_details',
+  technician_activity: 'technician_activity_details',
+  technician_service: 'technician_service_details',
+};
+
+const blank = (v) => v === null || v === undefined || String(v).trim() === '';
+const text = (v) => (blank(v) ? null : String(v).trim());
+
+/** "lat, lng" → numbers, or nulls when the string is not a coordinate pair. */
+function splitCoordinates(koordinat) {
+  const parts = String(koordinat ?? '').split(',').map((s) => s.trim());
+  const [lat, lng] = parts.map(Number);
+  if (parts.length !== 2 || !parts[0] || !parts[1] || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+    return { latitude: null, longitude: null };
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return { latitude: null, longitude: null };
+  return { latitude: lat, longitude: lng };
+}
+
+/** Old sales_visits.form_type → visits.sales_category. */
+const SALES_CATEGORIES = { faskes: 'healthcare', 'non-faskes': 'non_healthcare' };
+
+/**
+ * Per legacy table: the visit_type and the header / detail values of a row.
+ * Column names are the ones the old /api/forms controllers inserted.
+ */
+const LEGACY_FORMS = {
+  sales_visits: {
+    visitType: 'sales',
+    header: (row) => ({
+      sales_category: SALES_CATEGORIES[row.form_type] || null,
+      ...splitCoordinates(row.koordinat_lokasi),
+      note: text(row.note_kunjungan),
+    }),
+    detail: (row) => ({
+      visit_form_type: SALES_CATEGORIES[row.form_type] || null,
+      region: text(row.region),
+      location_name: text(row.nama_lokasi),
+      location_address: text(row.alamat_lokasi),
+      visit_purpose: text(row.tujuan_kunjungan),
+      visit_status: text(row.status_kunjungan),
+      sales_name: text(row.nama_sales),
+      // The faskes form had a single contact
+      users_json:
+        blank(row.nama_user) && blank(row.jabatan_user)
+          ? null
+          : JSON.stringify([{ nama: text(row.nama_user) || '', jabatan: text(row.jabatan_user) || '' }]),
+      visit_documentation: text(row.dokumentasi_kunjungan),
+    }),
+  },
+
+  technician_activities: {
+    visitType: 'technician_activity',
+    header: (row) => ({ note: text(row.notes) }),
+    detail: (row) => ({
+      product_id: row.product_id ?? null,
+      unit_quantity: blank(row.kuantitas_unit) ? null : Number.parseInt(row.kuantitas_unit, 10) || null,
+      activity_date: row.tanggal_aktivitas ?? null,
+      technician_name: text(row.nama_teknisi),
+      location_name: text(row.nama_lokasi),
+      location_address: text(row.alamat_lokasi),
+      additional_technicians: text(row.teknisi_lain),
+      activity_purpose: text(row.tujuan_kunjungan),
+      activity_notes: text(row.notes),
+      official_report_number: text(row.nomor_berita_acara),
+      selfie_photo: text(row.selfie_foto_kegiatan),
+      attendance_document_photo: text(row.foto_ba_daftar_hadir),
+    }),
+  },
+
+  technician_services: {
+    visitType: 'technician_service',
+    header: () => ({}),
+    detail: (row) => ({
+      product_id: row.product_id ?? null,
+      unit_quantity: blank(row.kuantitas_unit) ? null : Number.parseInt(row.kuantitas_unit, 10) || null,
+      customer_name: text(row.nama_customer),
+      customer_contact: text(row.kontak_customer),
+      healthcare_facility_name: text(row.nama_faskes),
+      pickup_date: row.tanggal_pengambilan ?? null,
+      issue_description: text(row.deskripsi_masalah),
+      resolution_estimate: text(row.estimasi_penyelesaian),
+      root_cause: text(row.penyebab_masalah),
+      corrective_action: text(row.koreksi),
+      capa_action: text(row.tindakan_koreksi_capa),
+      device_before_service_photo: text(row.foto_alat_sebelum_service),
+      corrective_proof: text(row.bukti_koreksi),
+      capa_action_image: text(row.tindakan_koreksi_img),
+    }),
+  },
+};
+
+async function tableExists(conn, table) {
+  const rows = await conn.query(
+    'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+    [table]
+  );
+  return rows.length > 0;
+}
+
+async function insertRow(conn, table, values) {
+  const columns = Object.keys(values);
+  const raw = await conn.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    Object.values(values)
+  );
+  return Number(raw.insertId);
+}
+
+async function copyLegacyForms(conn) {
+  for (const [table, form] of Object.entries(LEGACY_FORMS)) {
+    if (!(await tableExists(conn, table))) continue;
+
+    const rows = await conn.query(`SELECT * FROM ${table} WHERE user_id IS NOT NULL ORDER BY id`);
+    for (const row of rows) {
+      const clientRef = `legacy_${table}_${row.id}`;
+      const copied = await conn.query('SELECT id FROM visits WHERE user_id = ? AND client_ref = ?', [
+        row.user_id,
+        clientRef,
+      ]);
+      if (copied.length) continue;
+
+      const filedAt = row.created_at || new Date();
+      // Header and detail together, so a failed row is copied again on the next run
+      await conn.beginTransaction();
+      try {
+        const visitId = await insertRow(conn, 'visits', {
+          user_id: row.user_id,
+          client_ref: clientRef,
+          visit_type: form.visitType,
+          visited_at: filedAt,
+          is_draft: row.status === 'draft' ? 1 : 0,
+          created_at: filedAt,
+          updated_at: row.updated_at || filedAt,
+          ...form.header(row),
+        });
+        await insertRow(conn, DETAIL_TABLES[form.visitType], { visit_id: visitId, ...form.detail(row) });
+        await conn.commit();
+      } catch (err) {
+        await conn.rollback();
+        err.message = `${table} #${row.id}: ${err.message}`;
+        throw err;
+      }
+    }
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    for (const sql of TABLES) {
+      await conn.query(sql);
+    }
+    await copyLegacyForms(conn);
+  },
+
+  down: [
+    'DROP TABLE IF EXISTS technician_service_details',
+    'DROP TABLE IF EXISTS technician_activity_details',
+    'DROP TABLE IF EXISTS sales_visit_details',
+    'DROP TABLE IF EXISTS visits',
+  ],
+};
@@ -0,0 +1,48 @@
+/**
+ * Tokens used by the auth API (services/tokenService.js, services/passwordService.js).
+ *
+ * refresh_tokens: one row per issued refresh token, only the SHA-256 hash is
+ * stored. Tokens rotate on every refresh: the old row is revoked and points at
+ * its replacement. All rows from one login share a `family_id`; presenting an
+ * already-rotated token revokes the whole family (token theft detection).
+ *
+ * password_reset_tokens: admin-issued, one-time reset codes (hashed).
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id             INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id        INT UNSIGNED NOT NULL,
+      token_hash     CHAR(64) NOT NULL,
+      family_id      CHAR(36) NOT NULL,
+      user_agent     VARCHAR(255) NULL,
+      expires_at     DATETIME NOT NULL,
+      created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      revoked_at     DATETIME NULL,
+      replaced_by_id INT UNSIGNED NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+      KEY idx_refresh_tokens_user (user_id, revoked_at),
+      KEY idx_refresh_tokens_family (family_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id     INT UNSIGNED NOT NULL,
+      token_hash  CHAR(64) NOT NULL,
+      created_by  INT UNSIGNED NULL,
+      expires_at  DATETIME NOT NULL,
+      used_at     DATETIME NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_password_reset_tokens_hash (token_hash),
+      KEY idx_password_reset_tokens_user (user_id, used_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS password_reset_tokens',
+    'DROP TABLE IF EXISTS refresh_tokens',
+  ],
+};
@@ -0,0 +1,69 @@
+/**
+ * Hospital management (services/hospitalService.js, /api/hospitals).
+ *
+ * hospitals gains a lifecycle: field staff propose new hospitals as `pending`,
+ * an admin approves them (`active`), deactivates them or merges a duplicate
+ * into another row (`merged`, pointing at `merged_into_id`). Only active
+ * hospitals are offered by the forms.
+ *
+ * hospital_change_requests: edits proposed by field staff, stored as a JSON
+ * object of field → new value until an admin approves or rejects them.
+ *
+ * hospital_audit_log: one row per change to a hospital, with the user and a
+ * JSON object of field → { from, to } (who moved the coordinates, and when).
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE hospitals
+      ADD COLUMN IF NOT EXISTS status ENUM('pending', 'active', 'inactive', 'merged') NOT NULL DEFAULT 'active',
+      ADD COLUMN IF NOT EXISTS merged_into_id INT UNSIGNED NULL,
+      ADD COLUMN IF NOT EXISTS created_by INT UNSIGNED NULL,
+      ADD COLUMN IF NOT EXISTS approved_by INT UNSIGNED NULL,
+      ADD COLUMN IF NOT EXISTS approved_at DATETIME NULL,
+      ADD COLUMN IF NOT EXISTS created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP`,
+
+    'ALTER TABLE hospitals ADD KEY IF NOT EXISTS idx_hospitals_status (status, region)',
+
+    `CREATE TABLE IF NOT EXISTS hospital_change_requests (
+      id           INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      hospital_id  INT UNSIGNED NOT NULL,
+      requested_by INT UNSIGNED NULL,
+      changes      TEXT NOT NULL,
+      status       ENUM('pending', 'approved', 'rejected') NOT NULL DEFAULT 'pending',
+      reviewed_by  INT UNSIGNED NULL,
+      reviewed_at  DATETIME NULL,
+      review_note  VARCHAR(500) NULL,
+      created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_hospital_change_requests_status (status, created_at),
+      KEY idx_hospital_change_requests_hospital (hospital_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS hospital_audit_log (
+      id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      hospital_id INT UNSIGNED NOT NULL,
+      user_id     INT UNSIGNED NULL,
+      action      VARCHAR(32) NOT NULL,
+      changes     TEXT NULL,
+      created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_hospital_audit_log_hospital (hospital_id, created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS hospital_audit_log',
+    'DROP TABLE IF EXISTS hospital_change_requests',
+    'ALTER TABLE hospitals DROP KEY IF EXISTS idx_hospitals_status',
+    `ALTER TABLE hospitals
+      DROP COLUMN IF EXISTS updated_at,
+      DROP COLUMN IF EXISTS created_at,
+      DROP COLUMN IF EXISTS approved_at,
+      DROP COLUMN IF EXISTS approved_by,
+      DROP COLUMN IF EXISTS created_by,
+      DROP COLUMN IF EXISTS merged_into_id,
+      DROP COLUMN IF EXISTS status`,
+  ],
+};
@@ -0,0 +1,34 @@
+/**
+ * Geofenced check-in for visits (services/geofenceService.js).
+ *
+ * The app sends the hospital picked in the form (`hospital_id`) and how the
+ * coordinates were captured (`location_accuracy_m`, `location_captured_at`).
+ * The server compares the visit's latitude/longitude with the hospital and
+ * stores the result; clients never write the geofence_* columns.
+ *
+ *   geofence_status  inside | outside | low_accuracy | stale | unverified
+ *                    (NULL for visits saved before this migration)
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE visits
+      ADD COLUMN IF NOT EXISTS hospital_id INT UNSIGNED NULL AFTER customer_id,
+      ADD COLUMN IF NOT EXISTS location_accuracy_m DECIMAL(8, 1) NULL AFTER longitude,
+      ADD COLUMN IF NOT EXISTS location_captured_at DATETIME NULL AFTER location_accuracy_m,
+      ADD COLUMN IF NOT EXISTS geofence_distance_m INT UNSIGNED NULL AFTER location_captured_at,
+      ADD COLUMN IF NOT EXISTS geofence_status ENUM('inside', 'outside', 'low_accuracy', 'stale', 'unverified') NULL AFTER geofence_distance_m`,
+
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_geofence (geofence_status, visited_at)',
+  ],
+
+  down: [
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_geofence',
+    `ALTER TABLE visits
+      DROP COLUMN IF EXISTS geofence_status,
+      DROP COLUMN IF EXISTS geofence_distance_m,
+      DROP COLUMN IF EXISTS location_captured_at,
+      DROP COLUMN IF EXISTS location_accuracy_m,
+      DROP COLUMN IF EXISTS hospital_id`,
+  ],
+};
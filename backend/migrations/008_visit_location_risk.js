@@ -0,0 +1,36 @@
+/**
+ * Location provenance and tampering checks for visits (services/locationRiskService.js).
+ *
+ * The app records how the coordinates were obtained:
+ *
+ *   location_source  gps | manual  (typed or edited by hand)
+ *   location_mocked  1 when the OS reported a mock location provider
+ *
+ * The server scores every visit with coordinates and stores the result;
+ * clients never write the risk columns.
+ *
+ *   location_risk_score  0–100
+ *   location_flags       comma-separated: mocked, manual, impossible_speed,
+ *                        clock_skew, no_provenance
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE visits
+      ADD COLUMN IF NOT EXISTS location_source ENUM('gps', 'manual') NULL AFTER location_captured_at,
+      ADD COLUMN IF NOT EXISTS location_mocked TINYINT(1) NULL AFTER location_source,
+      ADD COLUMN IF NOT EXISTS location_risk_score TINYINT UNSIGNED NULL AFTER geofence_status,
+      ADD COLUMN IF NOT EXISTS location_flags VARCHAR(255) NULL AFTER location_risk_score`,
+
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_location_risk (location_risk_score, visited_at)',
+  ],
+
+  down: [
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_location_risk',
+    `ALTER TABLE visits
+      DROP COLUMN IF EXISTS location_flags,
+      DROP COLUMN IF EXISTS location_risk_score,
+      DROP COLUMN IF EXISTS location_mocked,
+      DROP COLUMN IF EXISTS location_source`,
+  ],
+};
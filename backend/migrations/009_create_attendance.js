@@ -0,0 +1,45 @@
+/**
+ * Attendance (services/attendanceService.js, /api/attendance).
+ *
+ * One row per user per working day: clock-in with GPS position and selfie
+ * (required), clock-out with the same (set later). Times are taken from the
+ * server clock, never from the app.
+ *
+ *   status        open               clocked in, not yet clocked out
+ *                 closed             clocked out
+ *                 missing_clock_out  the day ended without a clock-out
+ *   late_minutes  minutes after ATTENDANCE_START_TIME (0 when on time);
+ *                 is_late is set once they exceed the grace period
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS attendance (
+      id                   INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      user_id              INT UNSIGNED NOT NULL,
+      work_date            DATE NOT NULL,
+      status               ENUM('open', 'closed', 'missing_clock_out') NOT NULL DEFAULT 'open',
+      is_late              TINYINT(1) NOT NULL DEFAULT 0,
+      late_minutes         SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+      clock_in_at          DATETIME NOT NULL,
+      clock_in_latitude    DECIMAL(10, 7) NOT NULL,
+      clock_in_longitude   DECIMAL(10, 7) NOT NULL,
+      clock_in_accuracy_m  DECIMAL(8, 1) NULL,
+      clock_in_photo       VARCHAR(512) NOT NULL,
+      clock_in_note        VARCHAR(500) NULL,
+      clock_out_at         DATETIME NULL,
+      clock_out_latitude   DECIMAL(10, 7) NULL,
+      clock_out_longitude  DECIMAL(10, 7) NULL,
+      clock_out_accuracy_m DECIMAL(8, 1) NULL,
+      clock_out_photo      VARCHAR(512) NULL,
+      clock_out_note       VARCHAR(500) NULL,
+      created_at           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at           DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_attendance_user_date (user_id, work_date),
+      KEY idx_attendance_date_status (work_date, status)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+  ],
+
+  down: ['DROP TABLE IF EXISTS attendance'],
+};
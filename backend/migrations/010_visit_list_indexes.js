@@ -0,0 +1,19 @@
+/**
+ * Indexes for the paged task list (GET /api/visits?limit=&cursor=).
+ *
+ * The list is read per user, newest first, by visit time (default) or by
+ * creation time, with drafts and submitted visits fetched separately.
+ * idx_visits_user_visited (004) already covers (user_id, visited_at).
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_user_draft_visited (user_id, is_draft, visited_at, id)',
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_user_created (user_id, created_at, id)',
+  ],
+
+  down: [
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_user_created',
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_user_draft_visited',
+  ],
+};
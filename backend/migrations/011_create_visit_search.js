@@ -0,0 +1,40 @@
+/**
+ * Full-text search over visits (services/searchService.js, GET /api/search).
+ *
+ * `visit_search` holds one row per visit with the searchable text of the
+ * header, its detail row and its product: note, location name/address, purpose,
+ * customer and facility names, technician, official report number, notes,
+ * issue description, product serial/name/brand. It is rewritten by the API after
+ * every write to the visit; this migration fills it for existing visits.
+ */
+
+const SEARCH_TEXT = `CONCAT_WS(' ',
+        v.note,
+        s.location_name, s.location_address, s.visit_purpose,
+        a.location_name, a.location_address, a.technician_name, a.official_report_number, a.activity_notes,
+        sv.customer_name, sv.healthcare_facility_name, sv.issue_description,
+        p.serial_number, p.product_name, p.brand_name)`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS visit_search (
+      visit_id    INT UNSIGNED NOT NULL,
+      search_text MEDIUMTEXT NOT NULL,
+      updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (visit_id),
+      FULLTEXT KEY ft_visit_search_text (search_text),
+      CONSTRAINT fk_visit_search_visit FOREIGN KEY (visit_id) REFERENCES visits (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `INSERT INTO visit_search (visit_id, search_text)
+     SELECT v.id, ${SEARCH_TEXT}
+     FROM visits v
+     LEFT JOIN sales_visit_details s ON s.visit_id = v.id
+     LEFT JOIN technician_activity_details a ON a.visit_id = v.id
+     LEFT JOIN technician_service_details sv ON sv.visit_id = v.id
+     LEFT JOIN products p ON p.id = COALESCE(a.product_id, sv.product_id)
+     ON DUPLICATE KEY UPDATE search_text = VALUES(search_text)`,
+  ],
+
+  down: ['DROP TABLE IF EXISTS visit_search'],
+};
@@ -0,0 +1,19 @@
+/**
+ * Indexes for the visit trash (services/trashService.js).
+ *
+ * Soft-deleted visits stay restorable for VISIT_TRASH_RETENTION_DAYS; the
+ * trash view reads them per user by deletion time, and the purge job finds
+ * every visit deleted before the cut-off.
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_user_deleted (user_id, deleted_at)',
+    'ALTER TABLE visits ADD KEY IF NOT EXISTS idx_visits_deleted (deleted_at)',
+  ],
+
+  down: [
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_deleted',
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_user_deleted',
+  ],
+};
@@ -0,0 +1,95 @@
+/**
+ * Customers (accounts) visits are made at (services/customerService.js,
+ * /api/customers).
+ *
+ *   healthcare      faskes; linked to a hospital (`hospital_id`, one customer
+ *                   per hospital), or free-standing when the facility is not in
+ *                   the hospital list
+ *   non_healthcare  free-standing companies / shops, identified by name
+ *
+ * `name_key` (lowercase name, single spaces) keeps free-standing customers
+ * unique per type; it is NULL for hospital-linked customers.
+ *
+ * Until now every form sent the placeholder `customer_id = 1`. Those values are
+ * cleared and existing visits are linked from their hospital or location name.
+ */
+
+/** Same normalization as customerService.customerNameKey. */
+const nameKey = (column) => `LOWER(TRIM(REGEXP_REPLACE(${column}, '[[:space:]]+', ' ')))`;
+
+/** Location columns of each visit type's detail table, and the customer type they imply. */
+const LOCATION_SOURCES = [
+  {
+    table: 'sales_visit_details',
+    column: 'location_name',
+    type: "COALESCE(v.sales_category, 'non_healthcare')",
+    region: 'd.region',
+    address: 'd.location_address',
+  },
+  { table: 'technician_activity_details', column: 'location_name', type: "'healthcare'", region: 'NULL', address: 'd.location_address' },
+  { table: 'technician_service_details', column: 'healthcare_facility_name', type: "'healthcare'", region: 'NULL', address: 'NULL' },
+];
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS customers (
+      id            INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      name          VARCHAR(255) NOT NULL,
+      customer_type ENUM('healthcare', 'non_healthcare') NOT NULL,
+      hospital_id   INT UNSIGNED NULL,
+      name_key      VARCHAR(255) NULL,
+      region        VARCHAR(64) NULL,
+      address       VARCHAR(500) NULL,
+      created_by    INT UNSIGNED NULL,
+      created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_customers_hospital (hospital_id),
+      UNIQUE KEY uq_customers_type_name (customer_type, name_key),
+      KEY idx_customers_name (name),
+      CONSTRAINT fk_customers_hospital FOREIGN KEY (hospital_id) REFERENCES hospitals (hospital_id)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    // The hard-coded placeholder of the old forms
+    'UPDATE visits SET customer_id = NULL WHERE customer_id IS NOT NULL',
+
+    `INSERT IGNORE INTO customers (name, customer_type, hospital_id, region, address)
+     SELECT h.name, 'healthcare', h.hospital_id, h.region, h.street
+     FROM hospitals h
+     WHERE h.name IS NOT NULL AND h.hospital_id IN (SELECT hospital_id FROM visits WHERE hospital_id IS NOT NULL)`,
+
+    `UPDATE visits v JOIN customers c ON c.hospital_id = v.hospital_id
+     SET v.customer_id = c.id
+     WHERE v.customer_id IS NULL`,
+
+    // Newest visit first, so INSERT IGNORE keeps its spelling and address
+    ...LOCATION_SOURCES.map(
+      ({ table, column, type, region, address }) =>
+        `INSERT IGNORE INTO customers (name, customer_type, name_key, region, address)
+         SELECT TRIM(d.${column}), ${type}, ${nameKey(`d.${column}`)}, ${region}, ${address}
+         FROM visits v JOIN ${table} d ON d.visit_id = v.id
+         WHERE v.customer_id IS NULL AND TRIM(COALESCE(d.${column}, '')) <> ''
+         ORDER BY v.visited_at DESC`
+    ),
+
+    ...LOCATION_SOURCES.map(
+      ({ table, column, type }) =>
+        `UPDATE visits v
+         JOIN ${table} d ON d.visit_id = v.id
+         JOIN customers c ON c.customer_type = ${type} AND c.name_key = ${nameKey(`d.${column}`)}
+         SET v.customer_id = c.id
+         WHERE v.customer_id IS NULL`
+    ),
+
+    `ALTER TABLE visits
+      ADD KEY IF NOT EXISTS idx_visits_customer (customer_id, visited_at),
+      ADD CONSTRAINT fk_visits_customer FOREIGN KEY IF NOT EXISTS (customer_id) REFERENCES customers (id)`,
+  ],
+
+  down: [
+    'ALTER TABLE visits DROP FOREIGN KEY IF EXISTS fk_visits_customer',
+    'ALTER TABLE visits DROP KEY IF EXISTS idx_visits_customer',
+    'UPDATE visits SET customer_id = NULL',
+    'DROP TABLE IF EXISTS customers',
+  ],
+};
@@ -0,0 +1,103 @@
+/**
+ * Contacts of customers (services/contactService.js, /api/customers/:id/contacts).
+ *
+ * `customer_contacts` holds the people met at a customer, unique per customer
+ * by `name_key` (lowercase name, single spaces), with their position (jabatan),
+ * phone and the date they were last met. `visit_contacts` links every visit to
+ * the contacts listed in it.
+ *
+ * Until now the sales form only kept the people met as a JSON list in
+ * sales_visit_details.users_json ([{ nama, jabatan }]). That list stays as the
+ * visit's own record; this migration creates the contacts from it, oldest
+ * visit first so the newest position wins.
+ */
+
+const nameKey = (name) => String(name).replace(/\s+/g, ' ').trim().toLowerCase();
+
+/** Same as contactService.refreshLastMet, for every contact. */
+const LAST_MET = `UPDATE customer_contacts c
+  SET c.last_met_at = (
+    SELECT MAX(v.visited_at)
+    FROM visit_contacts vc
+    JOIN visits v ON v.id = vc.visit_id
+    LEFT JOIN sales_visit_details s ON s.visit_id = v.id
+    WHERE vc.contact_id = c.id AND v.deleted_at IS NULL AND v.is_draft = 0
+      AND (s.visit_status IS NULL OR s.visit_status <> 'tidak bisa ditemui')
+  )`;
+
+function parseContacts(json) {
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list) ? list.filter((c) => c && String(c.nama ?? '').trim()) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function backfill(conn) {
+  const visits = await conn.query(
+    `SELECT v.id, v.customer_id, v.user_id, s.users_json
+     FROM visits v JOIN sales_visit_details s ON s.visit_id = v.id
+     WHERE v.customer_id IS NOT NULL AND s.users_json IS NOT NULL
+     ORDER BY v.visited_at, v.id`
+  );
+
+  for (const visit of visits) {
+    for (const contact of parseContacts(visit.users_json)) {
+      const name = String(contact.nama).replace(/\s+/g, ' ').trim().slice(0, 255);
+      const position = String(contact.jabatan ?? '').trim() || null;
+
+      await conn.query(
+        `INSERT INTO customer_contacts (customer_id, name, name_key, position, created_by)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE position = COALESCE(VALUES(position), position)`,
+        [visit.customer_id, name, nameKey(name), position, visit.user_id]
+      );
+      await conn.query(
+        `INSERT IGNORE INTO visit_contacts (visit_id, contact_id)
+         SELECT ?, id FROM customer_contacts WHERE customer_id = ? AND name_key = ?`,
+        [visit.id, visit.customer_id, nameKey(name)]
+      );
+    }
+  }
+
+  await conn.query(LAST_MET);
+}
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS customer_contacts (
+        id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+        customer_id INT UNSIGNED NOT NULL,
+        name        VARCHAR(255) NOT NULL,
+        name_key    VARCHAR(255) NOT NULL,
+        position    VARCHAR(64) NULL,
+        phone       VARCHAR(32) NULL,
+        last_met_at DATETIME NULL,
+        created_by  INT UNSIGNED NULL,
+        created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (id),
+        UNIQUE KEY uq_customer_contacts_name (customer_id, name_key),
+        KEY idx_customer_contacts_last_met (customer_id, last_met_at),
+        CONSTRAINT fk_customer_contacts_customer FOREIGN KEY (customer_id) REFERENCES customers (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS visit_contacts (
+        visit_id   INT UNSIGNED NOT NULL,
+        contact_id INT UNSIGNED NOT NULL,
+        PRIMARY KEY (visit_id, contact_id),
+        KEY idx_visit_contacts_contact (contact_id),
+        CONSTRAINT fk_visit_contacts_visit FOREIGN KEY (visit_id) REFERENCES visits (id) ON DELETE CASCADE,
+        CONSTRAINT fk_visit_contacts_contact FOREIGN KEY (contact_id) REFERENCES customer_contacts (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await backfill(conn);
+  },
+
+  down: ['DROP TABLE IF EXISTS visit_contacts', 'DROP TABLE IF EXISTS customer_contacts'],
+};
@@ -0,0 +1,95 @@
+/**
+ * Master data for the app's option lists (services/masterDataService.js,
+ * /api/master-data), until now hard-coded in frontend/data/appData.js.
+ *
+ *   master_data_lists  one row per list; `revision` grows with every change
+ *                      and makes up the version / ETag the app caches by
+ *   master_data_items  the options: `value` is what visits store and never
+ *                      changes; `label`, `sort_order` and `is_active` are
+ *                      maintained by admins. Options are deactivated, not
+ *                      deleted, because old visits keep their value.
+ *
+ * The lists are seeded with the contents of appData.js.
+ */
+
+const option = (label, value = label) => ({ label, value });
+
+const SEED = {
+  nama_sales: [
+    ['Sophia', 'sophia'], ['Tri', 'tri'], ['Alan', 'alan'], ['Surya', 'surya'], ['Nur', 'nur'],
+    ['Novi', 'novi'], ['Budi', 'budi'], ['Ronni', 'ronni'], ['Revly', 'revly'], ['Eko', 'eko'],
+    ['Dody', 'dody'], ['Tanra', 'tanra'], ['Ratna', 'ratna'], ['Jozpeh', 'jozpeh'], ['Evie', 'evie'],
+    ['Nan', 'nan'], ['Farhan', 'farhan'], ['Fadli', 'fadli'], ['Axel', 'axel'],
+    ['Lainnya (Belum Terdaftar)', 'lainnya'],
+  ].map(([label, value]) => option(label, value)),
+
+  nama_teknisi: [
+    ['Vario', 'vario'], ['Achmed', 'achmed'], ['Ahsin', 'ahsin'], ['Aldy', 'aldy'],
+    ['Lainnya', 'lainnya'], ['Natan', 'natan'],
+  ].map(([label, value]) => option(label, value)),
+
+  regions: [
+    ['Jakarta', 'jakarta'], ['Banten', 'banten'], ['Jawa Barat', 'jawa_barat'], ['Jawa Tengah', 'jawa_tengah'],
+    ['Jawa Timur', 'jawa_timur'], ['Yogyakarta', 'yogyakarta'], ['Sumatera', 'sumatera'],
+    ['Kalimantan', 'kalimantan'], ['Sulawesi', 'sulawesi'], ['NTT', 'ntt'], ['NTB', 'ntb'], ['Bali', 'bali'],
+  ].map(([label, value]) => option(label, value)),
+
+  jabatan: [
+    ['Dokter', 'dokter'], ['IGD', 'igd'], ['Perawat', 'perawat'], ['Perawat OK', 'perawat_ok'],
+    ['Kepala OK', 'kepala_ok'], ['Farmasi', 'farmasi'], ['Pembelian', 'pembelian'], ['Pengadaan', 'pengadaan'],
+    ['PPK', 'ppk'], ['Perawat Cathlab', 'perawat_cathlab'], ['Kepala Cathlab', 'kepala_cathlab'],
+    ['Gudang', 'gudang'], ['Direktur', 'direktur'], ['Staff Manajemen', 'staff_manajemen'], ['Owner', 'owner'],
+    ['Manajemen', 'manajemen'], ['Teknisi', 'teknisi'], ['Lainnya (Belum ada di daftar)', 'lainnya'],
+  ].map(([label, value]) => option(label, value)),
+
+  status_kunjungan: [option('Bisa Ditemui', 'bisa ditemui'), option('Tidak Bisa Ditemui', 'tidak bisa ditemui')],
+
+  kuantitas_option: Array.from({ length: 15 }, (_, i) => option(String(i + 1))),
+
+  tujuan_kunjungan: [
+    'Presentasi', 'Kunjungan Rutin', 'Follow Up Produk', 'Check Stock', 'Entertain', 'Trial',
+    'Penanganan Complaint', 'Join Visit', 'Nego Harga',
+  ].map((label) => option(label)),
+};
+
+const quote = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS master_data_lists (
+      list_key   VARCHAR(64) NOT NULL,
+      revision   INT UNSIGNED NOT NULL DEFAULT 1,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (list_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `CREATE TABLE IF NOT EXISTS master_data_items (
+      id         INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      list_key   VARCHAR(64) NOT NULL,
+      value      VARCHAR(128) NOT NULL,
+      label      VARCHAR(255) NOT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_active  TINYINT(1) NOT NULL DEFAULT 1,
+      created_by INT UNSIGNED NULL,
+      created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_master_data_items_value (list_key, value),
+      KEY idx_master_data_items_order (list_key, is_active, sort_order),
+      CONSTRAINT fk_master_data_items_list FOREIGN KEY (list_key) REFERENCES master_data_lists (list_key)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`,
+
+    `INSERT IGNORE INTO master_data_lists (list_key) VALUES ${Object.keys(SEED)
+      .map((key) => `(${quote(key)})`)
+      .join(', ')}`,
+
+    ...Object.entries(SEED).map(
+      ([key, items]) =>
+        `INSERT IGNORE INTO master_data_items (list_key, value, label, sort_order) VALUES ${items
+          .map((item, i) => `(${quote(key)}, ${quote(item.value)}, ${quote(item.label)}, ${(i + 1) * 10})`)
+          .join(', ')}`
+    ),
+  ],
+
+  down: ['DROP TABLE IF EXISTS master_data_items', 'DROP TABLE IF EXISTS master_data_lists'],
+};
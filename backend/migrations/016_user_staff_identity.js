@@ -0,0 +1,83 @@
+/**
+ * Link user accounts to their sales / technician name (services/staffService.js).
+ *
+ * `users.staff_item_id` points at the user's option in the `nama_sales` or
+ * `nama_teknisi` master data list (migrations/015_create_master_data.js); an
+ * option belongs to at most one account. The server writes that name into
+ * every sales and technician activity visit of the user, instead of the name
+ * picked in the form.
+ *
+ * Existing accounts are linked when exactly one free option of their role's
+ * list matches their name (full label or value, else first name); the others
+ * are left for an admin (PUT /api/auth/users/:id/staff). Names stored in
+ * visits as option values ("aldy") are replaced by the option label ("Aldy").
+ */
+
+const LIST_BY_ROLE = { sales: 'nama_sales', technician: 'nama_teknisi' };
+
+const norm = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+const firstName = (s) => norm(s).split(' ')[0];
+
+async function linkExistingUsers(conn) {
+  const users = await conn.query(
+    "SELECT id, name, role FROM users WHERE staff_item_id IS NULL AND role IN ('sales', 'technician')"
+  );
+  const items = await conn.query(
+    `SELECT id, list_key, value, label FROM master_data_items
+     WHERE list_key IN ('nama_sales', 'nama_teknisi') AND value <> 'lainnya'
+       AND id NOT IN (SELECT staff_item_id FROM users WHERE staff_item_id IS NOT NULL)`
+  );
+  const taken = new Set();
+
+  for (const user of users) {
+    const options = items.filter((i) => i.list_key === LIST_BY_ROLE[user.role] && !taken.has(i.id));
+    const full = norm(user.name);
+    const first = firstName(user.name);
+
+    let matches = options.filter((i) => norm(i.label) === full || norm(i.value) === full);
+    // By first name only while no other account of the role shares it
+    const sameFirstName = users.filter((u) => u.role === user.role && firstName(u.name) === first);
+    if (!matches.length && first && sameFirstName.length === 1) {
+      matches = options.filter((i) => norm(i.label) === first || norm(i.value) === first);
+    }
+    if (matches.length !== 1) continue;
+
+    taken.add(matches[0].id);
+    await conn.query('UPDATE users SET staff_item_id = ? WHERE id = ? AND staff_item_id IS NULL', [
+      matches[0].id,
+      user.id,
+    ]);
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS staff_item_id INT UNSIGNED NULL AFTER role,
+        ADD UNIQUE KEY IF NOT EXISTS uq_users_staff_item (staff_item_id),
+        ADD CONSTRAINT fk_users_staff_item FOREIGN KEY IF NOT EXISTS (staff_item_id) REFERENCES master_data_items (id)
+    `);
+
+    await linkExistingUsers(conn);
+
+    await conn.query(`
+      UPDATE sales_visit_details d
+      JOIN master_data_items i ON i.list_key = 'nama_sales' AND i.value = d.sales_name
+      SET d.sales_name = i.label
+      WHERE i.value <> 'lainnya'
+    `);
+    await conn.query(`
+      UPDATE technician_activity_details d
+      JOIN master_data_items i ON i.list_key = 'nama_teknisi' AND i.value = d.technician_name
+      SET d.technician_name = i.label
+      WHERE i.value <> 'lainnya'
+    `);
+  },
+
+  down: [
+    'ALTER TABLE users DROP FOREIGN KEY IF EXISTS fk_users_staff_item',
+    'ALTER TABLE users DROP KEY IF EXISTS uq_users_staff_item',
+    'ALTER TABLE users DROP COLUMN IF EXISTS staff_item_id',
+  ],
+};
@@ -0,0 +1,64 @@
+/**
+ * Participants of visits (services/participantService.js).
+ *
+ * A visit has one owner (`visits.user_id`, the account that filed it);
+ * `visit_participants` lists the other accounts that took part: the sales
+ * reps of a join visit, the technicians working with the filing technician.
+ * The visit shows up in each participant's task list and counts for them.
+ *
+ * Technician activities kept their other technician as text in
+ * technician_activity_details.additional_technicians (a `nama_teknisi` value
+ * or label); the ones that match an account through users.staff_item_id
+ * (migrations/016_user_staff_identity.js) become participants.
+ */
+
+const norm = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function backfill(conn) {
+  const accounts = await conn.query(
+    `SELECT u.id AS user_id, i.value, i.label
+     FROM users u JOIN master_data_items i ON i.id = u.staff_item_id
+     WHERE i.list_key = 'nama_teknisi'`
+  );
+  if (!accounts.length) return;
+
+  const visits = await conn.query(
+    `SELECT v.id, v.user_id, a.additional_technicians
+     FROM visits v JOIN technician_activity_details a ON a.visit_id = v.id
+     WHERE a.additional_technicians IS NOT NULL AND a.additional_technicians <> ''`
+  );
+
+  for (const visit of visits) {
+    const names = String(visit.additional_technicians).split(',').map(norm).filter(Boolean);
+    for (const name of names) {
+      const account = accounts.find((a) => norm(a.value) === name || norm(a.label) === name);
+      if (!account || Number(account.user_id) === Number(visit.user_id)) continue;
+
+      await conn.query('INSERT IGNORE INTO visit_participants (visit_id, user_id) VALUES (?, ?)', [
+        visit.id,
+        account.user_id,
+      ]);
+    }
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS visit_participants (
+        visit_id   INT UNSIGNED NOT NULL,
+        user_id    INT UNSIGNED NOT NULL,
+        added_by   INT UNSIGNED NULL,
+        created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (visit_id, user_id),
+        KEY idx_visit_participants_user (user_id, visit_id),
+        CONSTRAINT fk_visit_participants_visit FOREIGN KEY (visit_id) REFERENCES visits (id) ON DELETE CASCADE,
+        CONSTRAINT fk_visit_participants_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await backfill(conn);
+  },
+
+  down: ['DROP TABLE IF EXISTS visit_participants'],
+};
@@ -0,0 +1,66 @@
+/**
+ * Participants without an account (services/participantService.js).
+ *
+ * Staff list values that are not linked to a user (users.staff_item_id) are
+ * kept as a row with `user_id` NULL and the option's label in `name`, on every
+ * visit type. Rows get their own `id` key since `user_id` can be empty; an
+ * account is still a participant of a visit at most once.
+ *
+ * Names in technician_activity_details.additional_technicians that
+ * migrations/017_create_visit_participants.js could not match to an account
+ * become such rows.
+ */
+
+const norm = (s) => String(s ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+async function backfill(conn) {
+  const accounts = await conn.query(
+    `SELECT i.value, i.label
+     FROM users u JOIN master_data_items i ON i.id = u.staff_item_id
+     WHERE i.list_key = 'nama_teknisi'`
+  );
+
+  const visits = await conn.query(
+    `SELECT v.id, a.additional_technicians
+     FROM visits v JOIN technician_activity_details a ON a.visit_id = v.id
+     WHERE a.additional_technicians IS NOT NULL AND a.additional_technicians <> ''`
+  );
+
+  for (const visit of visits) {
+    const names = [...new Set(String(visit.additional_technicians).split(',').map((n) => n.trim()).filter(Boolean))];
+    for (const name of names) {
+      if (accounts.some((a) => norm(a.value) === norm(name) || norm(a.label) === norm(name))) continue;
+
+      await conn.query('INSERT INTO visit_participants (visit_id, user_id, name) VALUES (?, NULL, ?)', [
+        visit.id,
+        name.slice(0, 255),
+      ]);
+    }
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE visit_participants
+        DROP PRIMARY KEY,
+        ADD COLUMN id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY FIRST,
+        MODIFY user_id INT UNSIGNED NULL,
+        ADD COLUMN name VARCHAR(255) NULL AFTER user_id,
+        ADD UNIQUE KEY uq_visit_participants_user (visit_id, user_id)
+    `);
+
+    await backfill(conn);
+  },
+
+  down: [
+    'DELETE FROM visit_participants WHERE user_id IS NULL',
+    `ALTER TABLE visit_participants
+       DROP PRIMARY KEY,
+       DROP COLUMN id,
+       DROP COLUMN name,
+       MODIFY user_id INT UNSIGNED NOT NULL,
+       ADD PRIMARY KEY (visit_id, user_id),
+       DROP KEY uq_visit_participants_user`,
+  ],
+};
@@ -0,0 +1,30 @@
+// routes/attendanceRoutes.js
+/**
+ * Routes for attendance (mounted at /api/attendance).
+ * All routes require auth; clocking in / out requires attendance.record.
+ *
+ *    GET  /today                                  -> Today's record + rules
+ *    POST /clock-in                               -> Open today's record (GPS + selfie)
+ *    POST /clock-out                              -> Close today's record (GPS + selfie)
+ *    GET  /?from=&to=&status=&late=&limit=        -> Attendance history
+ *         &user_id=                                  (other users / `all`: attendance.read_all)
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const { getToday, clockIn, clockOut, listAttendance } = require('../controllers/attendanceController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+const record = requirePermission(PERMISSIONS.ATTENDANCE_RECORD);
+
+router.get('/today', getToday);
+router.post('/clock-in', record, clockIn);
+router.post('/clock-out', record, clockOut);
+router.get('/', listAttendance);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// routes/authRoutes.js
+/**
+ * Routes for the auth API (mounted at /api/auth).
+ *
+ *    POST /login                        -> Access token + refresh token + user
+ *    POST /refresh                      -> Rotate refresh token, new access token
+ *    POST /logout                       -> Revoke this device's refresh token
+ *    POST /logout-all                   -> Revoke all of the user's refresh tokens
+ *    POST /users/:id/revoke-sessions    -> Admin: sign a user out everywhere
+ *    POST /change-password              -> Change own password (new session returned)
+ *    POST /users/:id/password-reset     -> Admin: issue a one-time reset code
+ *    POST /reset-password               -> Redeem a reset code
+ *    PUT  /users/:id/staff              -> Admin: link a user to their sales/technician name
+ *    GET  /me                           -> Signed-in user with role + permission list
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { loginLimiter, refreshLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const {
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  revokeUserSessions,
+  changePassword,
+  createPasswordReset,
+  resetPassword,
+  setUserStaff,
+  getMe,
+} = require('../controllers/authController');
+
+const router = express.Router();
+
+router.post('/login', loginLimiter, login);
+router.post('/refresh', refreshLimiter, refresh);
+router.post('/logout', logout);
+router.post('/logout-all', requireAuth, logoutAll);
+router.post('/users/:id/revoke-sessions', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), revokeUserSessions);
+
+router.post('/change-password', requireAuth, changePassword);
+router.post('/users/:id/password-reset', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), createPasswordReset);
+router.post('/reset-password', passwordResetLimiter, resetPassword);
+
+router.put('/users/:id/staff', requireAuth, requirePermission(PERMISSIONS.USERS_MANAGE), setUserStaff);
+
+router.get('/me', requireAuth, getMe);
+
+module.exports = router;
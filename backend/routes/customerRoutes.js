@@ -0,0 +1,51 @@
+// routes/customerRoutes.js
+/**
+ * Routes for the customers API (mounted at /api/customers).
+ * All routes require auth.
+ *
+ *    GET  /?q=&type=&limit=           -> Search customers by name
+ *    GET  /by-hospital/:hospital_id   -> Customer of a hospital (faskes)
+ *    GET  /:id                        -> One customer with a summary of its visits
+ *    POST /                           -> Return or create a customer (customers.write)
+ *
+ *    GET   /by-hospital/:hospital_id/contacts -> Contacts of a hospital's customer (form quick-picks)
+ *    GET   /:id/contacts                      -> Contacts of a customer
+ *    POST  /:id/contacts                      -> Return or create a contact (customers.write)
+ *    PATCH /:id/contacts/:contact_id          -> Update a contact (customers.write)
+ *
+ * Notes:
+ * - `/by-hospital/...` routes must be registered before `/:id`.
+ * - Visits are linked to customers by the server; list a customer's visits
+ *   with GET /api/visits?customer_id=.
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const {
+  searchCustomers,
+  getCustomerByHospital,
+  getCustomer,
+  getOrCreateCustomer,
+  listCustomerContacts,
+  listHospitalContacts,
+  createCustomerContact,
+  updateCustomerContact,
+} = require('../controllers/customerController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', searchCustomers);
+router.get('/by-hospital/:hospital_id', getCustomerByHospital);
+router.get('/by-hospital/:hospital_id/contacts', listHospitalContacts);
+router.get('/:id', getCustomer);
+router.post('/', requirePermission(PERMISSIONS.CUSTOMERS_WRITE), getOrCreateCustomer);
+
+router.get('/:id/contacts', listCustomerContacts);
+router.post('/:id/contacts', requirePermission(PERMISSIONS.CUSTOMERS_WRITE), createCustomerContact);
+router.patch('/:id/contacts/:contact_id', requirePermission(PERMISSIONS.CUSTOMERS_WRITE), updateCustomerContact);
+
+module.exports = router;
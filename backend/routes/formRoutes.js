@@ -8,27 +8,41 @@
  *    POST  /non-faskes        -> Sales Visit (non-faskes) (single file)
  *    POST  /tech-activity     -> Technician activity (multiple named files)
  *    POST  /tech-service      -> Technician service (multiple named files)
- *    GET   /all               -> Retrieve all forms for a user (sales, activities, services)
+ *    GET   /all               -> Retrieve the newest forms for a user (sales, activities, services)
  *    GET   /hospital/:region  -> List hospitals in a region
- *    DELETE/:form_type/:id    -> Delete a form by type and id (requires user_id query)
- *    PATCH  /:form_type/:id   -> Update a form by type and id (requires user_id query)
+ *    DELETE/:form_type/:id    -> Soft-delete a form by type and id
+ *    PATCH  /:form_type/:id   -> Update a form by type and id
  *
  * Notes:
+ * - DEPRECATED: kept as a compatibility shim while clients migrate to /api/visits.
+ *   All reads and writes go through services/visitService.js, so data created
+ *   here and via /api/visits is the same data.
+ * - Every route requires a valid JWT (middleware/auth.js). Ownership comes from
+ *   `req.user.id`; a `user_id` query/body parameter is ignored.
+ * - Submissions also require the role permission for that form type.
  * - Multer saves files to `uploads/` (disk). Controllers expect `req.file` or `req.files`.
- * - Database driver differences (mysql2 vs mariadb) are handled by normalizing results.
  */
 
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const pool = require('../db');
+const visitService = require('../services/visitService');
+const contactService = require('../services/contactService');
+const { refreshVisitDerivedData } = require('../services/visitRefreshService');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+const { sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
 
 const {
   createSalesVisitCustomer,
   createSalesVisitNonFaskes,
   createTechnicianActivity,
   createTechnicianService,
+  mapLegacyFields,
 } = require('../controllers/formController');
+const { getHospitalsByRegion } = require('../controllers/hospitalController');
+const { getProductBySerial } = require('../controllers/productController');
 
 const router = express.Router();
 
@@ -37,55 +51,29 @@ const router = express.Router();
  * --------------------------- */
 
 /**
- * Map supported form_type values (from client) to actual DB table names.
+ * Map supported form_type values (from client) to visit_type values.
  * Only values included here are allowed for delete/update operations.
  */
-const TABLE_MAP = {
+const FORM_TYPE_MAP = {
   // sales visits (customer & non-faskes)
-  sales_visits: 'sales_visits',
-  sales: 'sales_visits',
-  faskes: 'sales_visits',
-  'non-faskes': 'sales_visits',
+  sales_visits: 'sales',
+  sales: 'sales',
+  faskes: 'sales',
+  'non-faskes': 'sales',
 
   // technician activities
-  technician_activities: 'technician_activities',
-  activities: 'technician_activities',
-  tech_activity: 'technician_activities',
-  technician_activity: 'technician_activities',
+  technician_activities: 'technician_activity',
+  activities: 'technician_activity',
+  tech_activity: 'technician_activity',
+  technician_activity: 'technician_activity',
 
   // technician services
-  technician_services: 'technician_services',
-  services: 'technician_services',
-  tech_service: 'technician_services',
-  technician_service: 'technician_services',
+  technician_services: 'technician_service',
+  services: 'technician_service',
+  tech_service: 'technician_service',
+  technician_service: 'technician_service',
 };
 
-/**
- * Normalize DB query result shapes.
- *
- * Different drivers return results differently:
- * - mysql2: [rows, fields]
- * - mariadb: rows (array)
- * - some drivers may return a single object
- *
- * This helper returns an array of rows (possibly empty).
- */
-function normalizeRows(result) {
-  if (!result) return [];
-  if (Array.isArray(result)) {
-    // mysql2 returns [rows, fields] or mariadb returns rows directly (array)
-    if (result.length > 0 && Array.isArray(result[0])) {
-      return result[0];
-    }
-    return result;
-  }
-  // single object -> wrap it
-  if (typeof result === 'object') {
-    return [result];
-  }
-  return [];
-}
-
 /* ---------------------------
  * Multer (file upload) config
  * --------------------------- */
@@ -109,17 +97,30 @@ const upload = multer({ storage });
  * Routes
  * --------------------------- */
 
+// Authenticate before multer runs so anonymous requests never write files
+router.use(requireAuth);
+
 /**
  * Sales Visit (Customer / Faskes)
  * Expect single file field: 'dokumentasi_kunjungan' (optional)
  */
-router.post('/customer', upload.single('dokumentasi_kunjungan'), createSalesVisitCustomer);
+router.post(
+  '/customer',
+  requirePermission(PERMISSIONS.SALES_VISIT_CREATE),
+  upload.single('dokumentasi_kunjungan'),
+  createSalesVisitCustomer
+);
 
 /**
  * Sales Visit (Non-Faskes)
  * Expect single file field: 'dokumentasi_kunjungan' (optional)
  */
-router.post('/non-faskes', upload.single('dokumentasi_kunjungan'), createSalesVisitNonFaskes);
+router.post(
+  '/non-faskes',
+  requirePermission(PERMISSIONS.SALES_VISIT_CREATE),
+  upload.single('dokumentasi_kunjungan'),
+  createSalesVisitNonFaskes
+);
 
 /**
  * Technician Activity
@@ -129,6 +130,7 @@ router.post('/non-faskes', upload.single('dokumentasi_kunjungan'), createSalesVi
  */
 router.post(
   '/tech-activity',
+  requirePermission(PERMISSIONS.TECH_ACTIVITY_CREATE),
   upload.fields([
     { name: 'selfie_foto_kegiatan', maxCount: 1 },
     { name: 'foto_ba_daftar_hadir', maxCount: 1 },
@@ -145,6 +147,7 @@ router.post(
  */
 router.post(
   '/tech-service',
+  requirePermission(PERMISSIONS.TECH_SERVICE_CREATE),
   upload.fields([
     { name: 'bukti_koreksi', maxCount: 1 },
     { name: 'tindakan_koreksi_img', maxCount: 1 },
@@ -154,34 +157,34 @@ router.post(
 );
 
 /* ---------------------------------------------------------------------------
- * GET /all
- * Return all forms for a given user (sales_visits, technician_activities, technician_services)
- * Query param: user_id
+ * GET /all?limit=
+ * Return the user's newest forms (sales_visits, technician_activities, technician_services),
+ * at most `limit` per type (default 100, max 500). Each row is the visit header
+ * joined with its detail. Soft-deleted visits are excluded.
+ * DEPRECATED: use the paged GET /api/visits?limit=&cursor= instead.
  * ------------------------------------------------------------------------- */
+const ALL_FORMS_DEFAULT_LIMIT = 100;
+const ALL_FORMS_MAX_LIMIT = 500;
+
 router.get('/all', async (req, res) => {
-  const { user_id } = req.query;
+  const user_id = req.user.id;
 
-  if (!user_id) return res.status(400).json({ message: 'user_id is required' });
+  let limit = ALL_FORMS_DEFAULT_LIMIT;
+  if (req.query.limit != null && req.query.limit !== '') {
+    limit = Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > ALL_FORMS_MAX_LIMIT) {
+      return res.status(400).json({ message: `limit must be a whole number between 1 and ${ALL_FORMS_MAX_LIMIT}` });
+    }
+  }
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // Run all three queries in parallel for performance
-    const salesVisitsPromise = conn.query('SELECT * FROM sales_visits WHERE user_id = ?', [user_id]);
-    const techActivitiesPromise = conn.query('SELECT * FROM technician_activities WHERE user_id = ?', [user_id]);
-    const techServicesPromise = conn.query('SELECT * FROM technician_services WHERE user_id = ?', [user_id]);
-
-    const [salesVisitsRaw, techActivitiesRaw, techServicesRaw] = await Promise.all([
-      salesVisitsPromise,
-      techActivitiesPromise,
-      techServicesPromise,
-    ]);
-
-    // Normalize different driver response shapes to plain arrays
-    const salesVisits = normalizeRows(salesVisitsRaw);
-    const technicianActivities = normalizeRows(techActivitiesRaw);
-    const technicianServices = normalizeRows(techServicesRaw);
+    // Sequential on purpose: a single connection cannot run queries in parallel
+    const salesVisits = await visitService.listVisitsWithDetails(conn, { userId: user_id, visitType: 'sales', limit });
+    const technicianActivities = await visitService.listVisitsWithDetails(conn, { userId: user_id, visitType: 'technician_activity', limit });
+    const technicianServices = await visitService.listVisitsWithDetails(conn, { userId: user_id, visitType: 'technician_service', limit });
 
     return res.json({ sales_visits: salesVisits, technician_activities: technicianActivities, technician_services: technicianServices });
   } catch (err) {
@@ -194,111 +197,55 @@ router.get('/all', async (req, res) => {
 
 /* ---------------------------------------------------------------------------
  * GET /products/by-serial/:serial_number
- * Return product data if serial number exists
+ * Return product data if serial number exists.
+ * DEPRECATED: same handler as GET /api/products/by-serial/:serial_number.
  * ------------------------------------------------------------------------- */
-router.get('/products/by-serial/:serial_number', async (req, res) => {
-  const { serial_number } = req.params;
-  let conn;
-
-  if (!serial_number) {
-    return res.status(400).json({ message: 'serial_number is required' });
-  }
-
-  try {
-    conn = await pool.getConnection();
-
-    const rows = await conn.query(
-      `
-      SELECT id, nama_produk, tipe_produk, merk_produk, serial_number
-      FROM products
-      WHERE serial_number = ?
-      LIMIT 1
-      `,
-      [serial_number]
-    );
-
-    // mariadb/mysql returns [] if no rows
-    if (rows.length === 0) {
-      return res.status(404).json({ exists: false });
-    }
-
-    return res.json({
-      exists: true,
-      product: rows[0],
-    });
-  } catch (err) {
-    console.error('Error fetching product by serial:', err);
-    return res.status(500).json({ message: 'Server error fetching product' });
-  } finally {
-    if (conn) conn.release();
-  }
-});
+router.get('/products/by-serial/:serial_number', getProductBySerial);
 
 /* ---------------------------------------------------------------------------
  * GET /hospital/:region
  * Returns hospitals for a given region (case-insensitive match)
  * ------------------------------------------------------------------------- */
-router.get('/hospital/:region', async (req, res) => {
-  const region = (req.params.region || '').trim();
-  if (!region) return res.status(400).json({ message: 'region is required' });
-
-  let conn;
-  try {
-    conn = await pool.getConnection();
-
-    const sql = `
-      SELECT hospital_id, region, name, street, latitude, longitude
-      FROM hospitals
-      WHERE LOWER(region) = LOWER(?)
-    `;
-
-    const raw = await conn.query(sql, [region]);
-    const rows = normalizeRows(raw);
-
-    return res.json({ retrieved_hospitals: rows });
-  } catch (err) {
-    console.error('[hospital] ERROR', err?.stack || err);
-    return res.status(500).json({ message: 'Server error fetching hospitals' });
-  } finally {
-    if (conn) {
-      try { conn.release(); } catch (e) { /* ignore release errors */ }
-    }
-  }
-});
+router.get('/hospital/:region', getHospitalsByRegion);
 
 /* ---------------------------------------------------------------------------
  * DELETE /:form_type/:id
- * Delete a form row from one of whitelisted tables.
- * Query param: user_id (required)
+ * Soft-delete a visit of the given form type (sets deleted_at).
+ * Only the owner (token user) can delete it.
  * ------------------------------------------------------------------------- */
 router.delete('/:form_type/:id', async (req, res) => {
   const { form_type, id } = req.params;
-  const { user_id } = req.query;
+  const user_id = req.user.id;
 
   // Basic validation
-  if (!user_id) return res.status(400).json({ message: 'user_id is required' });
   if (!id) return res.status(400).json({ message: 'form id is required' });
   if (!form_type) return res.status(400).json({ message: 'form type is required' });
 
-  const table = TABLE_MAP[form_type];
-  if (!table) return res.status(400).json({ message: `Unsupported form_type: ${form_type}` });
+  const visitType = FORM_TYPE_MAP[form_type];
+  if (!visitType) return res.status(400).json({ message: `Unsupported form_type: ${form_type}` });
 
   let conn;
   try {
     conn = await pool.getConnection();
 
-    // Use parameterized query to avoid injection and respect user ownership
-    const result = await conn.query(`DELETE FROM \`${table}\` WHERE id = ? AND user_id = ?`, [id, user_id]);
+    const visit = await visitService.findVisit(conn, id);
+    if (!visit || visit.visit_type !== visitType) {
+      return res.status(404).json({ message: 'Form not found or you do not have permission to delete it.' });
+    }
 
-    // Different drivers return different shapes; try to read affected rows
-    const affectedRows = Number(result?.affectedRows ?? result?.affected_rows ?? result?.affected ?? result?.changedRows ?? 0);
+    await conn.beginTransaction();
+    const affectedRows = await visitService.softDeleteVisit(conn, id, user_id);
 
     if (affectedRows === 0) {
+      await conn.rollback();
       return res.status(404).json({ message: 'Form not found or you do not have permission to delete it.' });
     }
+    await contactService.refreshVisitLastMet(conn, id);
+    await conn.commit();
 
     return res.json({ message: 'Form deleted successfully.', affectedRows });
   } catch (err) {
+    if (conn) await conn.rollback();
     console.error('Error deleting form:', err);
     return res.status(500).json({ message: 'Server error deleting form', error: err.message });
   } finally {
@@ -310,70 +257,64 @@ router.delete('/:form_type/:id', async (req, res) => {
 
 /* ---------------------------------------------------------------------------
  * PATCH /:form_type/:id
- * Partial update for a form row. Client passes only fields to update in body.
- * Query param: user_id (required) used to ensure ownership.
+ * Partial update for a form. Client passes only fields to update in body;
+ * legacy (Indonesian) field names are translated to visit columns, and each
+ * field is routed to the visit header or the detail row.
+ * Only the owner (token user) can update it.
  * ------------------------------------------------------------------------- */
 router.patch('/:form_type/:id', async (req, res) => {
   const { form_type, id } = req.params;
-  const { user_id } = req.query;
+  const user_id = req.user.id;
   const updatesRaw = req.body;
 
   // Validation
-  if (!user_id) return res.status(400).json({ message: 'user_id is required' });
   if (!id) return res.status(400).json({ message: 'form id is required' });
   if (!form_type) return res.status(400).json({ message: 'form_type is required' });
 
-  const table = TABLE_MAP[form_type];
-  if (!table) return res.status(400).json({ message: `Unsupported form_type: ${form_type}` });
+  const visitType = FORM_TYPE_MAP[form_type];
+  if (!visitType) return res.status(400).json({ message: `Unsupported form_type: ${form_type}` });
 
   if (!updatesRaw || typeof updatesRaw !== 'object' || Object.keys(updatesRaw).length === 0) {
     return res.status(400).json({ message: 'No fields provided to update' });
   }
 
-  // Protect columns that MUST NOT be updated by the client
-  const protectedCols = new Set(['id', 'user_id', 'form_id', 'form_type', 'created_at', 'updated_at']);
+  const mapped = mapLegacyFields(visitType, updatesRaw);
+  if ('note_kunjungan' in mapped) mapped.note = mapped.note_kunjungan;
 
-  // Build updates after filtering protected columns and undefined values
-  const updates = Object.entries(updatesRaw)
-    .filter(([k]) => !!k && !protectedCols.has(k))
-    .reduce((acc, [k, v]) => {
-      acc[k] = v;
-      return acc;
-    }, {});
+  const { updates: headerUpdates, errors } = visitService.pickHeaderUpdates(mapped, visitType);
+  const detailUpdates = visitService.pickDetailColumns(visitType, mapped, { partial: true });
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ message: 'No updatable fields provided (all fields are protected or invalid).' });
-  }
+  if (hasErrors(errors)) return sendValidationErrors(res, errors);
 
-  // Build parameterized SET clause
-  const setClauses = [];
-  const values = [];
-  for (const [key, value] of Object.entries(updates)) {
-    setClauses.push(`\`${key}\` = ?`);
-    values.push(value);
+  if (Object.keys(headerUpdates).length === 0 && Object.keys(detailUpdates).length === 0) {
+    return res.status(400).json({ message: 'No updatable fields provided (all fields are protected or invalid).' });
   }
 
-  // WHERE params: id then user_id to ensure ownership
-  values.push(id);
-  values.push(user_id);
-
-  const sql = `UPDATE \`${table}\` SET ${setClauses.join(', ')} WHERE id = ? AND user_id = ?`;
-
   let conn;
   try {
     conn = await pool.getConnection();
-    const raw = await conn.query(sql, values);
 
-    // Normalize response object to find affected rows across drivers
-    let result = Array.isArray(raw) ? raw[0] : raw;
-    const affectedRows = Number(result?.affectedRows ?? result?.affected_rows ?? result?.affected ?? result?.changedRows ?? 0);
-
-    if (affectedRows === 0) {
+    const visit = await visitService.findVisit(conn, id);
+    if (!visit || visit.visit_type !== visitType || String(visit.user_id) !== String(user_id)) {
       return res.status(404).json({ message: 'Form not found or you do not have permission to update this item.', affectedRows: 0 });
     }
 
+    await conn.beginTransaction();
+
+    let affectedRows = 0;
+    if (Object.keys(headerUpdates).length > 0) {
+      affectedRows += await visitService.updateVisit(conn, id, user_id, headerUpdates);
+    }
+    if (Object.keys(detailUpdates).length > 0) {
+      affectedRows += await visitService.updateVisitDetail(conn, visitType, id, detailUpdates);
+    }
+    if (affectedRows > 0) await refreshVisitDerivedData(conn, id);
+
+    await conn.commit();
+
     return res.json({ message: 'Form updated successfully.', affectedRows });
   } catch (err) {
+    if (conn) await conn.rollback();
     console.error('Error updating form:', err);
     return res.status(500).json({ message: 'Server error updating form', error: err.message });
   } finally {
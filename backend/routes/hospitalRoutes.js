@@ -0,0 +1,73 @@
+// routes/hospitalRoutes.js
+/**
+ * Routes for hospital master data (mounted at /api/hospitals).
+ * All routes require auth; field staff need hospitals.propose, admins hospitals.manage
+ * (except /nearest, which every signed-in user may call).
+ *
+ *    GET    /?region=&status=&q=&limit=         -> List hospitals                    (manage)
+ *    GET    /duplicates?name=&region=&lat&lng   -> Possible duplicates before saving (propose)
+ *    GET    /nearest?latitude=&longitude=       -> Hospitals around a GPS position  (any user)
+ *           &radius_km=&limit=
+ *    GET    /pending                            -> Proposed hospitals and edits      (manage)
+ *    POST   /changes/:changeId/approve          -> Apply a proposed edit             (manage)
+ *    POST   /changes/:changeId/reject           -> Reject a proposed edit            (manage)
+ *    POST   /                                   -> Create (admin) / propose (staff)  (propose)
+ *    GET    /:id                                -> One hospital                      (propose)
+ *    GET    /:id/history                        -> Audit log                         (manage)
+ *    PATCH  /:id                                -> Edit (admin) / propose edit       (propose)
+ *    POST   /:id/approve | /:id/reject          -> Review a proposed hospital        (manage)
+ *    POST   /:id/deactivate | /:id/activate     -> Hide from / offer again in forms  (manage)
+ *    POST   /:id/merge                          -> Merge a duplicate into into_id    (manage)
+ *
+ * Notes:
+ * - Fixed paths (/duplicates, /nearest, /pending, /changes/...) must be registered before `/:id`.
+ * - The forms still list hospitals through GET /api/visits/hospital/:region.
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const {
+  listHospitals,
+  checkDuplicates,
+  getNearestHospitals,
+  getHospital,
+  getHospitalHistory,
+  listPending,
+  createHospital,
+  updateHospital,
+  approveHospital,
+  rejectHospital,
+  deactivateHospital,
+  activateHospital,
+  mergeHospital,
+  approveChangeRequest,
+  rejectChangeRequest,
+} = require('../controllers/hospitalController');
+
+const router = express.Router();
+
+const propose = requirePermission(PERMISSIONS.HOSPITALS_PROPOSE);
+const manage = requirePermission(PERMISSIONS.HOSPITALS_MANAGE);
+
+router.use(requireAuth);
+
+router.get('/', manage, listHospitals);
+router.get('/duplicates', propose, checkDuplicates);
+router.get('/nearest', getNearestHospitals);
+router.get('/pending', manage, listPending);
+router.post('/changes/:changeId/approve', manage, approveChangeRequest);
+router.post('/changes/:changeId/reject', manage, rejectChangeRequest);
+
+router.post('/', propose, createHospital);
+router.get('/:id', propose, getHospital);
+router.get('/:id/history', manage, getHospitalHistory);
+router.patch('/:id', propose, updateHospital);
+router.post('/:id/approve', manage, approveHospital);
+router.post('/:id/reject', manage, rejectHospital);
+router.post('/:id/deactivate', manage, deactivateHospital);
+router.post('/:id/activate', manage, activateHospital);
+router.post('/:id/merge', manage, mergeHospital);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// routes/masterDataRoutes.js
+/**
+ * Routes for the master data API (mounted at /api/master-data).
+ * All routes require auth; maintaining the lists requires master_data.manage.
+ *
+ *    GET   /                        -> Every list's active options (ETag / If-None-Match) (any user)
+ *    GET   /lists                   -> The maintained lists                                (manage)
+ *    GET   /:list/items             -> Options of a list, inactive ones included           (manage)
+ *    POST  /:list/items             -> Add an option                                       (manage)
+ *    PATCH /:list/items/:id         -> Relabel, reorder or (de)activate an option          (manage)
+ *
+ * Notes:
+ * - `/lists` must be registered before `/:list/...`.
+ * - The app falls back to its bundled lists (frontend/data/appData.js) while offline.
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const {
+  getMasterData,
+  listMasterLists,
+  listItems,
+  createItem,
+  updateItem,
+} = require('../controllers/masterDataController');
+
+const router = express.Router();
+
+const manage = requirePermission(PERMISSIONS.MASTER_DATA_MANAGE);
+
+router.use(requireAuth);
+
+router.get('/', getMasterData);
+router.get('/lists', manage, listMasterLists);
+router.get('/:list/items', manage, listItems);
+router.post('/:list/items', manage, createItem);
+router.patch('/:list/items/:id', manage, updateItem);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+// routes/productRoutes.js
+/**
+ * Routes for the products API (mounted at /api/products).
+ * Every route requires a valid JWT.
+ *
+ *    GET  /?q=&limit=                -> Search by partial serial / name / brand
+ *    GET  /by-serial/:serial_number  -> Lookup by exact serial number
+ *    POST /get-or-create             -> Return or create a product by serial number
+ *                                       (requires products.write)
+ */
+
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../services/accessControl');
+
+const {
+  searchProducts,
+  getProductBySerial,
+  getOrCreateProduct,
+} = require('../controllers/productController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', searchProducts);
+router.get('/by-serial/:serial_number', getProductBySerial);
+router.post('/get-or-create', requirePermission(PERMISSIONS.PRODUCTS_WRITE), getOrCreateProduct);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+// routes/searchRoutes.js
+/**
+ * Routes for visit search (mounted at /api/search).
+ * All routes require auth.
+ *
+ *    GET /?q=&from=&to=&limit=&user_id=   -> The user's visits matching `q`, best first
+ *                                            (other users: visits.read_all)
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+const { searchVisits } = require('../controllers/searchController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', searchVisits);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// routes/uploadRoutes.js
+/**
+ * Routes for photo uploads (mounted at /api/uploads).
+ *
+ *    POST /presign        -> Issue a signed upload URL + object key
+ *    GET  /image?key=     -> Issue a short-lived signed image URL
+ *    PUT  /object/*key    -> Signed upload target (local storage driver)
+ *    GET  /object/*key    -> Signed download target (local storage driver)
+ *
+ * Notes:
+ * - /presign and /image require a valid JWT.
+ * - The /object routes authenticate by URL signature, not by session, so the
+ *   presigned URLs can be used as-is by the app (same as S3 URLs).
+ * - PUT bodies are streamed to disk; do not put a body parser in front of them.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+const {
+  createPresignedUpload,
+  getImageUrl,
+  putObject,
+  getObject,
+} = require('../controllers/uploadController');
+
+const router = express.Router();
+
+router.post('/presign', requireAuth, createPresignedUpload);
+router.get('/image', requireAuth, getImageUrl);
+
+router.put('/object/*key', putObject);
+router.get('/object/*key', getObject);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/visitRoutes.js
+/**
+ * Routes for the visits API (mounted at /api/visits).
+ *
+ *    POST   /submit                -> Create header + detail (+ product) in one transaction
+ *    POST   /                      -> Create visit header (returns visit_id)
+ *    GET    /                      -> List the user's visits (headers, newest first)
+ *    GET    /trash                 -> List the user's deleted visits that can be restored
+ *    GET    /hospital/:region      -> List hospitals in a region
+ *    GET    /:type/:id             -> Visit detail by type (sales | activity | service)
+ *    GET    /:id                   -> Visit header merged with its detail
+ *    POST   /:id/:detailType       -> Create detail row (sales | activity | service)
+ *    PATCH  /:id                   -> Update visit header
+ *    PATCH  /:id/:detailType       -> Update detail row ('visit' updates the header)
+ *    PUT    /:id/participants      -> Replace the visit's participants (join visit, other technicians)
+ *    POST   /:id/restore           -> Restore a deleted visit (within the trash retention)
+ *    DELETE /:id                   -> Soft-delete visit (sets deleted_at)
+ *
+ * Notes:
+ * - Every route requires a valid JWT; the acting user is `req.user.id`.
+ * - Photos are uploaded separately; detail payloads only carry the stored keys.
+ * - Order matters: `/trash` and `/hospital/:region` must be registered before
+ *   `/:id` and `/:type/:id`, and `/:id/restore` before `/:id/:detailType`.
+ */
+
+const express = require('express');
+const { requireAuth } = require('../middleware/auth');
+
+const {
+  createVisit,
+  submitVisit,
+  listVisits,
+  getVisit,
+  getVisitDetail,
+  createVisitDetail,
+  updateVisit,
+  updateVisitDetail,
+  setParticipants,
+  deleteVisit,
+  listTrash,
+  restoreVisit,
+} = require('../controllers/visitController');
+const { getHospitalsByRegion } = require('../controllers/hospitalController');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/submit', submitVisit);
+router.post('/', createVisit);
+router.get('/', listVisits);
+
+router.get('/trash', listTrash);
+router.get('/hospital/:region', getHospitalsByRegion);
+
+router.get('/:type/:id', getVisitDetail);
+router.get('/:id', getVisit);
+
+router.post('/:id/restore', restoreVisit);
+router.post('/:id/:detailType', createVisitDetail);
+
+router.patch('/:id', updateVisit);
+router.patch('/:id/:detailType', updateVisitDetail);
+router.put('/:id/participants', setParticipants);
+
+router.delete('/:id', deleteVisit);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+/**
+ * Hospital import CLI
+ * -------------------
+ * Usage (from backend/):
+ *   node scripts/importHospitals.js <file.csv> [--dry-run] [--prune] [--verbose]
+ *   npm run import:hospitals -- <file.csv> --dry-run
+ *
+ *   --dry-run  only print the report, change nothing
+ *   --prune    deactivate hospitals that are no longer in the file (default: report only)
+ *   --verbose  list every added / changed / removed hospital, not just the counts
+ *
+ * Rows with an unknown region or invalid coordinates are skipped and listed
+ * with their line number; the rest is imported in one transaction.
+ * See services/hospitalImportService.js.
+ */
+
+const fs = require('fs');
+const pool = require('../db');
+const hospitalService = require('../services/hospitalService');
+const hospitalImport = require('../services/hospitalImportService');
+const masterDataService = require('../services/masterDataService');
+
+const USAGE = 'Usage: node scripts/importHospitals.js <file.csv> [--dry-run] [--prune] [--verbose]';
+
+/** Print at most `limit` lines of a list unless verbose. */
+function printList(title, items, format, { verbose, limit = 10 } = {}) {
+  if (!items.length) return;
+  console.log(`\n${title} (${items.length}):`);
+  const shown = verbose ? items : items.slice(0, limit);
+  for (const item of shown) console.log(`  ${format(item)}`);
+  if (shown.length < items.length) console.log(`  ... ${items.length - shown.length} more (use --verbose)`);
+}
+
+async function run(args) {
+  const file = args.find((a) => !a.startsWith('--'));
+  if (!file) throw new Error(USAGE);
+
+  const dryRun = args.includes('--dry-run');
+  const prune = args.includes('--prune');
+  const verbose = args.includes('--verbose');
+
+  const text = fs.readFileSync(file, 'utf8');
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const { regions } = await masterDataService.getValidationLists(conn);
+    const parsed = hospitalImport.parseHospitalCsv(text, { regions });
+    if (parsed.missingColumns.length) {
+      throw new Error(`Missing column(s): ${parsed.missingColumns.join(', ')}`);
+    }
+
+    const existing = await hospitalService.listAllHospitals(conn);
+    const diff = hospitalImport.diffHospitals(existing, parsed.hospitals);
+
+    printList('Skipped (invalid)', parsed.rejected, (r) => `line ${r.line}: ${r.name || '(no name)'} - ${r.error}`, { verbose });
+    printList('Skipped (duplicate in file)', parsed.duplicates, (d) => `line ${d.line}: ${d.name}`, { verbose });
+    printList('Added', diff.added, (h) => `${h.region} / ${h.name}`, { verbose });
+    printList('Changed', diff.changed, (c) => `#${c.before.hospital_id} ${c.after.region} / ${c.after.name}: ${c.fields.join(', ')}`, { verbose });
+    printList(prune ? 'Deactivated' : 'Not in file (kept, use --prune to deactivate)', diff.removed, (h) => `#${h.hospital_id} ${h.region} / ${h.name}`, { verbose });
+
+    console.log(
+      `\nRows: ${parsed.hospitals.length} valid, ${parsed.rejected.length} invalid, ${parsed.duplicates.length} duplicate` +
+        `\nHospitals: ${diff.added.length} added, ${diff.changed.length} changed, ${diff.unchanged} unchanged, ` +
+        `${diff.removed.length} ${prune ? 'deactivated' : 'not in file'}`
+    );
+
+    if (dryRun) {
+      console.log('Dry run: nothing was written.');
+      return;
+    }
+
+    await hospitalImport.applyDiff(conn, diff, { prune });
+    console.log('Import complete.');
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+run(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
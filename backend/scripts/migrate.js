@@ -0,0 +1,67 @@
+/**
+ * Migration CLI
+ * -------------
+ * Usage (from backend/):
+ *   node scripts/migrate.js up                  apply pending migrations  (npm run migrate)
+ *   node scripts/migrate.js rollback [--steps N] undo the last N batches   (npm run migrate:rollback)
+ *   node scripts/migrate.js status              list applied / pending     (npm run migrate:status)
+ *
+ * Connects with the DB_* settings from .env (see db.js).
+ * Migration files: migrations/NNN_name.js (see services/migrationService.js).
+ */
+
+const pool = require('../db');
+const migrationService = require('../services/migrationService');
+
+const USAGE = 'Usage: node scripts/migrate.js <up|rollback|status> [--steps N]';
+
+/** Read `--steps N` (default 1). */
+function parseSteps(args) {
+  const i = args.indexOf('--steps');
+  if (i === -1) return 1;
+  const n = Number(args[i + 1]);
+  if (!Number.isInteger(n) || n < 1) throw new Error('--steps must be a positive integer');
+  return n;
+}
+
+async function run(command, args) {
+  const log = (line) => console.log(line);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    switch (command) {
+      case 'up': {
+        const ran = await migrationService.migrateUp(conn, { log });
+        console.log(ran.length ? `Applied ${ran.length} migration(s).` : 'Nothing to migrate.');
+        break;
+      }
+      case 'rollback': {
+        const ran = await migrationService.rollback(conn, { steps: parseSteps(args), log });
+        console.log(ran.length ? `Rolled back ${ran.length} migration(s).` : 'Nothing to roll back.');
+        break;
+      }
+      case 'status': {
+        const status = await migrationService.getStatus(conn);
+        for (const m of status) {
+          const state = m.missing ? 'applied (file missing)' : m.applied ? `batch ${m.batch}` : 'pending';
+          console.log(`${m.applied ? '[x]' : '[ ]'} ${m.name.padEnd(40)} ${state}`);
+        }
+        break;
+      }
+      default:
+        console.error(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+run(process.argv[2], process.argv.slice(3))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
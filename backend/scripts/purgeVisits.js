@@ -0,0 +1,50 @@
+/**
+ * Trash purge CLI
+ * ---------------
+ * Usage (from backend/):
+ *   node scripts/purgeVisits.js [--dry-run]
+ *   npm run purge:visits -- --dry-run
+ *
+ *   --dry-run  only print what would be removed, change nothing
+ *
+ * Permanently removes visits deleted more than VISIT_TRASH_RETENTION_DAYS
+ * (default 30) ago, with the uploaded photos no other record uses. Meant to
+ * run daily from cron. See services/trashService.js.
+ */
+
+const pool = require('../db');
+const trashService = require('../services/trashService');
+
+async function run(args) {
+  const dryRun = args.includes('--dry-run');
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+
+    const report = await trashService.purgeExpiredVisits(conn, { dryRun });
+
+    console.log(
+      `Deleted before ${report.cutoff.toISOString()}` +
+        `\nVisits: ${report.visits} ${dryRun ? 'to purge' : 'purged'}` +
+        `\nPhotos: ${report.photosDeleted} ${dryRun ? 'to delete' : 'deleted'}, ${report.photosKept} kept (still used)`
+    );
+
+    if (report.photoErrors.length) {
+      console.log(`\nPhotos not deleted (${report.photoErrors.length}):`);
+      for (const { key, error } of report.photoErrors) console.log(`  ${key}: ${error}`);
+      process.exitCode = 1;
+    }
+
+    if (dryRun) console.log('Dry run: nothing was deleted.');
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+run(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
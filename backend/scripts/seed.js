@@ -0,0 +1,54 @@
+/**
+ * Seed CLI
+ * --------
+ * Fills a freshly migrated database with development data (npm run seed):
+ *
+ *   node scripts/seed.js             run every file in seeds/ (in name order)
+ *   node scripts/seed.js users       run only seeds whose name contains "users"
+ *
+ * Seeds are safe to run more than once. They refuse to run with
+ * NODE_ENV=production unless `--force` is passed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+
+const SEEDS_DIR = path.join(__dirname, '..', 'seeds');
+
+async function run(args) {
+  if (process.env.NODE_ENV === 'production' && !args.includes('--force')) {
+    throw new Error('Refusing to seed with NODE_ENV=production (pass --force to override).');
+  }
+
+  const filter = args.find((a) => !a.startsWith('--'));
+  const files = fs
+    .readdirSync(SEEDS_DIR)
+    .filter((f) => f.endsWith('.js') && (!filter || f.includes(filter)))
+    .sort();
+
+  if (!files.length) {
+    console.log('No seed files matched.');
+    return;
+  }
+
+  const log = (line) => console.log(line);
+
+  let conn;
+  try {
+    conn = await pool.getConnection();
+    for (const file of files) {
+      const { seed } = require(path.join(SEEDS_DIR, file));
+      await seed(conn, { log });
+    }
+  } finally {
+    if (conn) conn.release();
+  }
+}
+
+run(process.argv.slice(2))
+  .catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,29 @@
+/**
+ * Development users, one per role. All share SEED_PASSWORD (default below),
+ * so change it or run the seeds only on local databases.
+ * Existing emails are left untouched.
+ */
+
+const { hashPassword } = require('../services/passwordService');
+
+const DEFAULT_PASSWORD = 'Password123';
+
+const USERS = [
+  { name: 'Admin', email: 'admin@example.com', position: 'Admin', role: 'admin' },
+  { name: 'Sophia', email: 'sales@example.com', position: 'Sales', role: 'sales' },
+  { name: 'Vario', email: 'technician@example.com', position: 'Teknisi', role: 'technician' },
+];
+
+async function seed(conn, { log = () => {} } = {}) {
+  const passwordHash = await hashPassword(process.env.SEED_PASSWORD || DEFAULT_PASSWORD);
+
+  for (const user of USERS) {
+    await conn.query(
+      'INSERT IGNORE INTO users (name, email, password, position, role) VALUES (?, ?, ?, ?, ?)',
+      [user.name, user.email, passwordHash, user.position, user.role]
+    );
+  }
+  log(`users: ${USERS.map((u) => u.email).join(', ')}`);
+}
+
+module.exports = { seed };
@@ -0,0 +1,22 @@
+/**
+ * Sample devices for the technician forms' serial number lookup.
+ */
+
+const PRODUCTS = [
+  { serial_number: '1123', product_name: 'D3', product_type: 'patient monitor', brand_name: 'Beneheart' },
+  { serial_number: '2245', product_name: 'Syringe Pump', product_type: 'life support', brand_name: 'SK Medical' },
+  { serial_number: '3289', product_name: 'Hypervisor', product_type: 'software patient monitor', brand_name: 'Mindray' },
+];
+
+async function seed(conn, { log = () => {} } = {}) {
+  for (const p of PRODUCTS) {
+    await conn.query(
+      `INSERT IGNORE INTO products (serial_number, product_name, product_type, brand_name)
+       VALUES (?, ?, ?, ?)`,
+      [p.serial_number, p.product_name, p.product_type, p.brand_name]
+    );
+  }
+  log(`products: ${PRODUCTS.length}`);
+}
+
+module.exports = { seed };
@@ -0,0 +1,33 @@
+/**
+ * A few hospitals per region so the sales forms' location search works.
+ * Only inserted into an empty table, so a real hospital list is never mixed
+ * with sample rows.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+
+const HOSPITALS = [
+  { region: 'jakarta', name: 'RSUP Nasional Dr. Cipto Mangunkusumo', street: 'Jl. Diponegoro No.71, Jakarta Pusat', latitude: -6.1963, longitude: 106.8470 },
+  { region: 'jakarta', name: 'RS Jantung Harapan Kita', street: 'Jl. Letjen S. Parman Kav.87, Jakarta Barat', latitude: -6.1852, longitude: 106.7984 },
+  { region: 'jawa_barat', name: 'RSUP Dr. Hasan Sadikin', street: 'Jl. Pasteur No.38, Bandung', latitude: -6.8950, longitude: 107.5985 },
+  { region: 'jawa_timur', name: 'RSUD Dr. Soetomo', street: 'Jl. Mayjen Prof. Dr. Moestopo No.6-8, Surabaya', latitude: -7.2684, longitude: 112.7576 },
+  { region: 'bali', name: 'RSUP Prof. Dr. I.G.N.G. Ngoerah', street: 'Jl. Diponegoro, Denpasar', latitude: -8.6756, longitude: 115.2180 },
+];
+
+async function seed(conn, { log = () => {} } = {}) {
+  const rows = normalizeRows(await conn.query('SELECT COUNT(*) AS total FROM hospitals'));
+  if (Number(rows[0]?.total) > 0) {
+    log('hospitals: table not empty, skipped');
+    return;
+  }
+
+  for (const h of HOSPITALS) {
+    await conn.query(
+      'INSERT INTO hospitals (region, name, street, latitude, longitude) VALUES (?, ?, ?, ?, ?)',
+      [h.region, h.name, h.street, h.latitude, h.longitude]
+    );
+  }
+  log(`hospitals: ${HOSPITALS.length}`);
+}
+
+module.exports = { seed };
@@ -5,8 +5,8 @@
  * - Initialize Express application
  * - Load environment variables
  * - Configure global middleware (CORS, JSON parsing)
- * - Register route modules (users, forms)
- * - Serve static uploaded files
+ * - Register route modules (users, auth, visits, uploads, products, hospitals, attendance,
+ *   search, customers, master data, forms)
  * - Start the HTTP server
  *
  * Runs as the root of the backend system.
@@ -15,11 +15,19 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const path = require('path');
 
 // Route modules
 const userRoutes = require('./routes/userRoutes');
+const authRoutes = require('./routes/authRoutes');
 const formRoutes = require('./routes/formRoutes');
+const visitRoutes = require('./routes/visitRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const productRoutes = require('./routes/productRoutes');
+const hospitalRoutes = require('./routes/hospitalRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const customerRoutes = require('./routes/customerRoutes');
+const masterDataRoutes = require('./routes/masterDataRoutes');
 
 // Load .env variables BEFORE using process.env
 dotenv.config();
@@ -65,23 +73,38 @@ app.use(express.json());
  * All API endpoints should be grouped by feature/module.
  * For example:
  * - /api/users handled by userRoutes
- * - /api/forms handled by formRoutes
+ * - /api/auth handled by authRoutes
+ * - /api/visits handled by visitRoutes
+ * - /api/uploads handled by uploadRoutes (signed photo uploads/downloads)
+ * - /api/products handled by productRoutes
+ * - /api/hospitals handled by hospitalRoutes (create / approve / merge master data)
+ * - /api/attendance handled by attendanceRoutes (clock-in / clock-out)
+ * - /api/search handled by searchRoutes (full-text search over visits)
+ * - /api/customers handled by customerRoutes (accounts visits are made at)
+ * - /api/master-data handled by masterDataRoutes (option lists of the forms)
+ * - /api/forms handled by formRoutes (legacy, writes through the visits service)
  */
 
 app.use('/api/users', userRoutes);
-app.use('/api/forms', formRoutes); // centralized form endpoints
+app.use('/api/auth', authRoutes);
+app.use('/api/visits', visitRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/hospitals', hospitalRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/master-data', masterDataRoutes);
+app.use('/api/forms', formRoutes); // legacy form endpoints
 
 /* ------------------------------------------------------------------
- * STATIC FILE SERVING
+ * UPLOADED FILES
  * ------------------------------------------------------------------
- * Exposes uploaded images under:
- *    http://<host>:<port>/uploads/<filename>
- *
- * NOTE: Files are stored in /uploads by multer (in formRoutes).
+ * Photos are private: there is no static /uploads route. Clients get a
+ * short-lived URL from GET /api/uploads/image?key= instead
+ * (see services/storage).
  */
 
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 /* ------------------------------------------------------------------
  * SERVER STARTUP
  * ------------------------------------------------------------------
@@ -0,0 +1,104 @@
+/**
+ * Roles & permissions
+ * -------------------
+ * Single source of truth for what each role may do. Routes enforce these with
+ * `requirePermission` (middleware/auth.js); the app receives the same list from
+ * login and GET /api/auth/me and uses it to decide which forms to show.
+ *
+ *   sales       → sales visits (faskes / non-faskes), registering customers,
+ *                 proposing hospitals, clocking in / out
+ *   technician  → technician activity + service, registering products and
+ *                 customers, proposing hospitals, clocking in / out
+ *   admin       → everything, including reading other users' visits and
+ *                 attendance, managing users (e.g. signing out a lost phone),
+ *                 approving / merging hospitals and maintaining the forms'
+ *                 option lists (master data)
+ *
+ * Roles are stored in `users.role` (see migrations/001_create_users.js). Users
+ * without a role fall back to their free-text `position` (e.g. "Sales Engineer" → sales).
+ */
+
+const PERMISSIONS = {
+  SALES_VISIT_CREATE: 'visits.sales.create',
+  TECH_ACTIVITY_CREATE: 'visits.activity.create',
+  TECH_SERVICE_CREATE: 'visits.service.create',
+  VISITS_READ_ALL: 'visits.read_all',
+  PRODUCTS_WRITE: 'products.write',
+  CUSTOMERS_WRITE: 'customers.write',
+  HOSPITALS_PROPOSE: 'hospitals.propose',
+  HOSPITALS_MANAGE: 'hospitals.manage',
+  USERS_MANAGE: 'users.manage',
+  ATTENDANCE_RECORD: 'attendance.record',
+  ATTENDANCE_READ_ALL: 'attendance.read_all',
+  MASTER_DATA_MANAGE: 'master_data.manage',
+};
+
+const ROLE_PERMISSIONS = {
+  sales: [
+    PERMISSIONS.SALES_VISIT_CREATE,
+    PERMISSIONS.CUSTOMERS_WRITE,
+    PERMISSIONS.HOSPITALS_PROPOSE,
+    PERMISSIONS.ATTENDANCE_RECORD,
+  ],
+  technician: [
+    PERMISSIONS.TECH_ACTIVITY_CREATE,
+    PERMISSIONS.TECH_SERVICE_CREATE,
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.CUSTOMERS_WRITE,
+    PERMISSIONS.HOSPITALS_PROPOSE,
+    PERMISSIONS.ATTENDANCE_RECORD,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/** Permission needed to create a visit of each visit_type. */
+const CREATE_PERMISSION_BY_VISIT_TYPE = {
+  sales: PERMISSIONS.SALES_VISIT_CREATE,
+  technician_activity: PERMISSIONS.TECH_ACTIVITY_CREATE,
+  technician_service: PERMISSIONS.TECH_SERVICE_CREATE,
+};
+
+/**
+ * Resolve a user's role from `role`, falling back to `position`.
+ *
+ * @param {{ role?: string, position?: string }} user
+ * @returns {string|null} one of ROLES, or null when it cannot be determined
+ */
+function resolveRole(user) {
+  const role = String(user?.role || '').trim().toLowerCase();
+  if (ROLE_PERMISSIONS[role]) return role;
+
+  const position = String(user?.position || '').toLowerCase();
+  if (position.includes('admin')) return 'admin';
+  if (position.includes('sales')) return 'sales';
+  if (position.includes('tech') || position.includes('teknisi')) return 'technician';
+  return null;
+}
+
+/**
+ * @param {string|null} role
+ * @returns {string[]}
+ */
+function getPermissions(role) {
+  return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+/**
+ * @param {{ role?: string }} user - usually `req.user`
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  CREATE_PERMISSION_BY_VISIT_TYPE,
+  resolveRole,
+  getPermissions,
+  hasPermission,
+};
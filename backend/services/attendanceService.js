@@ -0,0 +1,283 @@
+/**
+ * Attendance service
+ * ------------------
+ * Daily clock-in / clock-out records (one per user per working day).
+ *
+ * Rules (from .env, read on every call):
+ *  - ATTENDANCE_START_TIME          start of the working day, "HH:MM" (default 08:00)
+ *  - ATTENDANCE_LATE_GRACE_MINUTES  clock-ins up to this many minutes after the
+ *                                   start are not late (default 15)
+ *  - A day that ends without a clock-out becomes `missing_clock_out`; this is
+ *    applied lazily (markMissedClockOuts) whenever attendance is read or written.
+ *
+ * Times come from the server clock and its time zone (TZ), never from the app.
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows, getAffectedRows, getInsertId } = require('../utils/dbHelpers');
+const { readInteger } = require('../utils/envHelpers');
+const { validateFields } = require('./visitSchemas');
+
+const ATTENDANCE_STATUSES = ['open', 'closed', 'missing_clock_out'];
+
+const DEFAULT_START_TIME = '08:00';
+const DEFAULT_LATE_GRACE_MINUTES = 15;
+
+const ATTENDANCE_FIELDS = `id, user_id, work_date, status, is_late, late_minutes,
+  clock_in_at, clock_in_latitude, clock_in_longitude, clock_in_accuracy_m, clock_in_photo, clock_in_note,
+  clock_out_at, clock_out_latitude, clock_out_longitude, clock_out_accuracy_m, clock_out_photo, clock_out_note,
+  created_at, updated_at`;
+
+/** What the app sends when clocking in or out. */
+const CLOCK_EVENT_FIELDS = {
+  latitude: { type: 'coordinate', max: 90, required: 'always', label: 'Latitude' },
+  longitude: { type: 'coordinate', max: 180, required: 'always', label: 'Longitude' },
+  accuracy_m: { type: 'number', min: 0, label: 'Location accuracy' },
+  photo: { type: 'upload_key', required: 'always', label: 'Selfie' },
+  note: { type: 'text', maxLength: 500, label: 'Note' },
+};
+
+/** Query parameters of GET /api/attendance. */
+const LIST_FILTER_FIELDS = {
+  from: { type: 'date', label: 'from' },
+  to: { type: 'date', label: 'to' },
+  status: { type: 'enum', values: ATTENDANCE_STATUSES, label: 'status' },
+  limit: { type: 'integer', min: 1, max: 500, label: 'limit' },
+};
+
+/* ----------------------
+ * Rules
+ * ---------------------- */
+
+/**
+ * Current attendance rules.
+ * @returns {{ startTime: string, lateGraceMinutes: number }}
+ */
+function getAttendanceRules() {
+  const start = String(process.env.ATTENDANCE_START_TIME || '').trim();
+  return {
+    startTime: /^([01]\d|2[0-3]):[0-5]\d$/.test(start) ? start : DEFAULT_START_TIME,
+    lateGraceMinutes: readInteger('ATTENDANCE_LATE_GRACE_MINUTES', DEFAULT_LATE_GRACE_MINUTES, { min: 0 }),
+  };
+}
+
+/** "YYYY-MM-DD" of a moment in the server's time zone. */
+function toWorkDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * How late a clock-in is.
+ *
+ * @param {Date} clockInAt
+ * @param {Object} [rules] - from getAttendanceRules
+ * @returns {{ late_minutes: number, is_late: number }}
+ */
+function evaluateArrival(clockInAt, rules = getAttendanceRules()) {
+  const [hours, minutes] = rules.startTime.split(':').map(Number);
+  const start = new Date(clockInAt);
+  start.setHours(hours, minutes, 0, 0);
+
+  const lateMinutes = Math.max(0, Math.floor((clockInAt.getTime() - start.getTime()) / 60000));
+  return { late_minutes: lateMinutes, is_late: lateMinutes > rules.lateGraceMinutes ? 1 : 0 };
+}
+
+/**
+ * Validate a clock-in / clock-out body.
+ * @returns {{ values: Object, errors: Object }} errors: field → message
+ */
+function validateClockEvent(body = {}) {
+  return validateFields(CLOCK_EVENT_FIELDS, body);
+}
+
+/**
+ * Validate the list filters (from, to, status, limit).
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateListFilters(query = {}) {
+  return validateFields(LIST_FILTER_FIELDS, query);
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/**
+ * Close days that ended without a clock-out (status open, work_date before `today`).
+ *
+ * @param {Object} conn
+ * @param {Object} options
+ * @param {string} options.today - "YYYY-MM-DD"
+ * @param {number} [options.userId] - only this user's records
+ * @returns {Promise<number>} rows changed
+ */
+async function markMissedClockOuts(conn, { today, userId }) {
+  const where = ["status = 'open'", 'work_date < ?'];
+  const params = [today];
+  if (userId) {
+    where.push('user_id = ?');
+    params.push(userId);
+  }
+
+  const raw = await conn.query(`UPDATE attendance SET status = 'missing_clock_out' WHERE ${where.join(' AND ')}`, params);
+  return getAffectedRows(raw);
+}
+
+/**
+ * @param {Object} conn
+ * @param {number} userId
+ * @param {string} workDate - "YYYY-MM-DD"
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - lock the row (inside a transaction)
+ * @returns {Promise<Object|null>}
+ */
+async function findAttendance(conn, userId, workDate, { forUpdate = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${ATTENDANCE_FIELDS} FROM attendance WHERE user_id = ? AND work_date = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [userId, workDate]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * The user's latest record before `workDate` (to remind them of a missed clock-out).
+ * @returns {Promise<Object|null>}
+ */
+async function findPreviousAttendance(conn, userId, workDate) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${ATTENDANCE_FIELDS} FROM attendance WHERE user_id = ? AND work_date < ?
+       ORDER BY work_date DESC LIMIT 1`,
+      [userId, workDate]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+async function findAttendanceById(conn, id) {
+  const rows = normalizeRows(await conn.query(`SELECT ${ATTENDANCE_FIELDS} FROM attendance WHERE id = ? LIMIT 1`, [id]));
+  return rows[0] || null;
+}
+
+/**
+ * List attendance records, newest day first.
+ *
+ * @param {Object} conn
+ * @param {Object} filters
+ * @param {number|null} filters.userId - null for every user
+ * @param {string} [filters.from] - "YYYY-MM-DD", inclusive
+ * @param {string} [filters.to]   - "YYYY-MM-DD", inclusive
+ * @param {string} [filters.status]
+ * @param {boolean} [filters.lateOnly]
+ * @param {number} [filters.limit=100]
+ */
+async function listAttendance(conn, { userId, from, to, status, lateOnly, limit }) {
+  const where = [];
+  const params = [];
+
+  if (userId) {
+    where.push('a.user_id = ?');
+    params.push(userId);
+  }
+  if (from) {
+    where.push('a.work_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('a.work_date <= ?');
+    params.push(to);
+  }
+  if (status) {
+    where.push('a.status = ?');
+    params.push(status);
+  }
+  if (lateOnly) where.push('a.is_late = 1');
+
+  const columns = ATTENDANCE_FIELDS.split(',').map((c) => `a.${c.trim()}`).join(', ');
+  return normalizeRows(
+    await conn.query(
+      `SELECT ${columns}, u.name AS user_name
+       FROM attendance a
+       LEFT JOIN users u ON u.id = a.user_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY a.work_date DESC, a.clock_in_at DESC
+       LIMIT ?`,
+      [...params, limit || 100]
+    )
+  );
+}
+
+/**
+ * Insert today's record. Throws the driver's duplicate-key error (1062) when
+ * the user already clocked in on this day.
+ *
+ * @param {Object} conn
+ * @param {number} userId
+ * @param {Object} values - from validateClockEvent
+ * @param {Date} now
+ * @returns {Promise<number>} new attendance id
+ */
+async function clockIn(conn, userId, values, now) {
+  const { late_minutes: lateMinutes, is_late: isLate } = evaluateArrival(now);
+  const raw = await conn.query(
+    `INSERT INTO attendance
+      (user_id, work_date, status, is_late, late_minutes, clock_in_at,
+       clock_in_latitude, clock_in_longitude, clock_in_accuracy_m, clock_in_photo, clock_in_note)
+     VALUES (?, ?, 'open', ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      toWorkDate(now),
+      isLate,
+      lateMinutes,
+      now,
+      values.latitude,
+      values.longitude,
+      values.accuracy_m,
+      values.photo,
+      values.note,
+    ]
+  );
+  return getInsertId(raw);
+}
+
+/**
+ * Close an open record.
+ *
+ * @param {Object} conn
+ * @param {number} id
+ * @param {Object} values - from validateClockEvent
+ * @param {Date} now
+ * @returns {Promise<number>} affected rows (0 when it was no longer open)
+ */
+async function clockOut(conn, id, values, now) {
+  const raw = await conn.query(
+    `UPDATE attendance
+     SET status = 'closed', clock_out_at = ?, clock_out_latitude = ?, clock_out_longitude = ?,
+         clock_out_accuracy_m = ?, clock_out_photo = ?, clock_out_note = ?
+     WHERE id = ? AND status = 'open'`,
+    [now, values.latitude, values.longitude, values.accuracy_m, values.photo, values.note, id]
+  );
+  return getAffectedRows(raw);
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  getAttendanceRules,
+  toWorkDate,
+  evaluateArrival,
+  validateClockEvent,
+  validateListFilters,
+  markMissedClockOuts,
+  findAttendance,
+  findAttendanceById,
+  findPreviousAttendance,
+  listAttendance,
+  clockIn,
+  clockOut,
+};
@@ -0,0 +1,394 @@
+/**
+ * Customer contacts
+ * -----------------
+ * The people met at a customer (doctors, purchasing, nurses…), kept once per
+ * customer with their position (jabatan), phone and the date they were last
+ * met. Schema: migrations/014_create_customer_contacts.js.
+ *
+ * The sales form still sends the people met as `users_json`
+ * ([{ nama, jabatan, telepon?, contact_id? }]), which stays on the visit as
+ * typed. refreshVisitContacts turns that list into contacts of the visit's
+ * customer and links them in `visit_contacts` after every write to the visit:
+ *
+ *  - an entry with the `contact_id` of one of the customer's contacts (picked
+ *    from the quick-picks) is that contact; otherwise contacts match by name,
+ *    case-insensitively, and missing ones are created
+ *  - a position or phone typed in the visit updates the contact, unless the
+ *    contact was already met in a later visit
+ *  - drafts only link to contacts that already exist; contacts are created
+ *    and updated once the visit is submitted
+ *  - `last_met_at` is the latest submitted, non-deleted visit listing the
+ *    contact whose status is not "tidak bisa ditemui"
+ *
+ * Every function receives an open connection so callers can include it in
+ * their own transaction.
+ */
+
+const { normalizeRows, getInsertId, getAffectedRows } = require('../utils/dbHelpers');
+const { validateFields, CONTACT_POSITIONS, PHONE_PATTERN } = require('./visitSchemas');
+const hospitalService = require('./hospitalService');
+const visitService = require('./visitService');
+const { getValidationLists } = require('./masterDataService');
+
+/** Columns returned to clients. */
+const CONTACT_FIELDS = 'id, customer_id, name, position, phone, last_met_at, created_at, updated_at';
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/** Visit status meaning the listed people were not met. */
+const NOT_MET_STATUS = 'tidak bisa ditemui';
+
+/** Body of POST / PATCH /api/customers/:id/contacts. */
+const CONTACT_INPUT_FIELDS = {
+  name: { type: 'string', maxLength: 255, required: 'always', label: 'Name' },
+  position: { type: 'enum', values: CONTACT_POSITIONS, list: 'jabatan', label: 'Position' },
+  phone: { type: 'string', maxLength: 32, label: 'Phone' },
+};
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+/** Key contacts are matched by within a customer: lowercase, single spaces. */
+function contactNameKey(name) {
+  return hospitalService.cleanText(name).toLowerCase();
+}
+
+/**
+ * Validate a contact.
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - only look at keys present in input (PATCH)
+ * @param {Object} [options.lists] - from masterDataService.getValidationLists
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateContact(input = {}, { partial = false, lists } = {}) {
+  const { values, errors } = validateFields(CONTACT_INPUT_FIELDS, input, { partial, lists });
+  if (values.name !== undefined) values.name = hospitalService.cleanText(values.name);
+  if (values.phone && !PHONE_PATTERN.test(values.phone)) errors.phone = 'Phone is not a valid phone number';
+  return { values, errors };
+}
+
+/**
+ * Parse a visit's users_json into contact entries ({ name, position, phone, contactId }).
+ * Entries without a name are skipped; the first of two entries with the same name wins.
+ * @param {*} usersJson
+ * @param {string[]} [positions] - active `jabatan` values; other positions are dropped
+ * @returns {Array<Object>}
+ */
+function parseVisitContacts(usersJson, positions = CONTACT_POSITIONS) {
+  let list = usersJson;
+  if (typeof usersJson === 'string') {
+    try {
+      list = JSON.parse(usersJson);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+
+  const seen = new Set();
+  const entries = [];
+  for (const item of list) {
+    const name = hospitalService.cleanText(item?.nama).slice(0, 255);
+    if (!name || seen.has(contactNameKey(name))) continue;
+    seen.add(contactNameKey(name));
+
+    const position = hospitalService.cleanText(item.jabatan);
+    const phone = hospitalService.cleanText(item.telepon);
+    const contactId = Number(item.contact_id);
+    entries.push({
+      name,
+      position: positions.includes(position) ? position : null,
+      phone: phone && PHONE_PATTERN.test(phone) ? phone : null,
+      contactId: Number.isInteger(contactId) && contactId > 0 ? contactId : null,
+    });
+  }
+  return entries;
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+async function findContactById(conn, customerId, contactId) {
+  const rows = normalizeRows(
+    await conn.query(`SELECT ${CONTACT_FIELDS} FROM customer_contacts WHERE id = ? AND customer_id = ? LIMIT 1`, [
+      contactId,
+      customerId,
+    ])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * @param {Object} conn
+ * @param {number} customerId
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {boolean} [options.latest] - locking read of the latest committed row
+ * @returns {Promise<Object|null>}
+ */
+async function findContactByName(conn, customerId, name, { latest = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${CONTACT_FIELDS} FROM customer_contacts
+       WHERE customer_id = ? AND name_key = ? LIMIT 1${latest ? ' LOCK IN SHARE MODE' : ''}`,
+      [customerId, contactNameKey(name)]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Contacts of a customer, most recently met first (never met last), each with
+ * `visit_count` (submitted, non-deleted visits listing them).
+ * @returns {Promise<Array>}
+ */
+async function listContacts(conn, customerId) {
+  return normalizeRows(
+    await conn.query(
+      `SELECT ${CONTACT_FIELDS.split(', ').map((f) => `c.${f}`).join(', ')},
+              (SELECT COUNT(*) FROM visit_contacts vc JOIN visits v ON v.id = vc.visit_id
+               WHERE vc.contact_id = c.id AND v.deleted_at IS NULL AND v.is_draft = 0) AS visit_count
+       FROM customer_contacts c
+       WHERE c.customer_id = ?
+       ORDER BY c.last_met_at IS NULL, c.last_met_at DESC, c.name ASC`,
+      [customerId]
+    )
+  );
+}
+
+/**
+ * Contacts linked to a visit, in name order.
+ * @returns {Promise<Array>}
+ */
+async function listVisitContacts(conn, visitId) {
+  return normalizeRows(
+    await conn.query(
+      `SELECT ${CONTACT_FIELDS.split(', ').map((f) => `c.${f}`).join(', ')}
+       FROM visit_contacts vc JOIN customer_contacts c ON c.id = vc.contact_id
+       WHERE vc.visit_id = ?
+       ORDER BY c.name`,
+      [visitId]
+    )
+  );
+}
+
+/**
+ * Recompute `last_met_at` of some contacts from their visits.
+ * @param {Object} conn
+ * @param {number[]} contactIds
+ */
+async function refreshLastMet(conn, contactIds) {
+  if (!contactIds.length) return;
+  await conn.query(
+    `UPDATE customer_contacts c
+     SET c.last_met_at = (
+       SELECT MAX(v.visited_at)
+       FROM visit_contacts vc
+       JOIN visits v ON v.id = vc.visit_id
+       LEFT JOIN sales_visit_details s ON s.visit_id = v.id
+       WHERE vc.contact_id = c.id AND v.deleted_at IS NULL AND v.is_draft = 0
+         AND (s.visit_status IS NULL OR s.visit_status <> ?)
+     )
+     WHERE c.id IN (?)`,
+    [NOT_MET_STATUS, contactIds]
+  );
+}
+
+/** Ids of the contacts linked to a visit. */
+async function linkedContactIds(conn, visitId) {
+  const rows = normalizeRows(await conn.query('SELECT contact_id FROM visit_contacts WHERE visit_id = ?', [visitId]));
+  return rows.map((r) => Number(r.contact_id));
+}
+
+/* ----------------------
+ * Writes
+ * ---------------------- */
+
+/**
+ * Return the customer's contact with this name, creating it when missing.
+ * Existing contacts are not changed.
+ *
+ * @param {Object} conn
+ * @param {number} customerId
+ * @param {Object} values - { name, position?, phone? } (see validateContact)
+ * @param {Object} [options]
+ * @param {number|null} [options.userId]
+ * @returns {Promise<{ contact: Object, created: boolean }>}
+ */
+async function getOrCreateContact(conn, customerId, values, { userId = null } = {}) {
+  const existing = await findContactByName(conn, customerId, values.name);
+  if (existing) return { contact: existing, created: false };
+
+  try {
+    const raw = await conn.query(
+      `INSERT INTO customer_contacts (customer_id, name, name_key, position, phone, created_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [customerId, values.name, contactNameKey(values.name), values.position || null, values.phone || null, userId]
+    );
+    return { contact: await findContactById(conn, customerId, getInsertId(raw)), created: true };
+  } catch (err) {
+    if (err.errno !== ER_DUP_ENTRY) throw err;
+    return { contact: await findContactByName(conn, customerId, values.name, { latest: true }), created: false };
+  }
+}
+
+/**
+ * Update a contact's name, position or phone.
+ *
+ * @param {Object} conn
+ * @param {number} customerId
+ * @param {number} contactId
+ * @param {Object} values - validated (partial) values
+ * @returns {Promise<Object|null>} the updated contact; null when it does not exist
+ * @throws the driver error with errno 1062 when another contact has the new name
+ */
+async function updateContact(conn, customerId, contactId, values) {
+  const sets = [];
+  const params = [];
+  if (values.name !== undefined) {
+    sets.push('name = ?', 'name_key = ?');
+    params.push(values.name, contactNameKey(values.name));
+  }
+  for (const col of ['position', 'phone']) {
+    if (values[col] !== undefined) {
+      sets.push(`${col} = ?`);
+      params.push(values[col]);
+    }
+  }
+
+  if (sets.length) {
+    const raw = await conn.query(`UPDATE customer_contacts SET ${sets.join(', ')} WHERE id = ? AND customer_id = ?`, [
+      ...params,
+      contactId,
+      customerId,
+    ]);
+    if (getAffectedRows(raw) === 0) return null;
+  }
+  return findContactById(conn, customerId, contactId);
+}
+
+/**
+ * The contact a users_json entry refers to, created when missing; the
+ * entry's position and phone are copied onto it unless it was met later.
+ * For a draft only an existing contact is returned (or null), unchanged.
+ */
+async function resolveEntry(conn, visit, entry) {
+  const submitted = Number(visit.is_draft) === 0;
+
+  let contact = entry.contactId ? await findContactById(conn, visit.customer_id, entry.contactId) : null;
+  if (!contact) {
+    contact = submitted
+      ? (await getOrCreateContact(conn, visit.customer_id, entry, { userId: visit.user_id })).contact
+      : await findContactByName(conn, visit.customer_id, entry.name);
+  }
+  if (!contact || !submitted) return contact;
+
+  const isLatest = !contact.last_met_at || new Date(visit.visited_at) >= new Date(contact.last_met_at);
+  const updates = {};
+  if (isLatest && entry.position && entry.position !== contact.position) updates.position = entry.position;
+  if (isLatest && entry.phone && entry.phone !== contact.phone) updates.phone = entry.phone;
+  if (Object.keys(updates).length) await updateContact(conn, visit.customer_id, contact.id, updates);
+
+  return contact;
+}
+
+/**
+ * Link a visit to the contacts listed in its users_json, under the visit's
+ * customer (see the module comment). Visits without a customer or a contact
+ * list are unlinked. Call after refreshVisitCustomer.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<number[]>} ids of the linked contacts
+ */
+async function refreshVisitContacts(conn, visitId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit) return [];
+
+  const detail = visit.visit_type === 'sales' ? await visitService.findVisitDetail(conn, 'sales', visitId) : null;
+  const entries = visit.customer_id
+    ? parseVisitContacts(detail?.users_json, (await getValidationLists(conn)).jabatan)
+    : [];
+
+  const ids = [];
+  for (const entry of entries) {
+    const contact = await resolveEntry(conn, visit, entry);
+    if (contact && !ids.includes(Number(contact.id))) ids.push(Number(contact.id));
+  }
+
+  const previous = await linkedContactIds(conn, visitId);
+  const removed = previous.filter((id) => !ids.includes(id));
+  if (removed.length) {
+    await conn.query('DELETE FROM visit_contacts WHERE visit_id = ? AND contact_id IN (?)', [visitId, removed]);
+  }
+  for (const id of ids.filter((i) => !previous.includes(i))) {
+    await conn.query('INSERT IGNORE INTO visit_contacts (visit_id, contact_id) VALUES (?, ?)', [visitId, id]);
+  }
+
+  await refreshLastMet(conn, [...new Set([...ids, ...removed])]);
+  return ids;
+}
+
+/**
+ * Recompute `last_met_at` of the contacts of a visit that was deleted or
+ * restored (its links are kept while it is in the trash).
+ */
+async function refreshVisitLastMet(conn, visitId) {
+  await refreshLastMet(conn, await linkedContactIds(conn, visitId));
+}
+
+/**
+ * Move the contacts of a customer that is about to be deleted (hospital
+ * merge) to the customer it is folded into. Contacts with the same name are
+ * combined, keeping the target's position and phone unless it has none.
+ *
+ * @param {Object} conn
+ * @param {number} fromCustomerId
+ * @param {number} intoCustomerId
+ */
+async function mergeCustomerContacts(conn, fromCustomerId, intoCustomerId) {
+  const contacts = normalizeRows(
+    await conn.query('SELECT id, name, position, phone FROM customer_contacts WHERE customer_id = ?', [fromCustomerId])
+  );
+
+  for (const contact of contacts) {
+    const twin = await findContactByName(conn, intoCustomerId, contact.name);
+    if (!twin) {
+      await conn.query('UPDATE customer_contacts SET customer_id = ? WHERE id = ?', [intoCustomerId, contact.id]);
+      continue;
+    }
+
+    await conn.query(
+      `INSERT IGNORE INTO visit_contacts (visit_id, contact_id)
+       SELECT visit_id, ? FROM visit_contacts WHERE contact_id = ?`,
+      [twin.id, contact.id]
+    );
+    await conn.query(
+      'UPDATE customer_contacts SET position = COALESCE(position, ?), phone = COALESCE(phone, ?) WHERE id = ?',
+      [contact.position, contact.phone, twin.id]
+    );
+    await conn.query('DELETE FROM customer_contacts WHERE id = ?', [contact.id]);
+    await refreshLastMet(conn, [Number(twin.id)]);
+  }
+}
+
+module.exports = {
+  contactNameKey,
+  validateContact,
+  parseVisitContacts,
+  findContactById,
+  listContacts,
+  listVisitContacts,
+  getOrCreateContact,
+  updateContact,
+  refreshVisitContacts,
+  refreshVisitLastMet,
+  mergeCustomerContacts,
+};
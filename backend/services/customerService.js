@@ -0,0 +1,411 @@
+/**
+ * Customer (account) service
+ * --------------------------
+ * The hospital or company a visit was made at, so visits can be reported per
+ * customer. Schema: migrations/013_create_customers.js.
+ *
+ *   healthcare      linked to a hospital (one customer per hospital), or
+ *                   free-standing when the facility is not in the hospital list
+ *   non_healthcare  free-standing, identified by its name
+ *
+ * Visits are linked by the server, never by the app: refreshVisitCustomer
+ * resolves the hospital or location name picked in the form (Nama Lokasi) to a
+ * customer after every write to the visit. Submitted visits create the
+ * customer when missing; drafts only link to one that already exists, so an
+ * abandoned draft never adds to the customer list. Names match
+ * case-insensitively, so "PT Maju  Jaya" and "pt maju jaya" are one customer.
+ *
+ * Every function receives an open connection so callers can include it in
+ * their own transaction.
+ */
+
+const { normalizeRows, getInsertId } = require('../utils/dbHelpers');
+const { validateFields, SALES_CATEGORIES, REGIONS } = require('./visitSchemas');
+const hospitalService = require('./hospitalService');
+const visitService = require('./visitService');
+const geofenceService = require('./geofenceService');
+const contactService = require('./contactService');
+const { getValidationLists } = require('./masterDataService');
+
+const CUSTOMER_TYPES = SALES_CATEGORIES;
+
+/** Columns returned to clients. */
+const CUSTOMER_FIELDS = 'id, name, customer_type, hospital_id, region, address, created_at, updated_at';
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/** Body of POST /api/customers. */
+const CUSTOMER_INPUT_FIELDS = {
+  name: { type: 'string', maxLength: 255, label: 'Name' },
+  customer_type: { type: 'enum', values: CUSTOMER_TYPES, label: 'Customer type' },
+  hospital_id: { type: 'integer', min: 1, label: 'Hospital' },
+  region: { type: 'enum', values: REGIONS, list: 'regions', label: 'Region' },
+  address: { type: 'string', maxLength: 500, label: 'Address' },
+};
+
+/** Query of GET /api/customers. */
+const SEARCH_QUERY_FIELDS = {
+  q: { type: 'string', maxLength: 100, label: 'q' },
+  type: { type: 'enum', values: CUSTOMER_TYPES, label: 'type' },
+  limit: { type: 'integer', min: 1, max: MAX_SEARCH_LIMIT, label: 'limit' },
+};
+
+/**
+ * Detail column holding the location name per visit type, and the customer
+ * type a free-standing location gets (sales visits use their sales_category).
+ */
+const VISIT_LOCATION = {
+  sales: { column: 'location_name', customerType: null },
+  technician_activity: { column: 'location_name', customerType: 'healthcare' },
+  technician_service: { column: 'healthcare_facility_name', customerType: 'healthcare' },
+};
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+/** Key free-standing customers are matched by: lowercase, single spaces. */
+function customerNameKey(name) {
+  return hospitalService.cleanText(name).toLowerCase();
+}
+
+/**
+ * Validate a new customer: either `hospital_id`, or `name` + `customer_type`.
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {Object} [options.lists] - from masterDataService.getValidationLists
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateCustomer(input = {}, { lists } = {}) {
+  const { values, errors } = validateFields(CUSTOMER_INPUT_FIELDS, input, { lists });
+  if (!values.hospital_id) {
+    if (!values.name && !errors.name) errors.name = 'name or hospital_id is required';
+    if (!values.customer_type && !errors.customer_type) errors.customer_type = 'Customer type is required';
+  }
+  return { values, errors };
+}
+
+/**
+ * Validate the query of GET /api/customers (q, type, limit).
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateSearchQuery(query = {}) {
+  return validateFields(SEARCH_QUERY_FIELDS, query);
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/** Escape LIKE wildcards so user input is matched literally. */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+async function findCustomerById(conn, id) {
+  const rows = normalizeRows(await conn.query(`SELECT ${CUSTOMER_FIELDS} FROM customers WHERE id = ? LIMIT 1`, [id]));
+  return rows[0] || null;
+}
+
+/**
+ * @param {Object} conn
+ * @param {number} hospitalId
+ * @param {Object} [options]
+ * @param {boolean} [options.latest] - locking read of the latest committed row
+ * @returns {Promise<Object|null>}
+ */
+async function findCustomerByHospital(conn, hospitalId, { latest = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${CUSTOMER_FIELDS} FROM customers WHERE hospital_id = ? LIMIT 1${latest ? ' LOCK IN SHARE MODE' : ''}`,
+      [hospitalId]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Free-standing customer by type and name (case-insensitive).
+ * @returns {Promise<Object|null>}
+ */
+async function findCustomerByName(conn, customerType, name, { latest = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${CUSTOMER_FIELDS} FROM customers
+       WHERE customer_type = ? AND name_key = ? LIMIT 1${latest ? ' LOCK IN SHARE MODE' : ''}`,
+      [customerType, customerNameKey(name)]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Search customers by partial name, name prefix matches first. Each row has
+ * `visit_count` (non-deleted visits).
+ *
+ * @param {Object} conn
+ * @param {Object} params
+ * @param {string} [params.q]
+ * @param {string} [params.type] - healthcare | non_healthcare
+ * @param {number} [params.limit=20]
+ * @returns {Promise<Array>}
+ */
+async function searchCustomers(conn, { q, type, limit }) {
+  const where = [];
+  const params = [];
+  const term = q ? escapeLike(q) : null;
+
+  if (term) {
+    where.push('c.name LIKE ?');
+    params.push(`%${term}%`);
+  }
+  if (type) {
+    where.push('c.customer_type = ?');
+    params.push(type);
+  }
+  if (term) params.push(`${term}%`);
+
+  const sql = `
+    SELECT ${CUSTOMER_FIELDS.split(', ').map((f) => `c.${f}`).join(', ')},
+           (SELECT COUNT(*) FROM visits v WHERE v.customer_id = c.id AND v.deleted_at IS NULL) AS visit_count
+    FROM customers c
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY ${term ? '(c.name LIKE ?) DESC, ' : ''}c.name ASC
+    LIMIT ?
+  `;
+  return normalizeRows(await conn.query(sql, [...params, limit || DEFAULT_SEARCH_LIMIT]));
+}
+
+/**
+ * Non-deleted visits made at a customer, per visit type.
+ *
+ * @param {Object} conn
+ * @param {number} customerId
+ * @param {Object} [options]
+ * @param {number|null} [options.userId] - only this user's visits (null: everyone's)
+ * @returns {Promise<{ visit_count: number, by_type: Object, first_visited_at: Date|null, last_visited_at: Date|null }>}
+ */
+async function summarizeCustomerVisits(conn, customerId, { userId = null } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT visit_type, COUNT(*) AS visit_count, MIN(visited_at) AS first_visited_at, MAX(visited_at) AS last_visited_at
+       FROM visits
+       WHERE customer_id = ? AND deleted_at IS NULL${userId ? ' AND user_id = ?' : ''}
+       GROUP BY visit_type`,
+      userId ? [customerId, userId] : [customerId]
+    )
+  );
+
+  const summary = { visit_count: 0, by_type: {}, first_visited_at: null, last_visited_at: null };
+  for (const row of rows) {
+    const count = Number(row.visit_count);
+    summary.visit_count += count;
+    summary.by_type[row.visit_type] = count;
+    if (!summary.first_visited_at || row.first_visited_at < summary.first_visited_at) {
+      summary.first_visited_at = row.first_visited_at;
+    }
+    if (!summary.last_visited_at || row.last_visited_at > summary.last_visited_at) {
+      summary.last_visited_at = row.last_visited_at;
+    }
+  }
+  return summary;
+}
+
+/* ----------------------
+ * Get-or-create
+ * ---------------------- */
+
+/**
+ * INSERT a customer; when a concurrent request inserted the same one first,
+ * re-read it with `findExisting`.
+ */
+async function insertOrFind(conn, row, findExisting) {
+  try {
+    const raw = await conn.query(
+      `INSERT INTO customers (name, customer_type, hospital_id, name_key, region, address, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [row.name, row.customer_type, row.hospital_id, row.name_key, row.region, row.address, row.created_by]
+    );
+    return { customer: await findCustomerById(conn, getInsertId(raw)), created: true };
+  } catch (err) {
+    if (err.errno !== ER_DUP_ENTRY) throw err;
+    return { customer: await findExisting(), created: false };
+  }
+}
+
+/**
+ * The customer of a hospital, created from the hospital's name, region and
+ * street when missing. A merged hospital resolves to the one it was merged into.
+ *
+ * @param {Object} conn
+ * @param {Object} hospital - hospitals row
+ * @param {Object} [options]
+ * @param {number|null} [options.userId]
+ * @param {boolean} [options.create=true] - false: only return an existing customer
+ * @returns {Promise<{ customer: Object, created: boolean }|null>} null when missing and not created
+ */
+async function getOrCreateHospitalCustomer(conn, hospital, { userId = null, create = true } = {}) {
+  let target = hospital;
+  if (target.status === 'merged' && target.merged_into_id) {
+    target = (await hospitalService.findHospitalById(conn, target.merged_into_id)) || target;
+  }
+
+  const existing = await findCustomerByHospital(conn, target.hospital_id);
+  if (existing) return { customer: existing, created: false };
+  if (!create) return null;
+
+  return insertOrFind(
+    conn,
+    {
+      name: hospitalService.cleanText(target.name) || `Hospital #${target.hospital_id}`,
+      customer_type: 'healthcare',
+      hospital_id: target.hospital_id,
+      name_key: null,
+      region: target.region || null,
+      address: target.street || null,
+      created_by: userId,
+    },
+    () => findCustomerByHospital(conn, target.hospital_id, { latest: true })
+  );
+}
+
+/**
+ * Return the customer for validated input (see validateCustomer), creating it
+ * when missing. Existing customers are never overwritten.
+ *
+ * @param {Object} conn
+ * @param {Object} values - { hospital_id } or { name, customer_type, region?, address? }
+ * @param {Object} [options]
+ * @param {number|null} [options.userId]
+ * @param {boolean} [options.create=true] - false: only return an existing customer
+ * @returns {Promise<{ customer: Object, created: boolean }|null>} null when hospital_id does not exist,
+ *   or when the customer is missing and not created
+ */
+async function getOrCreateCustomer(conn, values, { userId = null, create = true } = {}) {
+  if (values.hospital_id) {
+    const hospital = await hospitalService.findHospitalById(conn, values.hospital_id);
+    return hospital ? getOrCreateHospitalCustomer(conn, hospital, { userId, create }) : null;
+  }
+
+  const name = hospitalService.cleanText(values.name);
+  const existing = await findCustomerByName(conn, values.customer_type, name);
+  if (existing) return { customer: existing, created: false };
+  if (!create) return null;
+
+  return insertOrFind(
+    conn,
+    {
+      name,
+      customer_type: values.customer_type,
+      hospital_id: null,
+      name_key: customerNameKey(name),
+      region: values.region || null,
+      address: values.address || null,
+      created_by: userId,
+    },
+    () => findCustomerByName(conn, values.customer_type, name, { latest: true })
+  );
+}
+
+/* ----------------------
+ * Visits
+ * ---------------------- */
+
+/**
+ * Link a visit to the customer of its hospital (`hospital_id`, or for faskes
+ * sales visits the active hospital with the same region + name) or else of
+ * its location name. Submitted visits create the customer when missing;
+ * drafts stay unlinked until it exists. Visits without either are unlinked.
+ * Call after the header or detail of a visit is written.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<Object|null>} the customer, or null
+ */
+async function refreshVisitCustomer(conn, visitId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit) return null;
+
+  const detail = await visitService.findVisitDetail(conn, visit.visit_type, visitId);
+  const location = VISIT_LOCATION[visit.visit_type];
+  const options = { userId: visit.user_id, create: Number(visit.is_draft) === 0 };
+
+  let result = null;
+  if (visit.hospital_id) {
+    result = await getOrCreateCustomer(conn, { hospital_id: visit.hospital_id }, options);
+  } else if (visit.sales_category === 'healthcare') {
+    // Older app builds sent only the hospital's name and region
+    const hospital = await geofenceService.findVisitHospital(conn, visit, detail);
+    if (hospital) result = await getOrCreateHospitalCustomer(conn, hospital, options);
+  }
+
+  const name = hospitalService.cleanText(detail?.[location.column]);
+  if (!result && name) {
+    result = await getOrCreateCustomer(
+      conn,
+      {
+        name: name.slice(0, 255),
+        customer_type: location.customerType || visit.sales_category || 'non_healthcare',
+        region: hospitalService.normalizeRegion(detail.region, (await getValidationLists(conn)).regions),
+        address: hospitalService.cleanText(detail.location_address).slice(0, 500) || null,
+      },
+      options
+    );
+  }
+
+  const customer = result ? result.customer : null;
+  const customerId = customer ? customer.id : null;
+  if (String(visit.customer_id ?? '') !== String(customerId ?? '')) {
+    await conn.query('UPDATE visits SET customer_id = ? WHERE id = ?', [customerId, visitId]);
+  }
+  return customer;
+}
+
+/**
+ * After a hospital merge: the duplicate's customer is folded into the kept
+ * hospital's customer (its visits and contacts move over), or re-linked to
+ * the kept hospital when that has no customer yet.
+ *
+ * @param {Object} conn
+ * @param {Object} source - merged hospital
+ * @param {Object} target - kept hospital
+ */
+async function mergeHospitalCustomers(conn, source, target) {
+  const from = await findCustomerByHospital(conn, source.hospital_id);
+  if (!from) return;
+
+  const into = await findCustomerByHospital(conn, target.hospital_id);
+  if (!into) {
+    await conn.query('UPDATE customers SET hospital_id = ?, name = ? WHERE id = ?', [
+      target.hospital_id,
+      hospitalService.cleanText(target.name) || from.name,
+      from.id,
+    ]);
+    return;
+  }
+
+  await conn.query('UPDATE visits SET customer_id = ? WHERE customer_id = ?', [into.id, from.id]);
+  await contactService.mergeCustomerContacts(conn, from.id, into.id);
+  await conn.query('DELETE FROM customers WHERE id = ?', [from.id]);
+}
+
+module.exports = {
+  CUSTOMER_TYPES,
+  customerNameKey,
+  validateCustomer,
+  validateSearchQuery,
+  findCustomerById,
+  findCustomerByHospital,
+  searchCustomers,
+  summarizeCustomerVisits,
+  getOrCreateCustomer,
+  refreshVisitCustomer,
+  mergeHospitalCustomers,
+};
@@ -0,0 +1,156 @@
+/**
+ * Geofenced check-in verification
+ * -------------------------------
+ * Compares where a sales visit was submitted from (visits.latitude/longitude,
+ * plus the GPS accuracy and capture time sent by the app) with the hospital
+ * picked in the form, and stores the outcome on the visit:
+ *
+ *   inside        within GEOFENCE_RADIUS_M of the hospital
+ *   outside       farther than GEOFENCE_RADIUS_M
+ *   low_accuracy  within the radius, but the GPS fix was worse than GEOFENCE_MAX_ACCURACY_M
+ *   stale         the fix was taken more than GEOFENCE_MAX_AGE_MINUTES before/after the visit
+ *   unverified    no coordinates, no hospital, or the hospital has no coordinates
+ *
+ * Everything but `inside` is shown as a warning. The hospital is the visit's
+ * `hospital_id`; visits from older app builds are matched by region + name.
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+const { readPositiveNumber } = require('../utils/envHelpers');
+const hospitalService = require('./hospitalService');
+const { getValidationLists } = require('./masterDataService');
+const visitService = require('./visitService');
+
+const DEFAULT_RADIUS_M = 1000;
+const DEFAULT_MAX_ACCURACY_M = 100;
+const DEFAULT_MAX_AGE_MINUTES = 30;
+
+/** Statuses shown as a warning (GET /api/visits?geofence=flagged). */
+const FLAGGED_STATUSES = ['outside', 'low_accuracy', 'stale', 'unverified'];
+
+const GEOFENCE_STATUSES = ['inside', ...FLAGGED_STATUSES];
+
+/** Only sales visits are checked in at a hospital. */
+const GEOFENCED_VISIT_TYPES = ['sales'];
+
+/**
+ * Current limits from .env (utils/envHelpers.js).
+ * @returns {{ radiusM: number, maxAccuracyM: number, maxAgeMinutes: number }}
+ */
+function getGeofenceConfig() {
+  return {
+    radiusM: readPositiveNumber('GEOFENCE_RADIUS_M', DEFAULT_RADIUS_M),
+    maxAccuracyM: readPositiveNumber('GEOFENCE_MAX_ACCURACY_M', DEFAULT_MAX_ACCURACY_M),
+    maxAgeMinutes: readPositiveNumber('GEOFENCE_MAX_AGE_MINUTES', DEFAULT_MAX_AGE_MINUTES),
+  };
+}
+
+/**
+ * Map the `geofence` query parameter onto statuses.
+ * @param {string} value - a status, or `flagged`
+ * @returns {string[]|null} null when unknown
+ */
+function resolveGeofenceFilter(value) {
+  const key = String(value).trim().toLowerCase();
+  if (key === 'flagged') return FLAGGED_STATUSES;
+  return GEOFENCE_STATUSES.includes(key) ? [key] : null;
+}
+
+const isSet = (v) => v !== null && v !== undefined && v !== '';
+
+/**
+ * Decide the geofence status of one visit.
+ *
+ * @param {Object} visit - visits row (latitude, longitude, location_accuracy_m, location_captured_at, visited_at)
+ * @param {Object|null} hospital - hospitals row
+ * @param {Object} [config] - from getGeofenceConfig
+ * @returns {{ status: string, distance_m: number|null }}
+ */
+function evaluateGeofence(visit, hospital, config = getGeofenceConfig()) {
+  const hasVisitPoint = isSet(visit.latitude) && isSet(visit.longitude);
+  const hasHospitalPoint = hospital && isSet(hospital.latitude) && isSet(hospital.longitude);
+  if (!hasVisitPoint || !hasHospitalPoint) return { status: 'unverified', distance_m: null };
+
+  const distance = Math.round(hospitalService.distanceMeters(visit, hospital));
+  if (distance > config.radiusM) return { status: 'outside', distance_m: distance };
+
+  // Older app builds do not send accuracy / capture time; they are not flagged for it
+  if (isSet(visit.location_accuracy_m) && Number(visit.location_accuracy_m) > config.maxAccuracyM) {
+    return { status: 'low_accuracy', distance_m: distance };
+  }
+
+  if (isSet(visit.location_captured_at) && isSet(visit.visited_at)) {
+    const ageMs = Math.abs(new Date(visit.visited_at).getTime() - new Date(visit.location_captured_at).getTime());
+    if (ageMs > config.maxAgeMinutes * 60 * 1000) return { status: 'stale', distance_m: distance };
+  }
+
+  return { status: 'inside', distance_m: distance };
+}
+
+/**
+ * The hospital a visit was made at: `hospital_id`, or else the active hospital
+ * with the same name in the same region (sales detail).
+ *
+ * @param {Object} conn
+ * @param {Object} visit - visits row
+ * @param {Object|null} detail - sales_visit_details row
+ * @returns {Promise<Object|null>}
+ */
+async function findVisitHospital(conn, visit, detail) {
+  if (visit.hospital_id) return hospitalService.findHospitalById(conn, visit.hospital_id);
+
+  const name = hospitalService.cleanText(detail?.location_name);
+  if (!name || !detail.region) return null;
+
+  const region = hospitalService.normalizeRegion(detail.region, (await getValidationLists(conn)).regions);
+  if (!region) return null;
+
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT hospital_id, region, name, latitude, longitude FROM hospitals
+       WHERE region = ? AND LOWER(name) = LOWER(?) AND status = 'active'
+       LIMIT 1`,
+      [region, name]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Recompute and store the geofence result of a visit. Call after the header
+ * or detail of a visit is written; visit types other than sales are left alone.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<{ status: string, distance_m: number|null, radius_m: number }|null>}
+ *   null when the visit is missing or not geofenced
+ */
+async function refreshVisitGeofence(conn, visitId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit || !GEOFENCED_VISIT_TYPES.includes(visit.visit_type)) return null;
+
+  const detail = await visitService.findVisitDetail(conn, visit.visit_type, visitId);
+  const config = getGeofenceConfig();
+  const hospital = await findVisitHospital(conn, visit, detail);
+  const { status, distance_m: distance } = evaluateGeofence(visit, hospital, config);
+
+  await conn.query('UPDATE visits SET geofence_status = ?, geofence_distance_m = ? WHERE id = ?', [
+    status,
+    distance,
+    visitId,
+  ]);
+
+  return { status, distance_m: distance, radius_m: config.radiusM };
+}
+
+module.exports = {
+  GEOFENCE_STATUSES,
+  FLAGGED_STATUSES,
+  getGeofenceConfig,
+  resolveGeofenceFilter,
+  evaluateGeofence,
+  findVisitHospital,
+  refreshVisitGeofence,
+};
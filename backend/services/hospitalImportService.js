@@ -0,0 +1,345 @@
+/**
+ * Hospital CSV import
+ * -------------------
+ * Replaces the hand-run `LOAD DATA LOCAL INFILE` + `TRUNCATE` scripts.
+ * Used by scripts/importHospitals.js:
+ *
+ *   1. parseCsv()        comma or semicolon, LF or CRLF, quoted fields, BOM
+ *   2. normalizeRecord() clean text, normalize the region, validate lat/lng
+ *   3. diffHospitals()   compare with the table by (region, name)
+ *   4. applyDiff()       insert added, update changed, optionally deactivate removed
+ *
+ * Imported hospitals are active right away; every change is written to the
+ * audit log as action 'import' (no user).
+ *
+ * Expected columns (header names are matched case-insensitively):
+ *   Nama_RS, Street (or ALAMAT), Lat, Lng (or "Koordinat" as "lat, lng"), region
+ * Other columns (No, AlamatDiMaps, ...) are ignored.
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const hospitalService = require('./hospitalService');
+
+const { cleanText, normalizeRegion, sameCoordinate, INDONESIA_BOUNDS } = hospitalService;
+
+/** Header aliases → field. */
+const COLUMN_ALIASES = {
+  name: ['nama_rs', 'name', 'nama', 'nama rs'],
+  street: ['street', 'jalan'],
+  address: ['alamat', 'address'],
+  latitude: ['lat', 'latitude'],
+  longitude: ['lng', 'long', 'longitude'],
+  coordinates: ['koordinat', 'coordinates', 'coordinate'],
+  region: ['region', 'provinsi', 'wilayah'],
+};
+
+/* ----------------------
+ * CSV parsing
+ * ---------------------- */
+
+/** Pick "," or ";" by counting them (outside quotes) in the header line. */
+function detectDelimiter(text) {
+  let commas = 0;
+  let semicolons = 0;
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch === ',') commas += 1;
+    else if (!quoted && ch === ';') semicolons += 1;
+  }
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180 quoting, LF or CRLF).
+ *
+ * @param {string} text
+ * @param {string} [delimiter] - detected from the header line when omitted
+ * @returns {string[][]}
+ */
+function parseCsv(text, delimiter) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(input);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((v) => cleanText(v) !== ''));
+}
+
+/**
+ * Turn parsed rows into records keyed by field name (see COLUMN_ALIASES).
+ *
+ * @param {string[][]} rows - header row first
+ * @returns {{ records: Array<{ line: number, values: Object }>, missingColumns: string[] }}
+ */
+function toRecords(rows) {
+  const [header = [], ...body] = rows;
+  const columns = header.map((h) => cleanText(h).toLowerCase());
+
+  const index = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const i = columns.findIndex((c) => aliases.includes(c));
+    if (i !== -1) index[field] = i;
+  }
+
+  const missingColumns = ['name', 'region'].filter((f) => index[f] === undefined);
+  if (index.latitude === undefined && index.coordinates === undefined) missingColumns.push('latitude');
+  if (index.longitude === undefined && index.coordinates === undefined) missingColumns.push('longitude');
+
+  const records = body.map((cells, i) => {
+    const values = {};
+    for (const [field, col] of Object.entries(index)) values[field] = cells[col];
+    return { line: i + 2, values };
+  });
+
+  return { records, missingColumns };
+}
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+/**
+ * Parse one coordinate ("-6.2146", "-6,2146" from semicolon files).
+ * @returns {number|null|NaN} null when blank, NaN when invalid
+ */
+function parseCoordinate(value) {
+  let text = cleanText(value);
+  if (!text) return null;
+  if (/^[-+]?\d+,\d+$/.test(text)) text = text.replace(',', '.');
+  const n = Number(text);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/** Ways a "Koordinat" cell separates latitude and longitude, tried in order. */
+const COORDINATE_SEPARATORS = [
+  /\s*;\s*/, // "-6,2146; 106,8451"
+  /\s*,\s*/, // "-6.2146, 106.8451"
+  /,?\s+/, // "-6,2146 106,8451" (decimal commas), "-6.2146 106.8451"
+];
+
+/**
+ * Split a "Koordinat" cell into latitude and longitude.
+ * @returns {[number, number]|null} null when no separator yields two numbers
+ */
+function parseCoordinatePair(value) {
+  const text = cleanText(value);
+  for (const separator of COORDINATE_SEPARATORS) {
+    const parts = text.split(separator);
+    if (parts.length !== 2) continue;
+    const [latitude, longitude] = parts.map(parseCoordinate);
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) return [latitude, longitude];
+  }
+  return null;
+}
+
+/**
+ * Clean and validate one CSV record.
+ *
+ * @param {{ line: number, values: Object }} record
+ * @param {string[]} [regions] - active `regions` values
+ * @returns {{ hospital?: Object, error?: string }}
+ */
+function normalizeRecord({ values }, regions) {
+  const name = cleanText(values.name);
+  if (!name) return { error: 'name is empty' };
+
+  const region = normalizeRegion(values.region, regions);
+  if (!region) return { error: `unknown region "${cleanText(values.region)}"` };
+
+  let latitude = parseCoordinate(values.latitude);
+  let longitude = parseCoordinate(values.longitude);
+  if (latitude === null && longitude === null && cleanText(values.coordinates)) {
+    const pair = parseCoordinatePair(values.coordinates);
+    if (!pair) return { error: `coordinates "${cleanText(values.coordinates)}" are not "lat, lng"` };
+    [latitude, longitude] = pair;
+  }
+
+  if ((latitude === null) !== (longitude === null)) return { error: 'latitude and longitude must both be set' };
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) return { error: 'latitude/longitude is not a number' };
+  if (latitude !== null) {
+    const b = INDONESIA_BOUNDS;
+    if (latitude < b.minLat || latitude > b.maxLat || longitude < b.minLng || longitude > b.maxLng) {
+      return { error: `coordinates ${latitude}, ${longitude} are outside Indonesia (swapped?)` };
+    }
+  }
+
+  return {
+    hospital: {
+      name,
+      region,
+      street: cleanText(values.street) || cleanText(values.address) || null,
+      latitude,
+      longitude,
+    },
+  };
+}
+
+/** Match key: region + case-insensitive name. */
+function hospitalKey(h) {
+  return `${h.region}|${cleanText(h.name).toLowerCase()}`;
+}
+
+/**
+ * Parse and validate a whole CSV file.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string[]} [options.regions] - active `regions` values (masterDataService.getValidationLists)
+ * @returns {{ hospitals: Object[], rejected: Array<{ line, name, error }>, duplicates: Array<{ line, name }>, missingColumns: string[] }}
+ */
+function parseHospitalCsv(text, { regions } = {}) {
+  const { records, missingColumns } = toRecords(parseCsv(text));
+  const hospitals = [];
+  const rejected = [];
+  const duplicates = [];
+  const seen = new Set();
+
+  if (missingColumns.length) return { hospitals, rejected, duplicates, missingColumns };
+
+  for (const record of records) {
+    const { hospital, error } = normalizeRecord(record, regions);
+    if (error) {
+      rejected.push({ line: record.line, name: cleanText(record.values.name), error });
+      continue;
+    }
+    const key = hospitalKey(hospital);
+    if (seen.has(key)) {
+      duplicates.push({ line: record.line, name: hospital.name });
+      continue;
+    }
+    seen.add(key);
+    hospitals.push(hospital);
+  }
+
+  return { hospitals, rejected, duplicates, missingColumns };
+}
+
+/* ----------------------
+ * Diff & apply
+ * ---------------------- */
+
+/**
+ * Compare imported hospitals with the current rows. Merged rows are ignored;
+ * only active rows that are missing from the file count as removed (pending
+ * proposals from field staff are left to the admins).
+ *
+ * @param {Object[]} existing - rows from hospitalService.listAllHospitals
+ * @param {Object[]} incoming - hospitals from parseHospitalCsv
+ * @returns {{ added: Object[], changed: Array<{ before, after, fields }>, removed: Object[], unchanged: number }}
+ */
+function diffHospitals(existing, incoming) {
+  const current = new Map();
+  for (const row of existing) {
+    if (row.status === 'merged') continue;
+    // Rows saved before region normalization ("Jawa Barat") still match
+    const region = normalizeRegion(row.region) || row.region;
+    const key = hospitalKey({ ...row, region });
+    if (!current.has(key)) current.set(key, row);
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const hospital of incoming) {
+    const key = hospitalKey(hospital);
+    const row = current.get(key);
+    current.delete(key);
+
+    if (!row) {
+      added.push(hospital);
+      continue;
+    }
+
+    const fields = [];
+    if (row.name !== hospital.name) fields.push('name');
+    if (row.region !== hospital.region) fields.push('region');
+    if ((row.street || null) !== hospital.street) fields.push('street');
+    if (!sameCoordinate(row.latitude, hospital.latitude)) fields.push('latitude');
+    if (!sameCoordinate(row.longitude, hospital.longitude)) fields.push('longitude');
+
+    if (fields.length) changed.push({ before: row, after: { ...hospital, hospital_id: row.hospital_id }, fields });
+    else unchanged += 1;
+  }
+
+  const removed = [...current.values()].filter((row) => (row.status || 'active') === 'active');
+  return { added, changed, removed, unchanged };
+}
+
+/**
+ * Write a diff in one transaction. Removed hospitals are only deactivated with `prune`.
+ *
+ * @param {Object} conn
+ * @param {Object} diff - from diffHospitals
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=false]
+ */
+async function applyDiff(conn, diff, { prune = false } = {}) {
+  const audit = { userId: null, action: 'import' };
+  await conn.beginTransaction();
+  try {
+    for (const h of diff.added) {
+      await hospitalService.createHospital(conn, h, { ...audit, status: 'active' });
+    }
+    for (const { before, after } of diff.changed) {
+      await hospitalService.updateHospital(conn, before, after, audit);
+    }
+    if (prune) {
+      for (const h of diff.removed) {
+        await hospitalService.setHospitalStatus(conn, h, 'inactive', audit);
+      }
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  }
+}
+
+module.exports = {
+  parseCsv,
+  parseHospitalCsv,
+  normalizeRecord,
+  diffHospitals,
+  applyDiff,
+};
@@ -0,0 +1,778 @@
+/**
+ * Hospital (faskes) data-access service
+ * -------------------------------------
+ * Master data behind the sales forms' location search. Regions are stored
+ * as values of the `regions` master data list (e.g. "jawa_barat");
+ * normalizeRegion() maps the spellings found in source spreadsheets onto them.
+ *
+ * Lifecycle (status):
+ *   pending   proposed by field staff, only visible to the proposer and admins
+ *   active    offered by the forms
+ *   inactive  deactivated (closed, rejected proposal)
+ *   merged    duplicate of `merged_into_id`
+ *
+ * Every change is written to hospital_audit_log as field → { from, to }.
+ * Field staff edit through change requests that an admin approves.
+ *
+ * Every function receives an open connection, like the other services;
+ * callers wrap multi-step changes in a transaction.
+ *
+ * Schema: see migrations/002_create_hospitals.js, 006_hospital_management.js
+ */
+
+const { normalizeRows, getInsertId, getAffectedRows } = require('../utils/dbHelpers');
+const { REGIONS } = require('./visitSchemas');
+
+const HOSPITAL_FIELDS = 'hospital_id, region, name, street, latitude, longitude, status';
+
+/** Columns returned by the admin endpoints. */
+const HOSPITAL_DETAIL_FIELDS = `${HOSPITAL_FIELDS}, merged_into_id, created_by, approved_by, approved_at, created_at, updated_at`;
+
+const CHANGE_REQUEST_FIELDS = 'id, hospital_id, requested_by, changes, status, reviewed_by, reviewed_at, review_note, created_at';
+
+const HOSPITAL_STATUSES = ['pending', 'active', 'inactive', 'merged'];
+
+/** Fields that can be set through create / update / change requests. */
+const EDITABLE_FIELDS = ['name', 'region', 'street', 'latitude', 'longitude'];
+
+/** Two hospitals closer than this are reported as possible duplicates. */
+const DUPLICATE_DISTANCE_METERS = 100;
+
+/** Rough bounding box of Indonesia; points outside are almost always swapped or mistyped. */
+const INDONESIA_BOUNDS = { minLat: -11.5, maxLat: 6.5, minLng: 94.5, maxLng: 141.5 };
+
+/** Words that do not tell two hospital names apart ("RSUD Cibinong" = "Rumah Sakit Umum Daerah Cibinong"). */
+const NAME_NOISE = /\b(rumah sakit( umum)?( daerah)?|rsud|rsu|rs)\b/g;
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+/** Nearest-hospital lookup defaults (GET /api/hospitals/nearest). */
+const DEFAULT_NEAREST_RADIUS_KM = 5;
+const MAX_NEAREST_RADIUS_KM = 50;
+const DEFAULT_NEAREST_LIMIT = 10;
+const MAX_NEAREST_LIMIT = 50;
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Province / city spellings that do not start with a region value.
+ * Keys are cleaned with cleanRegionText().
+ */
+const REGION_ALIASES = {
+  dki: 'jakarta',
+  'dki jakarta': 'jakarta',
+  jabar: 'jawa_barat',
+  jateng: 'jawa_tengah',
+  jatim: 'jawa_timur',
+  diy: 'yogyakarta',
+  jogja: 'yogyakarta',
+  jogjakarta: 'yogyakarta',
+  'di yogyakarta': 'yogyakarta',
+  'd i yogyakarta': 'yogyakarta',
+  'daerah istimewa yogyakarta': 'yogyakarta',
+  'nusa tenggara timur': 'ntt',
+  'nusa tenggara barat': 'ntb',
+  sumatra: 'sumatera',
+  aceh: 'sumatera',
+  riau: 'sumatera',
+  'kepulauan riau': 'sumatera',
+  jambi: 'sumatera',
+  bengkulu: 'sumatera',
+  lampung: 'sumatera',
+  'bangka belitung': 'sumatera',
+  'kepulauan bangka belitung': 'sumatera',
+  gorontalo: 'sulawesi',
+};
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/**
+ * Remove NBSP / zero-width characters, trim and collapse whitespace.
+ * Spreadsheet exports are full of them.
+ */
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  return String(value)
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+    .replace(/\u00A0/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Lowercase, drop "provinsi", turn separators into single spaces. */
+function cleanRegionText(value) {
+  return cleanText(value)
+    .toLowerCase()
+    .replace(/^prov(insi)?\.?\s+/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Map a region spelling to a `regions` value.
+ *
+ *   "Jawa Barat" / "jawa_barat" / "JABAR"      → "jawa_barat"
+ *   "DKI Jakarta"                               → "jakarta"
+ *   "Sumatera Utara" / "Kalimantan Timur"       → "sumatera" / "kalimantan"
+ *
+ * @param {*} value
+ * @param {string[]} [regions] - active `regions` values (masterDataService.getValidationLists);
+ *   defaults to the seed list
+ * @returns {string|null} null when the region is unknown
+ */
+function normalizeRegion(value, regions = REGIONS) {
+  const text = cleanRegionText(value);
+  if (!text) return null;
+
+  const key = text.replace(/ /g, '_');
+  if (regions.includes(key)) return key;
+  if (regions.includes(REGION_ALIASES[text])) return REGION_ALIASES[text];
+
+  // "sumatera utara", "kalimantan timur", "sulawesi selatan", "jakarta selatan", ...
+  const prefix = regions.find((r) => key.startsWith(`${r}_`));
+  if (prefix) return prefix;
+
+  const alias = Object.keys(REGION_ALIASES).find((a) => text.startsWith(`${a} `));
+  return alias && regions.includes(REGION_ALIASES[alias]) ? REGION_ALIASES[alias] : null;
+}
+
+
+/**
+ * Name used for duplicate detection: lowercase, no punctuation, without
+ * "RS" / "RSUD" / "Rumah Sakit" prefixes.
+ */
+function normalizeName(value) {
+  return cleanText(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(NAME_NOISE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** DECIMAL(10, 7) comes back as a string; compare at the stored precision. */
+function sameCoordinate(a, b) {
+  const blankA = a === null || a === undefined;
+  const blankB = b === null || b === undefined;
+  if (blankA || blankB) return blankA === blankB;
+  return Math.abs(Number(a) - Number(b)) < 1e-7;
+}
+
+/**
+ * Great-circle distance (haversine).
+ *
+ * @param {{ latitude, longitude }} a
+ * @param {{ latitude, longitude }} b
+ * @returns {number} meters
+ */
+function distanceMeters(a, b) {
+  const toRad = (deg) => (Number(deg) * Math.PI) / 180;
+  const dLat = toRad(b.latitude) - toRad(a.latitude);
+  const dLng = toRad(b.longitude) - toRad(a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function hasCoordinates(h) {
+  return h && h.latitude !== null && h.latitude !== undefined && h.longitude !== null && h.longitude !== undefined;
+}
+
+/** Read a client-supplied coordinate; null when blank, NaN when invalid. */
+function toCoordinate(value) {
+  if (value === undefined || value === null || cleanText(value) === '') return null;
+  const n = Number(cleanText(value).replace(/^([-+]?\d+),(\d+)$/, '$1.$2'));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Validate hospital fields from a request body.
+ *
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - only look at fields present in input (PATCH)
+ * @param {string[]} [options.regions] - active `regions` values (see normalizeRegion)
+ * @returns {{ values: Object, errors: Object }} cleaned values and field → message
+ */
+function validateHospital(input = {}, { partial = false, regions } = {}) {
+  const values = {};
+  const errors = {};
+  const has = (field) => !partial || field in input;
+
+  if (has('name')) {
+    const name = cleanText(input.name);
+    if (!name) errors.name = 'Name is required';
+    else if (name.length > 255) errors.name = 'Name must be at most 255 characters';
+    else values.name = name;
+  }
+
+  if (has('region')) {
+    const region = normalizeRegion(input.region, regions);
+    if (!region) errors.region = cleanText(input.region) ? `Unknown region "${cleanText(input.region)}"` : 'Region is required';
+    else values.region = region;
+  }
+
+  if (has('street')) {
+    const street = cleanText(input.street);
+    if (street.length > 500) errors.street = 'Street must be at most 500 characters';
+    else values.street = street || null;
+  }
+
+  if (has('latitude') || has('longitude')) {
+    const latitude = toCoordinate(input.latitude);
+    const longitude = toCoordinate(input.longitude);
+    const b = INDONESIA_BOUNDS;
+
+    if ((latitude === null) !== (longitude === null)) {
+      errors[latitude === null ? 'latitude' : 'longitude'] = 'Latitude and longitude must both be set';
+    } else if (Number.isNaN(latitude)) {
+      errors.latitude = 'Latitude must be a number';
+    } else if (Number.isNaN(longitude)) {
+      errors.longitude = 'Longitude must be a number';
+    } else if (latitude !== null && (latitude < b.minLat || latitude > b.maxLat || longitude < b.minLng || longitude > b.maxLng)) {
+      errors.latitude = `Coordinates ${latitude}, ${longitude} are outside Indonesia (swapped?)`;
+    } else {
+      values.latitude = latitude;
+      values.longitude = longitude;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Field → { from, to } for every editable field that `values` changes.
+ *
+ * @param {Object} hospital - current row
+ * @param {Object} values - from validateHospital
+ * @returns {Object} empty when nothing changes
+ */
+function diffFields(hospital, values) {
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (!(field in values)) continue;
+    const from = hospital[field] ?? null;
+    const to = values[field] ?? null;
+    if (field === 'latitude' || field === 'longitude') {
+      // DECIMAL comes back as a string; log numbers on both sides
+      if (!sameCoordinate(from, to)) changes[field] = { from: from === null ? null : Number(from), to };
+    } else if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/** Parse a JSON TEXT column; bad data comes back as null rather than throwing. */
+function parseJson(value) {
+  if (value === null || value === undefined || typeof value === 'object') return value ?? null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+/** "id, name" → "h.id, h.name" for queries with joins. */
+function prefixFields(fields, alias) {
+  return fields
+    .split(',')
+    .map((f) => `${alias}.${f.trim()}`)
+    .join(', ');
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/**
+ * @returns {Promise<Object[]>} every hospital row
+ */
+async function listAllHospitals(conn) {
+  return normalizeRows(await conn.query(`SELECT ${HOSPITAL_FIELDS} FROM hospitals ORDER BY hospital_id`));
+}
+
+/**
+ * Hospitals of one region (case-insensitive match) offered by the forms:
+ * active ones, plus the caller's own pending proposals.
+ *
+ * @param {Object} conn
+ * @param {string} region
+ * @param {Object} [options]
+ * @param {number} [options.userId]
+ * @returns {Promise<Object[]>}
+ */
+async function listHospitalsByRegion(conn, region, { userId = null } = {}) {
+  return normalizeRows(
+    await conn.query(
+      `SELECT ${HOSPITAL_FIELDS} FROM hospitals
+       WHERE LOWER(region) = LOWER(?) AND (status = 'active' OR (status = 'pending' AND created_by = ?))
+       ORDER BY name`,
+      [region, userId]
+    )
+  );
+}
+
+/**
+ * Admin listing.
+ *
+ * @param {Object} conn
+ * @param {Object} [filters]
+ * @param {string} [filters.region]
+ * @param {string} [filters.status]
+ * @param {string} [filters.q] - partial name
+ * @param {number} [filters.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function listHospitals(conn, { region, status, q, limit } = {}) {
+  const where = [];
+  const params = [];
+  if (region) {
+    where.push('region = ?');
+    params.push(region);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  if (q) {
+    where.push("name LIKE CONCAT('%', ?, '%')");
+    params.push(q.replace(/[\\%_]/g, (c) => `\\${c}`));
+  }
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+  const sql = `SELECT ${HOSPITAL_DETAIL_FIELDS} FROM hospitals
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY region, name
+    LIMIT ${size}`;
+  return normalizeRows(await conn.query(sql, params));
+}
+
+/**
+ * @param {Object} conn
+ * @param {number} hospitalId
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate] - lock the row for the rest of the transaction
+ * @returns {Promise<Object|null>}
+ */
+async function findHospitalById(conn, hospitalId, { forUpdate = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${HOSPITAL_DETAIL_FIELDS} FROM hospitals WHERE hospital_id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [hospitalId]
+    )
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Hospitals offered by the forms (active, plus the caller's own pending ones)
+ * around a point, nearest first. A bounding box narrows the rows using the
+ * coordinates; the exact distance is computed with the haversine formula.
+ *
+ * @param {Object} conn
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {number} [params.radiusKm=5]  - capped at 50
+ * @param {number} [params.limit=10]    - capped at 50
+ * @param {number} [params.userId]
+ * @returns {Promise<Array<Object & { distance_m: number }>>}
+ */
+async function findNearestHospitals(conn, { latitude, longitude, radiusKm, limit, userId = null }) {
+  const radius = Math.min(Math.max(Number(radiusKm) || DEFAULT_NEAREST_RADIUS_KM, 0.1), MAX_NEAREST_RADIUS_KM) * 1000;
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_NEAREST_LIMIT, 1), MAX_NEAREST_LIMIT);
+
+  const dLat = radius / METERS_PER_DEGREE_LAT;
+  const dLng = radius / (METERS_PER_DEGREE_LAT * Math.max(Math.cos((latitude * Math.PI) / 180), 0.01));
+
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${HOSPITAL_FIELDS},
+         ${EARTH_RADIUS_METERS} * 2 * ASIN(LEAST(1, SQRT(
+           POWER(SIN(RADIANS(latitude - ?) / 2), 2) +
+           COS(RADIANS(?)) * COS(RADIANS(latitude)) * POWER(SIN(RADIANS(longitude - ?) / 2), 2)
+         ))) AS distance_m
+       FROM hospitals
+       WHERE (status = 'active' OR (status = 'pending' AND created_by = ?))
+         AND latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?
+       HAVING distance_m <= ?
+       ORDER BY distance_m
+       LIMIT ${size}`,
+      [latitude, latitude, longitude, userId, latitude - dLat, latitude + dLat, longitude - dLng, longitude + dLng, radius]
+    )
+  );
+  return rows.map((row) => ({ ...row, distance_m: Math.round(Number(row.distance_m)) }));
+}
+
+/**
+ * Pending / active hospitals that look like the given one: same name
+ * (ignoring "RS" / "RSUD" prefixes) in the same region, or closer than
+ * DUPLICATE_DISTANCE_METERS.
+ *
+ * @param {Object} conn
+ * @param {{ name, region, latitude?, longitude? }} hospital
+ * @param {Object} [options]
+ * @param {number} [options.excludeId] - the hospital itself, when editing
+ * @returns {Promise<Array<Object & { match: string[], distance_m: number|null }>>}
+ */
+async function findDuplicates(conn, hospital, { excludeId = null } = {}) {
+  const where = ['region = ?'];
+  const params = [hospital.region];
+
+  if (hasCoordinates(hospital)) {
+    // ~0.01° is over 1 km; the exact distance is checked below
+    where.push('(latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?)');
+    const lat = Number(hospital.latitude);
+    const lng = Number(hospital.longitude);
+    params.push(lat - 0.01, lat + 0.01, lng - 0.01, lng + 0.01);
+  }
+
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${HOSPITAL_FIELDS} FROM hospitals
+       WHERE status IN ('pending', 'active') AND hospital_id <> ? AND (${where.join(' OR ')})`,
+      [excludeId || 0, ...params]
+    )
+  );
+
+  const name = normalizeName(hospital.name);
+  const duplicates = [];
+  for (const row of rows) {
+    const match = [];
+    if (name && row.region === hospital.region && normalizeName(row.name) === name) match.push('name');
+
+    let distance = null;
+    if (hasCoordinates(hospital) && hasCoordinates(row)) {
+      distance = Math.round(distanceMeters(hospital, row));
+      if (distance <= DUPLICATE_DISTANCE_METERS) match.push('distance');
+    }
+
+    if (match.length) duplicates.push({ ...row, match, distance_m: distance });
+  }
+
+  return duplicates.sort((a, b) => b.match.length - a.match.length || (a.distance_m ?? Infinity) - (b.distance_m ?? Infinity));
+}
+
+/* ----------------------
+ * Audit log
+ * ---------------------- */
+
+/**
+ * @param {Object} conn
+ * @param {number} hospitalId
+ * @param {Object} entry
+ * @param {number|null} entry.userId - null for the CSV import
+ * @param {string} entry.action - create, update, approve, reject, deactivate, merge, import, ...
+ * @param {Object} [entry.changes] - field → { from, to }
+ */
+async function writeAudit(conn, hospitalId, { userId, action, changes = null }) {
+  await conn.query('INSERT INTO hospital_audit_log (hospital_id, user_id, action, changes) VALUES (?, ?, ?, ?)', [
+    hospitalId,
+    userId ?? null,
+    action,
+    changes ? JSON.stringify(changes) : null,
+  ]);
+}
+
+/**
+ * History of one hospital, newest first, with the name of the user.
+ * @returns {Promise<Object[]>}
+ */
+async function listAuditLog(conn, hospitalId) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT a.id, a.hospital_id, a.user_id, u.name AS user_name, a.action, a.changes, a.created_at
+       FROM hospital_audit_log a
+       LEFT JOIN users u ON u.id = a.user_id
+       WHERE a.hospital_id = ?
+       ORDER BY a.created_at DESC, a.id DESC`,
+      [hospitalId]
+    )
+  );
+  return rows.map((row) => ({ ...row, changes: parseJson(row.changes) }));
+}
+
+/* ----------------------
+ * Changes
+ * ---------------------- */
+
+/**
+ * Insert a hospital and audit it.
+ *
+ * @param {Object} conn
+ * @param {Object} values - from validateHospital
+ * @param {Object} options
+ * @param {number|null} options.userId
+ * @param {string} [options.status='pending'] - 'active' when an admin creates it
+ * @param {string} [options.action='create'] - audit action
+ * @returns {Promise<number>} hospital_id
+ */
+async function createHospital(conn, values, { userId, status = 'pending', action = 'create' }) {
+  const approved = status === 'active' && userId;
+  const result = await conn.query(
+    `INSERT INTO hospitals (region, name, street, latitude, longitude, status, created_by, approved_by, approved_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${approved ? 'NOW()' : 'NULL'})`,
+    [
+      values.region,
+      values.name,
+      values.street ?? null,
+      values.latitude ?? null,
+      values.longitude ?? null,
+      status,
+      userId ?? null,
+      approved ? userId : null,
+    ]
+  );
+  const hospitalId = getInsertId(result);
+
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (values[field] !== undefined && values[field] !== null) changes[field] = { from: null, to: values[field] };
+  }
+  await writeAudit(conn, hospitalId, { userId, action, changes });
+  return hospitalId;
+}
+
+/**
+ * Apply field changes to a hospital and audit them.
+ *
+ * @param {Object} conn
+ * @param {Object} hospital - current row
+ * @param {Object} values - from validateHospital
+ * @param {Object} options
+ * @param {number|null} options.userId
+ * @param {string} [options.action='update']
+ * @returns {Promise<Object>} field → { from, to }; empty when nothing changed
+ */
+async function updateHospital(conn, hospital, values, { userId, action = 'update' }) {
+  const changes = diffFields(hospital, values);
+  const fields = Object.keys(changes);
+  if (!fields.length) return changes;
+
+  await conn.query(`UPDATE hospitals SET ${fields.map((f) => `${f} = ?`).join(', ')} WHERE hospital_id = ?`, [
+    ...fields.map((f) => changes[f].to),
+    hospital.hospital_id,
+  ]);
+  await writeAudit(conn, hospital.hospital_id, { userId, action, changes });
+  return changes;
+}
+
+/**
+ * Change the status of a hospital and audit it.
+ *
+ * @param {Object} conn
+ * @param {Object} hospital - current row
+ * @param {string} status - one of HOSPITAL_STATUSES
+ * @param {Object} options
+ * @param {number|null} options.userId
+ * @param {string} options.action - approve, reject, deactivate, activate, merge
+ * @param {number} [options.mergedIntoId] - with status 'merged'
+ */
+async function setHospitalStatus(conn, hospital, status, { userId, action, mergedIntoId = null }) {
+  const approve = action === 'approve' || (status === 'active' && !hospital.approved_at);
+  await conn.query(
+    `UPDATE hospitals SET status = ?, merged_into_id = ?${approve ? ', approved_by = ?, approved_at = NOW()' : ''}
+     WHERE hospital_id = ?`,
+    approve ? [status, mergedIntoId, userId, hospital.hospital_id] : [status, mergedIntoId, hospital.hospital_id]
+  );
+
+  const changes = { status: { from: hospital.status, to: status } };
+  if (mergedIntoId) changes.merged_into_id = { from: hospital.merged_into_id ?? null, to: mergedIntoId };
+  await writeAudit(conn, hospital.hospital_id, { userId, action, changes });
+}
+
+/**
+ * Merge a duplicate into another hospital. The target keeps its own data,
+ * but takes the duplicate's street / coordinates when it has none. Hospitals
+ * previously merged into the duplicate are re-pointed, and its pending change
+ * requests are rejected.
+ *
+ * @param {Object} conn
+ * @param {Object} source - duplicate (locked row)
+ * @param {Object} target - hospital to keep (locked row)
+ * @param {Object} options
+ * @param {number} options.userId
+ * @returns {Promise<Object>} changes applied to the target
+ */
+async function mergeHospital(conn, source, target, { userId }) {
+  const fill = {};
+  if (!target.street && source.street) fill.street = source.street;
+  if (!hasCoordinates(target) && hasCoordinates(source)) {
+    fill.latitude = source.latitude;
+    fill.longitude = source.longitude;
+  }
+  const changes = await updateHospital(conn, target, fill, { userId, action: 'merge' });
+
+  await setHospitalStatus(conn, source, 'merged', { userId, action: 'merge', mergedIntoId: target.hospital_id });
+  await conn.query("UPDATE hospitals SET merged_into_id = ? WHERE merged_into_id = ? AND status = 'merged'", [
+    target.hospital_id,
+    source.hospital_id,
+  ]);
+  await conn.query(
+    `UPDATE hospital_change_requests
+     SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+     WHERE hospital_id = ? AND status = 'pending'`,
+    [userId, `Merged into #${target.hospital_id}`, source.hospital_id]
+  );
+  return changes;
+}
+
+/**
+ * Point the visits of a merged duplicate at the hospital it was merged into.
+ * The caller refreshes their derived data (services/visitRefreshService.js).
+ *
+ * @param {Object} conn
+ * @param {number} sourceId - merged hospital
+ * @param {number} targetId - kept hospital
+ * @returns {Promise<number[]>} ids of the moved visits
+ */
+async function moveHospitalVisits(conn, sourceId, targetId) {
+  const rows = normalizeRows(await conn.query('SELECT id FROM visits WHERE hospital_id = ? FOR UPDATE', [sourceId]));
+  if (!rows.length) return [];
+
+  await conn.query('UPDATE visits SET hospital_id = ? WHERE hospital_id = ?', [targetId, sourceId]);
+  return rows.map((row) => Number(row.id));
+}
+
+/* ----------------------
+ * Change requests
+ * ---------------------- */
+
+function toChangeRequest(row) {
+  return row ? { ...row, changes: parseJson(row.changes) || {} } : null;
+}
+
+/**
+ * Store an edit proposed by field staff.
+ *
+ * @param {Object} conn
+ * @param {number} hospitalId
+ * @param {Object} changes - field → { from, to } (see diffFields)
+ * @param {Object} options
+ * @param {number} options.userId
+ * @returns {Promise<number>} change request id
+ */
+async function createChangeRequest(conn, hospitalId, changes, { userId }) {
+  const result = await conn.query(
+    'INSERT INTO hospital_change_requests (hospital_id, requested_by, changes) VALUES (?, ?, ?)',
+    [hospitalId, userId, JSON.stringify(changes)]
+  );
+  return getInsertId(result);
+}
+
+/**
+ * @param {Object} conn
+ * @param {number} id
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate]
+ * @returns {Promise<Object|null>} with `changes` parsed
+ */
+async function findChangeRequest(conn, id, { forUpdate = false } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT ${CHANGE_REQUEST_FIELDS} FROM hospital_change_requests WHERE id = ? LIMIT 1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    )
+  );
+  return toChangeRequest(rows[0]);
+}
+
+/**
+ * Everything waiting for an admin: proposed hospitals and proposed edits.
+ *
+ * @returns {Promise<{ hospitals: Object[], changes: Object[] }>}
+ */
+async function listPending(conn) {
+  const hospitals = normalizeRows(
+    await conn.query(
+      `SELECT ${prefixFields(HOSPITAL_DETAIL_FIELDS, 'h')}, u.name AS created_by_name
+       FROM hospitals h
+       LEFT JOIN users u ON u.id = h.created_by
+       WHERE h.status = 'pending'
+       ORDER BY h.created_at`
+    )
+  );
+  const changes = normalizeRows(
+    await conn.query(
+      `SELECT ${prefixFields(CHANGE_REQUEST_FIELDS, 'c')},
+              h.name AS hospital_name, h.region AS hospital_region, u.name AS requested_by_name
+       FROM hospital_change_requests c
+       JOIN hospitals h ON h.hospital_id = c.hospital_id
+       LEFT JOIN users u ON u.id = c.requested_by
+       WHERE c.status = 'pending'
+       ORDER BY c.created_at`
+    )
+  );
+  return { hospitals, changes: changes.map(toChangeRequest) };
+}
+
+/**
+ * Approve or reject a change request. Approving applies the proposed values,
+ * audited as 'approve_change' by the reviewing admin; the requester stays on
+ * the change request row.
+ *
+ * @param {Object} conn
+ * @param {Object} request - locked pending change request
+ * @param {Object} hospital - locked hospital row
+ * @param {Object} options
+ * @param {number} options.userId - reviewing admin
+ * @param {boolean} options.approve
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} changes applied (empty when rejected)
+ */
+async function reviewChangeRequest(conn, request, hospital, { userId, approve, note = null }) {
+  let applied = {};
+  if (approve) {
+    const values = {};
+    for (const [field, { to }] of Object.entries(request.changes)) {
+      if (EDITABLE_FIELDS.includes(field)) values[field] = to;
+    }
+    applied = await updateHospital(conn, hospital, values, { userId, action: 'approve_change' });
+  }
+
+  const result = await conn.query(
+    `UPDATE hospital_change_requests
+     SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+     WHERE id = ? AND status = 'pending'`,
+    [approve ? 'approved' : 'rejected', userId, note, request.id]
+  );
+  if (!getAffectedRows(result)) throw new Error(`Change request ${request.id} is no longer pending`);
+  return applied;
+}
+
+module.exports = {
+  REGIONS,
+  HOSPITAL_STATUSES,
+  EDITABLE_FIELDS,
+  DUPLICATE_DISTANCE_METERS,
+  INDONESIA_BOUNDS,
+  cleanText,
+  normalizeRegion,
+  normalizeName,
+  sameCoordinate,
+  distanceMeters,
+  validateHospital,
+  diffFields,
+  listAllHospitals,
+  listHospitalsByRegion,
+  listHospitals,
+  findHospitalById,
+  findNearestHospitals,
+  findDuplicates,
+  writeAudit,
+  listAuditLog,
+  createHospital,
+  updateHospital,
+  setHospitalStatus,
+  mergeHospital,
+  moveHospitalVisits,
+  createChangeRequest,
+  findChangeRequest,
+  listPending,
+  reviewChangeRequest,
+};
@@ -0,0 +1,178 @@
+/**
+ * Location tampering checks
+ * -------------------------
+ * Scores how trustworthy the coordinates of a visit are, from what the app
+ * reports about the fix (visits.location_source, location_mocked,
+ * location_captured_at) and from the user's other visits:
+ *
+ *   mocked            the OS reported a mock location provider
+ *   impossible_speed  reaching this point from the user's previous visit (or the
+ *                     next visit from here) needs more than LOCATION_MAX_SPEED_KMH
+ *   manual            coordinates were typed or edited by hand
+ *   clock_skew        the fix is dated in the future (device clock changed)
+ *   no_provenance     the app did not say how the coordinates were obtained
+ *                     (older app builds)
+ *
+ * Every flag adds its weight to a 0–100 score; visits scoring at least
+ * LOCATION_RISK_THRESHOLD are "suspicious". Visits are still stored; the
+ * result is shown next to them for review.
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+const { readPositiveNumber } = require('../utils/envHelpers');
+const { distanceMeters } = require('./hospitalService');
+const visitService = require('./visitService');
+
+const DEFAULT_MAX_SPEED_KMH = 200;
+const DEFAULT_RISK_THRESHOLD = 50;
+
+/** Score added by each flag (the total is capped at 100). */
+const RISK_WEIGHTS = {
+  mocked: 70,
+  impossible_speed: 60,
+  manual: 40,
+  clock_skew: 30,
+  no_provenance: 10,
+};
+
+/** Moves shorter than this are GPS noise, however close the visits are in time. */
+const MIN_TRAVEL_METERS = 2000;
+
+/** A fix may be dated this far after the server's clock before it counts as clock_skew. */
+const CLOCK_SKEW_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Current limits from .env (utils/envHelpers.js).
+ * @returns {{ maxSpeedKmh: number, threshold: number }}
+ */
+function getRiskConfig() {
+  return {
+    maxSpeedKmh: readPositiveNumber('LOCATION_MAX_SPEED_KMH', DEFAULT_MAX_SPEED_KMH),
+    threshold: readPositiveNumber('LOCATION_RISK_THRESHOLD', DEFAULT_RISK_THRESHOLD),
+  };
+}
+
+const isSet = (v) => v !== null && v !== undefined && v !== '';
+const hasPoint = (visit) => isSet(visit?.latitude) && isSet(visit?.longitude);
+
+/** When the position was taken: the fix time if known, else the visit time. */
+function pointTime(visit) {
+  const raw = isSet(visit.location_captured_at) ? visit.location_captured_at : visit.visited_at;
+  const time = new Date(raw).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Travel speed (km/h) needed between two visits, or null when it cannot be
+ * computed or the distance is within GPS noise.
+ */
+function travelSpeedKmh(a, b) {
+  if (!hasPoint(a) || !hasPoint(b)) return null;
+  const meters = distanceMeters(a, b);
+  if (meters < MIN_TRAVEL_METERS) return null;
+
+  const ta = pointTime(a);
+  const tb = pointTime(b);
+  if (ta === null || tb === null) return null;
+
+  // At least one minute apart, so two visits saved at once do not divide by zero
+  const hours = Math.max(Math.abs(tb - ta), 60 * 1000) / 3600000;
+  return meters / 1000 / hours;
+}
+
+/**
+ * Score one visit.
+ *
+ * @param {Object} visit - visits row
+ * @param {Object} [context]
+ * @param {Object[]} [context.neighbours] - the user's visits right before and after this one
+ * @param {Date} [context.now]
+ * @param {Object} [config] - from getRiskConfig
+ * @returns {{ score: number|null, flags: string[], suspicious: boolean }}
+ *   score null when the visit has no coordinates
+ */
+function assessLocation(visit, { neighbours = [], now = new Date() } = {}, config = getRiskConfig()) {
+  if (!hasPoint(visit)) return { score: null, flags: [], suspicious: false };
+
+  const flags = [];
+  if (Number(visit.location_mocked) === 1) flags.push('mocked');
+
+  const tooFast = neighbours.some((other) => {
+    const speed = travelSpeedKmh(other, visit);
+    return speed !== null && speed > config.maxSpeedKmh;
+  });
+  if (tooFast) flags.push('impossible_speed');
+
+  if (visit.location_source === 'manual') flags.push('manual');
+  if (!isSet(visit.location_source)) flags.push('no_provenance');
+
+  if (isSet(visit.location_captured_at)) {
+    const captured = new Date(visit.location_captured_at).getTime();
+    if (captured - now.getTime() > CLOCK_SKEW_TOLERANCE_MS) flags.push('clock_skew');
+  }
+
+  const score = Math.min(100, flags.reduce((sum, flag) => sum + RISK_WEIGHTS[flag], 0));
+  return { score, flags, suspicious: score >= config.threshold };
+}
+
+/**
+ * The user's visits with coordinates right before and right after `visit`
+ * (by visited_at; soft-deleted visits are ignored).
+ *
+ * @param {Object} conn
+ * @param {Object} visit - visits row
+ * @returns {Promise<Object[]>}
+ */
+async function findNeighbourVisits(conn, visit) {
+  const columns = 'id, latitude, longitude, visited_at, location_captured_at';
+  const base = `FROM visits
+    WHERE user_id = ? AND id <> ? AND deleted_at IS NULL
+      AND latitude IS NOT NULL AND longitude IS NOT NULL`;
+
+  const params = [visit.user_id, visit.id, visit.visited_at];
+  const before = await conn.query(
+    `SELECT ${columns} ${base} AND visited_at <= ? ORDER BY visited_at DESC, id DESC LIMIT 1`,
+    params
+  );
+  const after = await conn.query(
+    `SELECT ${columns} ${base} AND visited_at > ? ORDER BY visited_at ASC, id ASC LIMIT 1`,
+    params
+  );
+
+  return [...normalizeRows(before), ...normalizeRows(after)];
+}
+
+/**
+ * Recompute and store the location risk of a visit. Call after its header
+ * is written.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<{ score: number|null, flags: string[], suspicious: boolean }|null>}
+ *   null when the visit is missing
+ */
+async function refreshLocationRisk(conn, visitId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  if (!visit) return null;
+
+  const neighbours = hasPoint(visit) ? await findNeighbourVisits(conn, visit) : [];
+  const result = assessLocation(visit, { neighbours });
+
+  await conn.query('UPDATE visits SET location_risk_score = ?, location_flags = ? WHERE id = ?', [
+    result.score,
+    result.flags.length ? result.flags.join(',') : null,
+    visitId,
+  ]);
+
+  return result;
+}
+
+module.exports = {
+  RISK_WEIGHTS,
+  getRiskConfig,
+  assessLocation,
+  findNeighbourVisits,
+  refreshLocationRisk,
+};
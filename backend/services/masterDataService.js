@@ -0,0 +1,265 @@
+/**
+ * Master data
+ * -----------
+ * The option lists of the app's forms (sales and technician names, regions,
+ * contact positions, visit statuses, quantities, visit purposes), maintained
+ * by admins instead of being hard-coded in the app.
+ * Schema: migrations/015_create_master_data.js.
+ *
+ * The app downloads every list in one request (GET /api/master-data) and
+ * caches it with the returned version, sent back as an ETag: an unchanged
+ * version answers 304. The version is derived from each list's `revision`,
+ * which every admin change increments.
+ *
+ * Options keep their `value` for good (it is what visits store); admins edit
+ * labels and order and deactivate options instead of deleting them. The API
+ * validates regions, contact positions and visit statuses against the active
+ * options of their lists (getValidationLists), so an option added here is
+ * accepted right away, without a server or app release.
+ *
+ * Every function receives an open connection so callers can include it in
+ * their own transaction.
+ */
+
+const crypto = require('crypto');
+const { normalizeRows, getInsertId } = require('../utils/dbHelpers');
+const { validateFields } = require('./visitSchemas');
+
+/**
+ * The lists, by key (the export names of frontend/data/appData.js).
+ *  - label        shown to admins
+ *  - valueFrom    how a new option's value is derived when none is given:
+ *                 'slug' (lowercase, underscores) or 'label' (the label itself)
+ *  - pattern      allowed values
+ */
+const MASTER_LISTS = {
+  nama_sales: { label: 'Sales names', valueFrom: 'slug' },
+  nama_teknisi: { label: 'Technician names', valueFrom: 'slug' },
+  regions: { label: 'Regions', valueFrom: 'slug', pattern: /^[a-z0-9_]+$/ },
+  jabatan: { label: 'Contact positions', valueFrom: 'slug', pattern: /^[a-z0-9_]+$/ },
+  status_kunjungan: { label: 'Visit statuses', valueFrom: 'label' },
+  kuantitas_option: { label: 'Quantities', valueFrom: 'label', pattern: /^[1-9][0-9]{0,3}$/ },
+  tujuan_kunjungan: { label: 'Visit purposes', valueFrom: 'label' },
+};
+
+/** Lists whose active values the API validates against (field spec `list` in visitSchemas.js). */
+const VALIDATED_LISTS = ['regions', 'jabatan', 'status_kunjungan'];
+
+/** Columns returned to admins. */
+const ITEM_FIELDS = 'id, list_key, value, label, sort_order, is_active, created_at, updated_at';
+
+/** Body of POST /api/master-data/:list/items. */
+const NEW_ITEM_FIELDS = {
+  label: { type: 'string', maxLength: 255, required: 'always', label: 'Label' },
+  value: { type: 'string', maxLength: 128, label: 'Value' },
+  sort_order: { type: 'integer', min: 0, max: 1000000, label: 'Sort order' },
+  is_active: { type: 'boolean', label: 'Active' },
+};
+
+/** Body of PATCH /api/master-data/:list/items/:id (value cannot change). */
+const ITEM_UPDATE_FIELDS = {
+  label: { type: 'string', maxLength: 255, required: 'always', label: 'Label' },
+  sort_order: { type: 'integer', min: 0, max: 1000000, label: 'Sort order' },
+  is_active: { type: 'boolean', required: 'always', label: 'Active' },
+};
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+function slugify(label) {
+  return String(label)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Validate a new option of a list; `value` defaults from the label.
+ * @param {string} listKey - a MASTER_LISTS key
+ * @param {Object} input
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateNewItem(listKey, input = {}) {
+  const list = MASTER_LISTS[listKey];
+  const { values, errors } = validateFields(NEW_ITEM_FIELDS, input);
+  if (errors.label || errors.value) return { values, errors };
+
+  if (!values.value) values.value = list.valueFrom === 'slug' ? slugify(values.label) : values.label;
+
+  if (!values.value) {
+    errors.value = 'Value is required';
+  } else if (list.pattern && !list.pattern.test(values.value)) {
+    errors.value = `Value is not allowed in ${listKey}`;
+  }
+  if (values.is_active === null) delete values.is_active;
+  return { values, errors };
+}
+
+/**
+ * Validate a change to an option (label, sort_order, is_active).
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateItemUpdate(input = {}) {
+  const { values, errors } = validateFields(ITEM_UPDATE_FIELDS, input, { partial: true });
+  if ('value' in input) errors.value = 'Value cannot be changed; deactivate the option and add a new one';
+  if (values.sort_order === null) errors.sort_order = 'Sort order is required';
+  if (!Object.keys(values).length && !Object.keys(errors).length) errors.label = 'Nothing to update';
+  return { values, errors };
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/**
+ * Current version of the master data: a short hash of every list's revision.
+ * @returns {Promise<string>}
+ */
+async function getMasterDataVersion(conn) {
+  const rows = normalizeRows(await conn.query('SELECT list_key, revision FROM master_data_lists ORDER BY list_key'));
+  const source = rows.map((r) => `${r.list_key}:${r.revision}`).join(',');
+  return crypto.createHash('sha1').update(source).digest('hex').slice(0, 16);
+}
+
+/**
+ * Active options of every list, in sort order.
+ * @returns {Promise<{ version: string, lists: Object<string, Array<{ value: string, label: string }>> }>}
+ */
+async function getMasterData(conn) {
+  const version = await getMasterDataVersion(conn);
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT list_key, value, label FROM master_data_items
+       WHERE is_active = 1 AND list_key IN (?)
+       ORDER BY list_key, sort_order, id`,
+      [Object.keys(MASTER_LISTS)]
+    )
+  );
+
+  const lists = Object.fromEntries(Object.keys(MASTER_LISTS).map((key) => [key, []]));
+  for (const row of rows) lists[row.list_key].push({ value: row.value, label: row.label });
+  return { version, lists };
+}
+
+/**
+ * Active values of the lists the API validates, for validateFields' `lists`
+ * option (visitSchemas.js).
+ * @returns {Promise<Object<string, string[]>>} list key → values
+ */
+async function getValidationLists(conn) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT list_key, value FROM master_data_items
+       WHERE is_active = 1 AND list_key IN (?)
+       ORDER BY list_key, sort_order, id`,
+      [VALIDATED_LISTS]
+    )
+  );
+
+  const lists = Object.fromEntries(VALIDATED_LISTS.map((key) => [key, []]));
+  for (const row of rows) lists[row.list_key].push(row.value);
+  return lists;
+}
+
+/**
+ * Every option of a list, inactive ones included, in sort order.
+ * @returns {Promise<Array>}
+ */
+async function listItems(conn, listKey) {
+  return normalizeRows(
+    await conn.query(`SELECT ${ITEM_FIELDS} FROM master_data_items WHERE list_key = ? ORDER BY sort_order, id`, [
+      listKey,
+    ])
+  );
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+async function findItem(conn, listKey, itemId) {
+  const rows = normalizeRows(
+    await conn.query(`SELECT ${ITEM_FIELDS} FROM master_data_items WHERE id = ? AND list_key = ? LIMIT 1`, [
+      itemId,
+      listKey,
+    ])
+  );
+  return rows[0] || null;
+}
+
+/* ----------------------
+ * Writes
+ * ---------------------- */
+
+/** Mark a list as changed, so clients download it again. */
+async function bumpRevision(conn, listKey) {
+  await conn.query(
+    `INSERT INTO master_data_lists (list_key) VALUES (?)
+     ON DUPLICATE KEY UPDATE revision = revision + 1`,
+    [listKey]
+  );
+}
+
+/**
+ * Add an option at the end of the list (unless sort_order is given).
+ *
+ * @param {Object} conn
+ * @param {string} listKey
+ * @param {Object} values - from validateNewItem
+ * @param {Object} [options]
+ * @param {number|null} [options.userId]
+ * @returns {Promise<Object>} the new option
+ * @throws the driver error with errno 1062 when the list already has the value
+ */
+async function createItem(conn, listKey, values, { userId = null } = {}) {
+  await bumpRevision(conn, listKey);
+
+  let sortOrder = values.sort_order;
+  if (sortOrder == null) {
+    const [row] = normalizeRows(
+      await conn.query('SELECT COALESCE(MAX(sort_order), 0) AS max_order FROM master_data_items WHERE list_key = ?', [
+        listKey,
+      ])
+    );
+    sortOrder = Number(row.max_order) + 10;
+  }
+
+  const raw = await conn.query(
+    `INSERT INTO master_data_items (list_key, value, label, sort_order, is_active, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [listKey, values.value, values.label, sortOrder, values.is_active ?? 1, userId]
+  );
+  return findItem(conn, listKey, getInsertId(raw));
+}
+
+/**
+ * Change an option's label, sort order or active flag.
+ * @returns {Promise<Object|null>} the updated option; null when it does not exist
+ */
+async function updateItem(conn, listKey, itemId, values) {
+  const existing = await findItem(conn, listKey, itemId);
+  if (!existing) return null;
+
+  const columns = Object.keys(values);
+  await conn.query(
+    `UPDATE master_data_items SET ${columns.map((c) => `${c} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map((c) => values[c]), itemId]
+  );
+  await bumpRevision(conn, listKey);
+  return findItem(conn, listKey, itemId);
+}
+
+module.exports = {
+  MASTER_LISTS,
+  VALIDATED_LISTS,
+  validateNewItem,
+  validateItemUpdate,
+  getMasterDataVersion,
+  getMasterData,
+  getValidationLists,
+  listItems,
+  createItem,
+  updateItem,
+};
@@ -0,0 +1,194 @@
+/**
+ * Schema migrations
+ * -----------------
+ * Versioned schema changes live in migrations/NNN_name.js. Each file exports
+ * `up` and `down`, either as a list of SQL statements (run in order) or as an
+ * `async (conn) => {}` function:
+ *
+ *   module.exports = {
+ *     up: ['CREATE TABLE IF NOT EXISTS ...'],
+ *     down: ['DROP TABLE IF EXISTS ...'],
+ *   };
+ *
+ * Applied migrations are recorded in `schema_migrations`, one row per file,
+ * with a `batch` number so a rollback undoes the last `migrate` run as a whole.
+ *
+ * MariaDB commits DDL implicitly, so a migration is not atomic: a failing
+ * statement leaves the earlier ones applied and the migration unrecorded.
+ * Write `up` statements so they can run again (IF NOT EXISTS / IF EXISTS).
+ *
+ * Used by scripts/migrate.js. Every function receives an open connection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeRows } = require('../utils/dbHelpers');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^\d{3,}_[a-z0-9_]+\.js$/;
+
+/** Named lock so two deploys cannot migrate the same database at once. */
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+/* ----------------------
+ * Helper utilities
+ * ---------------------- */
+
+/**
+ * Migration files sorted by name.
+ * @returns {Array<{ name: string, file: string }>}
+ */
+function listMigrationFiles(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => MIGRATION_FILE.test(f))
+    .sort()
+    .map((f) => ({ name: f.replace(/\.js$/, ''), file: path.join(dir, f) }));
+}
+
+/** Run one direction (`up` / `down`) of a migration module. */
+async function runStep(conn, migration, direction) {
+  const step = migration[direction];
+  if (typeof step === 'function') return step(conn);
+  if (!Array.isArray(step)) throw new Error(`missing "${direction}"`);
+  for (const sql of step) {
+    await conn.query(sql);
+  }
+  return undefined;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name       VARCHAR(255) NOT NULL,
+      batch      INT UNSIGNED NOT NULL,
+      applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+}
+
+/** @returns {Promise<Array<{ name, batch, applied_at }>>} oldest first */
+async function getAppliedMigrations(conn) {
+  await ensureMigrationsTable(conn);
+  return normalizeRows(await conn.query('SELECT name, batch, applied_at FROM schema_migrations ORDER BY name'));
+}
+
+/** Run `fn` while holding the migrations lock. */
+async function withLock(conn, fn) {
+  const rows = normalizeRows(await conn.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]));
+  if (Number(rows[0]?.locked) !== 1) {
+    throw new Error('Another migration is running (could not acquire the schema_migrations lock).');
+  }
+  try {
+    return await fn();
+  } finally {
+    await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+/* ----------------------
+ * Commands
+ * ---------------------- */
+
+/**
+ * Status of every migration file plus applied rows whose file is gone.
+ *
+ * @returns {Promise<Array<{ name: string, applied: boolean, batch: number|null, applied_at: Date|null, missing?: boolean }>>}
+ */
+async function getStatus(conn) {
+  const applied = new Map((await getAppliedMigrations(conn)).map((m) => [m.name, m]));
+  const files = listMigrationFiles();
+
+  const status = files.map(({ name }) => {
+    const row = applied.get(name);
+    return { name, applied: Boolean(row), batch: row ? Number(row.batch) : null, applied_at: row?.applied_at ?? null };
+  });
+
+  const known = new Set(files.map((f) => f.name));
+  for (const row of applied.values()) {
+    if (!known.has(row.name)) {
+      status.push({ name: row.name, applied: true, batch: Number(row.batch), applied_at: row.applied_at, missing: true });
+    }
+  }
+  return status;
+}
+
+/**
+ * Apply every pending migration (in name order) as one new batch.
+ *
+ * @param {Object} conn
+ * @param {Object} [options]
+ * @param {function(string)} [options.log]
+ * @returns {Promise<string[]>} names of the applied migrations
+ */
+async function migrateUp(conn, { log = () => {} } = {}) {
+  return withLock(conn, async () => {
+    const applied = await getAppliedMigrations(conn);
+    const done = new Set(applied.map((m) => m.name));
+    const pending = listMigrationFiles().filter((m) => !done.has(m.name));
+    if (!pending.length) return [];
+
+    const batch = applied.reduce((max, m) => Math.max(max, Number(m.batch)), 0) + 1;
+    const ran = [];
+
+    for (const { name, file } of pending) {
+      log(`up   ${name}`);
+      try {
+        await runStep(conn, require(file), 'up');
+      } catch (err) {
+        err.message = `Migration ${name} failed: ${err.message}`;
+        throw err;
+      }
+      await conn.query('INSERT INTO schema_migrations (name, batch) VALUES (?, ?)', [name, batch]);
+      ran.push(name);
+    }
+    return ran;
+  });
+}
+
+/**
+ * Undo the most recent batch(es), newest migration first.
+ *
+ * @param {Object} conn
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - number of batches to roll back
+ * @param {function(string)} [options.log]
+ * @returns {Promise<string[]>} names of the rolled back migrations
+ */
+async function rollback(conn, { steps = 1, log = () => {} } = {}) {
+  return withLock(conn, async () => {
+    const applied = await getAppliedMigrations(conn);
+    const batches = [...new Set(applied.map((m) => Number(m.batch)))].sort((a, b) => b - a).slice(0, steps);
+    const targets = applied.filter((m) => batches.includes(Number(m.batch))).reverse();
+
+    const files = new Map(listMigrationFiles().map((m) => [m.name, m.file]));
+    const ran = [];
+
+    for (const { name } of targets) {
+      const file = files.get(name);
+      if (!file) throw new Error(`Cannot roll back ${name}: migration file not found.`);
+
+      log(`down ${name}`);
+      try {
+        await runStep(conn, require(file), 'down');
+      } catch (err) {
+        err.message = `Rollback of ${name} failed: ${err.message}`;
+        throw err;
+      }
+      await conn.query('DELETE FROM schema_migrations WHERE name = ?', [name]);
+      ran.push(name);
+    }
+    return ran;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrationFiles,
+  getAppliedMigrations,
+  getStatus,
+  migrateUp,
+  rollback,
+};
@@ -0,0 +1,203 @@
+/**
+ * Visit participants
+ * ------------------
+ * The accounts that took part in a visit besides its owner (`visits.user_id`):
+ * the sales reps of a join visit, the other technicians of an activity or
+ * service. Schema: migrations/017_create_visit_participants.js,
+ * 018_visit_participant_names.js.
+ *
+ * The forms send participants as values of the staff list of the visit type
+ * (`nama_sales` for sales visits, `nama_teknisi` for technician visits), the
+ * same values their pickers hold. Values linked to an account
+ * (users.staff_item_id, services/staffService.js) make that account a
+ * participant; the others are stored with `user_id` NULL and their name, on
+ * every visit type, and listed with the visit but not credited to anyone.
+ * The owner is never a participant of their own visit.
+ *
+ * Once submitted, a participant sees the visit in their task list, search and
+ * detail screens and it counts for them in per-user lists
+ * (GET /api/visits?user_id=), but only the owner edits or deletes it. On
+ * technician activities the names of all of them, with or without an account,
+ * are also written to `additional_technicians`, which CardInfo and the search
+ * index show.
+ *
+ * Every function receives an open connection so callers can include it in
+ * their own transaction.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+
+/** Most participants a visit can have. */
+const MAX_PARTICIPANTS = 10;
+
+/** Staff list the participants of each visit_type are picked from. */
+const PARTICIPANT_LISTS = {
+  sales: 'nama_sales',
+  technician_activity: 'nama_teknisi',
+  technician_service: 'nama_teknisi',
+};
+
+/** additional_technicians is VARCHAR(255). */
+const NAMES_MAX_LENGTH = 255;
+
+/**
+ * WHERE condition: visits owned by the user, and submitted visits the user
+ * took part in (drafts stay with their owner). Takes the user id twice as
+ * parameters.
+ *
+ * @param {string} [alias='v'] - alias of the visits table
+ */
+function visibleToUserSql(alias = 'v') {
+  return `(${alias}.user_id = ? OR (${alias}.is_draft = 0 AND EXISTS (
+    SELECT 1 FROM visit_participants vp WHERE vp.visit_id = ${alias}.id AND vp.user_id = ?)))`;
+}
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+/**
+ * Check the shape of a `participants` body value.
+ *
+ * @returns {{ values: string[]|null, errors: Object }} values null when the
+ *   body has no `participants` (leave them as they are)
+ */
+function parseParticipants(input) {
+  if (input === undefined) return { values: null, errors: {} };
+  if (input === null) return { values: [], errors: {} };
+
+  if (!Array.isArray(input) || input.some((v) => typeof v !== 'string' || !v.trim())) {
+    return { values: null, errors: { participants: 'participants must be a list of names' } };
+  }
+
+  const values = [...new Set(input.map((v) => v.trim()))];
+  if (values.length > MAX_PARTICIPANTS) {
+    return { values: null, errors: { participants: `At most ${MAX_PARTICIPANTS} participants` } };
+  }
+  return { values, errors: {} };
+}
+
+/**
+ * Find the accounts and names of staff list values. A value without an
+ * account is kept with `user_id` null: its option's label, or the value
+ * itself when the list has no such option.
+ *
+ * @param {Object} conn
+ * @param {Object} visit - { visit_type, user_id }
+ * @param {string[]} values - from parseParticipants
+ * @returns {Promise<{ participants: Array<{ user_id: number|null, label: string }>, errors: Object }>}
+ *   without the owner
+ */
+async function resolveParticipants(conn, visit, values) {
+  const listKey = PARTICIPANT_LISTS[visit.visit_type];
+  if (!values.length) return { participants: [], errors: {} };
+  if (!listKey) return { participants: [], errors: { participants: 'This visit type has no participants' } };
+
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT u.id AS user_id, i.value, i.label
+       FROM master_data_items i LEFT JOIN users u ON u.staff_item_id = i.id
+       WHERE i.list_key = ? AND i.value IN (?)`,
+      [listKey, values]
+    )
+  );
+  const byValue = new Map(rows.map((row) => [row.value, row]));
+
+  const participants = values
+    .map((v) => byValue.get(v) || { user_id: null, label: v })
+    .filter((row) => row.user_id === null || Number(row.user_id) !== Number(visit.user_id))
+    .map((row) => ({ user_id: row.user_id === null ? null : Number(row.user_id), label: row.label }));
+  return { participants, errors: {} };
+}
+
+/* ----------------------
+ * Reads / writes
+ * ---------------------- */
+
+/**
+ * Replace the participants of a visit. Entries without an account are stored
+ * by name (`user_id` NULL).
+ *
+ * @param {Object} conn
+ * @param {Object} visit - { id, visit_type }
+ * @param {Array<{ user_id: number|null, label: string }>} participants - from resolveParticipants
+ * @param {Object} [options]
+ * @param {number} [options.addedBy] - acting user
+ */
+async function setVisitParticipants(conn, visit, participants, { addedBy = null } = {}) {
+  const ids = participants.filter((p) => p.user_id !== null).map((p) => p.user_id);
+  const names = participants.filter((p) => p.user_id === null).map((p) => p.label);
+
+  // Accounts that stay keep their row (and added_by); names are rewritten
+  if (ids.length) {
+    await conn.query('DELETE FROM visit_participants WHERE visit_id = ? AND (user_id IS NULL OR user_id NOT IN (?))', [
+      visit.id,
+      ids,
+    ]);
+    for (const userId of ids) {
+      await conn.query('INSERT IGNORE INTO visit_participants (visit_id, user_id, added_by) VALUES (?, ?, ?)', [
+        visit.id,
+        userId,
+        addedBy,
+      ]);
+    }
+  } else {
+    await conn.query('DELETE FROM visit_participants WHERE visit_id = ?', [visit.id]);
+  }
+  for (const name of names) {
+    await conn.query('INSERT INTO visit_participants (visit_id, user_id, name, added_by) VALUES (?, NULL, ?, ?)', [
+      visit.id,
+      String(name).slice(0, NAMES_MAX_LENGTH),
+      addedBy,
+    ]);
+  }
+
+  if (visit.visit_type === 'technician_activity') {
+    const text = participants.map((p) => p.label).join(', ').slice(0, NAMES_MAX_LENGTH);
+    await conn.query('UPDATE technician_activity_details SET additional_technicians = ? WHERE visit_id = ?', [
+      text || null,
+      visit.id,
+    ]);
+  }
+}
+
+/**
+ * Participants of a visit with their names, in the order they were added.
+ * @returns {Promise<Array<{ user_id, name, staff_name }>>} staff_name is the linked option's label;
+ *   participants without an account have user_id and staff_name null
+ */
+async function listVisitParticipants(conn, visitId) {
+  return normalizeRows(
+    await conn.query(
+      `SELECT p.user_id, COALESCE(u.name, p.name) AS name, i.label AS staff_name
+       FROM visit_participants p
+       LEFT JOIN users u ON u.id = p.user_id
+       LEFT JOIN master_data_items i ON i.id = u.staff_item_id
+       WHERE p.visit_id = ?
+       ORDER BY p.created_at, p.id`,
+      [visitId]
+    )
+  );
+}
+
+/** Whether the user is a participant (not the owner) of the visit. */
+async function isParticipant(conn, visitId, userId) {
+  const rows = normalizeRows(
+    await conn.query('SELECT 1 AS found FROM visit_participants WHERE visit_id = ? AND user_id = ? LIMIT 1', [
+      visitId,
+      userId,
+    ])
+  );
+  return rows.length > 0;
+}
+
+module.exports = {
+  MAX_PARTICIPANTS,
+  PARTICIPANT_LISTS,
+  visibleToUserSql,
+  parseParticipants,
+  resolveParticipants,
+  setVisitParticipants,
+  listVisitParticipants,
+  isParticipant,
+};
@@ -0,0 +1,197 @@
+/**
+ * Password helpers
+ * ----------------
+ * Hashing, verification and strength rules for user passwords, plus the
+ * one-time tokens used for admin-initiated resets.
+ *
+ * Migration from plaintext:
+ *  - verifyPassword still accepts legacy plaintext passwords while
+ *    PASSWORD_ALLOW_PLAINTEXT is not 'false'.
+ *  - On every successful login, needsRehash() tells the caller to replace
+ *    plaintext (or weaker bcrypt) passwords with a fresh bcrypt hash.
+ *  - Once `SELECT COUNT(*) FROM users WHERE password NOT LIKE '$2%'` is 0,
+ *    set PASSWORD_ALLOW_PLAINTEXT=false and delete the plaintext branch.
+ *
+ * Environment:
+ *  - BCRYPT_ROUNDS             → cost factor (default 12)
+ *  - PASSWORD_ALLOW_PLAINTEXT  → 'false' rejects plaintext passwords (default: allowed)
+ *  - PASSWORD_RESET_TTL_HOURS  → reset token lifetime (default 24)
+ *
+ * Schema: see migrations/001_create_users.js, migrations/005_create_auth_tokens.js
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { normalizeRows, getAffectedRows } = require('../utils/dbHelpers');
+const { readInteger } = require('../utils/envHelpers');
+
+const DEFAULT_BCRYPT_ROUNDS = 12;
+const DEFAULT_RESET_TTL_HOURS = 24;
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything beyond 72 bytes
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '12345678', '123456789', '1234567890',
+  'qwerty123', 'qwertyuiop', 'admin123', 'welcome1', 'iloveyou', 'abc12345',
+]);
+
+function getBcryptRounds() {
+  return readInteger('BCRYPT_ROUNDS', DEFAULT_BCRYPT_ROUNDS, { min: 10, max: 15 });
+}
+
+function isBcryptHash(stored) {
+  return typeof stored === 'string' && /^\$2[aby]\$\d{2}\$/.test(stored);
+}
+
+/**
+ * Compare a candidate password with the stored password.
+ * - bcrypt hashes are checked with bcrypt.compare.
+ * - Legacy plaintext passwords are compared directly (constant time) unless
+ *   PASSWORD_ALLOW_PLAINTEXT=false. Callers should rehash right after a
+ *   successful plaintext match (see needsRehash).
+ *
+ * @param {string} candidatePassword - password provided by user
+ * @param {string} storedPassword - password stored in DB (hash or plaintext)
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(candidatePassword, storedPassword) {
+  // Quick checks
+  if (!candidatePassword || !storedPassword) return false;
+
+  if (isBcryptHash(storedPassword)) {
+    return bcrypt.compare(candidatePassword, storedPassword);
+  }
+
+  if (process.env.PASSWORD_ALLOW_PLAINTEXT === 'false') {
+    console.warn('Rejected login against a plaintext password (PASSWORD_ALLOW_PLAINTEXT=false).');
+    return false;
+  }
+
+  // Legacy plaintext comparison; the password is rehashed on success
+  const a = Buffer.from(String(candidatePassword));
+  const b = Buffer.from(String(storedPassword));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Whether a stored password should be replaced by a fresh hash:
+ * plaintext, or bcrypt with a lower cost than configured.
+ */
+function needsRehash(storedPassword) {
+  if (!isBcryptHash(storedPassword)) return true;
+  return bcrypt.getRounds(storedPassword) < getBcryptRounds();
+}
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, getBcryptRounds());
+}
+
+/**
+ * Check a new password against the strength rules.
+ *
+ * @param {string} password
+ * @param {{ email?: string, name?: string }} [user] - to reject passwords containing personal info
+ * @returns {string[]} human-readable problems (empty when the password is acceptable)
+ */
+function validatePasswordStrength(password, user = {}) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    errors.push(`Password must be at most ${PASSWORD_MAX_BYTES} bytes`);
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    errors.push('Password must contain at least one letter and one number');
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    errors.push('Password is too common');
+  }
+
+  const lower = password.toLowerCase();
+  const emailName = String(user.email || '').split('@')[0].toLowerCase();
+  const firstName = String(user.name || '').split(/\s+/)[0].toLowerCase();
+  if ((emailName.length >= 3 && lower.includes(emailName)) || (firstName.length >= 3 && lower.includes(firstName))) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  return errors;
+}
+
+/* ----------------------
+ * Reset tokens
+ * ---------------------- */
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getResetTtlHours() {
+  return readInteger('PASSWORD_RESET_TTL_HOURS', DEFAULT_RESET_TTL_HOURS);
+}
+
+/**
+ * Create a one-time reset token for a user. Any earlier unused token of the
+ * same user is invalidated. Only the hash is stored.
+ *
+ * @param {Object} conn
+ * @param {number} userId
+ * @param {number} createdBy - admin who requested the reset
+ * @returns {Promise<{ token: string, expiresInHours: number }>}
+ */
+async function createResetToken(conn, userId, createdBy) {
+  // Short, readable code an admin can pass on by phone/chat
+  const token = crypto.randomBytes(6).toString('hex').toUpperCase();
+  const expiresInHours = getResetTtlHours();
+
+  await conn.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  await conn.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, created_by, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+    [userId, hashToken(token), createdBy, expiresInHours]
+  );
+
+  return { token, expiresInHours };
+}
+
+/**
+ * Mark a reset token as used and return its user. Call inside a transaction.
+ *
+ * @returns {Promise<number|null>} user id, or null when the token is unknown, used or expired
+ */
+async function consumeResetToken(conn, token) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+       FOR UPDATE`,
+      [hashToken(String(token).trim().toUpperCase())]
+    )
+  );
+  if (!rows[0]) return null;
+
+  const raw = await conn.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL', [rows[0].id]);
+  return getAffectedRows(raw) === 1 ? rows[0].user_id : null;
+}
+
+module.exports = {
+  verifyPassword,
+  needsRehash,
+  hashPassword,
+  validatePasswordStrength,
+  createResetToken,
+  consumeResetToken,
+};
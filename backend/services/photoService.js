@@ -0,0 +1,86 @@
+/**
+ * Photos
+ * ------
+ * Where upload keys (services/storage) are stored, and who may see them:
+ *
+ *  - visit detail columns of type `upload_key` (services/visitSchemas.js):
+ *    readable like the visit itself — its owner (also from the trash), the
+ *    participants of a submitted visit, and users with `visits.read_all`
+ *  - attendance.clock_in_photo / clock_out_photo: the user who clocked in,
+ *    and users with `attendance.read_all`
+ *
+ * A key that no readable row uses is treated as not found, so
+ * GET /api/uploads/image cannot be used to probe other users' photos.
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+const { getFields } = require('./visitSchemas');
+const { PERMISSIONS, hasPermission } = require('./accessControl');
+const visitService = require('./visitService');
+const { visibleToUserSql } = require('./participantService');
+
+/** Columns holding upload keys in attendance (migrations/009_create_attendance.js). */
+const ATTENDANCE_PHOTO_COLUMNS = ['clock_in_photo', 'clock_out_photo'];
+
+/** Detail columns of a visit type that hold upload keys (type upload_key in visitSchemas). */
+function photoColumns(visitType) {
+  return Object.entries(getFields(visitType, 'detail'))
+    .filter(([, spec]) => spec.type === 'upload_key')
+    .map(([name]) => name);
+}
+
+/**
+ * Whether `user` may read the photo stored under `key`.
+ *
+ * @param {Object} conn
+ * @param {string} key
+ * @param {Object} user - req.user ({ id, role })
+ * @returns {Promise<boolean>}
+ */
+async function canReadPhoto(conn, key, user) {
+  const readAllVisits = hasPermission(user, PERMISSIONS.VISITS_READ_ALL);
+
+  for (const [visitType, { table }] of Object.entries(visitService.VISIT_TYPES)) {
+    const columns = photoColumns(visitType);
+    if (!columns.length) continue;
+
+    const params = columns.map(() => key);
+    let access = '';
+    if (!readAllVisits) {
+      // Trashed visits stay visible to their owner only
+      access = `AND ${visibleToUserSql('v')} AND (v.deleted_at IS NULL OR v.user_id = ?)`;
+      params.push(user.id, user.id, user.id);
+    }
+
+    const rows = await conn.query(
+      `SELECT 1 FROM \`${table}\` d JOIN visits v ON v.id = d.visit_id
+       WHERE (${columns.map((c) => `d.${c} = ?`).join(' OR ')}) ${access}
+       LIMIT 1`,
+      params
+    );
+    if (normalizeRows(rows).length) return true;
+  }
+
+  const params = ATTENDANCE_PHOTO_COLUMNS.map(() => key);
+  let access = '';
+  if (!hasPermission(user, PERMISSIONS.ATTENDANCE_READ_ALL)) {
+    access = 'AND user_id = ?';
+    params.push(user.id);
+  }
+
+  const rows = await conn.query(
+    `SELECT 1 FROM attendance
+     WHERE (${ATTENDANCE_PHOTO_COLUMNS.map((c) => `${c} = ?`).join(' OR ')}) ${access}
+     LIMIT 1`,
+    params
+  );
+  return normalizeRows(rows).length > 0;
+}
+
+module.exports = {
+  ATTENDANCE_PHOTO_COLUMNS,
+  photoColumns,
+  canReadPhoto,
+};
@@ -0,0 +1,126 @@
+/**
+ * Product data-access service
+ * ---------------------------
+ * Lookup and get-or-create for the `products` table, keyed by serial number.
+ *
+ * Used by:
+ *  - controllers/productController.js (the /api/products API)
+ *  - controllers/formController.js (legacy /api/forms technician submissions)
+ *
+ * Every function receives an open connection so callers can include product
+ * creation in their own transaction.
+ *
+ * Schema: see migrations/003_create_products.js
+ */
+
+const { normalizeRows, getInsertId } = require('../utils/dbHelpers');
+
+/** Columns returned to clients. */
+const PRODUCT_FIELDS = 'id, serial_number, product_name, product_type, brand_name, created_at, updated_at';
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+/** MariaDB duplicate-key error number (ER_DUP_ENTRY). */
+const ER_DUP_ENTRY = 1062;
+
+/**
+ * Trim a client-supplied value; empty strings become null.
+ */
+function cleanText(value) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+/**
+ * Escape LIKE wildcards so user input is matched literally.
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * @param {Object} conn
+ * @param {string} serialNumber
+ * @param {Object} [options]
+ * @param {boolean} [options.latest] - read the latest committed row even inside a
+ *   transaction (locking read), instead of the transaction's snapshot
+ * @returns {Promise<Object|null>}
+ */
+async function findProductBySerial(conn, serialNumber, { latest = false } = {}) {
+  const sql = `SELECT ${PRODUCT_FIELDS} FROM products WHERE serial_number = ? LIMIT 1${latest ? ' LOCK IN SHARE MODE' : ''}`;
+  const rows = normalizeRows(await conn.query(sql, [serialNumber]));
+  return rows[0] || null;
+}
+
+/**
+ * @returns {Promise<Object|null>}
+ */
+async function findProductById(conn, id) {
+  const rows = normalizeRows(await conn.query(`SELECT ${PRODUCT_FIELDS} FROM products WHERE id = ? LIMIT 1`, [id]));
+  return rows[0] || null;
+}
+
+/**
+ * Search products by partial serial number or product name.
+ * Serial-number prefix matches are listed first.
+ *
+ * @param {Object} conn
+ * @param {Object} params
+ * @param {string} params.q
+ * @param {number} [params.limit]
+ * @returns {Promise<Array>}
+ */
+async function searchProducts(conn, { q, limit }) {
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const term = escapeLike(q);
+
+  const sql = `
+    SELECT ${PRODUCT_FIELDS}
+    FROM products
+    WHERE serial_number LIKE ? OR product_name LIKE ? OR brand_name LIKE ?
+    ORDER BY (serial_number LIKE ?) DESC, product_name ASC
+    LIMIT ?
+  `;
+  return normalizeRows(await conn.query(sql, [`%${term}%`, `%${term}%`, `%${term}%`, `${term}%`, size]));
+}
+
+/**
+ * Return the product with this serial number, creating it when missing.
+ *
+ * Idempotent under concurrent submits: if two requests race, the loser's
+ * INSERT hits the unique serial_number key and it re-reads the winner's row.
+ * Existing products are never overwritten.
+ *
+ * @param {Object} conn
+ * @param {Object} input - { serial_number, product_name?, product_type?, brand_name? }
+ * @returns {Promise<{ product: Object, created: boolean }>}
+ */
+async function getOrCreateProduct(conn, input) {
+  const serialNumber = cleanText(input.serial_number);
+  if (!serialNumber) throw new Error('serial_number is required');
+
+  const existing = await findProductBySerial(conn, serialNumber);
+  if (existing) return { product: existing, created: false };
+
+  try {
+    const raw = await conn.query(
+      `INSERT INTO products (serial_number, product_name, product_type, brand_name)
+       VALUES (?, ?, ?, ?)`,
+      [serialNumber, cleanText(input.product_name), cleanText(input.product_type), cleanText(input.brand_name)]
+    );
+    return { product: await findProductById(conn, getInsertId(raw)), created: true };
+  } catch (err) {
+    if (err.errno !== ER_DUP_ENTRY) throw err;
+    return { product: await findProductBySerial(conn, serialNumber, { latest: true }), created: false };
+  }
+}
+
+module.exports = {
+  cleanText,
+  findProductBySerial,
+  findProductById,
+  searchProducts,
+  getOrCreateProduct,
+};
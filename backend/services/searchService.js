@@ -0,0 +1,246 @@
+/**
+ * Visit search
+ * ------------
+ * Full-text search over a user's visits. Each visit has one row in
+ * `visit_search` (migrations/011_create_visit_search.js) holding the text of
+ * the SEARCH_FIELDS below; refreshVisitSearch rewrites it after every write
+ * to the visit, its detail or its product link.
+ *
+ * Queries are split into terms the way InnoDB tokenizes text (letters and
+ * digits). Every term must match: terms of MIN_FULLTEXT_TERM characters or
+ * more go through the FULLTEXT index as prefixes ("silo" finds "Siloam"),
+ * shorter ones (serial fragments like "SN", "01") through LIKE on the same text.
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+const { validateFields } = require('./visitSchemas');
+const { visibleToUserSql } = require('./participantService');
+
+/** InnoDB's default innodb_ft_min_token_size; shorter words are not indexed. */
+const MIN_FULLTEXT_TERM = 3;
+
+const MAX_TERMS = 8;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/** Longer matched values are cut to this many characters around the first hit. */
+const EXCERPT_LENGTH = 120;
+
+/**
+ * Searchable fields: key and label returned with each match, and the SQL
+ * expression over SEARCH_FROM.
+ */
+const SEARCH_FIELDS = [
+  { key: 'note', label: 'Note', sql: 'v.note' },
+  { key: 'location_name', label: 'Location', sql: 'COALESCE(s.location_name, a.location_name)' },
+  { key: 'location_address', label: 'Address', sql: 'COALESCE(s.location_address, a.location_address)' },
+  { key: 'visit_purpose', label: 'Purpose', sql: 's.visit_purpose' },
+  { key: 'customer_name', label: 'Customer', sql: 'sv.customer_name' },
+  { key: 'healthcare_facility_name', label: 'Facility', sql: 'sv.healthcare_facility_name' },
+  { key: 'technician_name', label: 'Technician', sql: 'a.technician_name' },
+  { key: 'official_report_number', label: 'Report no.', sql: 'a.official_report_number' },
+  { key: 'activity_notes', label: 'Activity notes', sql: 'a.activity_notes' },
+  { key: 'issue_description', label: 'Issue', sql: 'sv.issue_description' },
+  { key: 'serial_number', label: 'Serial no.', sql: 'p.serial_number' },
+  { key: 'product_name', label: 'Product', sql: 'p.product_name' },
+  { key: 'brand_name', label: 'Brand', sql: 'p.brand_name' },
+];
+
+const SEARCH_FROM = `visits v
+  LEFT JOIN sales_visit_details s ON s.visit_id = v.id
+  LEFT JOIN technician_activity_details a ON a.visit_id = v.id
+  LEFT JOIN technician_service_details sv ON sv.visit_id = v.id
+  LEFT JOIN products p ON p.id = COALESCE(a.product_id, sv.product_id)`;
+
+/** Query parameters of GET /api/search. */
+const SEARCH_QUERY_FIELDS = {
+  q: { type: 'string', maxLength: 200, required: 'always', label: 'q' },
+  from: { type: 'date', label: 'from' },
+  to: { type: 'date', label: 'to' },
+  limit: { type: 'integer', min: 1, max: MAX_LIMIT, label: 'limit' },
+};
+
+/* ----------------------
+ * Terms
+ * ---------------------- */
+
+/**
+ * Split a query into lower-case terms (letters and digits only), without
+ * duplicates, at most MAX_TERMS.
+ * @returns {string[]}
+ */
+function parseSearchTerms(q) {
+  const words = String(q || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Validate the search query (q, from, to, limit).
+ * @returns {{ values: Object, errors: Object }} values.terms holds the parsed terms
+ */
+function validateSearchQuery(query = {}) {
+  const { values, errors } = validateFields(SEARCH_QUERY_FIELDS, query);
+  if (!errors.q) {
+    values.terms = parseSearchTerms(values.q);
+    if (!values.terms.length) errors.q = 'q must contain letters or digits';
+  }
+  if (values.from && values.to && values.from > values.to) errors.to = 'to must not be before from';
+  return { values, errors };
+}
+
+/** Escape LIKE wildcards so a term is matched literally. */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Part of `text` around the first term, at most EXCERPT_LENGTH characters,
+ * with "…" where it was cut.
+ */
+function excerpt(text, terms) {
+  if (text.length <= EXCERPT_LENGTH) return text;
+
+  const lower = text.toLowerCase();
+  const hits = terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0);
+  const first = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, Math.min(first - 30, text.length - EXCERPT_LENGTH));
+  const end = start + EXCERPT_LENGTH;
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Fields of `row` (SEARCH_FIELDS keys) that contain a term.
+ * @returns {Array<{ field: string, label: string, text: string }>}
+ */
+function findMatches(row, terms) {
+  const matches = [];
+  for (const { key, label } of SEARCH_FIELDS) {
+    const value = row[key] == null ? '' : String(row[key]).trim();
+    if (!value) continue;
+    const lower = value.toLowerCase();
+    if (terms.some((t) => lower.includes(t))) matches.push({ field: key, label, text: excerpt(value, terms) });
+  }
+  return matches;
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+const FIELD_COLUMNS = SEARCH_FIELDS.map((f) => `${f.sql} AS ${f.key}`).join(',\n       ');
+
+/**
+ * Searchable fields of some visits.
+ * @returns {Promise<Object[]>} rows of { id, <SEARCH_FIELDS keys> }
+ */
+async function loadSearchFields(conn, visitIds) {
+  if (!visitIds.length) return [];
+  return normalizeRows(
+    await conn.query(`SELECT v.id, ${FIELD_COLUMNS} FROM ${SEARCH_FROM} WHERE v.id IN (?)`, [visitIds])
+  );
+}
+
+/**
+ * Rewrite the search row of a visit. Call after the header or detail of a
+ * visit is written.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<void>}
+ */
+async function refreshVisitSearch(conn, visitId) {
+  const [row] = await loadSearchFields(conn, [visitId]);
+  if (!row) return;
+
+  const text = SEARCH_FIELDS.map((f) => row[f.key])
+    .filter((v) => v != null && String(v).trim() !== '')
+    .join(' ');
+
+  await conn.query(
+    `INSERT INTO visit_search (visit_id, search_text) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE search_text = VALUES(search_text)`,
+    [visitId, text]
+  );
+}
+
+/**
+ * Search a user's non-deleted visits, including those they took part in,
+ * best match first (then newest).
+ *
+ * @param {Object} conn
+ * @param {Object} filters
+ * @param {number} filters.userId
+ * @param {string[]} filters.terms - from parseSearchTerms
+ * @param {string} [filters.from] - "YYYY-MM-DD", inclusive (visited_at)
+ * @param {string} [filters.to]   - "YYYY-MM-DD", inclusive (visited_at)
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<Object[]>} visit headers, each with `participation`
+ *   (owner | participant) and `matches: [{ field, label, text }]` (the fields that contain a term)
+ */
+async function searchVisits(conn, { userId, terms, from, to, limit }) {
+  const fulltext = terms.filter((t) => t.length >= MIN_FULLTEXT_TERM);
+  const short = terms.filter((t) => t.length < MIN_FULLTEXT_TERM);
+  const against = fulltext.map((t) => `+${t}*`).join(' ');
+
+  // Visits the user owns or took part in
+  const where = [visibleToUserSql('v'), 'v.deleted_at IS NULL'];
+  const params = [];
+
+  // The score expression and `participation` come first in the SELECT list
+  const score = fulltext.length ? 'MATCH(vs.search_text) AGAINST (? IN BOOLEAN MODE)' : '0';
+  if (fulltext.length) params.push(against);
+  params.push(userId, userId, userId);
+
+  if (fulltext.length) {
+    where.push('MATCH(vs.search_text) AGAINST (? IN BOOLEAN MODE)');
+    params.push(against);
+  }
+  for (const term of short) {
+    where.push('vs.search_text LIKE ?');
+    params.push(`%${escapeLike(term)}%`);
+  }
+  if (from) {
+    where.push('v.visited_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('v.visited_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+
+  const visits = normalizeRows(
+    await conn.query(
+      `SELECT v.*, ${score} AS search_score, IF(v.user_id = ?, 'owner', 'participant') AS participation
+       FROM visit_search vs
+       JOIN visits v ON v.id = vs.visit_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY search_score DESC, v.visited_at DESC, v.id DESC
+       LIMIT ?`,
+      [...params, limit || DEFAULT_LIMIT]
+    )
+  );
+
+  const fields = await loadSearchFields(conn, visits.map((v) => v.id));
+  const fieldsById = new Map(fields.map((row) => [String(row.id), row]));
+
+  return visits.map(({ search_score: _score, ...visit }) => ({
+    ...visit,
+    matches: findMatches(fieldsById.get(String(visit.id)) || {}, terms),
+  }));
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  MIN_FULLTEXT_TERM,
+  parseSearchTerms,
+  validateSearchQuery,
+  findMatches,
+  refreshVisitSearch,
+  searchVisits,
+};
@@ -0,0 +1,170 @@
+/**
+ * Staff identity
+ * --------------
+ * Links a user account to its sales / technician name: `users.staff_item_id`
+ * is the user's option in the `nama_sales` or `nama_teknisi` master data list
+ * (services/masterDataService.js). Schema: migrations/016_user_staff_identity.js.
+ *
+ * The forms prefill and lock the name from the session, but the server does
+ * not trust it: refreshVisitStaffName writes the name of the visit's owner
+ * into `sales_name` / `technician_name` after every write to the visit, so the
+ * name always agrees with `visits.user_id`:
+ *
+ *  - the label of the owner's linked option, when it belongs to the visit's list
+ *  - otherwise the owner's account name
+ *
+ * Every function receives an open connection so callers can include it in
+ * their own transaction.
+ */
+
+const { normalizeRows, getAffectedRows } = require('../utils/dbHelpers');
+const visitService = require('./visitService');
+const searchService = require('./searchService');
+
+/** Master data list holding the names of each role. */
+const STAFF_LISTS = {
+  sales: 'nama_sales',
+  technician: 'nama_teknisi',
+};
+
+/** Detail column holding the staff name, per visit_type, with the list it comes from. */
+const NAME_COLUMNS = {
+  sales: { column: 'sales_name', listKey: 'nama_sales' },
+  technician_activity: { column: 'technician_name', listKey: 'nama_teknisi' },
+};
+
+/** The "Lainnya" option of the lists; nobody's name. */
+const OTHER_VALUE = 'lainnya';
+
+/* ----------------------
+ * Lookups
+ * ---------------------- */
+
+/**
+ * A user with their linked option.
+ * @returns {Promise<Object|null>} { id, name, role, staff: { id, list_key, value, label } | null }
+ */
+async function findStaffIdentity(conn, userId) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT u.id, u.name, u.role, i.id AS item_id, i.list_key, i.value, i.label
+       FROM users u
+       LEFT JOIN master_data_items i ON i.id = u.staff_item_id
+       WHERE u.id = ?`,
+      [userId]
+    )
+  );
+  const row = rows[0];
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    staff: row.item_id ? { id: row.item_id, list_key: row.list_key, value: row.value, label: row.label } : null,
+  };
+}
+
+/**
+ * Name to store on a visit of the given type filed by `identity`.
+ * @returns {string|null} null for visit types without a staff name
+ */
+function staffNameFor(identity, visitType) {
+  const target = NAME_COLUMNS[visitType];
+  if (!target || !identity) return null;
+  if (identity.staff && identity.staff.list_key === target.listKey) return identity.staff.label;
+  return identity.name;
+}
+
+/* ----------------------
+ * Visits
+ * ---------------------- */
+
+/**
+ * Write the owner's name into the visit's detail row when it differs.
+ * Call after every write to a visit, before searchService.refreshVisitSearch.
+ *
+ * @returns {Promise<boolean>} whether the name changed
+ */
+async function refreshVisitStaffName(conn, visitId) {
+  const visit = await visitService.findVisit(conn, visitId);
+  const target = visit && NAME_COLUMNS[visit.visit_type];
+  if (!target) return false;
+
+  const name = staffNameFor(await findStaffIdentity(conn, visit.user_id), visit.visit_type);
+  if (!name) return false;
+
+  const { table } = visitService.VISIT_TYPES[visit.visit_type];
+  const raw = await conn.query(
+    `UPDATE ${table} SET ${target.column} = ? WHERE visit_id = ? AND NOT (${target.column} <=> ?)`,
+    [name, visitId, name]
+  );
+  return getAffectedRows(raw) > 0;
+}
+
+/* ----------------------
+ * Accounts
+ * ---------------------- */
+
+/**
+ * Link a user to an option of their role's list, or unlink them (itemId null),
+ * then rename their existing visits.
+ *
+ * @returns {Promise<{ user?: Object, error?: { status: number, message: string } }>}
+ *   `error` is a 404 / 422 the controller answers with; a duplicate link
+ *   throws ER_DUP_ENTRY (the option belongs to another account)
+ */
+async function linkUserStaff(conn, userId, itemId) {
+  const identity = await findStaffIdentity(conn, userId);
+  if (!identity) return { error: { status: 404, message: 'User not found.' } };
+
+  if (itemId !== null) {
+    const listKey = STAFF_LISTS[identity.role];
+    if (!listKey) {
+      return { error: { status: 422, message: 'Only sales and technician accounts have a staff name.' } };
+    }
+
+    const items = normalizeRows(
+      await conn.query('SELECT id, list_key, value, is_active FROM master_data_items WHERE id = ?', [itemId])
+    );
+    const item = items[0];
+    if (!item) return { error: { status: 404, message: 'Option not found.' } };
+    if (item.list_key !== listKey || !item.is_active || item.value === OTHER_VALUE) {
+      return { error: { status: 422, message: `staff_item_id must be an active option of ${listKey}.` } };
+    }
+  }
+
+  await conn.query('UPDATE users SET staff_item_id = ? WHERE id = ?', [itemId, userId]);
+  await renameUserVisits(conn, userId);
+  return { user: await findStaffIdentity(conn, userId) };
+}
+
+/** Refresh the staff name (and search text) of every visit of a user. */
+async function renameUserVisits(conn, userId) {
+  const rows = normalizeRows(
+    await conn.query('SELECT id FROM visits WHERE user_id = ? AND visit_type IN (?) AND deleted_at IS NULL', [
+      userId,
+      Object.keys(NAME_COLUMNS),
+    ])
+  );
+  for (const { id } of rows) {
+    if (await refreshVisitStaffName(conn, id)) await searchService.refreshVisitSearch(conn, id);
+  }
+}
+
+/**
+ * After an option's label changed (PATCH /api/master-data/:list/items/:id):
+ * rename the visits of the account linked to it, if any.
+ */
+async function renameStaffItemVisits(conn, itemId) {
+  const rows = normalizeRows(await conn.query('SELECT id FROM users WHERE staff_item_id = ?', [itemId]));
+  for (const { id } of rows) await renameUserVisits(conn, id);
+}
+
+module.exports = {
+  STAFF_LISTS,
+  findStaffIdentity,
+  refreshVisitStaffName,
+  linkUserStaff,
+  renameStaffItemVisits,
+};
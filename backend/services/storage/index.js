@@ -0,0 +1,116 @@
+/**
+ * Storage service
+ * ---------------
+ * Pluggable object storage for visit photos. The driver is chosen with
+ * STORAGE_DRIVER:
+ *
+ *   local (default) -> files under UPLOAD_DIR, served via HMAC-signed URLs
+ *   s3              -> any S3-compatible bucket, via SigV4 presigned URLs
+ *
+ * Every driver exposes:
+ *   createUploadUrl({ key, contentType, expiresIn, baseUrl }) -> string
+ *   createDownloadUrl({ key, expiresIn, baseUrl })             -> string
+ *   deleteObject(key)                                          -> Promise (trash purge)
+ *
+ * Environment variables:
+ *   STORAGE_DRIVER, UPLOAD_URL_TTL (seconds, default 900), UPLOAD_MAX_BYTES
+ *   local: UPLOAD_DIR, UPLOAD_SIGNING_SECRET (falls back to JWT_SECRET)
+ *   s3:    S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *          S3_ENDPOINT, S3_FORCE_PATH_STYLE
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { readInteger } = require('../../utils/envHelpers');
+
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+/** Image types the forms can upload, mapped to the extension stored in the key. */
+const ALLOWED_CONTENT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'image/heif': '.heif',
+};
+
+const DEFAULT_URL_TTL = 15 * 60;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+
+let driver = null;
+
+/**
+ * Return the configured storage driver (created on first use, after dotenv has run).
+ */
+function getStorage() {
+  if (driver) return driver;
+
+  const kind = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (kind === 's3') {
+    driver = createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    });
+  } else if (kind === 'local') {
+    driver = createLocalDriver({
+      rootDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'),
+      secret: process.env.UPLOAD_SIGNING_SECRET || process.env.JWT_SECRET,
+    });
+  } else {
+    throw new Error(`Unknown STORAGE_DRIVER: ${kind}`);
+  }
+
+  return driver;
+}
+
+function getUrlTtl() {
+  return readInteger('UPLOAD_URL_TTL', DEFAULT_URL_TTL);
+}
+
+function getMaxUploadBytes() {
+  return readInteger('UPLOAD_MAX_BYTES', DEFAULT_MAX_BYTES);
+}
+
+/**
+ * Normalize a Content-Type header value ("image/jpeg; charset=x" -> "image/jpeg").
+ */
+function normalizeContentType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Whether a client-supplied key is safe to use as an object key
+ * (no absolute paths, no "..", only URL-safe characters).
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && key.length <= 512 && KEY_PATTERN.test(key) && !key.split('/').includes('..');
+}
+
+/**
+ * Build a new, unguessable object key: <folder>/<yyyy>/<mm>/<uuid><ext>
+ */
+function buildObjectKey(folder, contentType) {
+  const safeFolder = String(folder || 'visits').replace(/[^A-Za-z0-9_-]/g, '') || 'visits';
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  return `${safeFolder}/${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}${ALLOWED_CONTENT_TYPES[contentType]}`;
+}
+
+module.exports = {
+  ALLOWED_CONTENT_TYPES,
+  getStorage,
+  getUrlTtl,
+  getMaxUploadBytes,
+  normalizeContentType,
+  isValidKey,
+  buildObjectKey,
+};
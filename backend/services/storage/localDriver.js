@@ -0,0 +1,151 @@
+/**
+ * Local-disk storage driver
+ * -------------------------
+ * Stores objects under a private directory and hands out HMAC-signed,
+ * expiring URLs that point back at this server:
+ *
+ *   PUT /api/uploads/object/<key>?expires=&ct=&sig=   -> write the object
+ *   GET /api/uploads/object/<key>?expires=&sig=        -> read the object
+ *
+ * The signature covers method, key, expiry and (for PUT) the content type,
+ * so a URL can only be used for the operation and file it was issued for.
+ * Nothing under the storage directory is served without a valid signature.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OBJECT_ROUTE = '/api/uploads/object';
+
+/**
+ * @param {object} options
+ * @param {string} options.rootDir - directory that holds the objects
+ * @param {string} options.secret  - HMAC secret used to sign URLs
+ */
+function createLocalDriver({ rootDir, secret }) {
+  if (!secret) {
+    throw new Error('Local storage driver requires UPLOAD_SIGNING_SECRET (or JWT_SECRET)');
+  }
+
+  const root = path.resolve(rootDir);
+  fs.mkdirSync(root, { recursive: true });
+
+  function sign(method, key, expires, contentType = '') {
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${method}\n${key}\n${expires}\n${contentType}`)
+      .digest('hex');
+  }
+
+  function buildUrl(baseUrl, key, params) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    const query = new URLSearchParams(params).toString();
+    return `${baseUrl}${OBJECT_ROUTE}/${encodedKey}?${query}`;
+  }
+
+  /**
+   * Absolute path of an object on disk. Throws if the key would escape the root.
+   */
+  function resolvePath(key) {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    createUploadUrl({ key, contentType, expiresIn, baseUrl }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const sig = sign('PUT', key, expires, contentType);
+      return buildUrl(baseUrl, key, { expires, ct: contentType, sig });
+    },
+
+    createDownloadUrl({ key, expiresIn, baseUrl }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const sig = sign('GET', key, expires);
+      return buildUrl(baseUrl, key, { expires, sig });
+    },
+
+    /**
+     * Check a signed URL's query string.
+     * @returns {string|null} error message, or null when the signature is valid
+     */
+    verify(method, key, { expires, ct = '', sig } = {}) {
+      if (!expires || !sig) return 'Missing signature';
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return 'Signed URL has expired';
+
+      const expected = Buffer.from(sign(method, key, expires, method === 'PUT' ? ct : ''), 'hex');
+      const given = Buffer.from(String(sig), 'hex');
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return 'Invalid signature';
+      }
+      return null;
+    },
+
+    /**
+     * Stream a request body to disk. Writes to a temp file first so a failed or
+     * oversized upload never leaves a partial object behind.
+     *
+     * @returns {Promise<number>} bytes written
+     */
+    writeObject(key, stream, { maxBytes }) {
+      const filePath = resolvePath(key);
+      const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.part`;
+
+      return new Promise((resolve, reject) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        const out = fs.createWriteStream(tmpPath);
+        let bytes = 0;
+        let failed = false;
+
+        const fail = (err) => {
+          if (failed) return;
+          failed = true;
+          stream.unpipe(out);
+          out.destroy();
+          fs.rm(tmpPath, { force: true }, () => reject(err));
+        };
+
+        stream.on('data', (chunk) => {
+          bytes += chunk.length;
+          if (bytes > maxBytes) {
+            const err = new Error(`File exceeds the ${maxBytes} byte limit`);
+            err.status = 413;
+            fail(err);
+          }
+        });
+        stream.on('error', fail);
+        out.on('error', fail);
+        out.on('finish', () => {
+          if (failed) return;
+          fs.rename(tmpPath, filePath, (err) => (err ? fail(err) : resolve(bytes)));
+        });
+
+        stream.pipe(out);
+      });
+    },
+
+    /**
+     * Absolute path of an existing object, or null when it does not exist.
+     */
+    getObjectPath(key) {
+      const filePath = resolvePath(key);
+      return fs.existsSync(filePath) ? filePath : null;
+    },
+
+    /**
+     * Remove an object. Missing objects are ignored.
+     * @returns {Promise<void>}
+     */
+    async deleteObject(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,124 @@
+/**
+ * S3-compatible storage driver
+ * ----------------------------
+ * Issues AWS Signature V4 presigned URLs so the app uploads and downloads
+ * directly against the bucket. Works with AWS S3 and S3-compatible servers
+ * (MinIO, etc.) — set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true for those.
+ *
+ * Only presigning happens here; the backend never proxies file bytes. The
+ * purge job deletes objects through a presigned DELETE URL as well.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+/** Lifetime (seconds) of the presigned URL used by deleteObject. */
+const DELETE_URL_TTL = 60;
+
+/** RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone). */
+function rfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {string} [options.endpoint]       - e.g. http://localhost:9000 (defaults to AWS)
+ * @param {boolean} [options.forcePathStyle] - use <endpoint>/<bucket>/<key> URLs
+ */
+function createS3Driver({ bucket, region, accessKeyId, secretAccessKey, endpoint, forcePathStyle }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage driver requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+
+  function objectLocation(key) {
+    const encodedKey = key.split('/').map(rfc3986).join('/');
+    if (forcePathStyle) {
+      return { origin: base.origin, host: base.host, path: `/${bucket}/${encodedKey}` };
+    }
+    const host = `${bucket}.${base.host}`;
+    return { origin: `${base.protocol}//${host}`, host, path: `/${encodedKey}` };
+  }
+
+  /**
+   * Build a presigned URL for a single object operation.
+   * For PUT the content type is signed too, so the client must send the same header.
+   */
+  function presign(method, key, expiresIn, contentType) {
+    const { origin, host, path } = objectLocation(key);
+
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''); // YYYYMMDDTHHMMSSZ
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const headers = { host };
+    if (contentType) headers['content-type'] = contentType;
+    const signedHeaders = Object.keys(headers).sort().join(';');
+
+    const params = {
+      'X-Amz-Algorithm': ALGORITHM,
+      'X-Amz-Credential': `${accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': signedHeaders,
+    };
+    const canonicalQuery = Object.keys(params)
+      .sort()
+      .map((k) => `${rfc3986(k)}=${rfc3986(params[k])}`)
+      .join('&');
+
+    const canonicalHeaders = Object.keys(headers)
+      .sort()
+      .map((k) => `${k}:${headers[k]}\n`)
+      .join('');
+
+    const canonicalRequest = [method, path, canonicalQuery, canonicalHeaders, signedHeaders, 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = [ALGORITHM, amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+    const regionKey = hmac(dateKey, region);
+    const signingKey = hmac(hmac(regionKey, 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return `${origin}${path}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+  }
+
+  return {
+    name: 's3',
+
+    createUploadUrl({ key, contentType, expiresIn }) {
+      return presign('PUT', key, expiresIn, contentType);
+    },
+
+    createDownloadUrl({ key, expiresIn }) {
+      return presign('GET', key, expiresIn);
+    },
+
+    /**
+     * Remove an object (S3 also answers 204 when it did not exist).
+     * @returns {Promise<void>}
+     */
+    async deleteObject(key) {
+      const resp = await fetch(presign('DELETE', key, DELETE_URL_TTL), { method: 'DELETE' });
+      if (!resp.ok && resp.status !== 404) {
+        throw new Error(`S3 delete of ${key} failed with HTTP ${resp.status}`);
+      }
+    },
+  };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,153 @@
+/**
+ * Token service
+ * -------------
+ * Issues the two tokens a signed-in app holds:
+ *
+ *  - access token  → short-lived JWT sent as `Authorization: Bearer` and
+ *                    verified statelessly by middleware/auth.js
+ *  - refresh token → random opaque string, stored hashed in `refresh_tokens`,
+ *                    exchanged for a new access token via POST /api/auth/refresh
+ *
+ * Refresh tokens rotate: every use revokes the presented token and issues a
+ * new one in the same family. If a revoked token is presented again, someone
+ * kept a copy, so the whole family (that device's session) is revoked.
+ *
+ * Environment:
+ *  - JWT_SECRET               → signing secret (required)
+ *  - ACCESS_TOKEN_EXPIRES_IN  → access token lifetime (default '15m')
+ *  - REFRESH_TOKEN_TTL_DAYS   → refresh token lifetime in days (default 30)
+ *
+ * Schema: see migrations/005_create_auth_tokens.js
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { normalizeRows, getAffectedRows, getInsertId } = require('../utils/dbHelpers');
+const { readInteger } = require('../utils/envHelpers');
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getRefreshTtlDays() {
+  return readInteger('REFRESH_TOKEN_TTL_DAYS', DEFAULT_REFRESH_TOKEN_TTL_DAYS);
+}
+
+/**
+ * Sign an access token for a user shaped by userService.toPublicUser.
+ *
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds
+ */
+function signAccessToken(user) {
+  // Keep the payload small; `role` is checked by requirePermission.
+  const payload = { user_id: user.id, email: user.email, role: user.role };
+  const token = jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+  });
+
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Create and store a new refresh token.
+ *
+ * @param {Object} conn
+ * @param {number} userId
+ * @param {Object} [options]
+ * @param {string} [options.familyId]  - keep rotating within an existing session
+ * @param {string} [options.userAgent]
+ * @returns {Promise<{ token: string, id: number }>}
+ */
+async function issueRefreshToken(conn, userId, { familyId, userAgent } = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const raw = await conn.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, user_agent, expires_at)
+     VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, hashToken(token), familyId || crypto.randomUUID(), userAgent ? String(userAgent).slice(0, 255) : null, getRefreshTtlDays()]
+  );
+
+  return { token, id: getInsertId(raw) };
+}
+
+/**
+ * Exchange a refresh token for a new one. Call inside a transaction.
+ *
+ * @returns {Promise<{ status: 'ok', userId: number, refreshToken: string }
+ *                 | { status: 'invalid' }
+ *                 | { status: 'reused', userId: number }>}
+ */
+async function rotateRefreshToken(conn, token, { userAgent } = {}) {
+  const rows = normalizeRows(
+    await conn.query(
+      `SELECT id, user_id, family_id, revoked_at, (expires_at <= NOW()) AS expired
+       FROM refresh_tokens
+       WHERE token_hash = ?
+       FOR UPDATE`,
+      [hashToken(token)]
+    )
+  );
+  const current = rows[0];
+
+  if (!current) return { status: 'invalid' };
+
+  if (current.revoked_at) {
+    await revokeTokenFamily(conn, current.family_id);
+    return { status: 'reused', userId: current.user_id };
+  }
+
+  if (Number(current.expired)) return { status: 'invalid' };
+
+  const next = await issueRefreshToken(conn, current.user_id, { familyId: current.family_id, userAgent });
+  await conn.query('UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by_id = ? WHERE id = ?', [next.id, current.id]);
+
+  return { status: 'ok', userId: current.user_id, refreshToken: next.token };
+}
+
+/**
+ * Revoke a single refresh token (logout on this device).
+ * @returns {Promise<number>} affected rows
+ */
+async function revokeRefreshToken(conn, token) {
+  const raw = await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+    [hashToken(token)]
+  );
+  return getAffectedRows(raw);
+}
+
+/**
+ * Revoke every token of one login session.
+ * @returns {Promise<number>} affected rows
+ */
+async function revokeTokenFamily(conn, familyId) {
+  const raw = await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  );
+  return getAffectedRows(raw);
+}
+
+/**
+ * Revoke all refresh tokens of a user (log out all devices).
+ * @returns {Promise<number>} affected rows
+ */
+async function revokeAllRefreshTokens(conn, userId) {
+  const raw = await conn.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  return getAffectedRows(raw);
+}
+
+module.exports = {
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+};
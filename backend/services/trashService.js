@@ -0,0 +1,183 @@
+/**
+ * Visit trash
+ * -----------
+ * Deleting a visit only sets visits.deleted_at. For VISIT_TRASH_RETENTION_DAYS
+ * (default 30) the visit is listed in the user's trash and can be restored;
+ * after that the purge job (scripts/purgeVisits.js) removes it for good:
+ *
+ *  - the detail row, the header and its search row (visit_search cascades)
+ *  - the uploaded photos of the detail, unless another visit or an attendance
+ *    record still uses the same key (visits in the trash count as users, so
+ *    restoring one never finds its photos gone)
+ *
+ * Every function that touches the database receives an open connection.
+ */
+
+const { normalizeRows } = require('../utils/dbHelpers');
+const { readPositiveNumber } = require('../utils/envHelpers');
+const visitService = require('./visitService');
+const { ATTENDANCE_PHOTO_COLUMNS, photoColumns } = require('./photoService');
+const { getStorage, isValidKey } = require('./storage');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/** Visits removed per transaction by the purge job. */
+const PURGE_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Current retention from .env (utils/envHelpers.js).
+ * @returns {{ retentionDays: number }}
+ */
+function getTrashConfig() {
+  return { retentionDays: readPositiveNumber('VISIT_TRASH_RETENTION_DAYS', DEFAULT_RETENTION_DAYS) };
+}
+
+/** Visits deleted before this moment can no longer be restored. */
+function trashCutoff(now = new Date(), config = getTrashConfig()) {
+  return new Date(now.getTime() - config.retentionDays * DAY_MS);
+}
+
+/** Last moment a visit deleted at `deletedAt` can be restored. */
+function restoreDeadline(deletedAt, config = getTrashConfig()) {
+  return new Date(new Date(deletedAt).getTime() + config.retentionDays * DAY_MS);
+}
+
+/**
+ * Whether any row other than the given visits still uses a photo key.
+ *
+ * @param {Object} conn
+ * @param {string} key
+ * @param {number[]} excludeVisitIds - the visits being purged
+ * @returns {Promise<boolean>}
+ */
+async function isPhotoReferenced(conn, key, excludeVisitIds) {
+  for (const [visitType, { table }] of Object.entries(visitService.VISIT_TYPES)) {
+    const columns = photoColumns(visitType);
+    if (!columns.length) continue;
+
+    const rows = await conn.query(
+      `SELECT 1 FROM \`${table}\`
+       WHERE visit_id NOT IN (?) AND (${columns.map((c) => `${c} = ?`).join(' OR ')})
+       LIMIT 1`,
+      [excludeVisitIds, ...columns.map(() => key)]
+    );
+    if (normalizeRows(rows).length) return true;
+  }
+
+  const rows = await conn.query(
+    `SELECT 1 FROM attendance WHERE ${ATTENDANCE_PHOTO_COLUMNS.map((c) => `${c} = ?`).join(' OR ')} LIMIT 1`,
+    ATTENDANCE_PHOTO_COLUMNS.map(() => key)
+  );
+  return normalizeRows(rows).length > 0;
+}
+
+/**
+ * Upload keys in the detail rows of some visits (without duplicates).
+ * @param {Object} conn
+ * @param {Object[]} visits - visits rows ({ id, visit_type })
+ * @returns {Promise<string[]>}
+ */
+async function collectPhotoKeys(conn, visits) {
+  const keys = new Set();
+  for (const visit of visits) {
+    const detail = await visitService.findVisitDetail(conn, visit.visit_type, visit.id);
+    if (!detail) continue;
+    for (const column of photoColumns(visit.visit_type)) {
+      if (detail[column]) keys.add(String(detail[column]));
+    }
+  }
+  return [...keys];
+}
+
+/**
+ * Hard-delete visits and their detail rows in one transaction.
+ * @param {Object} conn
+ * @param {Object[]} visits - visits rows ({ id, visit_type })
+ */
+async function deleteVisitRows(conn, visits) {
+  await conn.beginTransaction();
+  try {
+    for (const visit of visits) {
+      const { table } = visitService.VISIT_TYPES[visit.visit_type];
+      await conn.query(`DELETE FROM \`${table}\` WHERE visit_id = ?`, [visit.id]);
+    }
+    await conn.query('DELETE FROM visits WHERE id IN (?) AND deleted_at IS NOT NULL', [visits.map((v) => v.id)]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  }
+}
+
+/**
+ * Permanently remove visits that stayed in the trash longer than the retention,
+ * with their orphaned photos. Rows go first; a photo that fails to delete is
+ * reported and left in storage.
+ *
+ * @param {Object} conn
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {boolean} [options.dryRun] - only report what would be removed
+ * @returns {Promise<{ cutoff: Date, visits: number, photosDeleted: number, photosKept: number,
+ *   photoErrors: Array<{ key: string, error: string }> }>}
+ *   with dryRun, `photosDeleted` counts the photos that would be deleted
+ */
+async function purgeExpiredVisits(conn, { now = new Date(), dryRun = false } = {}) {
+  const cutoff = trashCutoff(now);
+  const report = { cutoff, visits: 0, photosDeleted: 0, photosKept: 0, photoErrors: [] };
+
+  // Keyset over id, so a dry run (which deletes nothing) still moves forward
+  let lastId = 0;
+  for (;;) {
+    const batch = normalizeRows(
+      await conn.query(
+        `SELECT id, visit_type FROM visits
+         WHERE deleted_at IS NOT NULL AND deleted_at < ? AND id > ?
+         ORDER BY id LIMIT ?`,
+        [cutoff, lastId, PURGE_BATCH_SIZE]
+      )
+    );
+    if (!batch.length) break;
+    lastId = batch[batch.length - 1].id;
+
+    const ids = batch.map((v) => v.id);
+    const orphans = [];
+    for (const key of await collectPhotoKeys(conn, batch)) {
+      if (await isPhotoReferenced(conn, key, ids)) report.photosKept += 1;
+      else orphans.push(key);
+    }
+
+    report.visits += batch.length;
+    if (dryRun) {
+      report.photosDeleted += orphans.length;
+      continue;
+    }
+
+    await deleteVisitRows(conn, batch);
+
+    for (const key of orphans) {
+      if (!isValidKey(key)) {
+        report.photoErrors.push({ key, error: 'not a valid storage key' });
+        continue;
+      }
+      try {
+        await getStorage().deleteObject(key);
+        report.photosDeleted += 1;
+      } catch (err) {
+        report.photoErrors.push({ key, error: err.message });
+      }
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  getTrashConfig,
+  trashCutoff,
+  restoreDeadline,
+  isPhotoReferenced,
+  purgeExpiredVisits,
+};
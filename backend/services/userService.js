@@ -0,0 +1,86 @@
+/**
+ * User data-access service
+ * ------------------------
+ * Reads users for authentication and builds the user object returned to the
+ * app (login response, GET /api/auth/me).
+ *
+ * Every function receives an open connection, like the other services.
+ */
+
+const { normalizeRows, getAffectedRows } = require('../utils/dbHelpers');
+const { resolveRole, getPermissions } = require('./accessControl');
+
+const USER_FIELDS = 'u.id, u.name, u.position, u.role, u.email, u.staff_item_id';
+
+/** Linked sales / technician option (services/staffService.js). */
+const STAFF_FIELDS = 's.list_key AS staff_list_key, s.value AS staff_value, s.label AS staff_label';
+const USER_FROM = 'users u LEFT JOIN master_data_items s ON s.id = u.staff_item_id';
+
+/**
+ * @param {Object} conn
+ * @param {number} id
+ * @param {Object} [options]
+ * @param {boolean} [options.withPassword] - include `password` (for verification only)
+ * @returns {Promise<Object|null>} user row (without the password hash by default)
+ */
+async function findUserById(conn, id, { withPassword = false } = {}) {
+  const fields = withPassword ? `${USER_FIELDS}, ${STAFF_FIELDS}, u.password` : `${USER_FIELDS}, ${STAFF_FIELDS}`;
+  const rows = normalizeRows(await conn.query(`SELECT ${fields} FROM ${USER_FROM} WHERE u.id = ?`, [id]));
+  return rows[0] || null;
+}
+
+/**
+ * @returns {Promise<Object|null>} user row including `password` (for verification only)
+ */
+async function findUserByEmail(conn, email) {
+  const rows = normalizeRows(
+    await conn.query(`SELECT ${USER_FIELDS}, ${STAFF_FIELDS}, u.password FROM ${USER_FROM} WHERE u.email = ?`, [email])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Store a new password hash.
+ *
+ * @param {Object} conn
+ * @param {number} userId
+ * @param {string} passwordHash
+ * @param {Object} [options]
+ * @param {boolean} [options.rehash] - same password, new hash (leaves password_changed_at alone)
+ * @returns {Promise<number>} affected rows
+ */
+async function updatePasswordHash(conn, userId, passwordHash, { rehash = false } = {}) {
+  const sql = rehash
+    ? 'UPDATE users SET password = ? WHERE id = ?'
+    : 'UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?';
+  const raw = await conn.query(sql, [passwordHash, userId]);
+  return getAffectedRows(raw);
+}
+
+/**
+ * Shape a user row for API responses. Never includes the password.
+ * `user_id` is kept next to `id` for clients written against the old login response.
+ * `staff` is the linked sales / technician option the forms lock the name to, or null.
+ */
+function toPublicUser(user) {
+  const role = resolveRole(user);
+  return {
+    id: user.id,
+    user_id: user.id,
+    name: user.name,
+    email: user.email,
+    position: user.position,
+    role,
+    permissions: getPermissions(role),
+    staff: user.staff_item_id
+      ? { id: user.staff_item_id, list_key: user.staff_list_key, value: user.staff_value, label: user.staff_label }
+      : null,
+  };
+}
+
+module.exports = {
+  findUserById,
+  findUserByEmail,
+  updatePasswordHash,
+  toPublicUser,
+};
@@ -0,0 +1,47 @@
+/**
+ * Derived visit data
+ * ------------------
+ * Columns and rows computed from a visit rather than entered in the form.
+ * refreshVisitDerivedData rewrites all of them, in the order they depend on
+ * each other:
+ *
+ *  1. geofence status (services/geofenceService.js)
+ *  2. location risk score (services/locationRiskService.js)
+ *  3. customer link (services/customerService.js)
+ *  4. contacts met (services/contactService.js)
+ *  5. owner's staff name (services/staffService.js)
+ *  6. search text (services/searchService.js), last because it indexes the
+ *     customer, contacts and staff name
+ *
+ * Call it after every write to a visit's header or detail row,
+ * inside the same transaction as the write.
+ */
+
+const geofenceService = require('./geofenceService');
+const locationRiskService = require('./locationRiskService');
+const customerService = require('./customerService');
+const contactService = require('./contactService');
+const staffService = require('./staffService');
+const searchService = require('./searchService');
+
+/**
+ * Recompute everything derived from a visit.
+ *
+ * @param {Object} conn
+ * @param {number} visitId
+ * @returns {Promise<{ geofence: Object|null, locationRisk: Object|null, customer: Object|null }>}
+ */
+async function refreshVisitDerivedData(conn, visitId) {
+  const geofence = await geofenceService.refreshVisitGeofence(conn, visitId);
+  const locationRisk = await locationRiskService.refreshLocationRisk(conn, visitId);
+  const customer = await customerService.refreshVisitCustomer(conn, visitId);
+  await contactService.refreshVisitContacts(conn, visitId);
+  await staffService.refreshVisitStaffName(conn, visitId);
+  await searchService.refreshVisitSearch(conn, visitId);
+
+  return { geofence, locationRisk, customer };
+}
+
+module.exports = {
+  refreshVisitDerivedData,
+};
@@ -0,0 +1,341 @@
+/**
+ * Visit validation schemas
+ * ------------------------
+ * Declarative rules for the visit header and every detail type. The API
+ * validates against these and answers 422 with a field → message map, which
+ * the app uses to highlight the offending inputs:
+ *
+ *   { "message": "Region is required; ...", "errors": { "region": "Region is required" } }
+ *
+ * Field spec:
+ *  - type      string | text | integer | number | boolean | date | datetime |
+ *              enum | coordinate | contacts | upload_key
+ *  - label     used in messages
+ *  - required  'always' (drafts too) | 'submit' (only when is_draft = 0)
+ *  - when      optional predicate on the whole record; the field is only
+ *              required when it returns true
+ *  - values    allowed values (enum; contact positions for contacts);
+ *              max / min / maxLength where relevant
+ *  - list      master data list (services/masterDataService.js) whose active
+ *              values replace `values` when validateFields is given `lists`
+ *
+ * Regions, visit statuses and contact positions are maintained by admins as
+ * master data; callers pass the active values (masterDataService
+ * .getValidationLists). The constants below are the lists' seed values
+ * (migrations/015_create_master_data.js), used when no lists are passed.
+ */
+
+const { isValidKey } = require('./storage');
+
+/* ----------------------
+ * Option lists (frontend/data/appData.js, seed of the master data)
+ * ---------------------- */
+
+const SALES_CATEGORIES = ['healthcare', 'non_healthcare'];
+
+const LOCATION_SOURCES = ['gps', 'manual'];
+
+const REGIONS = [
+  'jakarta', 'banten', 'jawa_barat', 'jawa_tengah', 'jawa_timur', 'yogyakarta',
+  'sumatera', 'kalimantan', 'sulawesi', 'ntt', 'ntb', 'bali',
+];
+
+const VISIT_STATUSES = ['bisa ditemui', 'tidak bisa ditemui'];
+
+const CONTACT_POSITIONS = [
+  'dokter', 'igd', 'perawat', 'perawat_ok', 'kepala_ok', 'farmasi', 'pembelian',
+  'pengadaan', 'ppk', 'perawat_cathlab', 'kepala_cathlab', 'gudang', 'direktur',
+  'staff_manajemen', 'owner', 'manajemen', 'teknisi', 'lainnya',
+];
+
+/* ----------------------
+ * Schemas
+ * ---------------------- */
+
+/** Header fields shared by every visit type. */
+const HEADER_FIELDS = {
+  visited_at: { type: 'datetime', required: 'always', label: 'Visit date' },
+  latitude: { type: 'coordinate', max: 90, label: 'Latitude' },
+  longitude: { type: 'coordinate', max: 180, label: 'Longitude' },
+  note: { type: 'text', label: 'Note' },
+  hospital_id: { type: 'integer', min: 1, label: 'Hospital' },
+  location_accuracy_m: { type: 'number', min: 0, label: 'Location accuracy' },
+  location_captured_at: { type: 'datetime', label: 'Location time' },
+  location_source: { type: 'enum', values: LOCATION_SOURCES, label: 'Location source' },
+  location_mocked: { type: 'boolean', label: 'Mock location' },
+  sales_category: { type: 'enum', values: SALES_CATEGORIES, label: 'Sales category' },
+};
+
+const isHealthcare = (record) => record.visit_form_type === 'healthcare';
+
+/**
+ * Per visit_type: header overrides (merged into HEADER_FIELDS) and detail fields.
+ */
+const VISIT_SCHEMAS = {
+  sales: {
+    header: {
+      latitude: { required: 'submit' },
+      longitude: { required: 'submit' },
+      note: { required: 'submit' },
+      sales_category: { required: 'always' },
+    },
+    detail: {
+      visit_form_type: { type: 'enum', values: SALES_CATEGORIES, required: 'always', label: 'Form type' },
+      region: { type: 'enum', values: REGIONS, list: 'regions', required: 'submit', label: 'Region' },
+      location_name: { type: 'string', maxLength: 255, required: 'submit', label: 'Location' },
+      location_address: { type: 'string', maxLength: 500, required: 'submit', label: 'Address' },
+      visit_purpose: { type: 'string', maxLength: 500, required: 'submit', label: 'Visit purpose' },
+      visit_status: {
+        type: 'enum',
+        values: VISIT_STATUSES,
+        list: 'status_kunjungan',
+        required: 'submit',
+        when: isHealthcare,
+        label: 'Visit status',
+      },
+      // Set by the server from the visit's owner (services/staffService.js)
+      sales_name: { type: 'string', maxLength: 128, label: 'Sales name' },
+      users_json: {
+        type: 'contacts',
+        values: CONTACT_POSITIONS,
+        list: 'jabatan',
+        required: 'submit',
+        when: isHealthcare,
+        label: 'Customer contacts',
+      },
+      visit_documentation: { type: 'upload_key', label: 'Documentation photo' },
+    },
+  },
+  technician_activity: {
+    header: {},
+    detail: {
+      product_id: { type: 'integer', min: 1, required: 'submit', label: 'Product' },
+      unit_quantity: { type: 'integer', min: 1, required: 'submit', label: 'Unit quantity' },
+      activity_date: { type: 'date', required: 'submit', label: 'Activity date' },
+      // Overwritten with the owner's name, like sales_name
+      technician_name: { type: 'string', maxLength: 128, label: 'Technician name' },
+      location_name: { type: 'string', maxLength: 255, required: 'submit', label: 'Location' },
+      location_address: { type: 'string', maxLength: 500, required: 'submit', label: 'Address' },
+      additional_technicians: { type: 'string', maxLength: 255, label: 'Other technicians' },
+      activity_purpose: { type: 'string', maxLength: 500, required: 'submit', label: 'Activity purpose' },
+      activity_notes: { type: 'text', label: 'Notes' },
+      official_report_number: { type: 'string', maxLength: 128, label: 'Official report number' },
+      selfie_photo: { type: 'upload_key', required: 'submit', label: 'Activity photo' },
+      attendance_document_photo: { type: 'upload_key', label: 'Attendance document photo' },
+    },
+  },
+  technician_service: {
+    header: {},
+    detail: {
+      product_id: { type: 'integer', min: 1, required: 'submit', label: 'Product' },
+      unit_quantity: { type: 'integer', min: 1, required: 'submit', label: 'Unit quantity' },
+      customer_name: { type: 'string', maxLength: 255, required: 'submit', label: 'Customer name' },
+      customer_contact: { type: 'string', maxLength: 255, label: 'Customer contact' },
+      healthcare_facility_name: { type: 'string', maxLength: 255, required: 'submit', label: 'Healthcare facility' },
+      pickup_date: { type: 'date', required: 'submit', label: 'Pickup date' },
+      issue_description: { type: 'text', required: 'submit', label: 'Issue description' },
+      resolution_estimate: { type: 'string', maxLength: 255, label: 'Resolution estimate' },
+      root_cause: { type: 'text', label: 'Root cause' },
+      corrective_action: { type: 'text', label: 'Corrective action' },
+      capa_action: { type: 'text', label: 'CAPA action' },
+      device_before_service_photo: { type: 'upload_key', required: 'submit', label: 'Device photo' },
+      corrective_proof: { type: 'upload_key', required: 'submit', label: 'Corrective proof photo' },
+      capa_action_image: { type: 'upload_key', required: 'submit', label: 'CAPA photo' },
+    },
+  },
+};
+
+/**
+ * Field specs for one part of a visit type.
+ *
+ * @param {string} visitType
+ * @param {'header'|'detail'} part
+ * @returns {Object} field → spec
+ */
+function getFields(visitType, part) {
+  const schema = VISIT_SCHEMAS[visitType];
+  if (!schema) return {};
+  if (part === 'detail') return schema.detail;
+
+  const fields = {};
+  for (const [name, spec] of Object.entries(HEADER_FIELDS)) {
+    fields[name] = { ...spec, ...(schema.header[name] || {}) };
+  }
+  return fields;
+}
+
+/* ----------------------
+ * Validation
+ * ---------------------- */
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+/** Parse "YYYY-MM-DD" or an ISO datetime into "YYYY-MM-DD"; null when invalid. */
+function toDateOnly(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const d = new Date(`${s}T00:00:00Z`);
+    return Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s ? null : s;
+  }
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
+
+/** Phone numbers as typed in the form: digits with an optional +, spaces, dashes, dots or parentheses. */
+const PHONE_PATTERN = /^\+?[0-9][0-9 ().-]{4,30}$/;
+
+/** Parse customer contacts (array or JSON string of { nama, jabatan, telepon?, contact_id? }). */
+function parseContacts(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+  return Array.isArray(list) ? list : null;
+}
+
+/** Allowed values of an enum / contacts spec: its master data list when given, else `values`. */
+function allowedValues(spec, lists) {
+  return (spec.list && lists && lists[spec.list]) || spec.values;
+}
+
+/**
+ * Convert one non-blank value according to its spec.
+ * @param {Object} spec
+ * @param {*} raw
+ * @param {Object} [lists] - master data list → active values
+ * @returns {{ value?: *, error?: string }}
+ */
+function coerce(spec, raw, lists) {
+  const { label } = spec;
+
+  switch (spec.type) {
+    case 'string':
+    case 'text': {
+      const value = String(raw).trim();
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { error: `${label} must be at most ${spec.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) return { error: `${label} must be a whole number` };
+      if (spec.min != null && value < spec.min) return { error: `${label} must be at least ${spec.min}` };
+      if (spec.max != null && value > spec.max) return { error: `${label} must be at most ${spec.max}` };
+      return { value };
+    }
+    case 'number':
+    case 'coordinate': {
+      const value = Number(raw);
+      const limit = spec.max;
+      if (!Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (spec.type === 'coordinate' && (value < -limit || value > limit)) {
+        return { error: `${label} must be between -${limit} and ${limit}` };
+      }
+      if (spec.min != null && value < spec.min) return { error: `${label} must be at least ${spec.min}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 1 || raw === '1' || raw === 'true') return { value: 1 };
+      if (raw === false || raw === 0 || raw === '0' || raw === 'false') return { value: 0 };
+      return { error: `${label} must be true or false` };
+    }
+    case 'date': {
+      const value = toDateOnly(raw);
+      return value ? { value } : { error: `${label} is not a valid date` };
+    }
+    case 'datetime': {
+      const value = raw instanceof Date ? raw : new Date(raw);
+      return Number.isNaN(value.getTime()) ? { error: `${label} is not a valid date` } : { value };
+    }
+    case 'enum': {
+      const value = String(raw).trim();
+      const allowed = allowedValues(spec, lists);
+      if (!allowed.includes(value)) return { error: `${label} must be one of: ${allowed.join(', ')}` };
+      return { value };
+    }
+    case 'contacts': {
+      const list = parseContacts(raw);
+      if (!list) return { error: `${label} must be a list` };
+      const filled = list.filter((c) => c && !isBlank(c.nama));
+      const positions = allowedValues(spec, lists);
+      const badPosition = filled.find((c) => !isBlank(c.jabatan) && !positions.includes(String(c.jabatan)));
+      if (badPosition) return { error: `${label}: unknown position "${badPosition.jabatan}"` };
+      const badPhone = filled.find((c) => !isBlank(c.telepon) && !PHONE_PATTERN.test(String(c.telepon).trim()));
+      if (badPhone) return { error: `${label}: invalid phone number "${badPhone.telepon}"` };
+      const badId = filled.find((c) => !isBlank(c.contact_id) && !(Number.isInteger(Number(c.contact_id)) && Number(c.contact_id) > 0));
+      if (badId) return { error: `${label}: invalid contact_id "${badId.contact_id}"` };
+      return { value: filled.length ? JSON.stringify(filled) : null };
+    }
+    case 'upload_key': {
+      const value = String(raw).trim();
+      return isValidKey(value) ? { value } : { error: `${label} is not a valid upload` };
+    }
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Validate a record against field specs.
+ *
+ * @param {Object} fields - field → spec (see getFields)
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.isDraft=false]  - skip `required: 'submit'`
+ * @param {boolean} [options.partial=false]  - only look at keys present in input (PATCH)
+ * @param {string[]} [options.provided=[]]   - fields filled in later by the server (e.g. product_id)
+ * @param {Object} [options.lists]           - master data list → active values, for specs with `list`
+ * @returns {{ values: Object, errors: Object }} coerced values and field → message
+ */
+function validateFields(fields, input = {}, { isDraft = false, partial = false, provided = [], lists } = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const [name, spec] of Object.entries(fields)) {
+    if (partial && !(name in input)) continue;
+
+    const raw = input[name];
+    const required =
+      (spec.required === 'always' || (spec.required === 'submit' && !isDraft)) &&
+      (!spec.when || spec.when(input)) &&
+      !provided.includes(name);
+
+    if (isBlank(raw)) {
+      if (required) errors[name] = `${spec.label} is required`;
+      else values[name] = null;
+      continue;
+    }
+
+    const { value, error } = coerce(spec, raw, lists);
+    if (error) errors[name] = error;
+    else if (required && value === null) errors[name] = `${spec.label} is required`;
+    else values[name] = value;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Join a field → message map into one line for `message`.
+ */
+function describeErrors(errors) {
+  return Object.values(errors).join('; ');
+}
+
+module.exports = {
+  SALES_CATEGORIES,
+  REGIONS,
+  VISIT_STATUSES,
+  CONTACT_POSITIONS,
+  PHONE_PATTERN,
+  VISIT_SCHEMAS,
+  getFields,
+  validateFields,
+  describeErrors,
+};
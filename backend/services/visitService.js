@@ -0,0 +1,738 @@
+/**
+ * Visit data-access service
+ * -------------------------
+ * Single place that knows how a field visit is stored:
+ *  - `visits`                       → header (who, when, where, draft flag)
+ *  - `sales_visit_details`          → detail for visit_type = 'sales'
+ *  - `technician_activity_details`  → detail for visit_type = 'technician_activity'
+ *  - `technician_service_details`   → detail for visit_type = 'technician_service'
+ *
+ * Used by:
+ *  - controllers/visitController.js (the /api/visits API)
+ *  - controllers/formController.js and routes/formRoutes.js (legacy /api/forms shim)
+ *
+ * Every function receives an open connection so callers can wrap several calls
+ * in one transaction. Column names are always taken from the whitelists below,
+ * never from client-supplied keys. Field rules live in services/visitSchemas.js;
+ * validation errors are field → message maps.
+ *
+ * Schema: see migrations/004_create_visits.js, 007_visit_geofence.js, 008_visit_location_risk.js,
+ * 010_visit_list_indexes.js, 017_create_visit_participants.js, 018_visit_participant_names.js
+ */
+
+const { normalizeRows, getAffectedRows, getInsertId } = require('../utils/dbHelpers');
+const { SALES_CATEGORIES, getFields, validateFields } = require('./visitSchemas');
+const { visibleToUserSql } = require('./participantService');
+const { getValidationLists } = require('./masterDataService');
+
+/* ----------------------
+ * Configuration
+ * ---------------------- */
+
+/**
+ * Detail table + writable columns for every supported visit_type.
+ * `route` is the path segment used by the API (/api/visits/:id/<route>).
+ * `searchColumns` are matched by the list's free-text filter (`q`).
+ */
+const VISIT_TYPES = {
+  sales: {
+    route: 'sales',
+    table: 'sales_visit_details',
+    columns: [
+      'visit_form_type',
+      'region',
+      'location_name',
+      'location_address',
+      'visit_purpose',
+      'visit_status',
+      'sales_name',
+      'users_json',
+      'visit_documentation',
+    ],
+    searchColumns: ['location_name', 'location_address', 'region', 'visit_purpose'],
+  },
+  technician_activity: {
+    route: 'activity',
+    table: 'technician_activity_details',
+    columns: [
+      'product_id',
+      'unit_quantity',
+      'activity_date',
+      'technician_name',
+      'location_name',
+      'location_address',
+      'additional_technicians',
+      'activity_purpose',
+      'activity_notes',
+      'official_report_number',
+      'selfie_photo',
+      'attendance_document_photo',
+    ],
+    searchColumns: ['location_name', 'location_address', 'technician_name', 'official_report_number', 'activity_notes'],
+  },
+  technician_service: {
+    route: 'service',
+    table: 'technician_service_details',
+    columns: [
+      'product_id',
+      'unit_quantity',
+      'customer_name',
+      'customer_contact',
+      'healthcare_facility_name',
+      'pickup_date',
+      'issue_description',
+      'resolution_estimate',
+      'root_cause',
+      'corrective_action',
+      'capa_action',
+      'device_before_service_photo',
+      'corrective_proof',
+      'capa_action_image',
+    ],
+    searchColumns: ['customer_name', 'healthcare_facility_name', 'issue_description'],
+  },
+};
+
+/** Map an API path segment (sales | activity | service) to its visit_type. */
+const VISIT_TYPE_BY_ROUTE = Object.fromEntries(
+  Object.entries(VISIT_TYPES).map(([type, cfg]) => [cfg.route, type])
+);
+
+/** Header columns a client may change after the visit was created. */
+const HEADER_EDITABLE_COLUMNS = [
+  'visited_at',
+  'latitude',
+  'longitude',
+  'location_accuracy_m',
+  'location_captured_at',
+  'location_source',
+  'location_mocked',
+  'hospital_id',
+  'note',
+  'is_draft',
+  'sales_category',
+];
+
+/** Columns the task list can be sorted by (`sort`); ties are broken by id. */
+const LIST_SORT_COLUMNS = ['visited_at', 'created_at'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/** Query parameters of GET /api/visits besides user_id, visit_type, geofence and suspicious. */
+const LIST_FILTER_FIELDS = {
+  status: { type: 'enum', values: ['draft', 'submitted'], label: 'status' },
+  from: { type: 'date', label: 'from' },
+  to: { type: 'date', label: 'to' },
+  q: { type: 'string', maxLength: 100, label: 'q' },
+  sort: { type: 'enum', values: LIST_SORT_COLUMNS, label: 'sort' },
+  order: { type: 'enum', values: ['asc', 'desc'], label: 'order' },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE, label: 'limit' },
+  cursor: { type: 'string', maxLength: 200, label: 'cursor' },
+  customer_id: { type: 'integer', min: 1, label: 'customer_id' },
+};
+
+/** Client-generated idempotency key (offline outbox): 8–64 URL-safe characters. */
+const CLIENT_REF_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/* ----------------------
+ * Value helpers
+ * ---------------------- */
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+/** Convert "", undefined and whitespace-only strings to null; trim other strings. */
+function toNullable(v) {
+  if (isBlank(v)) return null;
+  return typeof v === 'string' ? v.trim() : v;
+}
+
+/** Accept 1/0, "1"/"0", true/false, "true"/"false" → 1 | 0. */
+function toDraftFlag(v) {
+  if (v === true || v === 1 || v === '1' || v === 'true') return 1;
+  return 0;
+}
+
+/**
+ * Return the route segment or visit_type resolved to a visit_type, or null.
+ * Accepts both 'technician_activity' and 'activity'.
+ */
+function resolveVisitType(value) {
+  if (!value) return null;
+  if (VISIT_TYPES[value]) return value;
+  return VISIT_TYPE_BY_ROUTE[value] || null;
+}
+
+/* ----------------------
+ * List filters
+ * ---------------------- */
+
+/**
+ * Parse the `visit_type` list filter: comma-separated visit types (or route
+ * segments) and sales categories, e.g. "technician_service,healthcare".
+ * A sales category stands for sales visits of that category.
+ *
+ * @returns {Array<{ visitType: string, salesCategory: string|null }>|null} null when an entry is unknown
+ */
+function resolveTypeFilter(value) {
+  const entries = String(value)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  const types = [];
+  for (const entry of entries) {
+    if (SALES_CATEGORIES.includes(entry)) {
+      types.push({ visitType: 'sales', salesCategory: entry });
+      continue;
+    }
+    const visitType = resolveVisitType(entry);
+    if (!visitType) return null;
+    types.push({ visitType, salesCategory: null });
+  }
+  return types;
+}
+
+/**
+ * Opaque position after the last row of a page: the sort order plus the sort
+ * value and id of that row.
+ */
+function encodeListCursor(row, sort, order) {
+  const value = row[sort] instanceof Date ? row[sort].toISOString() : row[sort];
+  return Buffer.from(JSON.stringify([sort, order, value, Number(row.id)])).toString('base64url');
+}
+
+/**
+ * @returns {{ sort: string, order: string, value: Date, id: number }|null} null when malformed
+ */
+function decodeListCursor(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(text), 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+  if (!Array.isArray(parsed) || parsed.length !== 4) return null;
+
+  const [sort, order, raw, id] = parsed;
+  const value = new Date(raw);
+  if (!LIST_SORT_COLUMNS.includes(sort) || !['asc', 'desc'].includes(order)) return null;
+  if (Number.isNaN(value.getTime()) || !Number.isInteger(id) || id < 1) return null;
+  return { sort, order, value, id };
+}
+
+/**
+ * Validate the list query (status, from, to, q, sort, order, limit, cursor).
+ * A cursor must come from a page with the same sort and order.
+ *
+ * @returns {{ values: Object, errors: Object }} values.cursor is decoded
+ */
+function validateListFilters(query = {}) {
+  const { values, errors } = validateFields(LIST_FILTER_FIELDS, query);
+  values.sort = values.sort || 'visited_at';
+  values.order = values.order || 'desc';
+
+  if (values.from && values.to && values.from > values.to) errors.to = 'to must not be before from';
+
+  if (values.cursor) {
+    const cursor = decodeListCursor(values.cursor);
+    if (!cursor || cursor.sort !== values.sort || cursor.order !== values.order) {
+      errors.cursor = 'cursor is invalid for this sort order';
+    } else {
+      values.cursor = cursor;
+    }
+  }
+
+  return { values, errors };
+}
+
+/** Escape LIKE wildcards so `q` is matched literally. */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/* ----------------------
+ * Payload builders
+ * ---------------------- */
+
+/**
+ * Build a validated visit header from a request body.
+ *
+ * @param {Object} body - request payload
+ * @returns {{ header: Object|null, errors: Object }} errors: field → message
+ */
+function buildVisitHeader(body = {}) {
+  const errors = {};
+
+  const visitType = resolveVisitType(body.visit_type);
+  if (!visitType) errors.visit_type = `visit_type must be one of: ${Object.keys(VISIT_TYPES).join(', ')}`;
+
+  const userId = Number(body.user_id);
+  if (!Number.isInteger(userId) || userId <= 0) errors.user_id = 'user_id is required';
+
+  const clientRef = toNullable(body.client_ref);
+  if (clientRef && !CLIENT_REF_PATTERN.test(String(clientRef))) {
+    errors.client_ref = 'client_ref must be 8-64 letters, digits, "-" or "_"';
+  }
+
+  const isDraft = toDraftFlag(body.is_draft);
+  const input = { ...body, visited_at: isBlank(body.visited_at) ? new Date() : body.visited_at };
+  const { values, errors: fieldErrors } = validateFields(getFields(visitType, 'header'), input, { isDraft: isDraft === 1 });
+  Object.assign(errors, fieldErrors);
+
+  if (Object.keys(errors).length) return { header: null, errors };
+
+  return {
+    header: {
+      user_id: userId,
+      client_ref: clientRef ? String(clientRef) : null,
+      hospital_id: values.hospital_id,
+      visit_type: visitType,
+      sales_category: visitType === 'sales' ? values.sales_category : null,
+      visited_at: values.visited_at,
+      latitude: values.latitude,
+      longitude: values.longitude,
+      location_accuracy_m: values.location_accuracy_m,
+      location_captured_at: values.location_captured_at,
+      location_source: values.location_source,
+      location_mocked: values.location_mocked,
+      note: values.note,
+      is_draft: isDraft,
+    },
+    errors,
+  };
+}
+
+/**
+ * Validate detail columns (as returned by pickDetailColumns) for a visit type.
+ *
+ * @param {string} visitType
+ * @param {Object} detail
+ * @param {Object} [options] - isDraft, partial, provided, lists (see visitSchemas.validateFields)
+ * @returns {{ values: Object, errors: Object }}
+ */
+function validateDetail(visitType, detail, options = {}) {
+  return validateFields(getFields(visitType, 'detail'), detail, options);
+}
+
+/**
+ * Pick the writable detail columns for a visit_type from a request body.
+ * Unknown keys are ignored. `customer_contacts` (array sent by the sales form)
+ * is stored as JSON in `users_json`.
+ *
+ * @param {string} visitType
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - only include keys present in body (PATCH)
+ * @returns {Object} column → value
+ */
+function pickDetailColumns(visitType, body = {}, { partial = false } = {}) {
+  const cfg = VISIT_TYPES[visitType];
+  const source = { ...body };
+
+  if (visitType === 'sales' && source.customer_contacts !== undefined && source.users_json === undefined) {
+    source.users_json = source.customer_contacts;
+  }
+
+  const detail = {};
+  for (const col of cfg.columns) {
+    if (partial && !(col in source)) continue;
+
+    let value = source[col];
+    if (col === 'users_json' && value != null && typeof value !== 'string') {
+      value = JSON.stringify(value);
+    }
+    detail[col] = toNullable(value);
+  }
+  return detail;
+}
+
+/**
+ * Pick the editable header columns from a PATCH body.
+ *
+ * @param {Object} body
+ * @param {string} [visitType] - applies the visit type's rules (required fields, enums)
+ * @param {Object} [options]
+ * @param {boolean} [options.isDraft=true] - current draft state; `is_draft` in the body overrides it
+ * @returns {{ updates: Object, errors: Object }} errors: field → message
+ */
+function pickHeaderUpdates(body = {}, visitType = 'sales', { isDraft = true } = {}) {
+  const input = {};
+  for (const col of HEADER_EDITABLE_COLUMNS) {
+    if (col in body) input[col] = body[col];
+  }
+
+  const draft = 'is_draft' in input ? toDraftFlag(input.is_draft) === 1 : isDraft;
+  const { values, errors } = validateFields(getFields(visitType, 'header'), input, { isDraft: draft, partial: true });
+  const updates = { ...values };
+  if ('is_draft' in input) updates.is_draft = toDraftFlag(input.is_draft);
+  if (visitType !== 'sales') delete updates.sales_category;
+
+  // New coordinates without the provenance of a fresh GPS fix were typed by hand
+  const movesPoint = 'latitude' in updates || 'longitude' in updates;
+  if (movesPoint && !('location_source' in input)) {
+    Object.assign(updates, {
+      location_source: 'manual',
+      location_mocked: null,
+      location_accuracy_m: null,
+      location_captured_at: null,
+    });
+  }
+
+  return { updates, errors };
+}
+
+/* ----------------------
+ * Queries
+ * ---------------------- */
+
+/** Build "`a` = ?, `b` = ?" plus the matching values array. */
+function buildSetClause(updates) {
+  const cols = Object.keys(updates);
+  return {
+    sql: cols.map((c) => `\`${c}\` = ?`).join(', '),
+    values: cols.map((c) => updates[c]),
+  };
+}
+
+/**
+ * Insert a visit header.
+ * @returns {Promise<number>} new visit id
+ */
+async function insertVisit(conn, header) {
+  const cols = Object.keys(header);
+  const raw = await conn.query(
+    `INSERT INTO visits (${cols.map((c) => `\`${c}\``).join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+    cols.map((c) => header[c])
+  );
+  return getInsertId(raw);
+}
+
+/**
+ * Insert the detail row for a visit.
+ */
+async function insertVisitDetail(conn, visitType, visitId, detail) {
+  const { table } = VISIT_TYPES[visitType];
+  const cols = ['visit_id', ...Object.keys(detail)];
+  const values = [visitId, ...Object.keys(detail).map((c) => detail[c])];
+
+  await conn.query(
+    `INSERT INTO \`${table}\` (${cols.map((c) => `\`${c}\``).join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+    values
+  );
+}
+
+/**
+ * Fetch a non-deleted visit header by id.
+ * @returns {Promise<Object|null>}
+ */
+async function findVisit(conn, visitId) {
+  const rows = normalizeRows(
+    await conn.query('SELECT * FROM visits WHERE id = ? AND deleted_at IS NULL LIMIT 1', [visitId])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Fetch a visit by its client idempotency key. Soft-deleted visits are
+ * included so a late retry does not resurrect a deleted submission.
+ * @returns {Promise<Object|null>}
+ */
+async function findVisitByClientRef(conn, userId, clientRef) {
+  const rows = normalizeRows(
+    await conn.query('SELECT * FROM visits WHERE user_id = ? AND client_ref = ? LIMIT 1', [userId, clientRef])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Fetch the detail row of a visit.
+ * @returns {Promise<Object|null>}
+ */
+async function findVisitDetail(conn, visitType, visitId) {
+  const { table } = VISIT_TYPES[visitType];
+  const rows = normalizeRows(
+    await conn.query(`SELECT * FROM \`${table}\` WHERE visit_id = ? LIMIT 1`, [visitId])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Check a stored draft against the submit rules before it is published
+ * (is_draft 1 → 0). Header and detail are validated as a whole.
+ *
+ * @param {Object} conn
+ * @param {Object} visit - visits row
+ * @param {Object} [updates] - header updates applied in the same request
+ * @returns {Promise<Object>} field → message (empty when publishable)
+ */
+async function validateForPublish(conn, visit, updates = {}) {
+  const { errors } = buildVisitHeader({ ...visit, ...updates, is_draft: 0 });
+  const detail = await findVisitDetail(conn, visit.visit_type, visit.id);
+  if (!detail) return { ...errors, detail: 'Visit detail has not been saved yet' };
+
+  const lists = await getValidationLists(conn);
+  return { ...errors, ...validateDetail(visit.visit_type, detail, { lists }).errors };
+}
+
+/**
+ * List non-deleted visit headers, newest first unless `order` says otherwise.
+ * The user's own visits and those they took part in are listed, each with
+ * `participation`: 'owner' | 'participant'.
+ *
+ * @param {Object} conn
+ * @param {Object} filters
+ * @param {number} filters.userId
+ * @param {Array} [filters.types] - from resolveTypeFilter (any of them matches)
+ * @param {number} [filters.isDraft] - 1 drafts, 0 submitted
+ * @param {string} [filters.from] - "YYYY-MM-DD", inclusive (visited_at)
+ * @param {string} [filters.to]   - "YYYY-MM-DD", inclusive (visited_at)
+ * @param {string} [filters.search] - matched against the note and the detail's searchColumns
+ * @param {number} [filters.customerId]
+ * @param {string[]} [filters.geofenceStatuses] - visits.geofence_status values
+ * @param {number} [filters.minRiskScore] - lowest visits.location_risk_score
+ * @param {string} [filters.sort='visited_at'] - one of LIST_SORT_COLUMNS
+ * @param {string} [filters.order='desc']
+ * @param {Object} [filters.cursor] - from decodeListCursor: only rows after it
+ * @param {number} [filters.limit] - no limit when omitted
+ */
+async function listVisits(conn, filters) {
+  const { userId, types, isDraft, from, to, search, customerId, geofenceStatuses, minRiskScore, cursor, limit } = filters;
+  const sort = LIST_SORT_COLUMNS.includes(filters.sort) ? filters.sort : 'visited_at';
+  const direction = filters.order === 'asc' ? 'ASC' : 'DESC';
+
+  // Visits the user owns or took part in (services/participantService.js)
+  const where = [visibleToUserSql('v'), 'v.deleted_at IS NULL'];
+  const params = [userId, userId, userId];
+
+  if (types && types.length) {
+    const clauses = types.map(({ visitType, salesCategory }) => {
+      params.push(visitType);
+      if (!salesCategory) return 'v.visit_type = ?';
+      params.push(salesCategory);
+      return '(v.visit_type = ? AND v.sales_category = ?)';
+    });
+    where.push(`(${clauses.join(' OR ')})`);
+  }
+
+  if (isDraft != null) {
+    where.push('v.is_draft = ?');
+    params.push(isDraft);
+  }
+
+  if (customerId) {
+    where.push('v.customer_id = ?');
+    params.push(customerId);
+  }
+
+  if (from) {
+    where.push('v.visited_at >= ?');
+    params.push(from);
+  }
+
+  if (to) {
+    where.push('v.visited_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+
+  if (search) {
+    const pattern = `%${escapeLike(search)}%`;
+    const clauses = ['v.note LIKE ?'];
+    params.push(pattern);
+    for (const { table, searchColumns } of Object.values(VISIT_TYPES)) {
+      clauses.push(
+        `EXISTS (SELECT 1 FROM \`${table}\` d WHERE d.visit_id = v.id AND (${searchColumns
+          .map((c) => `d.${c} LIKE ?`)
+          .join(' OR ')}))`
+      );
+      params.push(...searchColumns.map(() => pattern));
+    }
+    where.push(`(${clauses.join(' OR ')})`);
+  }
+
+  if (geofenceStatuses && geofenceStatuses.length) {
+    where.push('v.geofence_status IN (?)');
+    params.push(geofenceStatuses);
+  }
+
+  if (minRiskScore != null) {
+    where.push('v.location_risk_score >= ?');
+    params.push(minRiskScore);
+  }
+
+  if (cursor) {
+    const op = direction === 'ASC' ? '>' : '<';
+    where.push(`(v.${sort} ${op} ? OR (v.${sort} = ? AND v.id ${op} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  let sql = `SELECT v.*, IF(v.user_id = ?, 'owner', 'participant') AS participation
+    FROM visits v
+    WHERE ${where.join(' AND ')}
+    ORDER BY v.${sort} ${direction}, v.id ${direction}`;
+  if (limit) {
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return normalizeRows(await conn.query(sql, params));
+}
+
+/**
+ * One page of listVisits.
+ *
+ * @param {Object} conn
+ * @param {Object} filters - as for listVisits; `limit` defaults to DEFAULT_PAGE_SIZE
+ * @returns {Promise<{ visits: Object[], nextCursor: string|null }>} nextCursor null on the last page
+ */
+async function listVisitPage(conn, filters) {
+  const limit = filters.limit || DEFAULT_PAGE_SIZE;
+  const sort = filters.sort || 'visited_at';
+  const order = filters.order || 'desc';
+
+  // One extra row tells whether another page follows
+  const rows = await listVisits(conn, { ...filters, sort, order, limit: limit + 1 });
+  const visits = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeListCursor(visits[visits.length - 1], sort, order) : null;
+  return { visits, nextCursor };
+}
+
+/**
+ * List the newest non-deleted visits of one type joined with their detail row.
+ * Header columns win over detail columns with the same name.
+ *
+ * @param {Object} conn
+ * @param {Object} filters
+ * @param {number} filters.userId
+ * @param {string} filters.visitType
+ * @param {number} filters.limit
+ */
+async function listVisitsWithDetails(conn, { userId, visitType, limit }) {
+  const { table } = VISIT_TYPES[visitType];
+  return normalizeRows(
+    await conn.query(
+      `SELECT d.*, v.*
+       FROM visits v
+       LEFT JOIN \`${table}\` d ON d.visit_id = v.id
+       WHERE v.user_id = ? AND v.visit_type = ? AND v.deleted_at IS NULL
+       ORDER BY v.visited_at DESC, v.id DESC
+       LIMIT ?`,
+      [userId, visitType, limit]
+    )
+  );
+}
+
+/**
+ * Update header columns of a visit owned by userId.
+ * @returns {Promise<number>} affected rows
+ */
+async function updateVisit(conn, visitId, userId, updates) {
+  const { sql, values } = buildSetClause(updates);
+  const raw = await conn.query(
+    `UPDATE visits SET ${sql} WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+    [...values, visitId, userId]
+  );
+  return getAffectedRows(raw);
+}
+
+/**
+ * Update detail columns of a visit. Ownership must be checked by the caller
+ * (via findVisit) because detail tables do not carry user_id.
+ * @returns {Promise<number>} affected rows
+ */
+async function updateVisitDetail(conn, visitType, visitId, updates) {
+  const { table } = VISIT_TYPES[visitType];
+  const { sql, values } = buildSetClause(updates);
+  const raw = await conn.query(`UPDATE \`${table}\` SET ${sql} WHERE visit_id = ?`, [...values, visitId]);
+  await conn.query('UPDATE visits SET updated_at = NOW() WHERE id = ?', [visitId]);
+  return getAffectedRows(raw);
+}
+
+/**
+ * Soft-delete a visit owned by userId.
+ * @returns {Promise<number>} affected rows
+ */
+async function softDeleteVisit(conn, visitId, userId) {
+  const raw = await conn.query(
+    'UPDATE visits SET deleted_at = NOW() WHERE id = ? AND user_id = ? AND deleted_at IS NULL',
+    [visitId, userId]
+  );
+  return getAffectedRows(raw);
+}
+
+/**
+ * List a user's soft-deleted visits deleted at or after `since`, most recently
+ * deleted first.
+ *
+ * @param {Object} conn
+ * @param {Object} filters
+ * @param {number} filters.userId
+ * @param {Date} filters.since - older deletions are no longer restorable
+ */
+async function listDeletedVisits(conn, { userId, since }) {
+  return normalizeRows(
+    await conn.query(
+      `SELECT * FROM visits
+       WHERE user_id = ? AND deleted_at IS NOT NULL AND deleted_at >= ?
+       ORDER BY deleted_at DESC, id DESC`,
+      [userId, since]
+    )
+  );
+}
+
+/**
+ * Fetch a soft-deleted visit owned by userId.
+ * @returns {Promise<Object|null>}
+ */
+async function findDeletedVisit(conn, visitId, userId) {
+  const rows = normalizeRows(
+    await conn.query('SELECT * FROM visits WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL LIMIT 1', [
+      visitId,
+      userId,
+    ])
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Undo the soft delete of a visit owned by userId, if it was deleted at or
+ * after `since`.
+ * @returns {Promise<number>} affected rows
+ */
+async function restoreVisit(conn, visitId, userId, since) {
+  const raw = await conn.query(
+    `UPDATE visits SET deleted_at = NULL
+     WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL AND deleted_at >= ?`,
+    [visitId, userId, since]
+  );
+  return getAffectedRows(raw);
+}
+
+module.exports = {
+  VISIT_TYPES,
+  VISIT_TYPE_BY_ROUTE,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  resolveVisitType,
+  resolveTypeFilter,
+  validateListFilters,
+  buildVisitHeader,
+  pickDetailColumns,
+  pickHeaderUpdates,
+  validateDetail,
+  validateForPublish,
+  insertVisit,
+  insertVisitDetail,
+  findVisit,
+  findVisitByClientRef,
+  findVisitDetail,
+  listVisits,
+  listVisitPage,
+  listVisitsWithDetails,
+  updateVisit,
+  updateVisitDetail,
+  softDeleteVisit,
+  listDeletedVisits,
+  findDeletedVisit,
+  restoreVisit,
+};
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for services/geofenceService.js evaluateGeofence (no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { evaluateGeofence, resolveGeofenceFilter } = require('../services/geofenceService');
+
+const CONFIG = { radiusM: 1000, maxAccuracyM: 100, maxAgeMinutes: 30 };
+const HOSPITAL = { latitude: -6.2, longitude: 106.8 };
+
+/** A visit at the hospital entrance with a fresh, accurate fix. */
+const visitAt = (fields = {}) => ({
+  latitude: -6.2,
+  longitude: 106.8,
+  location_accuracy_m: 15,
+  visited_at: '2026-10-01T08:00:00Z',
+  location_captured_at: '2026-10-01T07:58:00Z',
+  ...fields,
+});
+
+test('evaluateGeofence accepts a fresh, accurate fix within the radius', () => {
+  assert.deepEqual(evaluateGeofence(visitAt(), HOSPITAL, CONFIG), { status: 'inside', distance_m: 0 });
+
+  // About 550 m north
+  const near = evaluateGeofence(visitAt({ latitude: -6.195 }), HOSPITAL, CONFIG);
+  assert.equal(near.status, 'inside');
+  assert.ok(near.distance_m > 500 && near.distance_m < 600);
+});
+
+test('evaluateGeofence flags visits outside the radius', () => {
+  const result = evaluateGeofence(visitAt({ latitude: -6.18 }), HOSPITAL, CONFIG);
+  assert.equal(result.status, 'outside');
+  assert.ok(result.distance_m > 2000 && result.distance_m < 2400);
+
+  // Distance wins over the other checks
+  assert.equal(evaluateGeofence(visitAt({ latitude: -6.18, location_accuracy_m: 500 }), HOSPITAL, CONFIG).status, 'outside');
+});
+
+test('evaluateGeofence flags inaccurate and stale fixes', () => {
+  assert.equal(evaluateGeofence(visitAt({ location_accuracy_m: 150 }), HOSPITAL, CONFIG).status, 'low_accuracy');
+  assert.equal(evaluateGeofence(visitAt({ location_accuracy_m: 100 }), HOSPITAL, CONFIG).status, 'inside');
+
+  assert.equal(evaluateGeofence(visitAt({ location_captured_at: '2026-10-01T07:15:00Z' }), HOSPITAL, CONFIG).status, 'stale');
+  // A fix taken after the visit time counts the same way
+  assert.equal(evaluateGeofence(visitAt({ location_captured_at: '2026-10-01T08:45:00Z' }), HOSPITAL, CONFIG).status, 'stale');
+});
+
+test('evaluateGeofence does not flag older app builds for missing accuracy or fix time', () => {
+  const result = evaluateGeofence(visitAt({ location_accuracy_m: null, location_captured_at: '' }), HOSPITAL, CONFIG);
+  assert.equal(result.status, 'inside');
+});
+
+test('evaluateGeofence cannot verify visits or hospitals without coordinates', () => {
+  const unverified = { status: 'unverified', distance_m: null };
+  assert.deepEqual(evaluateGeofence(visitAt({ latitude: null }), HOSPITAL, CONFIG), unverified);
+  assert.deepEqual(evaluateGeofence(visitAt(), { latitude: null, longitude: null }, CONFIG), unverified);
+  assert.deepEqual(evaluateGeofence(visitAt(), null, CONFIG), unverified);
+});
+
+test('evaluateGeofence follows the configured radius', () => {
+  const visit = visitAt({ latitude: -6.195 });
+  assert.equal(evaluateGeofence(visit, HOSPITAL, { ...CONFIG, radiusM: 300 }).status, 'outside');
+});
+
+test('resolveGeofenceFilter maps `flagged` onto every warning status', () => {
+  assert.deepEqual(resolveGeofenceFilter('flagged'), ['outside', 'low_accuracy', 'stale', 'unverified']);
+  assert.deepEqual(resolveGeofenceFilter(' Inside '), ['inside']);
+  assert.equal(resolveGeofenceFilter('nearby'), null);
+});
@@ -0,0 +1,45 @@
+/**
+ * Unit tests for services/hospitalImportService.js (no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseHospitalCsv } = require('../services/hospitalImportService');
+
+const SEMICOLON_FILE = [
+  'No;Nama_RS;ALAMAT;Koordinat;region',
+  '1;RS Decimal Comma;Jl. Sudirman 1;-6,2146 106,8451;Jakarta',
+  '2;RS Semicolon Pair;Jl. Thamrin 2;"-6,1900; 106,8200";Jakarta',
+  '3;RS No Coordinates;Jl. Gatot Subroto 3;;Jakarta',
+  '4;RS Broken;Jl. Kuningan 4;-6,2146 106,8451 12;Jakarta',
+].join('\r\n');
+
+test('parseHospitalCsv reads decimal-comma coordinates from a semicolon file', () => {
+  const { hospitals, rejected, missingColumns } = parseHospitalCsv(SEMICOLON_FILE);
+
+  assert.deepEqual(missingColumns, []);
+  const byName = Object.fromEntries(hospitals.map((h) => [h.name, h]));
+
+  assert.equal(byName['RS Decimal Comma'].latitude, -6.2146);
+  assert.equal(byName['RS Decimal Comma'].longitude, 106.8451);
+  assert.equal(byName['RS Semicolon Pair'].latitude, -6.19);
+  assert.equal(byName['RS Semicolon Pair'].longitude, 106.82);
+  assert.equal(byName['RS No Coordinates'].latitude, null);
+  assert.equal(byName['RS No Coordinates'].longitude, null);
+
+  assert.equal(rejected.length, 1);
+  assert.equal(rejected[0].line, 5);
+  assert.equal(rejected[0].name, 'RS Broken');
+  assert.match(rejected[0].error, /coordinates/);
+});
+
+test('parseHospitalCsv keeps reading "lat, lng" cells from a comma file', () => {
+  const file = ['Nama_RS,Koordinat,region', 'RS Dot Decimal,"-6.2146, 106.8451",Jakarta'].join('\n');
+  const { hospitals, rejected } = parseHospitalCsv(file);
+
+  assert.deepEqual(rejected, []);
+  assert.equal(hospitals[0].latitude, -6.2146);
+  assert.equal(hospitals[0].longitude, 106.8451);
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the signed URLs of services/storage/localDriver.js
+ * (uses a temporary directory, no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDriver } = require('../services/storage/localDriver');
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-driver-test-'));
+const driver = createLocalDriver({ rootDir, secret: 'test-secret' });
+
+const KEY = 'visits/2026/photo.jpg';
+const BASE_URL = 'http://localhost:3000';
+
+test.after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+/** Query parameters of a signed URL, as the upload route receives them. */
+function queryOf(url) {
+  return Object.fromEntries(new URL(url).searchParams);
+}
+
+test('createLocalDriver requires a signing secret', () => {
+  assert.throws(() => createLocalDriver({ rootDir, secret: '' }), /UPLOAD_SIGNING_SECRET/);
+});
+
+test('an upload URL verifies for its key and content type', () => {
+  const url = driver.createUploadUrl({ key: KEY, contentType: 'image/jpeg', expiresIn: 60, baseUrl: BASE_URL });
+  assert.ok(url.startsWith(`${BASE_URL}/api/uploads/object/visits/2026/photo.jpg?`));
+
+  const query = queryOf(url);
+  assert.equal(driver.verify('PUT', KEY, query), null);
+  assert.equal(driver.verify('PUT', KEY, { ...query, ct: 'image/png' }), 'Invalid signature');
+  assert.equal(driver.verify('PUT', 'visits/2026/other.jpg', query), 'Invalid signature');
+  assert.equal(driver.verify('GET', KEY, query), 'Invalid signature');
+});
+
+test('a download URL cannot be used to upload', () => {
+  const query = queryOf(driver.createDownloadUrl({ key: KEY, expiresIn: 60, baseUrl: BASE_URL }));
+  assert.equal(driver.verify('GET', KEY, query), null);
+  assert.equal(driver.verify('PUT', KEY, query), 'Invalid signature');
+});
+
+test('verify rejects expired, unsigned and tampered URLs', () => {
+  const query = queryOf(driver.createDownloadUrl({ key: KEY, expiresIn: 60, baseUrl: BASE_URL }));
+
+  assert.equal(driver.verify('GET', KEY, {}), 'Missing signature');
+  assert.equal(driver.verify('GET', KEY, { expires: query.expires }), 'Missing signature');
+  assert.equal(driver.verify('GET', KEY, { ...query, expires: String(Number(query.expires) + 60) }), 'Invalid signature');
+  assert.equal(driver.verify('GET', KEY, { ...query, sig: 'zz' }), 'Invalid signature');
+  assert.equal(driver.verify('GET', KEY, { ...query, sig: query.sig.slice(0, -2) }), 'Invalid signature');
+
+  const expired = queryOf(driver.createDownloadUrl({ key: KEY, expiresIn: -1, baseUrl: BASE_URL }));
+  assert.equal(driver.verify('GET', KEY, expired), 'Signed URL has expired');
+});
+
+test('a URL signed with another secret does not verify', () => {
+  const other = createLocalDriver({ rootDir, secret: 'other-secret' });
+  const query = queryOf(other.createDownloadUrl({ key: KEY, expiresIn: 60, baseUrl: BASE_URL }));
+  assert.equal(driver.verify('GET', KEY, query), 'Invalid signature');
+});
+
+test('keys cannot point outside the storage directory', () => {
+  assert.throws(() => driver.getObjectPath('../outside.jpg'), /Invalid storage key/);
+  assert.equal(driver.getObjectPath(KEY), null);
+});
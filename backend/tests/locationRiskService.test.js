@@ -0,0 +1,70 @@
+/**
+ * Unit tests for services/locationRiskService.js assessLocation (no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessLocation } = require('../services/locationRiskService');
+
+const CONFIG = { maxSpeedKmh: 200, threshold: 50 };
+const NOW = new Date('2026-10-01T09:00:00Z');
+
+/** A GPS fix taken in Jakarta at the time of the visit. */
+const visitAt = (fields = {}) => ({
+  latitude: -6.2,
+  longitude: 106.8,
+  location_source: 'gps',
+  location_mocked: 0,
+  visited_at: '2026-10-01T08:00:00Z',
+  location_captured_at: '2026-10-01T08:00:00Z',
+  ...fields,
+});
+
+const assess = (visit, neighbours = []) => assessLocation(visit, { neighbours, now: NOW }, CONFIG);
+
+test('assessLocation does not score visits without coordinates', () => {
+  assert.deepEqual(assess(visitAt({ latitude: null })), { score: null, flags: [], suspicious: false });
+});
+
+test('assessLocation gives a clean GPS fix a zero score', () => {
+  assert.deepEqual(assess(visitAt()), { score: 0, flags: [], suspicious: false });
+});
+
+test('assessLocation adds the weight of each flag', () => {
+  assert.deepEqual(assess(visitAt({ location_mocked: 1 })), { score: 70, flags: ['mocked'], suspicious: true });
+  assert.deepEqual(assess(visitAt({ location_source: 'manual' })), { score: 40, flags: ['manual'], suspicious: false });
+  assert.deepEqual(assess(visitAt({ location_source: null })), { score: 10, flags: ['no_provenance'], suspicious: false });
+});
+
+test('assessLocation flags fixes dated in the future beyond the tolerance', () => {
+  assert.deepEqual(assess(visitAt({ location_captured_at: '2026-10-01T09:03:00Z' })).flags, []);
+  assert.deepEqual(assess(visitAt({ location_captured_at: '2026-10-01T09:10:00Z' })).flags, ['clock_skew']);
+});
+
+test('assessLocation flags a neighbour visit too far away to reach in time', () => {
+  // Bandung, roughly 120 km away, ten minutes earlier
+  const bandung = { latitude: -6.9, longitude: 107.6, visited_at: '2026-10-01T07:50:00Z' };
+  assert.deepEqual(assess(visitAt(), [bandung]).flags, ['impossible_speed']);
+
+  // The same trip over two hours is fine
+  assert.deepEqual(assess(visitAt(), [{ ...bandung, visited_at: '2026-10-01T06:00:00Z' }]).flags, []);
+});
+
+test('assessLocation ignores short moves and neighbours without coordinates', () => {
+  const nextDoor = { latitude: -6.201, longitude: 106.801, visited_at: '2026-10-01T08:00:00Z' };
+  assert.deepEqual(assess(visitAt(), [nextDoor, { latitude: null, longitude: null }]).flags, []);
+});
+
+test('assessLocation caps the score at 100', () => {
+  const far = { latitude: -7.8, longitude: 110.4, visited_at: '2026-10-01T07:55:00Z' };
+  const result = assess(visitAt({ location_mocked: 1, location_source: 'manual' }), [far]);
+  assert.deepEqual(result.flags, ['mocked', 'impossible_speed', 'manual']);
+  assert.equal(result.score, 100);
+  assert.equal(result.suspicious, true);
+});
+
+test('assessLocation follows the configured threshold', () => {
+  assert.equal(assessLocation(visitAt({ location_source: 'manual' }), { now: NOW }, { ...CONFIG, threshold: 40 }).suspicious, true);
+});
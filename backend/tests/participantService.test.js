@@ -0,0 +1,94 @@
+/**
+ * Unit tests for services/participantService.js (the database is replaced by
+ * a stub holding a few staff list options).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseParticipants, resolveParticipants, MAX_PARTICIPANTS } = require('../services/participantService');
+
+/** master_data_items LEFT JOIN users: options of nama_sales with their linked account. */
+const SALES_OPTIONS = [
+  { value: 'ayu', label: 'Ayu Lestari', user_id: 11 },
+  { value: 'dedi', label: 'Dedi', user_id: 12 },
+  { value: 'rina', label: 'Rina Wati', user_id: null },
+];
+
+function fakeConn(options = SALES_OPTIONS) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      const [, values] = params;
+      return options.filter((o) => values.includes(o.value));
+    },
+  };
+}
+
+test('parseParticipants leaves participants alone when the body has none', () => {
+  assert.deepEqual(parseParticipants(undefined), { values: null, errors: {} });
+  assert.deepEqual(parseParticipants(null), { values: [], errors: {} });
+  assert.deepEqual(parseParticipants([]), { values: [], errors: {} });
+});
+
+test('parseParticipants trims and de-duplicates names', () => {
+  assert.deepEqual(parseParticipants([' ayu ', 'dedi', 'ayu']), { values: ['ayu', 'dedi'], errors: {} });
+});
+
+test('parseParticipants rejects anything but a list of names', () => {
+  const message = 'participants must be a list of names';
+  assert.deepEqual(parseParticipants('ayu').errors, { participants: message });
+  assert.deepEqual(parseParticipants(['ayu', 3]).errors, { participants: message });
+  assert.deepEqual(parseParticipants(['ayu', '  ']).errors, { participants: message });
+  assert.equal(parseParticipants('ayu').values, null);
+});
+
+test(`parseParticipants allows at most ${MAX_PARTICIPANTS} participants`, () => {
+  const names = Array.from({ length: MAX_PARTICIPANTS + 1 }, (_, i) => `sales_${i}`);
+  assert.deepEqual(parseParticipants(names.slice(0, MAX_PARTICIPANTS)).errors, {});
+  assert.deepEqual(parseParticipants(names).errors, { participants: `At most ${MAX_PARTICIPANTS} participants` });
+});
+
+test('resolveParticipants looks names up in the staff list of the visit type', async () => {
+  const conn = fakeConn();
+  await resolveParticipants(conn, { visit_type: 'sales', user_id: 1 }, ['ayu']);
+  assert.deepEqual(conn.queries[0].params, ['nama_sales', ['ayu']]);
+
+  const tech = fakeConn([]);
+  await resolveParticipants(tech, { visit_type: 'technician_service', user_id: 1 }, ['budi']);
+  assert.deepEqual(tech.queries[0].params, ['nama_teknisi', ['budi']]);
+});
+
+test('resolveParticipants keeps names without an account', async () => {
+  const { participants, errors } = await resolveParticipants(fakeConn(), { visit_type: 'sales', user_id: 1 }, [
+    'ayu',
+    'rina',
+    'Pak Joko',
+  ]);
+
+  assert.deepEqual(errors, {});
+  assert.deepEqual(participants, [
+    { user_id: 11, label: 'Ayu Lestari' },
+    { user_id: null, label: 'Rina Wati' },
+    { user_id: null, label: 'Pak Joko' },
+  ]);
+});
+
+test('resolveParticipants leaves out the owner of the visit', async () => {
+  const { participants } = await resolveParticipants(fakeConn(), { visit_type: 'sales', user_id: '12' }, ['ayu', 'dedi']);
+  assert.deepEqual(participants, [{ user_id: 11, label: 'Ayu Lestari' }]);
+});
+
+test('resolveParticipants skips the query for an empty list', async () => {
+  const conn = fakeConn();
+  assert.deepEqual(await resolveParticipants(conn, { visit_type: 'sales', user_id: 1 }, []), { participants: [], errors: {} });
+  assert.equal(conn.queries.length, 0);
+});
+
+test('resolveParticipants rejects participants on visit types without a staff list', async () => {
+  const { errors } = await resolveParticipants(fakeConn(), { visit_type: 'unknown', user_id: 1 }, ['ayu']);
+  assert.deepEqual(errors, { participants: 'This visit type has no participants' });
+});
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for the password rules of services/passwordService.js
+ * (no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePasswordStrength } = require('../services/passwordService');
+
+const USER = { email: 'budi.santoso@example.com', name: 'Budi Santoso' };
+
+test('validatePasswordStrength accepts a long password with letters and numbers', () => {
+  assert.deepEqual(validatePasswordStrength('kopi-susu-2026', USER), []);
+});
+
+test('validatePasswordStrength requires a password', () => {
+  assert.deepEqual(validatePasswordStrength(''), ['Password is required']);
+  assert.deepEqual(validatePasswordStrength(undefined), ['Password is required']);
+  assert.deepEqual(validatePasswordStrength(12345678), ['Password is required']);
+});
+
+test('validatePasswordStrength checks length and character classes', () => {
+  assert.deepEqual(validatePasswordStrength('abc12'), ['Password must be at least 8 characters']);
+  assert.deepEqual(validatePasswordStrength('onlyletters'), ['Password must contain at least one letter and one number']);
+  assert.deepEqual(validatePasswordStrength('1234567890123'), ['Password must contain at least one letter and one number']);
+});
+
+test('validatePasswordStrength limits passwords to the 72 bytes bcrypt reads', () => {
+  assert.deepEqual(validatePasswordStrength(`a1${'x'.repeat(70)}`), []);
+  assert.deepEqual(validatePasswordStrength(`a1${'x'.repeat(71)}`), ['Password must be at most 72 bytes']);
+  // Multi-byte characters count by their UTF-8 size
+  assert.deepEqual(validatePasswordStrength(`a1${'é'.repeat(36)}`), ['Password must be at most 72 bytes']);
+});
+
+test('validatePasswordStrength rejects common passwords in any case', () => {
+  assert.ok(validatePasswordStrength('Password123').includes('Password is too common'));
+  assert.ok(validatePasswordStrength('QWERTY123').includes('Password is too common'));
+});
+
+test('validatePasswordStrength rejects passwords containing the name or email', () => {
+  const message = 'Password must not contain your name or email';
+  assert.deepEqual(validatePasswordStrength('BUDI2026rahasia', USER), [message]);
+  assert.deepEqual(validatePasswordStrength('x-budi.santoso-9', USER), [message]);
+  // Names shorter than three letters are ignored
+  assert.deepEqual(validatePasswordStrength('jo-kopi-2026', { email: 'jo@example.com', name: 'Jo' }), []);
+});
+
+test('validatePasswordStrength reports every failed rule', () => {
+  assert.deepEqual(validatePasswordStrength('budi', USER), [
+    'Password must be at least 8 characters',
+    'Password must contain at least one letter and one number',
+    'Password must not contain your name or email',
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for refresh-token rotation in services/tokenService.js
+ * (the refresh_tokens table is kept in memory).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { issueRefreshToken, rotateRefreshToken } = require('../services/tokenService');
+
+/**
+ * Connection stub that understands the refresh_tokens queries of tokenService.
+ * `rows` is the table; expires_at is a timestamp in milliseconds.
+ */
+function fakeConn() {
+  const rows = [];
+  let nextId = 1;
+
+  async function query(sql, params) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+
+    if (text.startsWith('INSERT INTO refresh_tokens')) {
+      const [userId, tokenHash, familyId, userAgent, days] = params;
+      const row = {
+        id: nextId++,
+        user_id: userId,
+        token_hash: tokenHash,
+        family_id: familyId,
+        user_agent: userAgent,
+        expires_at: Date.now() + days * 24 * 3600 * 1000,
+        revoked_at: null,
+        replaced_by_id: null,
+      };
+      rows.push(row);
+      return { insertId: BigInt(row.id), affectedRows: 1 };
+    }
+
+    if (text.startsWith('SELECT') && text.includes('WHERE token_hash = ?')) {
+      return rows
+        .filter((r) => r.token_hash === params[0])
+        .map((r) => ({ ...r, expired: r.expires_at <= Date.now() ? 1 : 0 }));
+    }
+
+    if (text.includes('SET revoked_at = NOW(), replaced_by_id = ? WHERE id = ?')) {
+      const row = rows.find((r) => r.id === params[1]);
+      Object.assign(row, { revoked_at: new Date(), replaced_by_id: params[0] });
+      return { affectedRows: 1 };
+    }
+
+    if (text.includes('WHERE family_id = ? AND revoked_at IS NULL')) {
+      const family = rows.filter((r) => r.family_id === params[0] && !r.revoked_at);
+      for (const row of family) row.revoked_at = new Date();
+      return { affectedRows: family.length };
+    }
+
+    throw new Error(`Unexpected query: ${text}`);
+  }
+
+  return { rows, query };
+}
+
+test('rotateRefreshToken replaces the token with a new one of the same session', async () => {
+  const conn = fakeConn();
+  const first = await issueRefreshToken(conn, 5, { userAgent: 'app/1.0' });
+
+  const result = await rotateRefreshToken(conn, first.token, { userAgent: 'app/1.0' });
+  assert.equal(result.status, 'ok');
+  assert.equal(result.userId, 5);
+  assert.notEqual(result.refreshToken, first.token);
+
+  const [old, current] = conn.rows;
+  assert.ok(old.revoked_at);
+  assert.equal(old.replaced_by_id, current.id);
+  assert.equal(current.family_id, old.family_id);
+  assert.equal(current.revoked_at, null);
+
+  // Only the hash is stored
+  assert.ok(conn.rows.every((r) => r.token_hash !== first.token && r.token_hash !== result.refreshToken));
+});
+
+test('reusing a rotated token revokes the whole session', async () => {
+  const conn = fakeConn();
+  const first = await issueRefreshToken(conn, 5);
+  const other = await issueRefreshToken(conn, 5);
+  const second = await rotateRefreshToken(conn, first.token);
+  const third = await rotateRefreshToken(conn, second.refreshToken);
+
+  const reused = await rotateRefreshToken(conn, first.token);
+  assert.deepEqual(reused, { status: 'reused', userId: 5 });
+
+  const family = conn.rows.filter((r) => r.family_id === conn.rows[0].family_id);
+  assert.equal(family.length, 3);
+  assert.ok(family.every((r) => r.revoked_at), 'every token of the session is revoked');
+  assert.equal((await rotateRefreshToken(conn, third.refreshToken)).status, 'reused');
+
+  // Other sessions of the user are left alone
+  assert.equal((await rotateRefreshToken(conn, other.token)).status, 'ok');
+});
+
+test('rotateRefreshToken rejects unknown and expired tokens', async () => {
+  const conn = fakeConn();
+  assert.deepEqual(await rotateRefreshToken(conn, 'never-issued'), { status: 'invalid' });
+
+  const { token } = await issueRefreshToken(conn, 5);
+  conn.rows[0].expires_at = Date.now() - 1000;
+  assert.deepEqual(await rotateRefreshToken(conn, token), { status: 'invalid' });
+  assert.equal(conn.rows.length, 1, 'no new token is issued');
+});
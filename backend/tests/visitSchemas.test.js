@@ -0,0 +1,116 @@
+/**
+ * Unit tests for services/visitSchemas.js (no database needed).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getFields, validateFields } = require('../services/visitSchemas');
+
+const SALES_HEADER = getFields('sales');
+const SALES_DETAIL = getFields('sales', 'detail');
+
+const HEALTHCARE_DETAIL = {
+  visit_form_type: 'healthcare',
+  region: 'jakarta',
+  location_name: 'RS Sehat',
+  location_address: 'Jl. Sudirman 1',
+  visit_purpose: 'Presentasi produk',
+  visit_status: 'bisa ditemui',
+  users_json: [{ nama: 'dr. Budi', jabatan: 'dokter', telepon: '0812-3456-789' }],
+};
+
+test('validateFields only requires submit fields when the visit is not a draft', () => {
+  const draft = validateFields(SALES_DETAIL, { visit_form_type: 'healthcare' }, { isDraft: true });
+  assert.deepEqual(draft.errors, {});
+  assert.equal(draft.values.region, null);
+
+  const submit = validateFields(SALES_DETAIL, { visit_form_type: 'healthcare' });
+  assert.deepEqual(Object.keys(submit.errors).sort(), [
+    'location_address',
+    'location_name',
+    'region',
+    'users_json',
+    'visit_purpose',
+    'visit_status',
+  ]);
+  assert.equal(submit.errors.region, 'Region is required');
+
+  assert.deepEqual(validateFields(SALES_DETAIL, HEALTHCARE_DETAIL).errors, {});
+});
+
+test('validateFields requires `always` fields on drafts too', () => {
+  const { errors } = validateFields(SALES_HEADER, {}, { isDraft: true });
+  assert.deepEqual(Object.keys(errors).sort(), ['sales_category', 'visited_at']);
+});
+
+test('validateFields skips fields whose `when` does not match', () => {
+  const input = { ...HEALTHCARE_DETAIL, visit_form_type: 'non_healthcare', visit_status: '', users_json: '' };
+  assert.deepEqual(validateFields(SALES_DETAIL, input).errors, {});
+});
+
+test('validateFields leaves fields the server fills in to `provided`', () => {
+  const { errors } = validateFields(SALES_DETAIL, { ...HEALTHCARE_DETAIL, location_name: '' }, { provided: ['location_name'] });
+  assert.deepEqual(errors, {});
+});
+
+test('validateFields only checks the keys sent on a partial update', () => {
+  const { values, errors } = validateFields(SALES_DETAIL, { region: 'bali' }, { partial: true });
+  assert.deepEqual(errors, {});
+  assert.deepEqual(values, { region: 'bali' });
+});
+
+test('validateFields rejects values outside an enum', () => {
+  const { errors } = validateFields(SALES_DETAIL, { ...HEALTHCARE_DETAIL, region: 'mars', visit_form_type: 'retail' });
+  assert.match(errors.region, /^Region must be one of: /);
+  assert.match(errors.visit_form_type, /^Form type must be one of: /);
+});
+
+test('validateFields checks enums against the given master data lists', () => {
+  const lists = { regions: ['papua'], jabatan: ['bidan'], status_kunjungan: ['ditemui'] };
+  const input = {
+    ...HEALTHCARE_DETAIL,
+    region: 'papua',
+    visit_status: 'ditemui',
+    users_json: [{ nama: 'Sari', jabatan: 'bidan' }],
+  };
+  assert.deepEqual(validateFields(SALES_DETAIL, input, { lists }).errors, {});
+
+  const { errors } = validateFields(SALES_DETAIL, HEALTHCARE_DETAIL, { lists });
+  assert.equal(errors.region, 'Region must be one of: papua');
+  assert.equal(errors.visit_status, 'Visit status must be one of: ditemui');
+  assert.equal(errors.users_json, 'Customer contacts: unknown position "dokter"');
+});
+
+test('validateFields checks the contacts of a visit', () => {
+  const check = (users) => validateFields(SALES_DETAIL, { users_json: users }, { partial: true });
+
+  assert.equal(check('not json').errors.users_json, 'Customer contacts must be a list');
+  assert.match(check([{ nama: 'Budi', telepon: 'abc' }]).errors.users_json, /invalid phone number/);
+  assert.match(check([{ nama: 'Budi', contact_id: 'x' }]).errors.users_json, /invalid contact_id/);
+
+  // Rows without a name are dropped
+  const { values } = check('[{"nama":"Budi","jabatan":"igd"},{"nama":" "}]');
+  assert.deepEqual(JSON.parse(values.users_json), [{ nama: 'Budi', jabatan: 'igd' }]);
+});
+
+test('validateFields keeps coordinates within their range', () => {
+  const header = { visited_at: '2026-10-01T08:00:00Z', sales_category: 'healthcare', note: 'ok' };
+
+  const ok = validateFields(SALES_HEADER, { ...header, latitude: '-90', longitude: 180 });
+  assert.deepEqual(ok.errors, {});
+  assert.equal(ok.values.latitude, -90);
+  assert.equal(ok.values.longitude, 180);
+
+  const { errors } = validateFields(SALES_HEADER, { ...header, latitude: 90.5, longitude: -181 });
+  assert.equal(errors.latitude, 'Latitude must be between -90 and 90');
+  assert.equal(errors.longitude, 'Longitude must be between -180 and 180');
+
+  assert.equal(validateFields(SALES_HEADER, { ...header, latitude: 'north', longitude: 1 }).errors.latitude, 'Latitude must be a number');
+});
+
+test('validateFields rejects invalid dates', () => {
+  const { errors } = validateFields(SALES_HEADER, { visited_at: 'yesterday', sales_category: 'healthcare' }, { isDraft: true });
+  assert.equal(errors.visited_at, 'Visit date is not a valid date');
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the visit list filters of services/visitService.js
+ * (the database is replaced by a stub returning fixed rows).
+ * Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateListFilters, listVisitPage, resolveTypeFilter, MAX_PAGE_SIZE } = require('../services/visitService');
+
+const ROWS = [
+  { id: 9, visited_at: new Date('2026-10-03T08:00:00Z'), created_at: new Date('2026-10-03T09:00:00Z') },
+  { id: 7, visited_at: new Date('2026-10-02T08:00:00Z'), created_at: new Date('2026-10-02T09:00:00Z') },
+  { id: 4, visited_at: new Date('2026-10-01T08:00:00Z'), created_at: new Date('2026-10-01T09:00:00Z') },
+];
+
+/** Connection stub: every query returns ROWS and is recorded. */
+function fakeConn() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      return ROWS;
+    },
+  };
+}
+
+test('validateListFilters defaults to newest visits first', () => {
+  const { values, errors } = validateListFilters({});
+  assert.deepEqual(errors, {});
+  assert.equal(values.sort, 'visited_at');
+  assert.equal(values.order, 'desc');
+});
+
+test('validateListFilters rejects unknown values and bad ranges', () => {
+  const { errors } = validateListFilters({
+    status: 'archived',
+    sort: 'name',
+    order: 'up',
+    limit: MAX_PAGE_SIZE + 1,
+    from: '2026-10-05',
+    to: '2026-10-01',
+    customer_id: '0',
+  });
+  assert.deepEqual(Object.keys(errors).sort(), ['customer_id', 'limit', 'order', 'sort', 'status', 'to']);
+  assert.equal(errors.to, 'to must not be before from');
+});
+
+test('validateListFilters rejects a malformed cursor', () => {
+  assert.equal(validateListFilters({ cursor: 'not-a-cursor' }).errors.cursor, 'cursor is invalid for this sort order');
+
+  const forged = Buffer.from(JSON.stringify(['visited_at', 'desc', '2026-10-01', -1])).toString('base64url');
+  assert.ok(validateListFilters({ cursor: forged }).errors.cursor);
+});
+
+test('listVisitPage returns a cursor that validateListFilters decodes', async () => {
+  const conn = fakeConn();
+  const page = await listVisitPage(conn, { userId: 3, limit: 2 });
+
+  assert.deepEqual(page.visits.map((v) => v.id), [9, 7]);
+  assert.ok(page.nextCursor);
+  assert.equal(conn.queries[0].params.at(-1), 3, 'one extra row tells whether a next page exists');
+
+  const { values, errors } = validateListFilters({ cursor: page.nextCursor });
+  assert.deepEqual(errors, {});
+  assert.equal(values.cursor.id, 7);
+  assert.equal(values.cursor.value.toISOString(), '2026-10-02T08:00:00.000Z');
+
+  // The next page starts after that row
+  const next = fakeConn();
+  await listVisitPage(next, { userId: 3, limit: 2, cursor: values.cursor });
+  assert.match(next.queries[0].sql, /v\.visited_at < \? OR \(v\.visited_at = \? AND v\.id < \?\)/);
+});
+
+test('listVisitPage returns no cursor on the last page', async () => {
+  const page = await listVisitPage(fakeConn(), { userId: 3, limit: 5 });
+  assert.equal(page.visits.length, 3);
+  assert.equal(page.nextCursor, null);
+});
+
+test('a cursor only works with the sort order it was made for', async () => {
+  const page = await listVisitPage(fakeConn(), { userId: 3, limit: 1, sort: 'created_at', order: 'asc' });
+
+  assert.deepEqual(validateListFilters({ cursor: page.nextCursor, sort: 'created_at', order: 'asc' }).errors, {});
+  assert.ok(validateListFilters({ cursor: page.nextCursor }).errors.cursor);
+  assert.ok(validateListFilters({ cursor: page.nextCursor, sort: 'created_at' }).errors.cursor);
+});
+
+test('resolveTypeFilter reads visit types, route segments and sales categories', () => {
+  assert.deepEqual(resolveTypeFilter('activity, healthcare'), [
+    { visitType: 'technician_activity', salesCategory: null },
+    { visitType: 'sales', salesCategory: 'healthcare' },
+  ]);
+  assert.equal(resolveTypeFilter('sales,unknown'), null);
+});
@@ -0,0 +1,32 @@
+/**
+ * Shared controller helpers
+ * -------------------------
+ * Request parsing and the 422 response every controller uses. Import them
+ * from here instead of keeping private copies:
+ *
+ *   const { parseId, sendValidationErrors, hasErrors } = require('../utils/controllerHelpers');
+ */
+
+const { describeErrors } = require('../services/visitSchemas');
+
+/**
+ * Parse a positive integer id from a route/query value.
+ * @returns {number|null}
+ */
+function parseId(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/** 422 with a field → message map. */
+function sendValidationErrors(res, errors) {
+  return res.status(422).json({ message: describeErrors(errors), errors });
+}
+
+const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+module.exports = {
+  parseId,
+  sendValidationErrors,
+  hasErrors,
+};
@@ -0,0 +1,67 @@
+/**
+ * Shared database result helpers
+ * ------------------------------
+ * Small utilities for reading MariaDB / mysql2 query results in a
+ * driver-agnostic way. Route modules used to carry private copies of
+ * these; new code should import them from here:
+ *
+ *   const { normalizeRows, getAffectedRows, getInsertId } = require('../utils/dbHelpers');
+ */
+
+/**
+ * Normalize DB query result shapes into an array of rows.
+ *
+ * Different drivers return results differently:
+ * - mysql2: [rows, fields]
+ * - mariadb: rows (array)
+ * - some drivers may return a single object
+ *
+ * @param {*} result - raw result returned by the DB driver
+ * @returns {Array} rows (possibly empty)
+ */
+function normalizeRows(result) {
+  if (!result) return [];
+  if (Array.isArray(result)) {
+    // mysql2 returns [rows, fields] or mariadb returns rows directly (array)
+    if (result.length > 0 && Array.isArray(result[0])) {
+      return result[0];
+    }
+    return result;
+  }
+  // single object -> wrap it
+  if (typeof result === 'object') {
+    return [result];
+  }
+  return [];
+}
+
+/**
+ * Read the affected row count from an INSERT/UPDATE/DELETE result.
+ *
+ * @param {*} raw - raw result returned by the DB driver
+ * @returns {number}
+ */
+function getAffectedRows(raw) {
+  const result = Array.isArray(raw) ? raw[0] : raw;
+  return Number(result?.affectedRows ?? result?.affected_rows ?? result?.affected ?? result?.changedRows ?? 0);
+}
+
+/**
+ * Read the generated id from an INSERT result.
+ * The mariadb driver returns insertId as a BigInt, which res.json() cannot
+ * serialize, so it is always converted to a plain number here.
+ *
+ * @param {*} raw - raw result returned by the DB driver
+ * @returns {number|null}
+ */
+function getInsertId(raw) {
+  const result = Array.isArray(raw) ? raw[0] : raw;
+  if (result?.insertId == null) return null;
+  return Number(result.insertId);
+}
+
+module.exports = {
+  normalizeRows,
+  getAffectedRows,
+  getInsertId,
+};
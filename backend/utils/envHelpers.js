@@ -0,0 +1,46 @@
+/**
+ * Shared .env readers
+ * -------------------
+ * Settings are read from process.env on every call rather than once at
+ * startup, so a changed value applies without reloading the module (and
+ * tests can set it per case):
+ *
+ *   const { readPositiveNumber, readInteger } = require('../utils/envHelpers');
+ */
+
+/**
+ * A positive number from .env, or `fallback` when the variable is missing,
+ * not a number, zero or negative.
+ *
+ * @param {string} name - environment variable
+ * @param {number} fallback
+ * @returns {number}
+ */
+function readPositiveNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * A whole number from .env within [min, max], or `fallback` when the variable
+ * is missing, empty, not an integer or out of range.
+ *
+ * @param {string} name - environment variable
+ * @param {number} fallback
+ * @param {Object} [range]
+ * @param {number} [range.min=1]
+ * @param {number} [range.max=Infinity]
+ * @returns {number}
+ */
+function readInteger(name, fallback, { min = 1, max = Infinity } = {}) {
+  const raw = String(process.env[name] ?? '').trim();
+  if (!raw) return fallback;
+
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+}
+
+module.exports = {
+  readPositiveNumber,
+  readInteger,
+};
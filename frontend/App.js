@@ -1,20 +1,41 @@
 // App.js
-import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import React, { useEffect } from 'react';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import Landing from './screens/Landing';
 import Login from './screens/Login';
+import ResetPassword from './screens/ResetPassword';
 import AppNavigator from './screens/AppNavigator';
+import { setupAxiosAuth } from './config/session';
+import { startOutboxSync } from './config/outbox';
 
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 export default function App() {
+  // Refresh expired access tokens transparently; go to Login when the session is gone
+  useEffect(
+    () =>
+      setupAxiosAuth({
+        onSessionExpired: () => {
+          if (navigationRef.isReady()) {
+            navigationRef.reset({ index: 0, routes: [{ name: 'Login' }] });
+          }
+        },
+      }),
+    []
+  );
+
+  // Send visits queued while offline (config/outbox.js)
+  useEffect(() => startOutboxSync(), []);
+
   return (
-      <NavigationContainer>
+      <NavigationContainer ref={navigationRef}>
         <Stack.Navigator initialRouteName="Landing" screenOptions={{ headerShown: false }}>
           <Stack.Screen name="Landing" component={Landing} />
           <Stack.Screen name="Login" component={Login} />
+          <Stack.Screen name="ResetPassword" component={ResetPassword} />
           <Stack.Screen name="MainApp" component={AppNavigator} />
         </Stack.Navigator>
       </NavigationContainer>
@@ -0,0 +1,183 @@
+/**
+ * AttendanceWidget
+ * ----------------
+ * Home-screen card (MenuTabs) showing today's attendance and the clock-in /
+ * clock-out button.
+ *
+ * Clocking in or out:
+ *  1. reads one GPS fix (config/location.js),
+ *  2. opens the front camera for a selfie (expo-image-picker),
+ *  3. uploads the selfie and posts the event (config/attendance.js).
+ * The server records the time and decides whether the clock-in was late.
+ *
+ * Props:
+ * - refreshKey (any) - change it (e.g. on pull-to-refresh) to reload today's status
+ */
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import * as ImagePicker from 'expo-image-picker';
+import { FontAwesome5 } from '@expo/vector-icons';
+import { getCurrentPosition } from '../config/location';
+import { fetchTodayAttendance, submitClockEvent, describeAttendance } from '../config/attendance';
+
+const TONE_COLORS = {
+  neutral: '#6B7280',
+  ok: '#10B981',
+  warning: '#F59E0B',
+};
+
+export default function AttendanceWidget({ refreshKey }) {
+  const [today, setToday] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setToday(await fetchTodayAttendance());
+      setLoadError(null);
+    } catch (err) {
+      console.warn('attendance load failed', err?.message || err);
+      setLoadError('Status absensi tidak dapat dimuat.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  /**
+   * takeSelfie()
+   * - Returns the picked image asset, or null when cancelled / not allowed.
+   */
+  const takeSelfie = async () => {
+    const permission = await ImagePicker.requestCameraPermissionsAsync();
+    if (permission.status !== 'granted') {
+      Alert.alert('Camera', 'Camera permission is required for the attendance selfie.');
+      return null;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({
+      cameraType: ImagePicker.CameraType.front,
+      quality: 0.6,
+    });
+    if (result.canceled || !result.assets?.length) return null;
+
+    const asset = result.assets[0];
+    return { uri: asset.uri, type: asset.mimeType || 'image/jpeg', fileName: asset.fileName };
+  };
+
+  const onClock = async (kind) => {
+    setSubmitting(true);
+    try {
+      const position = await getCurrentPosition();
+      const photo = await takeSelfie();
+      if (!photo) return;
+
+      const result = await submitClockEvent(kind, { position, photo });
+      setToday((prev) => ({ ...prev, attendance: result.attendance }));
+      Alert.alert('Absensi', result.message);
+    } catch (err) {
+      if (err?.code === 'PERMISSION_DENIED') {
+        Alert.alert('Permission denied', 'Location is required to clock in or out.');
+        return;
+      }
+      const data = err?.response?.data;
+      if (data?.attendance) setToday((prev) => ({ ...prev, attendance: data.attendance }));
+      Alert.alert('Absensi gagal', data?.message || err?.message || 'Unknown error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading && !today) {
+    return (
+      <View style={styles.card}>
+        <ActivityIndicator />
+      </View>
+    );
+  }
+
+  if (loadError && !today) {
+    return (
+      <TouchableOpacity style={styles.card} onPress={load}>
+        <Text style={styles.detail}>{loadError} Ketuk untuk mencoba lagi.</Text>
+      </TouchableOpacity>
+    );
+  }
+
+  const { title, detail, action, tone, reminder } = describeAttendance(today);
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.row}>
+        <View style={[styles.dot, { backgroundColor: TONE_COLORS[tone] }]} />
+        <View style={styles.textBox}>
+          <Text style={styles.title}>{title}</Text>
+          {detail ? <Text style={styles.detail}>{detail}</Text> : null}
+        </View>
+
+        {action && (
+          <TouchableOpacity
+            style={[styles.button, action === 'out' && styles.buttonOut]}
+            onPress={() => onClock(action)}
+            disabled={submitting}
+            accessibilityRole="button"
+          >
+            {submitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <FontAwesome5 name={action === 'in' ? 'sign-in-alt' : 'sign-out-alt'} size={14} color="#fff" />
+                <Text style={styles.buttonText}>{action === 'in' ? 'Clock In' : 'Clock Out'}</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {reminder ? <Text style={styles.reminder}>⚠ {reminder}</Text> : null}
+    </View>
+  );
+}
+
+/* -------------------------
+ * Styles
+ * ------------------------- */
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 2 },
+  },
+  row: { flexDirection: 'row', alignItems: 'center' },
+  dot: { width: 12, height: 12, borderRadius: 6, marginRight: 12 },
+  textBox: { flex: 1 },
+  title: { fontSize: 16, fontWeight: '700', color: '#111827' },
+  detail: { fontSize: 13, color: '#6B7280', marginTop: 2 },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    backgroundColor: '#3B82F6',
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+    borderRadius: 12,
+    minWidth: 110,
+    justifyContent: 'center',
+  },
+  buttonOut: { backgroundColor: '#EF4444' },
+  buttonText: { color: '#fff', fontWeight: '600', fontSize: 14 },
+  reminder: { marginTop: 10, fontSize: 12, fontWeight: '600', color: '#92400E' },
+});
@@ -9,6 +9,7 @@
  *      { uri: string, fileName?: string, type?: string }
  *   The callback is only called when a user successfully picks/takes a photo.
  * - image (string|object): Optional preview image. Can be a string URI or an asset-like object.
+ * - error (string): Optional validation message shown below the picker (red outline).
  *
  * Behavior:
  * - Requests camera + media library permissions if needed.
@@ -78,7 +79,7 @@ async function requestPermissions() {
  * Component
  * ---------------------- */
 
-const CameraInput = ({ title = 'Photo', onImageSelected, image }) => {
+const CameraInput = ({ title = 'Photo', onImageSelected, image, error }) => {
   // Normalize incoming preview prop to a URI for display
   const previewUri = (image && (typeof image === 'string' ? image : image.uri)) || null;
 
@@ -161,7 +162,7 @@ const CameraInput = ({ title = 'Photo', onImageSelected, image }) => {
         </Text>
       )}
 
-      <TouchableOpacity style={styles.button} onPress={pickImage} activeOpacity={0.8}>
+      <TouchableOpacity style={[styles.button, error && styles.buttonError]} onPress={pickImage} activeOpacity={0.8}>
         {previewUri ? (
           // Show preview if an image/URI is provided
           <Image source={{ uri: previewUri }} style={styles.preview} />
@@ -173,6 +174,8 @@ const CameraInput = ({ title = 'Photo', onImageSelected, image }) => {
           </>
         )}
       </TouchableOpacity>
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
     </View>
   );
 };
@@ -192,7 +195,9 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
+  buttonError: { borderWidth: 3, borderColor: '#EF4444' },
   buttonText: { color: '#fff', marginTop: 4, fontWeight: '500' },
+  errorText: { color: '#EF4444', fontSize: 13, marginTop: 6 },
   preview: { width: 120, height: 120, borderRadius: 12 },
 });
 
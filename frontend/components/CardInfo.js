@@ -10,6 +10,8 @@
  * - Upload newly selected images before submitting updates
  * - Perform a PATCH to /api/forms/:form_type/:id?user_id=...
  * - Export the current form as a PDF via Expo Print + Sharing
+ * - Visits the user only took part in (`participation: 'participant'`) are
+ *   shown read-only; only the owner edits a visit
  *
  * Props:
  * - route (optional)            : react-navigation route (used to get params.data)
@@ -44,6 +46,8 @@ import * as Print from 'expo-print';
 import * as Sharing from 'expo-sharing';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import API_BASE from '../config/api';
+import { authFetch } from '../config/session';
+import { describeVisitWarnings } from '../config/location';
 import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
 
 /* ------------------------------------------------------------------
@@ -130,16 +134,9 @@ export default function CardInfo(props) {
   const getSignedImageUrl = useCallback(
     async (key) => {
       try {
-        const token = await AsyncStorage.getItem('token');
-
-        const response = await fetch(
+        const response = await authFetch(
           `${apiHost}/api/uploads/image?key=${encodeURIComponent(key)}`,
-          {
-            method: 'GET',
-            headers: {
-              Authorization: `Bearer ${token}`,
-            },
-          }
+          { method: 'GET' }
         );
 
         let json = null;
@@ -229,12 +226,16 @@ export default function CardInfo(props) {
     'visit_id',
     'is_draft',
     'visit_form_type',
+    'sales_name',
   ]);
 
+  // Names are set by the server: the owner's, and the participants' for additional_technicians
   const READ_ONLY_ACTIVITY_FIELDS = new Set([
     'visit_id',
     'is_draft',
     'product_id',
+    'technician_name',
+    'additional_technicians',
   ]);
 
   const VISIT_EDITABLE_FIELDS = new Set([
@@ -255,12 +256,25 @@ export default function CardInfo(props) {
     'updated_at',
     'visit_id',
     'product_id',
+    'hospital_id',
+    'location_accuracy_m',
+    'location_captured_at',
+    'location_source',
+    'location_mocked',
   ]);
 
-  // Hidden fields
+  // Hidden fields (the geofence and location checks are shown as a badge instead,
+  // the linked customer contacts inside the users list, participants in their own list)
   const HIDDEN_FIELDS = new Set([
     'deleted_at',
+    'contacts',
+    'participants',
+    'participation',
     'form_type',
+    'geofence_status',
+    'geofence_distance_m',
+    'location_risk_score',
+    'location_flags',
   ]);
 
   // Combined read-only fields
@@ -270,7 +284,10 @@ export default function CardInfo(props) {
     ...READ_ONLY_SALES_FIELDS,
   ]);
 
-  const isReadOnlyKey = useCallback((k) => READ_ONLY_FIELDS.has(k), []);
+  // Someone else's visit the user took part in
+  const isParticipantView = local?.participation === 'participant';
+
+  const isReadOnlyKey = useCallback((k) => isParticipantView || READ_ONLY_FIELDS.has(k), [isParticipantView]);
   const isHiddenKey = useCallback((k) => HIDDEN_FIELDS.has(k), []);
 
   const titleCase = (raw = '') =>
@@ -286,6 +303,15 @@ export default function CardInfo(props) {
     []
   );
 
+  // Phone of a listed user: typed in the visit, or from the customer contact it is linked to
+  const contactPhone = (u) => {
+    if (u?.telepon) return u.telepon;
+    const name = String(u?.nama ?? '').trim().toLowerCase();
+    const contacts = Array.isArray(local?.contacts) ? local.contacts : [];
+    const match = contacts.find((c) => String(c.name ?? '').trim().toLowerCase() === name);
+    return match?.phone || null;
+  };
+
   const renderUsersField = (users) => {
     if (!Array.isArray(users) || users.length === 0) return null;
 
@@ -311,12 +337,37 @@ export default function CardInfo(props) {
             <Text style={{ color: '#6B7280', marginTop: 4 }}>
               Jabatan: {u.jabatan || '-'}
             </Text>
+            {contactPhone(u) ? (
+              <Text style={{ color: '#6B7280', marginTop: 2 }}>
+                Telepon: {contactPhone(u)}
+              </Text>
+            ) : null}
           </View>
         ))}
       </View>
     );
   };
 
+  const participantName = (p) => p?.staff_name || p?.name || '-';
+
+  const renderParticipantsField = (participants) => {
+    if (!Array.isArray(participants) || participants.length === 0) return null;
+
+    return (
+      <View style={styles.row}>
+        <Text style={styles.label}>Peserta Kunjungan</Text>
+        <View style={styles.readOnlyBox}>
+          <Text style={styles.readOnlyText}>
+            {participants.map(participantName).join(', ')}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  // Geofence / tampering checks of the coordinates (geofenceService, locationRiskService on the server)
+  const locationWarning = describeVisitWarnings(local);
+
   const HIDE_LAT_LNG_VISIT_TYPES = new Set([
     'technician_activity',
     'technician_service',
@@ -393,14 +444,11 @@ export default function CardInfo(props) {
 
       const uploads = imageKeys.map(async (k) => {
         const file = updated[k];
-        const token = await AsyncStorage.getItem('token');
-
         // 1. Ask backend for presigned upload URL
-        const presignResp = await fetch(`${apiHost}/api/uploads/presign`, {
+        const presignResp = await authFetch(`${apiHost}/api/uploads/presign`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            ...(token ? { Authorization: `Bearer ${token}` } : {}),
           },
           body: JSON.stringify({
             fileName: file.fileName || `upload_${Date.now()}.jpg`,
@@ -741,7 +789,6 @@ export default function CardInfo(props) {
       }
 
       const host = apiHost;
-      const token = await AsyncStorage.getItem('token');
 
       const visitId = withUploadedImages.visit_id || withUploadedImages.id;
 
@@ -770,11 +817,10 @@ export default function CardInfo(props) {
           visitId
         )}/visit?user_id=${encodeURIComponent(userId)}`;
 
-        const visitResp = await fetch(visitUrl, {
+        const visitResp = await authFetch(visitUrl, {
           method: 'PATCH',
           headers: {
             'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
           },
           body: JSON.stringify(visitUpdates),
         });
@@ -798,11 +844,10 @@ export default function CardInfo(props) {
           visitId
         )}/${detailType}?user_id=${encodeURIComponent(userId)}`;
 
-        const detailResp = await fetch(detailUrl, {
+        const detailResp = await authFetch(detailUrl, {
           method: 'PATCH',
           headers: {
             'Content-Type': 'application/json',
-            Authorization: `Bearer ${token}`,
           },
           body: JSON.stringify(detailUpdates),
         });
@@ -839,10 +884,13 @@ export default function CardInfo(props) {
 
   const buildHtmlForPdf = (obj) => {
     const rows = Object.keys(obj)
+      .filter((k) => k !== 'contacts' && k !== 'participation')
       .map((k) => {
         let displayValue = '';
 
-        if (k === 'users_json') {
+        if (k === 'participants') {
+          displayValue = Array.isArray(obj[k]) && obj[k].length ? obj[k].map(participantName).join(', ') : '-';
+        } else if (k === 'users_json') {
           try {
             const users =
               typeof obj[k] === 'string'
@@ -853,7 +901,7 @@ export default function CardInfo(props) {
               displayValue = users
                 .map(
                   (u, i) =>
-                    `${i + 1}. ${u.nama || '-'} (${u.jabatan || '-'})`
+                    `${i + 1}. ${u.nama || '-'} (${u.jabatan || '-'})${contactPhone(u) ? ` — ${contactPhone(u)}` : ''}`
                 )
                 .join('<br/>');
             } else {
@@ -972,6 +1020,12 @@ export default function CardInfo(props) {
             <Text style={styles.headerType}>{local.form_type}</Text>
           </View>
 
+          {locationWarning ? (
+            <View style={styles.warningBadge}>
+              <Text style={styles.warningText}>⚠ {locationWarning}</Text>
+            </View>
+          ) : null}
+
           {local.users_json &&
             renderUsersField(
               typeof local.users_json === 'string'
@@ -979,6 +1033,8 @@ export default function CardInfo(props) {
                 : local.users_json
             )}
 
+          {renderParticipantsField(local.participants)}
+
           {safeKeys.map((k) => renderField(k))}
 
           <View style={styles.buttonRow}>
@@ -986,9 +1042,11 @@ export default function CardInfo(props) {
               <Text style={styles.downloadText}>Download</Text>
             </TouchableOpacity>
 
-            <TouchableOpacity onPress={handleSave} style={styles.saveBtn} disabled={saving}>
-              {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveText}>Save</Text>}
-            </TouchableOpacity>
+            {isParticipantView ? null : (
+              <TouchableOpacity onPress={handleSave} style={styles.saveBtn} disabled={saving}>
+                {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveText}>Save</Text>}
+              </TouchableOpacity>
+            )}
 
             <TouchableOpacity onPress={safeOnCancel} style={styles.cancelBtn} disabled={saving}>
               <Text style={styles.cancelText}>Cancel</Text>
@@ -1044,6 +1102,16 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
   headerId: { fontSize: 14, fontWeight: '700', color: '#0F172A' },
+  warningBadge: {
+    borderRadius: 10,
+    backgroundColor: '#FEF3C7',
+    borderWidth: 1,
+    borderColor: '#FCD34D',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginBottom: 16,
+  },
+  warningText: { fontSize: 13, fontWeight: '600', color: '#92400E' },
   headerType: { fontSize: 12, color: '#6B7280', textTransform: 'lowercase' },
 
   row: { marginBottom: 18 },
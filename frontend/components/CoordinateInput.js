@@ -7,32 +7,41 @@
  * (e.g., verifying presence at a hospital or customer site).
  *
  * Props:
- *  @param {function(string)} onPress - Called when valid coordinates are obtained.
- *                                      Receives a formatted string: "lat, lng".
+ *  @param {function(string, object)} onPress - Called when valid coordinates are obtained.
+ *                                      Receives a formatted string "lat, lng" and
+ *                                      { source: 'gps', accuracy, mocked, capturedAt }
+ *                                      (GPS accuracy in meters, mock provider flag,
+ *                                      ISO time of the fix) for the server's checks.
  *
  *  @param {string|null} value        - The currently saved coordinate string
  *                                      (e.g. "1.234567, 103.987654").
  *
- *  @param {object|null} target       - A target location to validate against:
- *                                      { lat: number, lng: number }.
- *                                      The component ensures the user is within
- *                                      a 1 km threshold before accepting the coordinate.
+ *  @param {object|null} target       - The selected hospital: { lat: number, lng: number }.
+ *                                      When the coordinate is farther than `radiusM`
+ *                                      a warning is shown; the form can still be sent
+ *                                      (the server flags the visit).
+ *
+ *  @param {number} [radiusM=1000]    - Check-in radius around `target`, in meters.
+ *
+ *  @param {string} [error]           - Validation message from the server, shown below
+ *                                      the box (red border).
+ *
+ *  @param {boolean} [required=true]  - Show the required marker next to the label.
  *
  * Features:
- *  - Fetches GPS location via Expo Location.
+ *  - Fetches GPS location via Expo Location (config/location.js).
  *  - Validates coordinate formatting with a regex.
- *  - Computes distance using the Haversine formula.
- *  - Enforces a distance threshold (default: 1 km).
- *  - Displays warnings if user is too far from target.
+ *  - Computes the distance to `target` using the Haversine formula.
+ *  - Displays a warning if the user is outside the check-in radius.
  *  - Shows formatted GPS output in a styled input box.
  */
 
-import React, { useState } from 'react';
+import React, { useMemo, useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
-import * as Location from 'expo-location';
 import { Ionicons } from "@expo/vector-icons";
+import { getCurrentPosition, formatCoords, parseCoords, formatDistance } from '../config/location';
 
-export default function CoordinateInput({ onPress, value, target }) {
+export default function CoordinateInput({ onPress, value, target, radiusM = 1000, error, required = true }) {
   // Whether the coordinate format matches valid lat/lng syntax
   const [isValid, setIsValid] = useState(true);
 
@@ -68,101 +77,50 @@ export default function CoordinateInput({ onPress, value, target }) {
     return R * c;
   };
 
+  /**
+   * Distance (m) from the saved coordinate to `target`; null when either is missing.
+   */
+  const distanceM = useMemo(() => {
+    const point = parseCoords(value);
+    if (!point || !target || typeof target.lat !== 'number' || typeof target.lng !== 'number') return null;
+    return haversineDistanceKm(point.lat, point.lng, target.lat, target.lng) * 1000;
+  }, [value, target?.lat, target?.lng]);
+
+  const isOutside = distanceM != null && distanceM > radiusM;
+
   /**
    * getLocation()
    * -------------
-   * Requests the user's GPS location and checks whether they are
-   * within 1 km of the provided `target` coordinate.
-   *
-   * If yes → calls onPress(formattedCoordinate)
-   * If no  → alerts user with distance info
+   * Requests the user's GPS location and passes it to onPress together with
+   * how it was obtained (accuracy, mock flag and time of the fix).
    */
   const getLocation = async () => {
-  try {
-    const { status } = await Location.requestForegroundPermissionsAsync();
-    if (status !== 'granted') {
-      Alert.alert('Permission denied', 'Permission to access location was denied');
-      return;
+    try {
+      const position = await getCurrentPosition();
+      const formatted = formatCoords(position.latitude, position.longitude);
+
+      validateCoordinates(formatted);
+      onPress?.(formatted, {
+        source: 'gps',
+        accuracy: position.accuracy,
+        mocked: position.mocked,
+        capturedAt: position.capturedAt,
+      });
+    } catch (err) {
+      if (err.code === 'PERMISSION_DENIED') {
+        Alert.alert('Permission denied', 'Permission to access location was denied');
+        return;
+      }
+      console.error('getLocation error', err);
+      Alert.alert('Location error', 'Could not get location. Please try again.');
     }
-
-    const loc = await Location.getCurrentPositionAsync({
-      enableHighAccuracy: true,
-    });
-
-    const lat = loc.coords.latitude.toFixed(6);
-    const lng = loc.coords.longitude.toFixed(6);
-    const formatted = `${lat}, ${lng}`;
-
-    validateCoordinates(formatted);
-    onPress?.(formatted);
-
-  } catch (err) {
-    console.error('getLocation error', err);
-    Alert.alert('Location error', 'Could not get location. Please try again.');
-  }
-};
-
-  // const getLocation = async () => {
-  //   try {
-  //     // Ensure valid target coordinate was provided
-  //     if (!target || typeof target.lat !== 'number' || typeof target.lng !== 'number') {
-  //       Alert.alert('Target coordinate missing', 'No target coordinate provided to check distance.');
-  //       return;
-  //     }
-
-  //     // Request permission
-  //     const { status } = await Location.requestForegroundPermissionsAsync();
-  //     if (status !== 'granted') {
-  //       Alert.alert('Permission denied', 'Permission to access location was denied');
-  //       return;
-  //     }
-
-  //     // Retrieve GPS location
-  //     const location = await Location.getCurrentPositionAsync({
-  //       enableHighAccuracy: true,
-  //     });
-
-  //     const userLat = Number(location.coords.latitude);
-  //     const userLng = Number(location.coords.longitude);
-
-  //     // Format coordinate string
-  //     const formatted = `${userLat.toFixed(6)}, ${userLng.toFixed(6)}`;
-
-  //     // Validate coordinate for UI purposes
-  //     validateCoordinates(formatted);
-
-  //     // Calculate distance to the target
-  //     const distanceKm = haversineDistanceKm(
-  //       userLat,
-  //       userLng,
-  //       target.lat,
-  //       target.lng
-  //     );
-
-  //     const thresholdKm = 10000; // required radius
-
-  //     if (distanceKm <= thresholdKm) {
-  //       // User is close enough → return coordinate
-  //       onPress && onPress(formatted);
-  //     } else {
-  //       // User is too far → show how far in meters
-  //       const distanceMeters = Math.round(distanceKm * 10000);
-  //       Alert.alert(
-  //         'Move closer',
-  //         `You are ${distanceMeters} meters away from the hospital. Please move closer (within ${thresholdKm * 10000} m).`
-  //       );
-  //     }
-  //   } catch (err) {
-  //     console.error('getLocation error', err);
-  //     Alert.alert('Location error', 'Could not get location. Please try again.');
-  //   }
-  // };
+  };
 
   return (
     <View style={styles.container}>
       {/* Label */}
       <Text style={styles.label}>
-        Koordinat <Text style={styles.required}>*</Text>
+        Koordinat {required ? <Text style={styles.required}>*</Text> : null}
       </Text>
 
       <View style={styles.row}>
@@ -170,7 +128,7 @@ export default function CoordinateInput({ onPress, value, target }) {
         <View
           style={[
             styles.coordBox,
-            { borderColor: isValid ? '#3B82F6' : '#EF4444' },
+            { borderColor: isValid && !error ? '#3B82F6' : '#EF4444' },
           ]}
         >
           <Text style={styles.coordText}>
@@ -191,6 +149,15 @@ export default function CoordinateInput({ onPress, value, target }) {
           Format tidak valid. Gunakan contoh: -6.200000, 106.816666
         </Text>
       )}
+      {isValid && error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      {/* Non-blocking: the visit is still sent and flagged by the server */}
+      {isValid && !error && isOutside ? (
+        <Text style={styles.warningText}>
+          Anda berada {formatDistance(distanceM)} dari rumah sakit (radius {formatDistance(radiusM)}).
+          Kunjungan akan ditandai untuk diperiksa.
+        </Text>
+      ) : null}
     </View>
   );
 }
@@ -248,4 +215,9 @@ const styles = StyleSheet.create({
     marginTop: 6,
     fontSize: 13,
   },
+  warningText: {
+    color: '#B45309',
+    marginTop: 6,
+    fontSize: 13,
+  },
 });
@@ -11,6 +11,8 @@
  *  @param {Date|null} value - The currently selected date.
  *                             If provided, it will be displayed in formatted text.
  *
+ *  @param {string} [error] - Validation message shown below the button (red button).
+ *
  * Features:
  *  - Opens a modal date picker when pressed.
  *  - Formats dates using `date-fns` (format: "PPP" → e.g., Jan 10, 2025)
@@ -23,7 +25,7 @@ import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
 import DateTimePickerModal from "react-native-modal-datetime-picker";
 import { format } from "date-fns";
 
-export default function DatePicker({ onConfirm, value }) {
+export default function DatePicker({ onConfirm, value, error }) {
   // Controls the visibility of the date picker modal
   const [isPickerVisible, setPickerVisible] = useState(false);
 
@@ -50,7 +52,7 @@ export default function DatePicker({ onConfirm, value }) {
       {/* Button that opens the date picker modal */}
       <TouchableOpacity
         onPress={showPicker}
-        style={styles.button}
+        style={[styles.button, error && styles.buttonError]}
         activeOpacity={0.9}
       >
         <Text style={styles.buttonText}>
@@ -59,6 +61,8 @@ export default function DatePicker({ onConfirm, value }) {
         </Text>
       </TouchableOpacity>
 
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
       {/* Date Picker Modal */}
       <DateTimePickerModal
         isVisible={isPickerVisible}
@@ -97,6 +101,16 @@ const styles = StyleSheet.create({
     elevation: 6,
   },
 
+  buttonError: {
+    backgroundColor: "#EF4444",
+  },
+
+  errorText: {
+    color: "#EF4444",
+    fontSize: 13,
+    marginTop: 6,
+  },
+
   // Date text displayed inside button
   buttonText: {
     color: "white",
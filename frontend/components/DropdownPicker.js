@@ -7,8 +7,13 @@
  * Props:
  *  @param {string} title                         - Label displayed above the picker.
  *  @param {Array<{label: string, value: any}>} options - List of selectable items.
+ *  @param {string} [listKey]                     - Master data list to show instead of `options`
+ *                                                  (e.g. "regions"; see config/masterData.js).
  *  @param {function} onSelect                    - Callback fired when user selects an option (returns the value).
  *  @param {any} value                            - Current selected value (controlled component).
+ *  @param {string} [error]                       - Validation message shown below the field (red border).
+ *  @param {boolean} [disabled]                   - Show the value read-only (no modal); a value that is
+ *                                                  not in the options is shown as is.
  *
  * Behavior:
  *  - When the dropdown is pressed, a modal slides up showing all options.
@@ -31,16 +36,30 @@ import {
   StyleSheet,
 } from 'react-native';
 import { FontAwesome5 } from '@expo/vector-icons';
-
-export default function DropdownPicker({ title, options = [], onSelect, value }) {
+import { useMasterList } from '../config/masterData';
+
+export default function DropdownPicker({
+  title,
+  options: givenOptions = [],
+  listKey,
+  onSelect,
+  value,
+  error,
+  disabled = false,
+}) {
   // Modal open/close state
   const [modalVisible, setModalVisible] = useState(false);
 
+  // Server-maintained list (cached, bundled fallback) when a listKey is given
+  const masterOptions = useMasterList(listKey);
+  const options = listKey ? masterOptions : givenOptions;
+
   /**
    * Find the selected option object based on the given value.
    * If value doesn't match any option, selected = null.
    */
   const selected = options.find(o => o.value === value) || null;
+  const displayText = selected ? selected.label : disabled && value ? String(value) : null;
 
   /**
    * Handle selecting an option from the modal.
@@ -61,23 +80,26 @@ export default function DropdownPicker({ title, options = [], onSelect, value })
 
       {/* ---- Dropdown Field (Press to open modal) ---- */}
       <TouchableOpacity
-        style={styles.dropdownBox}
+        style={[styles.dropdownBox, error && styles.dropdownBoxError, disabled && styles.dropdownBoxDisabled]}
         onPress={() => setModalVisible(true)}
+        disabled={disabled}
       >
         <Text
           style={[
             styles.dropdownText,
             // Show placeholder gray text when no selection
-            { color: selected ? '#111827' : '#9CA3AF' },
+            { color: displayText ? '#111827' : '#9CA3AF' },
           ]}
         >
-          {selected ? selected.label : 'Pilih salah satu'}
+          {displayText ?? 'Pilih salah satu'}
         </Text>
 
-        {/* Chevron icon on the right side */}
-        <FontAwesome5 name="chevron-down" size={16} color="#3B82F6" />
+        {/* Chevron icon on the right side (a lock when read-only) */}
+        <FontAwesome5 name={disabled ? 'lock' : 'chevron-down'} size={16} color={disabled ? '#9CA3AF' : '#3B82F6'} />
       </TouchableOpacity>
 
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
       {/* ---- Options Modal ---- */}
       <Modal visible={modalVisible} transparent animationType="slide">
         <View style={styles.modalOverlay}>
@@ -153,6 +175,17 @@ const styles = StyleSheet.create({
     fontSize: 16,
   },
 
+  dropdownBoxError: { borderColor: '#EF4444' },
+
+  dropdownBoxDisabled: { borderColor: '#D1D5DB', backgroundColor: '#F3F4F6' },
+
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginTop: 6,
+    paddingLeft: 5,
+  },
+
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0,0,0,0.4)',
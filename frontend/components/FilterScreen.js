@@ -5,7 +5,9 @@
  *
  * Features:
  * - Multi-select form type filters (pill/chip UI)
+ * - Free-text search (note, location, customer, report number)
  * - Date range filtering (start date / end date)
+ * - Sort order
  * - Clear all / clear per section
  * - Apply filters and return values to previous screen
  *
@@ -13,13 +15,17 @@
  * - initialFilters: {
  *     formTypes: string[],
  *     dateFrom: Date | null,
- *     dateTo: Date | null
+ *     dateTo: Date | null,
+ *     search: string,
+ *     sort: 'visited_at' | 'created_at',
+ *     order: 'asc' | 'desc'
  *   }
  * - onApply: (filters) => void
  *
  * Notes:
  * - Uses @react-native-community/datetimepicker for native date selection
  * - Filter state is fully controlled and serializable
+ * - Filtering and sorting happen on the server (GET /api/visits, see MenuTabs)
  */
 
 import React, { useState } from 'react';
@@ -29,6 +35,7 @@ import {
   TouchableOpacity,
   StyleSheet,
   ScrollView,
+  TextInput,
   Platform,
 } from 'react-native';
 import DateTimePicker from '@react-native-community/datetimepicker';
@@ -41,15 +48,32 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 
 /**
  * Supported form types and their UI colors.
- * These keys should match backend `form_type` values.
+ * These keys are sent as the `visit_type` list of GET /api/visits: visit types,
+ * or a sales category for the two sales forms.
  */
 const FORM_TYPES = [
   { key: 'technician_service', label: 'Technician Service', color: '#22C55E' },
   { key: 'technician_activity', label: 'Technician Activity', color: '#3B82F6' },
-  { key: 'non-faskes', label: 'Non-Faskes', color: '#7C3AED' },
-  { key: 'faskes', label: 'Faskes', color: '#FCA5A5' },
+  { key: 'non_healthcare', label: 'Non-Faskes', color: '#7C3AED' },
+  { key: 'healthcare', label: 'Faskes', color: '#FCA5A5' },
 ];
 
+/** Sort orders offered (`sort` / `order` of GET /api/visits). */
+const SORT_OPTIONS = [
+  { key: 'visited_desc', label: 'Newest visit', sort: 'visited_at', order: 'desc' },
+  { key: 'visited_asc', label: 'Oldest visit', sort: 'visited_at', order: 'asc' },
+  { key: 'created_desc', label: 'Recently created', sort: 'created_at', order: 'desc' },
+];
+
+const DEFAULT_FILTERS = {
+  formTypes: [],
+  dateFrom: null,
+  dateTo: null,
+  search: '',
+  sort: 'visited_at',
+  order: 'desc',
+};
+
 /* ------------------------------------------------------------------
  * Presentational Components
  * ------------------------------------------------------------------ */
@@ -86,11 +110,7 @@ export default function FilterScreen({ navigation, route }) {
   /**
    * Initial filter state (restored from parent screen if available).
    */
-  const initialFilters = route?.params?.initialFilters || {
-    formTypes: [],
-    dateFrom: null,
-    dateTo: null,
-  };
+  const initialFilters = { ...DEFAULT_FILTERS, ...(route?.params?.initialFilters || {}) };
 
   const [filters, setFilters] = useState(initialFilters);
 
@@ -119,18 +139,14 @@ export default function FilterScreen({ navigation, route }) {
    * Reset all filters to default state.
    */
   const clearAll = () => {
-    setFilters({
-      formTypes: [],
-      dateFrom: null,
-      dateTo: null,
-    });
+    setFilters(DEFAULT_FILTERS);
   };
 
   /**
    * Apply filters and return them to the calling screen.
    */
   const applyFilters = () => {
-    route.params?.onApply?.(filters);
+    route.params?.onApply?.({ ...filters, search: filters.search.trim() });
     navigation.goBack();
   };
 
@@ -186,7 +202,31 @@ export default function FilterScreen({ navigation, route }) {
             </TouchableOpacity>
         </View>
 
-        <ScrollView contentContainerStyle={styles.content}>
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* SEARCH */}
+            <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Search</Text>
+                <TouchableOpacity
+                onPress={() =>
+                    setFilters(prev => ({ ...prev, search: '' }))
+                }
+                >
+                <Text style={styles.sectionClear}>Clear</Text>
+                </TouchableOpacity>
+            </View>
+
+            <TextInput
+                style={styles.searchInput}
+                placeholder="Location, customer, report number, note…"
+                value={filters.search}
+                onChangeText={text => setFilters(prev => ({ ...prev, search: text }))}
+                returnKeyType="search"
+                onSubmitEditing={applyFilters}
+                maxLength={100}
+            />
+            </View>
+
             {/* FORM TYPES */}
             <View style={styles.section}>
             <View style={styles.sectionHeader}>
@@ -252,6 +292,25 @@ export default function FilterScreen({ navigation, route }) {
                 </Text>
             </TouchableOpacity>
             </View>
+
+            {/* SORT */}
+            <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Sort by</Text>
+            </View>
+
+            <View style={styles.pillContainer}>
+                {SORT_OPTIONS.map(opt => (
+                <FilterPill
+                    key={opt.key}
+                    label={opt.label}
+                    color="#3B82F6"
+                    selected={filters.sort === opt.sort && filters.order === opt.order}
+                    onPress={() => setFilters(prev => ({ ...prev, sort: opt.sort, order: opt.order }))}
+                />
+                ))}
+            </View>
+            </View>
         </ScrollView>
 
         {/* APPLY BUTTON */}
@@ -337,6 +396,12 @@ const styles = StyleSheet.create({
     marginRight: 8,
     marginBottom: 8,
   },
+  searchInput: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    padding: 12,
+  },
   dateInput: {
     borderWidth: 1,
     borderColor: '#E5E7EB',
@@ -4,13 +4,16 @@
  * A reusable gradient header used across multiple screens.
  *
  * Features:
- * - Displays a back arrow icon that navigates to the previous screen.
+ * - Displays a back arrow icon that navigates to the previous screen
+ *   (on the Tasks screen it logs out and returns to Login).
  * - Shows a large title centered vertically within a curved gradient header.
  * - Uses expo-linear-gradient for smooth UI styling.
  *
  * Props:
  * - title (string)        : Text displayed in the header.
  * - navigation (object)   : React Navigation object, used for navigating back.
+ * - onSearchPress (func)  : Optional. Shows a search box under the title that calls
+ *                           this when tapped (MenuTabs opens the search screen).
  *
  * UI Notes:
  * - The header is positioned absolutely at the top and uses rounded bottom corners
@@ -22,11 +25,14 @@ import React from 'react';
 import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
 import { FontAwesome5 } from '@expo/vector-icons';
 import { LinearGradient } from 'expo-linear-gradient';
+import { logout } from '../config/session';
 
-export default function Header({ title, navigation }) {
+export default function Header({ title, navigation, onSearchPress }) {
 
-   const handleBackPress = () => {
+   const handleBackPress = async () => {
+    // Leaving the Tasks screen signs the user out
     if (title === "Tasks") {
+      await logout();
       navigation.reset({
         index: 0,
         routes: [{ name: "Login" }],
@@ -58,6 +64,14 @@ export default function Header({ title, navigation }) {
         {/* Header Title */}
         <Text style={styles.headerTitle}>{title}</Text>
       </View>
+
+      {/* Search box */}
+      {onSearchPress && (
+        <TouchableOpacity style={styles.searchBox} onPress={onSearchPress}>
+          <FontAwesome5 name="search" size={16} color="#6B7280" />
+          <Text style={styles.searchPlaceholder}>Search visits, customers, serials…</Text>
+        </TouchableOpacity>
+      )}
     </LinearGradient>
   );
 }
@@ -92,4 +106,20 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     marginLeft: 15,                  // Space between icon and title
   },
+
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    marginTop: 16,
+  },
+
+  searchPlaceholder: {
+    color: '#6B7280',
+    marginLeft: 10,
+    fontSize: 15,
+  },
 });
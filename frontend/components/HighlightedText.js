@@ -0,0 +1,42 @@
+/**
+ * HighlightedText
+ * ---------------
+ * Text with the search terms emphasised (used by the search results).
+ *
+ * Props:
+ * - text (string)          : Text to show.
+ * - terms (string[])       : Lower-case words to highlight (case-insensitive match).
+ * - style (object)         : Style of the whole text.
+ * - highlightStyle (object): Extra style of the matching parts.
+ * - numberOfLines (number) : Optional line limit.
+ */
+
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { splitHighlights } from '../config/visits';
+
+export default function HighlightedText({ text, terms = [], style, highlightStyle, numberOfLines }) {
+  const parts = splitHighlights(text, terms);
+
+  return (
+    <Text style={style} numberOfLines={numberOfLines}>
+      {parts.map((part, index) =>
+        part.match ? (
+          <Text key={index} style={[styles.highlight, highlightStyle]}>
+            {part.text}
+          </Text>
+        ) : (
+          part.text
+        )
+      )}
+    </Text>
+  );
+}
+
+const styles = StyleSheet.create({
+  highlight: {
+    backgroundColor: '#FEF08A',
+    fontWeight: '700',
+    color: '#111827',
+  },
+});
@@ -8,6 +8,7 @@
  * - value (string): Current value of the text input (controlled component).
  * - onChangeText (function): Callback fired when the user types. Receives the new text value.
  * - placeholder (string): Placeholder text shown when input is empty.
+ * - error (string): Validation message; turns the border red and is shown below the input.
  *
  * Features:
  * - Consistent styling for all app input fields.
@@ -23,6 +24,7 @@ export default function InputBox({
   onChangeText,
   placeholder,
   onEndEditing,
+  error,
 }) {
   return (
     <View style={styles.container}>
@@ -31,7 +33,7 @@ export default function InputBox({
       </Text>
 
       <TextInput
-        style={styles.input}
+        style={[styles.input, error && styles.inputError]}
         value={value}
         onChangeText={onChangeText}
         placeholder={placeholder}
@@ -41,6 +43,8 @@ export default function InputBox({
           onEndEditing?.(e);
         }}
       />
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
     </View>
   );
 }
@@ -79,4 +83,15 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     width: '95%',
   },
+
+  inputError: {
+    borderColor: '#EF4444',
+  },
+
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginTop: 6,
+    paddingLeft: 5,
+  },
 });
@@ -7,11 +7,16 @@
  * Props:
  * - title (string)                  : Section label shown at the top.
  * - options (string[])              : List of selectable checkbox options.
+ * - listKey (string)                : Master data list to use instead of `options`
+ *                                      (e.g. "tujuan_kunjungan"; see config/masterData.js).
  * - selected (string[])             : Array of currently selected option values.
  * - onChange (function)             : Callback invoked when any option is toggled.
  *                                      Receives updated array of selected items.
+ * - exclude (string[])              : Values not to offer (e.g. the signed-in user's own name).
  * - otherValue (string)             : Current text inside the custom "Other" input.
  * - onOtherChange (function)        : Callback called when the user types in the "Other" field.
+ *                                      Without it the "Other" field is not shown.
+ * - error (string)                  : Optional validation message shown under the title (red outline).
  *
  * Behavior:
  * - Clicking a checkbox toggles that option in/out of the `selected` array.
@@ -28,15 +33,27 @@
 import React from "react";
 import { View, Text, TouchableOpacity, StyleSheet, TextInput } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import { useMasterList } from "../config/masterData";
 
 const MultiSelectCheckbox = ({
   title,
-  options = [],
+  options: givenOptions = [],
+  listKey,
   selected = [],
+  exclude = [],
   onChange,
   otherValue,
   onOtherChange,
+  error,
 }) => {
+  // Server-maintained list (cached, bundled fallback) when a listKey is given;
+  // checkbox options are the stored values, shown with their labels
+  const masterOptions = useMasterList(listKey);
+  const options = (listKey ? masterOptions.map((o) => o.value) : givenOptions).filter(
+    (option) => !exclude.includes(option)
+  );
+  const labelOf = (option) => masterOptions.find((o) => o.value === option)?.label ?? option;
+
   /**
    * handleToggle(option)
    * --------------------
@@ -55,9 +72,10 @@ const MultiSelectCheckbox = ({
   };
 
   return (
-    <View style={styles.container}>
+    <View style={[styles.container, error && styles.containerError]}>
       {/* Section Title */}
       <Text style={styles.title}>{title}</Text>
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
 
       {/* Render checkbox list */}
       {options.map((option) => (
@@ -76,22 +94,24 @@ const MultiSelectCheckbox = ({
           />
 
           {/* Label */}
-          <Text style={styles.optionText}>{option}</Text>
+          <Text style={styles.optionText}>{labelOf(option)}</Text>
         </TouchableOpacity>
       ))}
 
       {/* Custom "Other" field */}
-      <View style={styles.otherContainer}>
-        <Text style={styles.otherLabel}>Lainnya:</Text>
+      {onOtherChange ? (
+        <View style={styles.otherContainer}>
+          <Text style={styles.otherLabel}>Lainnya:</Text>
 
-        <TextInput
-          value={otherValue}
-          onChangeText={onOtherChange}
-          placeholder="Tulis opsi lainnya..."
-          placeholderTextColor="#9CA3AF"
-          style={styles.otherInput}
-        />
-      </View>
+          <TextInput
+            value={otherValue}
+            onChangeText={onOtherChange}
+            placeholder="Tulis opsi lainnya..."
+            placeholderTextColor="#9CA3AF"
+            style={styles.otherInput}
+          />
+        </View>
+      ) : null}
     </View>
   );
 };
@@ -112,6 +132,15 @@ const styles = StyleSheet.create({
     width: "95%",
     marginBottom: 10,
   },
+  containerError: {
+    borderWidth: 1.5,
+    borderColor: "#EF4444",
+  },
+  errorText: {
+    color: "#EF4444",
+    fontSize: 13,
+    marginBottom: 10,
+  },
   title: {
     fontSize: 18,
     fontWeight: "600",
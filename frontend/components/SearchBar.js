@@ -6,15 +6,23 @@
  * Props:
  * - title (string)        : Label text shown above the control.
  * - onPress (function)    : Callback invoked when an item is selected.
- *                          Signature: onPress(selectedName: string, street: string)
+ *                          Signature: onPress(selectedName: string, street: string, item: object)
  * - value (object|null)   : Current selected value (optional). Expected shape: { label: string, ... }
  * - hospitalData (Array)  : Array of hospital objects to search. Each item should contain at least:
  *                          { hospital_id, name, street, ... }
+ * - error (string)        : Optional validation message shown below the control (red border).
+ * - onAddNew (function)   : Optional. When set, the modal offers to add the typed name as a new
+ *                          hospital. Signature: onAddNew(name: string)
+ * - addNewLabel (function): Optional text for that button. Signature: addNewLabel(name) => string
+ * - suggestions (Array)   : Optional nearby hospitals ({ ..., distance_m }), listed first under
+ *                          "Nearby" and included in the search.
+ * - onOpen (function)     : Optional. Called when the modal opens (e.g. to load suggestions).
  *
  * Behavior:
  * - Tapping the control opens a modal with a search input and list of results.
  * - Typing filters the list (case-insensitive).
  * - Selecting an item closes the modal, clears the query, and calls onPress(item.name, item.street).
+ * - Hospitals with status 'pending' (proposed, not yet approved) are marked as such.
  *
  * Notes:
  * - The component uses a simple client-side filter. For very large datasets consider server-side search.
@@ -34,8 +42,19 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { formatDistance } from '../config/location';
 
-const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = [] }) => {
+const SearchBar = ({
+  title = 'Search',
+  onPress,
+  value = null,
+  hospitalData = [],
+  error,
+  onAddNew,
+  addNewLabel = (name) => `Add "${name}" as a new hospital`,
+  suggestions = [],
+  onOpen,
+}) => {
   // Modal visibility state
   const [modalVisible, setModalVisible] = useState(false);
 
@@ -50,8 +69,20 @@ const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = []
     const list = hospitalData ?? [];
     const q = (query ?? '').trim().toLowerCase();
     if (!q) return list;
-    return list.filter((item) => (item.name ?? '').toLowerCase().includes(q));
-  }, [hospitalData, query]);
+
+    // Nearby hospitals may be outside the loaded region; search them too
+    const ids = new Set(list.map((item) => item.hospital_id));
+    const extra = (suggestions ?? []).filter((item) => !ids.has(item.hospital_id));
+    return [...extra, ...list].filter((item) => (item.name ?? '').toLowerCase().includes(q));
+  }, [hospitalData, suggestions, query]);
+
+  // "Nearby" section is only shown before the user starts typing
+  const showSuggestions = !(query ?? '').trim() && (suggestions ?? []).length > 0;
+
+  const openModal = () => {
+    setModalVisible(true);
+    if (typeof onOpen === 'function') onOpen();
+  };
 
   /**
    * handleSelect
@@ -62,10 +93,21 @@ const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = []
     setModalVisible(false);
     setQuery('');
     if (typeof onPress === 'function') {
-      onPress(item.name, item.street);
+      onPress(item.name, item.street, item);
     }
   };
 
+  /**
+   * handleAddNew
+   * - Closes the modal and hands the typed name to the parent, which creates the hospital.
+   */
+  const handleAddNew = () => {
+    const name = query.trim();
+    setModalVisible(false);
+    setQuery('');
+    onAddNew(name);
+  };
+
   return (
     <View style={styles.container}>
       {/* Label with required marker */}
@@ -74,10 +116,10 @@ const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = []
       </Text>
 
       {/* Tappable control which opens the modal */}
-      <TouchableOpacity style={styles.dropdownWrapper} onPress={() => setModalVisible(true)}>
+      <TouchableOpacity style={styles.dropdownWrapper} onPress={openModal}>
         <Ionicons name="search" size={20} color="#3B82F6" style={styles.icon} />
 
-        <View style={styles.dropdown}>
+        <View style={[styles.dropdown, error && styles.dropdownError]}>
           {/* If a value prop is provided, show its label, otherwise placeholder */}
           <Text style={value ? styles.selectedTextStyle : styles.placeholderStyle}>
             {value ? value.label : 'Search hospital...'}
@@ -85,6 +127,8 @@ const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = []
         </View>
       </TouchableOpacity>
 
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
       {/* Modal containing search input and results */}
       <Modal visible={modalVisible} animationType="slide" onRequestClose={() => setModalVisible(false)}>
         <KeyboardAvoidingView
@@ -122,16 +166,50 @@ const SearchBar = ({ title = 'Search', onPress, value = null, hospitalData = []
             keyboardShouldPersistTaps="handled"
             renderItem={({ item, index }) => (
               <TouchableOpacity style={styles.itemContainerStyle} onPress={() => handleSelect(item)}>
-                <Text style={styles.itemText}>{(item.name || '').replace(/_/g, ' ')}</Text>
+                <Text style={styles.itemText}>
+                  {(item.name || '').replace(/_/g, ' ')}
+                  {item.status === 'pending' ? <Text style={styles.pendingText}>  (pending approval)</Text> : null}
+                  {item.distance_m != null ? <Text style={styles.pendingText}>  {formatDistance(item.distance_m)}</Text> : null}
+                </Text>
 
                 {/* Divider between items (avoid rendering after last visible filtered item) */}
                 {index < filteredData.length - 1 && <View style={styles.divider} />}
               </TouchableOpacity>
             )}
+            ListHeaderComponent={
+              showSuggestions ? (
+                <View style={styles.nearbySection}>
+                  <Text style={styles.sectionTitle}>Nearby</Text>
+                  {suggestions.map((item) => (
+                    <TouchableOpacity
+                      key={`nearby-${item.hospital_id}`}
+                      style={styles.itemContainerStyle}
+                      onPress={() => handleSelect(item)}
+                    >
+                      <Text style={styles.itemText}>
+                        {(item.name || '').replace(/_/g, ' ')}
+                        <Text style={styles.pendingText}>  {formatDistance(item.distance_m)}</Text>
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                  {(hospitalData ?? []).length > 0 ? <Text style={styles.sectionTitle}>All in region</Text> : null}
+                </View>
+              ) : null
+            }
             ListEmptyComponent={
-              <View style={{ padding: 16 }}>
-                <Text style={{ color: '#666' }}>No hospitals found.</Text>
-              </View>
+              showSuggestions ? null : (
+                <View style={{ padding: 16 }}>
+                  <Text style={{ color: '#666' }}>No hospitals found.</Text>
+                </View>
+              )
+            }
+            ListFooterComponent={
+              typeof onAddNew === 'function' && query.trim() ? (
+                <TouchableOpacity style={styles.addNewButton} onPress={handleAddNew}>
+                  <Ionicons name="add-circle-outline" size={20} color="#3B82F6" />
+                  <Text style={styles.addNewText}>{addNewLabel(query.trim())}</Text>
+                </TouchableOpacity>
+              ) : null
             }
           />
         </KeyboardAvoidingView>
@@ -173,6 +251,14 @@ const styles = StyleSheet.create({
     elevation: 2,
     justifyContent: 'center',
   },
+  dropdownError: {
+    borderColor: '#EF4444',
+  },
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginTop: 6,
+  },
   placeholderStyle: {
     color: '#9CA3AF',
     fontSize: 15,
@@ -244,6 +330,38 @@ const styles = StyleSheet.create({
   itemContainerStyle: {
     borderRadius: 10,
   },
+  nearbySection: {
+    marginBottom: 8,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#6B7280',
+    textTransform: 'uppercase',
+    marginTop: 8,
+    marginBottom: 4,
+    paddingHorizontal: 14,
+  },
+  pendingText: {
+    color: '#9CA3AF',
+    fontSize: 13,
+  },
+  addNewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    borderColor: '#3B82F6',
+    borderWidth: 1.5,
+    borderStyle: 'dashed',
+    borderRadius: 10,
+  },
+  addNewText: {
+    marginLeft: 8,
+    fontSize: 15,
+    color: '#3B82F6',
+  },
 });
 
 export default SearchBar;
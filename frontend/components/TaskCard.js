@@ -10,11 +10,13 @@
  * Props:
  * - title (string)            - visible title shown on the card (default: 'Technician Service')
  * - iconName (string)         - FontAwesome5 icon name to show inside the avatar (default: 'tools')
- * - onDelete (function|null)  - optional callback invoked when user taps Delete
+ * - onDelete (function|null)  - callback invoked when user taps Delete; without it there is no Delete button
  * - onView (function|null)    - optional callback invoked to view the item (not used by default UI)
  * - onEdit (function|null)    - optional callback invoked when user taps View / Edit
  * - formTypeColor (string)    - background color for the card header/icon area (default: green)
  * - date (string)             - human-readable date string to show under the title
+ * - warning (string|null)     - optional warning shown as a badge (e.g. flagged check-in location)
+ * - note (string|null)        - optional line under the date (e.g. "Ikut serta" on visits of a colleague)
  *
  * Notes:
  * - This component uses @expo/vector-icons (FontAwesome5). If you are not using Expo,
@@ -35,6 +37,8 @@ export default function TaskCard({
   onEdit = null, // optional callback (if null, no-op)
   formTypeColor = '#22C55E',
   date = '12-8-2025',
+  warning = null,
+  note = null,
 }) {
   const navigation = useNavigation();
 
@@ -86,9 +90,19 @@ export default function TaskCard({
             {title}
           </Text>
           <Text style={styles.cardDate}>{date}</Text>
+          {note ? <Text style={styles.cardDate}>{note}</Text> : null}
         </View>
       </View>
 
+      {warning ? (
+        <View style={styles.warningBadge}>
+          <FontAwesome5 name="exclamation-triangle" size={12} color="#92400E" style={styles.iconSpacing} />
+          <Text style={styles.warningText} numberOfLines={3}>
+            {warning}
+          </Text>
+        </View>
+      ) : null}
+
       {/* Action buttons: View/Edit and Delete */}
       <View style={styles.actionRow}>
         <TouchableOpacity
@@ -101,15 +115,17 @@ export default function TaskCard({
           <Text style={styles.actionText}>View / Edit</Text>
         </TouchableOpacity>
 
-        <TouchableOpacity
-          style={styles.actionBtn}
-          onPress={handleDelete}
-          accessibilityRole="button"
-          accessibilityLabel={`Delete ${title}`}
-        >
-          <FontAwesome5 name="trash" size={16} color="#EF4444" style={styles.iconSpacing} />
-          <Text style={styles.actionText}>Delete</Text>
-        </TouchableOpacity>
+        {onDelete ? (
+          <TouchableOpacity
+            style={styles.actionBtn}
+            onPress={handleDelete}
+            accessibilityRole="button"
+            accessibilityLabel={`Delete ${title}`}
+          >
+            <FontAwesome5 name="trash" size={16} color="#EF4444" style={styles.iconSpacing} />
+            <Text style={styles.actionText}>Delete</Text>
+          </TouchableOpacity>
+        ) : null}
       </View>
     </View>
   );
@@ -167,6 +183,23 @@ const styles = StyleSheet.create({
     flexShrink: 1,
   },
 
+  warningBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 10,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    marginBottom: 10,
+  },
+
+  warningText: {
+    flexShrink: 1,
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#92400E',
+  },
+
   actionRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -0,0 +1,126 @@
+/**
+ * Attendance helpers
+ * ------------------
+ * Used by the AttendanceWidget on the home screen (MenuTabs).
+ *
+ *  - fetchTodayAttendance()        → GET /api/attendance/today
+ *  - submitClockEvent(kind, data)  → uploads the selfie, then
+ *                                    POST /api/attendance/clock-in | clock-out
+ *  - describeAttendance(today)     → status line shown by the widget
+ *
+ * Clocking in / out needs a connection (the server records the time), so
+ * unlike visits these requests are not queued in the outbox.
+ */
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import API_BASE from './api';
+import { uploadPhoto } from './outbox';
+
+const REQUEST_TIMEOUT_MS = 20000;
+
+async function authConfig() {
+  const token = await AsyncStorage.getItem('token');
+  return { headers: { Authorization: `Bearer ${token}` }, timeout: REQUEST_TIMEOUT_MS };
+}
+
+/**
+ * Today's record of the signed-in user.
+ * @returns {Promise<{ work_date: string, attendance: Object|null, rules: { start_time: string, late_grace_minutes: number } }>}
+ */
+export async function fetchTodayAttendance() {
+  const resp = await axios.get(`${API_BASE}/api/attendance/today`, await authConfig());
+  return resp.data;
+}
+
+/**
+ * Clock in or out.
+ *
+ * @param {'in'|'out'} kind
+ * @param {Object} data
+ * @param {{ latitude: number, longitude: number, accuracy: number|null }} data.position - from getCurrentPosition()
+ * @param {{ uri: string, type?: string, fileName?: string }} data.photo - selfie
+ * @param {string} [data.note]
+ * @returns {Promise<{ message: string, attendance: Object }>}
+ * @throws axios error; 409 carries `code` (ALREADY_CLOCKED_IN, NOT_CLOCKED_IN, ALREADY_CLOCKED_OUT)
+ */
+export async function submitClockEvent(kind, { position, photo, note }) {
+  const key = await uploadPhoto({
+    uri: photo.uri,
+    type: photo.type || 'image/jpeg',
+    fileName: photo.fileName || `attendance_${Date.now()}.jpg`,
+  });
+
+  const resp = await axios.post(
+    `${API_BASE}/api/attendance/${kind === 'in' ? 'clock-in' : 'clock-out'}`,
+    {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      accuracy_m: position.accuracy,
+      photo: key,
+      note: note || null,
+    },
+    await authConfig()
+  );
+  return resp.data;
+}
+
+/** "08:05" from a server datetime. */
+function formatTime(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return '';
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+}
+
+/**
+ * Status line for today's record.
+ *
+ * @param {{ attendance: Object|null, previous?: Object|null, rules?: Object }|null} today - from fetchTodayAttendance
+ * @returns {{ title: string, detail: string, action: 'in'|'out'|null, tone: 'neutral'|'ok'|'warning',
+ *   reminder: string|null }} `reminder` points out a missed clock-out on the previous working day
+ */
+export function describeAttendance(today) {
+  const status = describeRecord(today);
+  const previous = today?.previous;
+  const reminder =
+    previous?.status === 'missing_clock_out'
+      ? `Tidak clock-out pada ${formatDate(previous.work_date)}`
+      : null;
+  return { ...status, reminder };
+}
+
+/** "18 Okt" from a server date. */
+function formatDate(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return String(value || '');
+  return d.toLocaleDateString('id-ID', { day: 'numeric', month: 'short' });
+}
+
+function describeRecord(today) {
+  const record = today?.attendance;
+  const start = today?.rules?.start_time;
+
+  if (!record) {
+    return {
+      title: 'Belum clock-in',
+      detail: start ? `Jam masuk ${start}` : '',
+      action: 'in',
+      tone: 'neutral',
+    };
+  }
+
+  const clockIn = `Masuk ${formatTime(record.clock_in_at)}`;
+  const late = Number(record.is_late) ? ` · Terlambat ${record.late_minutes} menit` : '';
+  const tone = Number(record.is_late) ? 'warning' : 'ok';
+
+  if (record.status === 'open') {
+    return { title: 'Sedang bekerja', detail: `${clockIn}${late}`, action: 'out', tone };
+  }
+
+  return {
+    title: 'Sudah clock-out',
+    detail: `${clockIn} · Pulang ${formatTime(record.clock_out_at)}${late}`,
+    action: null,
+    tone,
+  };
+}
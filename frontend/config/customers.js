@@ -0,0 +1,43 @@
+/**
+ * Customer helpers
+ * ----------------
+ * Used by the sales form (Form1Screen) for its contact quick-picks.
+ *
+ *  - fetchHospitalContacts(hospitalId) → GET /api/customers/by-hospital/:hospital_id/contacts
+ *  - contactToUser(contact)            → a `users` entry of the form ({ nama, jabatan, telepon, contact_id })
+ */
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import API_BASE from './api';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Contacts met before at a hospital, most recently met first.
+ *
+ * @param {number} hospitalId
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ id, name, position, phone, last_met_at, visit_count }>>}
+ *   empty when the hospital has not been visited yet
+ */
+export async function fetchHospitalContacts(hospitalId, { signal } = {}) {
+  const token = await AsyncStorage.getItem('token');
+  const resp = await axios.get(`${API_BASE}/api/customers/by-hospital/${encodeURIComponent(hospitalId)}/contacts`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal,
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return Array.isArray(resp.data?.contacts) ? resp.data.contacts : [];
+}
+
+/** Form entry for a picked contact; the server links the visit through `contact_id`. */
+export function contactToUser(contact) {
+  return {
+    nama: contact.name || '',
+    jabatan: contact.position || '',
+    telepon: contact.phone || '',
+    contact_id: contact.id ?? null,
+  };
+}
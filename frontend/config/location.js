@@ -0,0 +1,169 @@
+/**
+ * Device location helpers
+ * -----------------------
+ * Shared by CoordinateInput and the forms' "nearby hospitals" suggestions.
+ *
+ *  - getCurrentPosition()     → asks for permission and reads one GPS fix
+ *  - formatCoords(lat, lng)   → "lat, lng" string stored by the forms
+ *  - parseCoords(text)        → { lat, lng } | null
+ *  - fetchNearestHospitals()  → GET /api/hospitals/nearest
+ *  - formatDistance(meters)   → "350 m" / "1.2 km"
+ *  - locationProvenance()     → visit fields saying how the coordinates were obtained
+ *  - describeGeofence(status) → warning shown for flagged check-ins (CardInfo, TaskCard)
+ *  - describeLocationRisk()   → warning shown for suspicious coordinates (CardInfo, TaskCard)
+ *  - describeVisitWarnings(v) → both warnings of a visit row, or null
+ */
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import API_BASE from './api';
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Read the current GPS position.
+ *
+ * @returns {Promise<{ latitude: number, longitude: number, accuracy: number|null,
+ *   mocked: boolean|null, capturedAt: string }>}
+ *   `mocked` is reported by Android when a mock location app supplied the fix
+ *   (null elsewhere); `capturedAt` is the ISO time of the fix.
+ * @throws {Error} with code 'PERMISSION_DENIED' when location access is refused
+ */
+export async function getCurrentPosition() {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== 'granted') {
+    const err = new Error('Permission to access location was denied');
+    err.code = 'PERMISSION_DENIED';
+    throw err;
+  }
+
+  const loc = await Location.getCurrentPositionAsync({ enableHighAccuracy: true });
+  return {
+    latitude: loc.coords.latitude,
+    longitude: loc.coords.longitude,
+    accuracy: loc.coords.accuracy ?? null,
+    mocked: typeof loc.mocked === 'boolean' ? loc.mocked : null,
+    capturedAt: new Date(loc.timestamp || Date.now()).toISOString(),
+  };
+}
+
+/**
+ * Visit header fields describing how `coords` were obtained, from the meta
+ * passed by CoordinateInput ({ source, accuracy, mocked, capturedAt }).
+ * Empty when there are no coordinates.
+ */
+export function locationProvenance(hasCoords, meta = {}) {
+  if (!hasCoords) return {};
+  return {
+    location_source: meta.source || null,
+    location_accuracy_m: meta.accuracy ?? null,
+    location_mocked: typeof meta.mocked === 'boolean' ? meta.mocked : null,
+    location_captured_at: meta.capturedAt || null,
+  };
+}
+
+/** Format a position the way the coordinate field shows it: "-6.200000, 106.816666". */
+export function formatCoords(latitude, longitude) {
+  return `${Number(latitude).toFixed(6)}, ${Number(longitude).toFixed(6)}`;
+}
+
+/**
+ * Parse "lat, lng" (as produced by formatCoords).
+ * @returns {{ lat: number, lng: number }|null}
+ */
+export function parseCoords(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const parts = text.split(',').map((s) => s.trim());
+  if (parts.length !== 2) return null;
+
+  const lat = Number(parts[0]);
+  const lng = Number(parts[1]);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { lat, lng };
+}
+
+/**
+ * Hospitals around a position, nearest first (each with `distance_m`).
+ *
+ * @param {Object} params
+ * @param {number} params.latitude
+ * @param {number} params.longitude
+ * @param {number} [params.radiusKm] - server default 5 km
+ * @param {number} [params.limit]    - server default 10
+ * @returns {Promise<Array>}
+ */
+export async function fetchNearestHospitals({ latitude, longitude, radiusKm, limit }) {
+  const token = await AsyncStorage.getItem('token');
+  const resp = await axios.get(`${API_BASE}/api/hospitals/nearest`, {
+    params: { latitude, longitude, radius_km: radiusKm, limit },
+    headers: { Authorization: `Bearer ${token}` },
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return Array.isArray(resp.data?.hospitals) ? resp.data.hospitals : [];
+}
+
+/** "350 m" below 1 km, "1.2 km" above. */
+export function formatDistance(meters) {
+  if (meters == null || !Number.isFinite(Number(meters))) return '';
+  const m = Number(meters);
+  return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+}
+
+/**
+ * Warning text for a visit's geofence result (visits.geofence_status), or null
+ * when the check-in was verified (or the visit type is not geofenced).
+ *
+ * @param {string|null} status - inside | outside | low_accuracy | stale | unverified
+ * @param {number|null} [distanceM] - visits.geofence_distance_m
+ */
+export function describeGeofence(status, distanceM) {
+  const distance = formatDistance(distanceM);
+  switch (status) {
+    case 'outside':
+      return `Outside check-in radius${distance ? ` (${distance} from hospital)` : ''}`;
+    case 'low_accuracy':
+      return 'Check-in location is imprecise (weak GPS signal)';
+    case 'stale':
+      return 'Check-in location was captured long before/after the visit';
+    case 'unverified':
+      return 'Check-in location could not be verified';
+    default:
+      return null;
+  }
+}
+
+/** Labels of visits.location_flags (services/locationRiskService.js on the server). */
+const LOCATION_FLAG_LABELS = {
+  mocked: 'mock location app',
+  impossible_speed: 'impossible travel from previous visit',
+  manual: 'coordinates entered manually',
+  clock_skew: 'device clock changed',
+  no_provenance: 'unknown location source',
+};
+
+/**
+ * Warning text for a visit's location checks, or null when nothing was flagged.
+ *
+ * @param {string|null} flags - visits.location_flags ("mocked,impossible_speed")
+ */
+export function describeLocationRisk(flags) {
+  const labels = String(flags || '')
+    .split(',')
+    .map((flag) => LOCATION_FLAG_LABELS[flag.trim()])
+    // No provenance only means an older app build; not worth a warning on its own
+    .filter((label) => label && label !== LOCATION_FLAG_LABELS.no_provenance);
+  return labels.length ? `Suspicious location: ${labels.join(', ')}` : null;
+}
+
+/** Geofence and location warnings of a visit row, one per line; null when there are none. */
+export function describeVisitWarnings(visit) {
+  const warnings = [
+    describeGeofence(visit?.geofence_status, visit?.geofence_distance_m),
+    describeLocationRisk(visit?.location_flags),
+  ].filter(Boolean);
+  return warnings.length ? warnings.join('\n') : null;
+}
@@ -0,0 +1,132 @@
+/**
+ * Master data
+ * -----------
+ * Option lists of the forms (sales / technician names, regions, jabatan, visit
+ * statuses, quantities, visit purposes), maintained by admins on the server.
+ * Used by DropdownPicker and MultiSelectCheckbox through their `listKey` prop.
+ *
+ *  - syncMasterData()      → GET /api/master-data with the cached ETag; a 304
+ *                            keeps the cached copy, a 200 replaces it
+ *  - getMasterList(key)    → current options of a list: the downloaded copy,
+ *                            else the bundled fallback in data/appData.js
+ *  - useMasterList(key)    → the same as a hook; re-renders when a newer copy
+ *                            arrives and checks for one at most every SYNC_INTERVAL_MS
+ *
+ * The downloaded copy is kept in AsyncStorage, so the forms keep the last
+ * lists while offline.
+ */
+
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import API_BASE from './api';
+import * as bundled from '../data/appData';
+
+const STORAGE_KEY = 'master_data';
+const REQUEST_TIMEOUT_MS = 10000;
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+// { version, etag, lists } once loaded from storage or the server
+let cache = null;
+let loadPromise = null;
+let syncPromise = null;
+let lastSyncAt = 0;
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+/** Read the stored copy once per app run. */
+function loadStored() {
+  if (!loadPromise) {
+    loadPromise = AsyncStorage.getItem(STORAGE_KEY)
+      .then((raw) => {
+        const stored = raw ? JSON.parse(raw) : null;
+        if (stored?.lists && !cache) {
+          cache = stored;
+          notify();
+        }
+      })
+      .catch((err) => console.warn('master data cache unreadable', err?.message || err));
+  }
+  return loadPromise;
+}
+
+/**
+ * Download the lists unless the cached version is current.
+ * Failures (offline, server down) keep the cached or bundled lists.
+ *
+ * @returns {Promise<boolean>} whether a newer copy was stored
+ */
+export function syncMasterData() {
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      try {
+        await loadStored();
+        const token = await AsyncStorage.getItem('token');
+        if (!token) return false;
+
+        const headers = { Authorization: `Bearer ${token}` };
+        if (cache?.etag) headers['If-None-Match'] = cache.etag;
+
+        const resp = await axios.get(`${API_BASE}/api/master-data`, {
+          headers,
+          timeout: REQUEST_TIMEOUT_MS,
+          validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+        });
+        lastSyncAt = Date.now();
+        if (resp.status === 304 || !resp.data?.lists) return false;
+
+        cache = {
+          version: resp.data.version ?? null,
+          etag: resp.headers?.etag ?? (resp.data.version ? `"${resp.data.version}"` : null),
+          lists: resp.data.lists,
+        };
+        await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+        notify();
+        return true;
+      } catch (err) {
+        console.warn('master data sync failed', err?.message || err);
+        return false;
+      } finally {
+        syncPromise = null;
+      }
+    })();
+  }
+  return syncPromise;
+}
+
+/**
+ * Options of a list as { label, value }; the bundled list while nothing was
+ * downloaded (or the server's copy of it is empty).
+ * @param {string} key - e.g. 'nama_sales', 'regions'
+ * @returns {Array<{ label: string, value: string }>}
+ */
+export function getMasterList(key) {
+  const downloaded = cache?.lists?.[key];
+  if (Array.isArray(downloaded) && downloaded.length) return downloaded;
+  return Array.isArray(bundled[key]) ? bundled[key] : [];
+}
+
+/**
+ * Hook form of getMasterList. Pass no key to get an empty list (components
+ * that were given their options directly).
+ */
+export function useMasterList(key) {
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!key) return undefined;
+
+    const listener = () => setTick((n) => n + 1);
+    listeners.add(listener);
+
+    loadStored();
+    if (Date.now() - lastSyncAt > SYNC_INTERVAL_MS) syncMasterData();
+
+    return () => listeners.delete(listener);
+  }, [key]);
+
+  return key ? getMasterList(key) : [];
+}
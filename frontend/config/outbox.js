@@ -0,0 +1,448 @@
+/**
+ * Offline outbox
+ * --------------
+ * Every visit form (Form1–Form4) submits through this queue so nothing typed
+ * in the field is lost when there is no signal.
+ *
+ * An entry holds everything needed to replay a submission:
+ *  - `visit`   → visit header
+ *  - `detail`  → detail row for the visit type
+ *  - `photos`  → local photo files, keyed by the detail column that stores
+ *                their upload key (copied into the app's document directory)
+ *  - `product` → optional product to register when the device is new
+ *
+ * Photos are uploaded first, one by one; each upload key is written back to
+ * the entry so a retry does not upload it again. Then visit, detail and
+ * product go to POST /api/visits/submit, which stores them in one transaction.
+ * The entry id is sent as `Idempotency-Key`, so the backend never creates the
+ * same visit twice.
+ *
+ * Failures:
+ *  - network errors, timeouts, 5xx, 408 and 429 → retried with backoff
+ *  - other 4xx (e.g. validation) → marked `failed`; the user retries or deletes
+ *    it from MenuTabs
+ *  - expired session → left pending until the user logs in again
+ *
+ * Entries belong to the user who created them and are only sent with that
+ * user's session. startOutboxSync() (App.js) flushes the queue on start, when
+ * the app returns to the foreground and periodically while it is open.
+ */
+
+import axios from 'axios';
+import { AppState } from 'react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+import API_BASE from './api';
+
+const STORAGE_KEY = 'outbox';
+const PHOTO_DIR = FileSystem.documentDirectory ? `${FileSystem.documentDirectory}outbox/` : null;
+
+const REQUEST_TIMEOUT_MS = 20000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+const listeners = new Set();
+const sendingIds = new Set();
+let storageQueue = Promise.resolve();
+let flushPromise = null;
+
+/* ----------------------
+ * Storage
+ * ---------------------- */
+
+async function readEntries() {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    console.warn('Outbox could not be read:', e?.message || e);
+    return [];
+  }
+}
+
+/**
+ * Read-modify-write the stored entries. Updates are serialized so concurrent
+ * sends cannot overwrite each other's progress.
+ */
+function updateEntries(mutate) {
+  const run = storageQueue.then(async () => {
+    const entries = await readEntries();
+    const next = mutate(entries) ?? entries;
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    return next;
+  });
+  storageQueue = run.catch(() => {});
+  return run.then((entries) => {
+    notify();
+    return entries;
+  });
+}
+
+/** Apply `change` to one entry and return the updated copy (null when it is gone). */
+async function patchEntry(id, change) {
+  let updated = null;
+  await updateEntries((entries) =>
+    entries.map((entry) => {
+      if (entry.id !== id) return entry;
+      updated = { ...entry, ...change(entry), updated_at: new Date().toISOString() };
+      return updated;
+    })
+  );
+  return updated;
+}
+
+function notify() {
+  listeners.forEach((listener) => {
+    try {
+      listener();
+    } catch (e) {
+      console.warn('Outbox listener failed:', e?.message || e);
+    }
+  });
+}
+
+/* ----------------------
+ * Helpers
+ * ---------------------- */
+
+/** Random id, also used as the idempotency key (8–64 chars of [A-Za-z0-9_-]). */
+export function createClientRef() {
+  const random = () => Math.random().toString(36).slice(2, 10).padEnd(8, '0');
+  return `${Date.now().toString(36)}-${random()}${random()}`;
+}
+
+async function authConfig(extraHeaders = {}) {
+  const token = await AsyncStorage.getItem('token');
+  return {
+    headers: { Authorization: `Bearer ${token}`, ...extraHeaders },
+    timeout: REQUEST_TIMEOUT_MS,
+  };
+}
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (!status) return true; // network error / timeout
+  return status >= 500 || status === 401 || status === 408 || status === 429;
+}
+
+function errorMessage(err) {
+  return err?.response?.data?.message || err?.response?.data?.error || err?.message || 'Unknown error';
+}
+
+function nextRetryAt(attempts) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+  return Date.now() + delay;
+}
+
+/**
+ * Copy a picked photo into the app's document directory; camera/picker cache
+ * files can be cleaned up by the OS before the outbox gets to upload them.
+ */
+async function persistPhoto(entryId, column, photo) {
+  const stored = { uri: photo.uri, type: photo.type || 'image/jpeg', fileName: photo.fileName || 'photo.jpg' };
+  if (!PHOTO_DIR) return stored;
+
+  try {
+    await FileSystem.makeDirectoryAsync(PHOTO_DIR, { intermediates: true });
+    const target = `${PHOTO_DIR}${entryId}-${column}.jpg`;
+    await FileSystem.copyAsync({ from: photo.uri, to: target });
+    return { ...stored, uri: target, local_copy: true };
+  } catch (e) {
+    console.warn('Could not copy photo into the outbox, using the original file:', e?.message || e);
+    return stored;
+  }
+}
+
+async function deletePhoto(photo) {
+  if (!photo?.local_copy) return;
+  try {
+    await FileSystem.deleteAsync(photo.uri, { idempotent: true });
+  } catch (e) {
+    console.warn('Could not delete outbox photo:', e?.message || e);
+  }
+}
+
+/**
+ * Upload one photo through a presigned URL (also used for attendance selfies).
+ * @param {{ uri: string, type: string, fileName: string }} photo
+ * @returns {Promise<string>} storage key
+ */
+export async function uploadPhoto(photo) {
+  const presignRes = await axios.post(
+    `${API_BASE}/api/uploads/presign`,
+    { fileName: photo.fileName, contentType: photo.type },
+    await authConfig()
+  );
+  const { uploadUrl, key } = presignRes.data;
+
+  const fileRes = await fetch(photo.uri);
+  const blob = await fileRes.blob();
+
+  const uploadRes = await fetch(uploadUrl, {
+    method: 'PUT',
+    headers: { 'Content-Type': photo.type },
+    body: blob,
+  });
+  if (!uploadRes.ok) {
+    const err = new Error(`Upload failed (${uploadRes.status})`);
+    err.response = { status: uploadRes.status };
+    throw err;
+  }
+
+  return key;
+}
+
+/* ----------------------
+ * Sending
+ * ---------------------- */
+
+/**
+ * Run the remaining steps of one entry. Progress is saved after every upload.
+ * Throws on the first failing request.
+ */
+async function deliver(entry) {
+  let current = entry;
+
+  // 1) Photos
+  for (const column of Object.keys(current.photos || {})) {
+    const photo = current.photos[column];
+    const key = await uploadPhoto(photo);
+    current = await patchEntry(current.id, (e) => {
+      const photos = { ...e.photos };
+      delete photos[column];
+      return { photos, detail: { ...e.detail, [column]: key } };
+    });
+    if (!current) return;
+    await deletePhoto(photo);
+  }
+
+  // 2) Visit + detail + product, all or nothing (idempotent on the entry id)
+  await axios.post(
+    `${API_BASE}/api/visits/submit`,
+    { visit: current.visit, detail: current.detail, product: current.product || undefined },
+    await authConfig({ 'Idempotency-Key': current.id })
+  );
+
+  await updateEntries((entries) => entries.filter((e) => e.id !== current.id));
+}
+
+/**
+ * Try to send one entry and record the outcome.
+ * @returns {Promise<{ status: 'sent' | 'queued' | 'failed', message?: string, errors?: Object, sessionExpired?: boolean }>}
+ */
+async function sendEntry(entry) {
+  if (sendingIds.has(entry.id)) return { status: 'queued' };
+  sendingIds.add(entry.id);
+  notify();
+
+  try {
+    await deliver(entry);
+    return { status: 'sent' };
+  } catch (err) {
+    const message = errorMessage(err);
+    console.warn(`Outbox entry ${entry.id} not sent:`, message);
+
+    // Keep it pending untouched; it is sent after the user logs in again
+    if (err?.sessionExpired) return { status: 'queued', message, sessionExpired: true };
+
+    if (isRetryable(err)) {
+      await patchEntry(entry.id, (e) => ({
+        status: 'pending',
+        attempts: (e.attempts || 0) + 1,
+        next_attempt_at: nextRetryAt((e.attempts || 0) + 1),
+        last_error: message,
+      }));
+      return { status: 'queued', message };
+    }
+
+    await patchEntry(entry.id, (e) => ({ status: 'failed', attempts: (e.attempts || 0) + 1, last_error: message }));
+    return { status: 'failed', message, errors: err?.response?.data?.errors };
+  } finally {
+    sendingIds.delete(entry.id);
+    notify();
+  }
+}
+
+/* ----------------------
+ * Public API
+ * ---------------------- */
+
+/**
+ * Queue a visit submission.
+ *
+ * @param {Object} submission
+ * @param {string} submission.title        - label shown in MenuTabs
+ * @param {Object} submission.visit        - visit header (visit_type, is_draft, ...)
+ * @param {Object} submission.detail       - detail row for the visit type
+ * @param {Object} [submission.photos]     - { detailColumn: { uri, type, fileName } }
+ * @param {Object} [submission.product]    - product to register when detail.product_id is unknown
+ * @returns {Promise<Object>} the stored entry
+ */
+export async function enqueueVisit({ title, visit, detail, photos = {}, product = null }) {
+  const id = createClientRef();
+  const userId = await AsyncStorage.getItem('user_id');
+
+  const storedPhotos = {};
+  for (const [column, photo] of Object.entries(photos)) {
+    if (photo?.uri) storedPhotos[column] = await persistPhoto(id, column, photo);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id,
+    user_id: userId,
+    title,
+    visit_type: visit.visit_type,
+    is_draft: Number(visit.is_draft) ? 1 : 0,
+    visit,
+    detail,
+    photos: storedPhotos,
+    product,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: 0,
+    last_error: null,
+    created_at: now,
+    updated_at: now,
+  };
+
+  await updateEntries((entries) => [...entries, entry]);
+  return entry;
+}
+
+/**
+ * Queue a submission and try to send it right away.
+ *
+ * - `sent`     → delivered
+ * - `queued`   → kept in the outbox, sent automatically later
+ * - `rejected` → the server refused it (e.g. 422). Nothing was stored, so the
+ *                entry is dropped and the user can fix the form and resubmit.
+ *                For validation errors `errors` maps field → message.
+ *
+ * @returns {Promise<{ status: 'sent' | 'queued' | 'rejected', message?: string, errors?: Object, sessionExpired?: boolean }>}
+ */
+export async function submitVisit(submission) {
+  const entry = await enqueueVisit(submission);
+  const result = await sendEntry(entry);
+
+  if (result.status !== 'failed') return result;
+
+  await removeEntry(entry.id);
+  return { status: 'rejected', message: result.message, errors: result.errors || {} };
+}
+
+/**
+ * Alert text for a submitVisit() result.
+ */
+export function describeSubmitResult(result, { isDraft } = {}) {
+  switch (result.status) {
+    case 'sent':
+      return isDraft ? 'Draft saved!' : 'Submitted successfully!';
+    case 'queued':
+      return result.sessionExpired
+        ? 'Your session has expired. The form is saved in the outbox and will be sent after you log in again.'
+        : 'No connection to the server. The form is saved in the outbox and will be sent automatically.';
+    default:
+      if (result.errors && Object.keys(result.errors).length) {
+        return 'Submit failed: please check the highlighted fields.';
+      }
+      return `Submit failed: ${result.message || 'Unknown error'}`;
+  }
+}
+
+/**
+ * Entries of the signed-in user, oldest first, with a `sending` flag.
+ */
+export async function getOutbox() {
+  const userId = await AsyncStorage.getItem('user_id');
+  return (await readEntries())
+    .filter((e) => e.user_id === userId)
+    .map((e) => ({ ...e, sending: sendingIds.has(e.id) }));
+}
+
+/**
+ * Send every due entry of the signed-in user. Concurrent calls share one run.
+ * @param {{ force?: boolean }} [options] - ignore backoff and retry failed entries
+ * @returns {Promise<number>} number of entries sent
+ */
+export function flushOutbox({ force = false } = {}) {
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      const token = await AsyncStorage.getItem('token');
+      if (!token) return 0;
+
+      const now = Date.now();
+      const due = (await getOutbox()).filter(
+        (e) => !e.sending && (force || (e.status === 'pending' && (e.next_attempt_at || 0) <= now))
+      );
+
+      let sent = 0;
+      for (const entry of due) {
+        const result = await sendEntry(entry);
+        if (result.status === 'sent') sent += 1;
+        // No point trying the rest while offline or signed out
+        if (result.status === 'queued') break;
+      }
+      return sent;
+    })().finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+}
+
+/**
+ * Make a failed (or backed-off) entry due again and try to send it.
+ */
+export async function retryEntry(id) {
+  const entry = await patchEntry(id, () => ({ status: 'pending', next_attempt_at: 0 }));
+  if (!entry) return null;
+  return sendEntry(entry);
+}
+
+/**
+ * Delete an entry and its photo copies.
+ */
+export async function removeEntry(id) {
+  let removed = null;
+  await updateEntries((entries) => {
+    removed = entries.find((e) => e.id === id) || null;
+    return entries.filter((e) => e.id !== id);
+  });
+  if (removed) {
+    await Promise.all(Object.values(removed.photos || {}).map(deletePhoto));
+  }
+}
+
+/**
+ * Get notified whenever the outbox changes.
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Flush now, whenever the app comes back to the foreground, and every minute
+ * while it is active.
+ * @returns {() => void} stops syncing
+ */
+export function startOutboxSync() {
+  const flush = () => flushOutbox().catch((e) => console.warn('Outbox sync failed:', e?.message || e));
+
+  flush();
+  const interval = setInterval(() => {
+    if (AppState.currentState === 'active') flush();
+  }, SYNC_INTERVAL_MS);
+  const subscription = AppState.addEventListener('change', (state) => {
+    if (state === 'active') flush();
+  });
+
+  return () => {
+    clearInterval(interval);
+    subscription.remove();
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * Session handling
+ * ----------------
+ * Keeps the signed-in session in AsyncStorage and refreshes it transparently.
+ *
+ * - saveSession(): store the login/refresh response (token, refresh_token, user)
+ * - getStaffName(): the signed-in user's own name in the sales / technician
+ *   list, which the forms prefill and lock
+ * - setupAxiosAuth(): axios interceptor — on a 401 it refreshes the access token
+ *   once (POST /api/auth/refresh) and retries the request. Only when the server
+ *   rejects the refresh token (401 / 403) is the session cleared and
+ *   `onSessionExpired` sends the user to Login; a refresh that fails otherwise
+ *   (offline, timeout, 5xx) keeps the session and fails the request with that
+ *   error, so the outbox retries it later.
+ * - authFetch(): the same behaviour for code that uses fetch().
+ * - logout(): revoke this device's refresh token and clear the session.
+ *
+ * Concurrent 401s share one refresh call, because the server rotates refresh
+ * tokens and treats a reused token as theft.
+ */
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import API_BASE from './api';
+
+const SESSION_KEYS = ['token', 'refresh_token', 'user_id', 'name', 'email', 'role', 'permissions', 'staff'];
+
+// Requests that must never trigger a refresh (they are part of the session flow)
+const isSessionUrl = (url) => /\/api\/(auth|users)\/(login|refresh|logout)\b/.test(url || '');
+
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+
+/**
+ * Store a login or refresh response.
+ * @param {{ token: string, refresh_token?: string, user?: object }} data
+ */
+export async function saveSession(data) {
+  const entries = [['token', data.token ?? '']];
+
+  if (data.refresh_token) entries.push(['refresh_token', data.refresh_token]);
+
+  if (data.user) {
+    entries.push(
+      ['user_id', String(data.user.id ?? '')],
+      ['name', String(data.user.name ?? '')],
+      ['email', String(data.user.email ?? '')],
+      ['role', String(data.user.role ?? '')],
+      ['permissions', JSON.stringify(data.user.permissions ?? [])],
+      ['staff', JSON.stringify(data.user.staff ?? null)]
+    );
+  }
+
+  await AsyncStorage.multiSet(entries);
+}
+
+/**
+ * The signed-in user's name for a staff list ('nama_sales' / 'nama_teknisi'):
+ * the value of the option the account is linked to, else the account name.
+ * The server stores the linked name on the visit whatever the form sends.
+ * @returns {Promise<string>}
+ */
+export async function getStaffName(listKey) {
+  const [[, staffRaw], [, name]] = await AsyncStorage.multiGet(['staff', 'name']);
+  let staff = null;
+  try {
+    staff = staffRaw ? JSON.parse(staffRaw) : null;
+  } catch (e) {
+    staff = null;
+  }
+  return staff && staff.list_key === listKey ? staff.value : name || '';
+}
+
+export async function clearSession() {
+  await AsyncStorage.multiRemove(SESSION_KEYS);
+}
+
+/**
+ * Exchange the stored refresh token for a new access token.
+ * Errors carry `sessionRejected: true` when there is no refresh token or the
+ * server refused it; any other error is worth retrying later.
+ * @returns {Promise<string>} the new access token
+ */
+export function refreshAccessToken() {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refresh_token');
+      if (!refreshToken) {
+        const err = new Error('No refresh token');
+        err.sessionRejected = true;
+        throw err;
+      }
+
+      let resp;
+      try {
+        resp = await axios.post(`${API_BASE}/api/auth/refresh`, { refresh_token: refreshToken });
+      } catch (err) {
+        const status = err?.response?.status;
+        if (status === 401 || status === 403) err.sessionRejected = true;
+        throw err;
+      }
+      await saveSession(resp.data);
+      return resp.data.token;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function expireSession() {
+  await clearSession();
+  sessionExpiredHandler?.();
+}
+
+/**
+ * Install the 401 → refresh → retry interceptor on the shared axios instance.
+ *
+ * @param {{ onSessionExpired?: () => void }} options
+ * @returns {() => void} removes the interceptor
+ */
+export function setupAxiosAuth({ onSessionExpired } = {}) {
+  sessionExpiredHandler = onSessionExpired;
+
+  const id = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const { config, response } = error;
+
+      if (response?.status !== 401 || !config || config._retried || isSessionUrl(config.url)) {
+        throw error;
+      }
+
+      config._retried = true;
+
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch (refreshError) {
+        // Offline / server trouble: keep the session, the caller retries later
+        if (!refreshError?.sessionRejected) throw refreshError;
+        await expireSession();
+        error.sessionExpired = true;
+        throw error;
+      }
+
+      config.headers.Authorization = `Bearer ${token}`;
+      return axios(config);
+    }
+  );
+
+  return () => axios.interceptors.response.eject(id);
+}
+
+/**
+ * fetch() with the stored bearer token and the same refresh-and-retry
+ * behaviour as the axios interceptor. `options.headers` must be a plain object.
+ */
+export async function authFetch(url, options = {}) {
+  const send = async (token) =>
+    fetch(url, {
+      ...options,
+      headers: {
+        ...(options.headers || {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+
+  const response = await send(await AsyncStorage.getItem('token'));
+  if (response.status !== 401) return response;
+
+  let token;
+  try {
+    token = await refreshAccessToken();
+  } catch (e) {
+    if (!e?.sessionRejected) throw e;
+    await expireSession();
+    return response;
+  }
+  return send(token);
+}
+
+/**
+ * Sign out on this device. The local session is cleared even if the server
+ * cannot be reached.
+ */
+export async function logout() {
+  try {
+    const refreshToken = await AsyncStorage.getItem('refresh_token');
+    if (refreshToken) {
+      await axios.post(`${API_BASE}/api/auth/logout`, { refresh_token: refreshToken }, { timeout: 5000 });
+    }
+  } catch (e) {
+    console.warn('Logout request failed:', e?.message || e);
+  } finally {
+    await clearSession();
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Visit helpers
+ * -------------
+ * Shared by MenuTabs, SearchScreen and TrashScreen.
+ *
+ *  - fetchVisitForCard(visit)    → visit header merged with its detail, as CardInfo expects
+ *  - searchVisits(q, options)    → GET /api/search
+ *  - deleteVisit(id)             → DELETE /api/visits/:id (moves it to the trash)
+ *  - fetchTrash()                → GET /api/visits/trash
+ *  - restoreVisit(id)            → POST /api/visits/:id/restore
+ *  - splitHighlights(text, terms) → text split into matching / non-matching parts
+ */
+
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import API_BASE from './api';
+
+const REQUEST_TIMEOUT_MS = 15000;
+
+/** Detail route segment of each visit_type (GET /api/visits/:type/:id). */
+const DETAIL_ROUTES = {
+  sales: 'sales',
+  technician_activity: 'activity',
+  technician_service: 'service',
+};
+
+async function authConfig(params) {
+  const token = await AsyncStorage.getItem('token');
+  return { params, headers: { Authorization: `Bearer ${token}` }, timeout: REQUEST_TIMEOUT_MS };
+}
+
+/**
+ * Load the detail of a visit header and merge it in (header values win
+ * where the detail has none).
+ *
+ * @param {Object} visit - visit header ({ id, visit_type, ... })
+ * @returns {Promise<Object>}
+ * @throws {Error} for an unknown visit_type, or the axios error
+ */
+export async function fetchVisitForCard(visit) {
+  const route = DETAIL_ROUTES[visit.visit_type];
+  if (!route) throw new Error(`Unknown visit_type: ${visit.visit_type}`);
+
+  const resp = await axios.get(`${API_BASE}/api/visits/${route}/${visit.id}`, await authConfig());
+  return { ...visit, ...resp.data };
+}
+
+/**
+ * Search the signed-in user's visits.
+ *
+ * @param {string} q
+ * @param {Object} [options]
+ * @param {number} [options.limit] - server default 20, max 50
+ * @returns {Promise<{ terms: string[], results: Array }>}
+ *   results are visit headers with `matches: [{ field, label, text }]`
+ */
+export async function searchVisits(q, { limit } = {}) {
+  const resp = await axios.get(`${API_BASE}/api/search`, await authConfig({ q, limit }));
+  return {
+    terms: Array.isArray(resp.data?.terms) ? resp.data.terms : [],
+    results: Array.isArray(resp.data?.results) ? resp.data.results : [],
+  };
+}
+
+/**
+ * Move a visit to the trash.
+ * @param {number} id
+ * @returns {Promise<{ restore_until: string|null }>} last moment it can be restored
+ */
+export async function deleteVisit(id) {
+  const resp = await axios.delete(`${API_BASE}/api/visits/${id}`, await authConfig());
+  return { restore_until: resp.data?.restore_until ?? null };
+}
+
+/**
+ * Deleted visits that can still be restored, most recently deleted first.
+ * @returns {Promise<{ visits: Array, retention_days: number|null }>}
+ *   visits are headers with `deleted_at` and `restore_until`
+ */
+export async function fetchTrash() {
+  const resp = await axios.get(`${API_BASE}/api/visits/trash`, await authConfig());
+  return {
+    visits: Array.isArray(resp.data?.visits) ? resp.data.visits : [],
+    retention_days: resp.data?.retention_days ?? null,
+  };
+}
+
+/**
+ * Restore a visit from the trash.
+ * @param {number} id
+ * @throws the axios error; status 410 when the retention has passed
+ */
+export async function restoreVisit(id) {
+  await axios.post(`${API_BASE}/api/visits/${id}/restore`, null, await authConfig());
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split `text` into parts that do / do not match one of `terms` (case-insensitive).
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function splitHighlights(text, terms) {
+  const value = String(text ?? '');
+  const words = (terms || []).filter(Boolean).sort((a, b) => b.length - a.length);
+  if (!value || !words.length) return [{ text: value, match: false }];
+
+  const pattern = new RegExp(`(${words.map(escapeRegExp).join('|')})`, 'gi');
+  return value
+    .split(pattern)
+    .filter((part) => part !== '')
+    .map((part) => ({ text: part, match: words.includes(part.toLowerCase()) }));
+}
@@ -13,8 +13,14 @@
  * - Visit Status
  * - Technician Names
  * - Quantity / Kuantitas
+ * - Visit purposes (Tujuan Kunjungan)
  *
  * Keeping all options in one file improves maintainability and avoids duplication.
+ *
+ * Except for jumlah_user, these lists are maintained by admins on the server
+ * (GET /api/master-data). The pickers read the downloaded copy through
+ * config/masterData.js; the lists below are only the offline fallback, used
+ * until the first download succeeds.
  */
 
 /**
@@ -149,3 +155,20 @@ export const kuantitas_option = [
   { label: "14", value: "14" },
   { label: "15", value: "15" },
 ];
+
+/**
+ * tujuan_kunjungan
+ * ----------------
+ * Purposes of a sales visit (multi-select); the label is what is stored.
+ */
+export const tujuan_kunjungan = [
+  { label: "Presentasi", value: "Presentasi" },
+  { label: "Kunjungan Rutin", value: "Kunjungan Rutin" },
+  { label: "Follow Up Produk", value: "Follow Up Produk" },
+  { label: "Check Stock", value: "Check Stock" },
+  { label: "Entertain", value: "Entertain" },
+  { label: "Trial", value: "Trial" },
+  { label: "Penanganan Complaint", value: "Penanganan Complaint" },
+  { label: "Join Visit", value: "Join Visit" },
+  { label: "Nego Harga", value: "Nego Harga" },
+];
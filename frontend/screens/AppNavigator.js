@@ -15,6 +15,9 @@
  *   • Menu       — Main dashboard screen that links to available forms.
  *   • Form1–Form4 — Multi-step form screens used to capture different data sets.
  *   • CardInfo   — A dynamic detail screen for viewing/editing submitted form data.
+ *   • Search     — Full-text search over the user's visits (opens CardInfo).
+ *   • Trash      — Deleted visits that can still be restored.
+ *   • ChangePassword — Change the signed-in user's password.
  *
  * Keeping navigation here ensures the app has a single, centralized routing entry point.
  */
@@ -28,6 +31,9 @@ import Form4Screen from './forms/Form4Screen';
 import CardInfo from '../components/CardInfo';
 import FilterScreen from '../components/FilterScreen';
 import BarcodeScanner from '../components/BarcodeScanner';
+import ChangePassword from './ChangePassword';
+import SearchScreen from './SearchScreen';
+import TrashScreen from './TrashScreen';
 
 const Stack = createStackNavigator();
 
@@ -46,6 +52,11 @@ export default function AppNavigator() {
       {/* Detailed form viewer / editor */}
       <Stack.Screen name="CardInfo" component={CardInfo} />
       <Stack.Screen name="FilterScreen" component={FilterScreen} />
+      <Stack.Screen name="Search" component={SearchScreen} />
+      <Stack.Screen name="Trash" component={TrashScreen} />
+
+      {/* Account */}
+      <Stack.Screen name="ChangePassword" component={ChangePassword} />
 
     </Stack.Navigator>
   );
@@ -0,0 +1,190 @@
+/**
+ * ChangePassword.js
+ * -----------------
+ * Lets the signed-in user change their password (POST /api/auth/change-password).
+ *
+ * • The current password is required; the new one is typed twice.
+ * • Strength rules are enforced by the backend; its 422 message is shown under
+ *   the new password field.
+ * • Changing the password signs out every other device. The response carries
+ *   a fresh session for this device, which is stored with saveSession().
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
+import { LinearGradient } from 'expo-linear-gradient';
+import axios from 'axios';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+import Header from '../components/Header';
+import API_BASE from '../config/api';
+import { saveSession } from '../config/session';
+
+export default function ChangePassword({ navigation }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});  // field → message (server 422)
+
+  const onSubmit = async () => {
+    setFieldErrors({});
+    if (!currentPassword || !newPassword) {
+      Alert.alert('Change password', 'Please fill in all fields.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Change password', 'The new passwords do not match.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const token = await AsyncStorage.getItem('token');
+
+      const resp = await axios.post(
+        `${API_BASE}/api/auth/change-password`,
+        { current_password: currentPassword, new_password: newPassword },
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+
+      await saveSession(resp.data);
+
+      Alert.alert('Change password', resp.data?.message || 'Password changed.', [
+        { text: 'OK', onPress: () => navigation.goBack() },
+      ]);
+    } catch (err) {
+      if (err?.sessionExpired) return;
+
+      const data = err?.response?.data;
+      if (err?.response?.status === 422 && data?.errors) {
+        setFieldErrors(data.errors);
+        return;
+      }
+      Alert.alert('Change password failed', data?.message || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Header title={'Password'} navigation={navigation} />
+
+      <KeyboardAwareScrollView
+        style={styles.content}
+        contentContainerStyle={{ paddingBottom: 40 }}
+        enableOnAndroid={true}
+        extraScrollHeight={50}
+      >
+        <Text style={styles.label}>Current password</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Enter your current password"
+          placeholderTextColor="#9CA3AF"
+          secureTextEntry
+          value={currentPassword}
+          onChangeText={setCurrentPassword}
+          autoCapitalize="none"
+          autoCorrect={false}
+          textContentType="password"
+        />
+
+        <Text style={[styles.label, { marginTop: 20 }]}>New password</Text>
+        <TextInput
+          style={[styles.input, fieldErrors.new_password && styles.inputError]}
+          placeholder="At least 8 characters, letters and numbers"
+          placeholderTextColor="#9CA3AF"
+          secureTextEntry
+          value={newPassword}
+          onChangeText={setNewPassword}
+          autoCapitalize="none"
+          autoCorrect={false}
+          textContentType="newPassword"
+        />
+        {fieldErrors.new_password ? <Text style={styles.errorText}>{fieldErrors.new_password}</Text> : null}
+
+        <Text style={[styles.label, { marginTop: 20 }]}>Confirm new password</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="Repeat the new password"
+          placeholderTextColor="#9CA3AF"
+          secureTextEntry
+          value={confirmPassword}
+          onChangeText={setConfirmPassword}
+          autoCapitalize="none"
+          autoCorrect={false}
+          textContentType="newPassword"
+        />
+
+        <Text style={styles.hint}>Other devices will be signed out.</Text>
+
+        <TouchableOpacity style={{ marginTop: 30 }} onPress={onSubmit} disabled={saving}>
+          <LinearGradient
+            colors={['#60A5FA', '#3B82F6']}
+            start={{ x: 0, y: 0 }}
+            end={{ x: 1, y: 0 }}
+            style={styles.button}
+          >
+            {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>SAVE</Text>}
+          </LinearGradient>
+        </TouchableOpacity>
+      </KeyboardAwareScrollView>
+    </View>
+  );
+}
+
+/* -------------------- Styles -------------------- */
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: '#F9FAFB' },
+  content: { marginTop: 180, paddingHorizontal: 30, flex: 1 },
+
+  label: {
+    color: '#1E40AF',
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+
+  input: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#CBD5E1',
+    paddingVertical: 8,
+    color: '#1E293B',
+  },
+
+  inputError: {
+    borderBottomColor: '#EF4444',
+  },
+
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginTop: 6,
+  },
+
+  hint: {
+    color: '#6B7280',
+    marginTop: 15,
+  },
+
+  button: {
+    paddingVertical: 15,
+    borderRadius: 30,
+    alignItems: 'center',
+  },
+
+  buttonText: {
+    color: 'white',
+    fontWeight: '700',
+    fontSize: 16,
+  },
+});
@@ -6,7 +6,8 @@
  * Features:
  * • Collects email and password input.
  * • Sends a POST request to the backend `/api/users/login` endpoint.
- * • Stores the JWT token and user_id in AsyncStorage upon successful login.
+ * • Stores the session (access token, refresh token, user info) upon successful login.
+ * • "Forgot password?" opens ResetPassword, where a reset code from IT support is redeemed.
  * • Redirects the user to the main application (`MainApp → Menu`) using `navigation.replace`
  *   so users cannot navigate back to the login screen after signing in.
  *
@@ -40,7 +41,7 @@ import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view
 import { LinearGradient } from 'expo-linear-gradient';
 
 import API_BASE from '../config/api';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { saveSession } from '../config/session';
 
 export default function Login({ navigation }) {
   // Form state for login credentials
@@ -50,7 +51,7 @@ export default function Login({ navigation }) {
   /**
    * Attempts to authenticate with the backend API.
    * On success:
-   *  - Stores token + user_id in AsyncStorage
+   *  - Stores token, refresh token, user_id, role and permissions (config/session.js)
    *  - Navigates user into the main application via `navigation.replace`
    */
   const onLogin = async () => {
@@ -77,14 +78,8 @@ export default function Login({ navigation }) {
       if (response.ok) {
         alert('Welcome ' + (data.user?.name ?? ''));
 
-        // Store only strings
-        await AsyncStorage.multiSet([
-          ['token', data.token ?? ''],
-          ['user_id', String(data.user?.id ?? '')],
-          ['name', String(data.user?.name ?? '')],
-          ['email', String(data.user?.email ?? '')],
-          ['role', String(data.user?.role ?? '')],
-        ]);
+        // Store token, refresh token and user info
+        await saveSession(data);
 
         navigation.replace('MainApp', { screen: 'Menu' });
       } else {
@@ -152,9 +147,12 @@ export default function Login({ navigation }) {
               textContentType="password"
             />
 
-            {/* Info / help link */}
-            <TouchableOpacity style={{ alignSelf: 'flex-end', marginTop: 10 }}>
-              <Text style={styles.forgotText}>Forgot password? Contact IT support</Text>
+            {/* Reset with a code from IT support */}
+            <TouchableOpacity
+              style={{ alignSelf: 'flex-end', marginTop: 10 }}
+              onPress={() => navigation.navigate('ResetPassword')}
+            >
+              <Text style={styles.forgotText}>Forgot password? Enter your reset code</Text>
             </TouchableOpacity>
 
             {/* Login button */}
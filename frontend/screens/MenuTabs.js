@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -14,9 +14,13 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { MaterialCommunityIcons, FontAwesome5 } from '@expo/vector-icons';
 import Header from '../components/Header';
 import TaskCard from '../components/TaskCard';
+import AttendanceWidget from '../components/AttendanceWidget';
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import API_BASE from '../config/api';
+import { describeVisitWarnings } from '../config/location';
+import { fetchVisitForCard, deleteVisit } from '../config/visits';
+import { getOutbox, flushOutbox, retryEntry, removeEntry, subscribeOutbox } from '../config/outbox';
 
 /* ------------------------------------------------------------------
  * Layout constants
@@ -24,6 +28,21 @@ import API_BASE from '../config/api';
 const { width } = Dimensions.get('window');
 const COLUMN_WIDTH = width * 0.42;
 
+/** Visits fetched per request (GET /api/visits?limit=). */
+const PAGE_SIZE = 20;
+
+/** Load the next page when the list is scrolled this close (px) to its end. */
+const END_REACHED_THRESHOLD = 300;
+
+const DEFAULT_FILTERS = {
+  formTypes: [],
+  dateFrom: null,
+  dateTo: null,
+  search: '',
+  sort: 'visited_at',
+  order: 'desc',
+};
+
 /**
  * Color mapping for different form types.
  */
@@ -63,6 +82,14 @@ const formatAnyDate = (d) => {
   return null;
 };
 
+/** "YYYY-MM-DD" of a picked date in the device's time zone (API `from` / `to`). */
+const toDateParam = (d) => {
+  if (!d) return undefined;
+  const date = new Date(d);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
 const getCardTitle = (formType) => {
   switch (formType) {
     case 'technician_service':
@@ -95,82 +122,121 @@ const dedupeById = (arr) => {
  * ------------------------------------------------------------------ */
 
 export default function MenuTabs({ navigation }) {
-  const [formList, setFormList] = useState([]);
-  const [filteredFormList, setFilteredFormList] = useState([]);
+  // Drafts and submitted visits are paged separately; `cursor` is null on the last page
+  const [drafts, setDrafts] = useState({ items: [], cursor: null });
+  const [submitted, setSubmitted] = useState({ items: [], cursor: null });
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
 
-  const [filters, setFilters] = useState({
-    formTypes: [],
-    dateFrom: null,
-    dateTo: null,
-  });
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
 
-  const [position, setPosition] = useState(null);
+  // Read by load() from the outbox listener, which is registered once
+  const filtersRef = useRef(filters);
+  filtersRef.current = filters;
+
+  // Responses of an earlier load() are dropped when the filters changed meanwhile
+  const loadSeq = useRef(0);
+
+  // Permission list from login / GET /api/auth/me (null while loading)
+  const [permissions, setPermissions] = useState(null);
 
   useEffect(() => {
-    const loadPosition = async () => {
+    const loadPermissions = async () => {
       try {
-        const storedPosition = await AsyncStorage.getItem('role');
-        if (storedPosition) setPosition(storedPosition);
+        const stored = await AsyncStorage.getItem('permissions');
+        setPermissions(stored ? JSON.parse(stored) : []);
+
+        // Refresh from the server so role and staff name changes apply without re-login
+        const token = await AsyncStorage.getItem('token');
+        const resp = await axios.get(`${API_BASE}/api/auth/me`, {
+          headers: { Authorization: `Bearer ${token}` },
+        });
+        const user = resp.data?.user;
+        if (user) {
+          const fresh = Array.isArray(user.permissions) ? user.permissions : [];
+          setPermissions(fresh);
+          await AsyncStorage.multiSet([
+            ['name', String(user.name ?? '')],
+            ['role', String(user.role ?? '')],
+            ['permissions', JSON.stringify(fresh)],
+            ['staff', JSON.stringify(user.staff ?? null)],
+          ]);
+        }
       } catch (e) {
-        console.error('Failed to load position', e);
+        console.error('Failed to load permissions', e);
+        setPermissions((prev) => prev ?? []);
       }
     };
-    loadPosition();
+    loadPermissions();
   }, []);
 
-  const ensureArray = (v) => (Array.isArray(v) ? v : v ? [v] : []);
-
-  const applyClientFilters = () => {
-    let result = [...formList];
-
-    if (filters.formTypes.length > 0) {
-      result = result.filter(item =>
-        filters.formTypes.includes(item.visit_type)
-      );
-    }
-
-    if (filters.dateFrom || filters.dateTo) {
-      const from = filters.dateFrom
-        ? new Date(filters.dateFrom).setHours(0, 0, 0, 0)
-        : null;
-
-      const to = filters.dateTo
-        ? new Date(filters.dateTo).setHours(23, 59, 59, 999)
-        : null;
+  // Submissions waiting in the offline outbox (config/outbox.js)
+  const [outbox, setOutbox] = useState([]);
 
-      result = result.filter(item => {
-        const rawDate =
-          item.visited_at ||
-          item.created_at;
-
-        const normalized = formatAnyDate(rawDate);
-        if (!normalized) return false;
+  useEffect(() => {
+    let active = true;
+    let lastCount = null;
+
+    const refreshOutbox = async () => {
+      const entries = await getOutbox();
+      if (!active) return;
+      setOutbox(entries);
+      // Something was delivered: show it in the task lists
+      if (lastCount !== null && entries.length < lastCount) load();
+      lastCount = entries.length;
+    };
 
-        const itemTime = new Date(normalized).getTime();
-        if (from && itemTime < from) return false;
-        if (to && itemTime > to) return false;
+    refreshOutbox();
+    const unsubscribe = subscribeOutbox(refreshOutbox);
+    flushOutbox().catch((e) => console.warn('Outbox flush failed', e));
 
-        return true;
-      });
-    }
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, []);
 
-    setFilteredFormList(result);
+  const confirmRemoveEntry = (entry) => {
+    Alert.alert(
+      'Delete from outbox',
+      `"${entry.title}" has not been sent. Delete it permanently?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: () => removeEntry(entry.id) },
+      ]
+    );
   };
 
-  useEffect(() => {
-    applyClientFilters();
-  }, [filters, formList]);
+  const getOutboxStatus = (entry) => {
+    if (entry.sending) return 'Sending…';
+    if (entry.status === 'failed') return `Failed: ${entry.last_error || 'rejected by server'}`;
+    return entry.attempts > 0 ? `Waiting for connection (${entry.last_error || 'retrying'})` : 'Pending';
+  };
 
-  const getAllForms = async (userId) => {
-    const url = `${API_BASE}/api/visits/`;
+  const can = (permission) => Array.isArray(permissions) && permissions.includes(permission);
 
+  /**
+   * One page of the user's visits with the current filters.
+   * @param {'draft'|'submitted'} status
+   * @param {string|null} cursor - next_cursor of the previous page
+   * @returns {Promise<{ visits: Array, next_cursor: string|null }>}
+   */
+  const fetchPage = async (status, cursor = null) => {
     const token = await AsyncStorage.getItem('token');
+    const current = filtersRef.current;
 
-    const resp = await axios.get(url, {
+    const resp = await axios.get(`${API_BASE}/api/visits/`, {
       params: {
-        user_id: userId,
+        status,
+        limit: PAGE_SIZE,
+        cursor: cursor || undefined,
+        visit_type: current.formTypes.length ? current.formTypes.join(',') : undefined,
+        from: toDateParam(current.dateFrom),
+        to: toDateParam(current.dateTo),
+        q: current.search?.trim() || undefined,
+        sort: current.sort,
+        order: current.order,
       },
       headers: {
         Authorization: `Bearer ${token}`,
@@ -178,92 +244,134 @@ export default function MenuTabs({ navigation }) {
     });
 
     return {
-      visits: ensureArray(resp.data),
+      visits: Array.isArray(resp.data?.visits) ? resp.data.visits : [],
+      next_cursor: resp.data?.next_cursor ?? null,
     };
   };
 
-
   const editClick = async (editData) => {
     try {
-      const token = await AsyncStorage.getItem('token');
-      
-      const endpointMap = {
-        sales: 'sales',
-        technician_activity: 'activity',
-        technician_service: 'service',
-      };
-
-      const endpoint = endpointMap[editData.visit_type];
-
-      if (!endpoint) {
-        throw new Error(`Unknown visit_type: ${editData.visit_type}`);
-      }
-
-      const url = `${API_BASE}/api/visits/${endpoint}/${editData.id}`;
-      console.log(editData.id)
-
-      const response = await axios.get(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
-
-      const mergedData = {
-        ...editData,
-        ...response.data,
-      };
-
+      const mergedData = await fetchVisitForCard(editData);
       navigation.navigate('CardInfo', { data: mergedData });
-
     } catch (error) {
       console.error('editClick error:', error?.response?.data || error.message);
     }
   };
 
+  /** Ask, then move a visit to the trash and drop it from the list. */
+  const confirmDelete = (item) => {
+    Alert.alert(
+      'Delete task',
+      `Delete this ${getCardTitle(item.visit_type)}? You can restore it from Trash for a while.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const { restore_until } = await deleteVisit(item.id);
+              const removeItem = (prev) => ({ ...prev, items: prev.items.filter((v) => v.id !== item.id) });
+              setDrafts(removeItem);
+              setSubmitted(removeItem);
+              Alert.alert(
+                'Moved to Trash',
+                restore_until
+                  ? `You can restore it from Trash until ${formatAnyDate(restore_until)}.`
+                  : 'You can restore it from Trash.'
+              );
+            } catch (err) {
+              Alert.alert('Error', err?.response?.data?.message || err?.message || 'Failed to delete task');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /** Reload the first page of drafts and of submitted visits. */
   const load = async () => {
+    const seq = ++loadSeq.current;
     try {
       setLoading(true);
 
       const userIdStr = await AsyncStorage.getItem('user_id');
       if (!userIdStr) throw new Error('Missing user_id. Please login again.');
 
-      const { visits } = await getAllForms(userIdStr);
-
+      // Sequential: the drafts section renders first
+      const draftPage = await fetchPage('draft');
+      const submittedPage = await fetchPage('submitted');
+      if (seq !== loadSeq.current) return;
 
-      const merged = (visits || []).filter(Boolean);
-      const deduped = dedupeById(merged);
+      setDrafts({ items: draftPage.visits, cursor: draftPage.next_cursor });
+      setSubmitted({ items: submittedPage.visits, cursor: submittedPage.next_cursor });
+    } catch (err) {
+      if (seq !== loadSeq.current) return;
+      Alert.alert('Error', err?.response?.data?.message || err?.message || 'Failed to load forms');
+      setDrafts({ items: [], cursor: null });
+      setSubmitted({ items: [], cursor: null }); // keep these consistent
+    } finally {
+      if (seq === loadSeq.current) setLoading(false);
+    }
+  };
 
-      setFormList(deduped);
-      setFilteredFormList(deduped);
+  /** Append the next page of one section. */
+  const loadMore = async (status) => {
+    const section = status === 'draft' ? drafts : submitted;
+    const setSection = status === 'draft' ? setDrafts : setSubmitted;
+    if (loading || loadingMore || !section.cursor) return;
 
+    const seq = loadSeq.current;
+    try {
+      setLoadingMore(true);
+      const page = await fetchPage(status, section.cursor);
+      if (seq !== loadSeq.current) return;
+      setSection((prev) => ({
+        items: dedupeById([...prev.items, ...page.visits]),
+        cursor: page.next_cursor,
+      }));
     } catch (err) {
-      Alert.alert('Error', err?.message || 'Failed to load forms');
-      setFormList([]);
-      setFilteredFormList([]); // keep these consistent
+      console.warn('Failed to load more visits', err?.message);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  // Infinite scroll: fetch more submitted visits near the end of the list
+  const onListScroll = ({ nativeEvent }) => {
+    const { layoutMeasurement, contentOffset, contentSize } = nativeEvent;
+    if (layoutMeasurement.height + contentOffset.y >= contentSize.height - END_REACHED_THRESHOLD) {
+      loadMore('submitted');
     }
   };
 
   useEffect(() => {
     load();
-  }, []);
+  }, [filters]);
 
-  const draftItems = filteredFormList.filter(i => Number(i.is_draft) === 1);
-  const submittedItems = filteredFormList.filter(i => Number(i.is_draft) === 0);
+  const hasFilters =
+    filters.formTypes.length > 0 || filters.dateFrom || filters.dateTo || Boolean(filters.search?.trim());
+
+  // Bumped on pull-to-refresh so the attendance widget reloads too
+  const [refreshKey, setRefreshKey] = useState(0);
 
   const onRefresh = async () => {
     setRefreshing(true);
+    setRefreshKey((k) => k + 1);
     await load();
     setRefreshing(false);
   };
 
   const renderEmpty = () => {
     if (loading) return <ActivityIndicator style={{ marginTop: 20 }} />;
-    return <Text style={{ marginTop: 12, color: '#6B7280' }}>No tasks created yet.</Text>;
+    return (
+      <Text style={{ marginTop: 12, color: '#6B7280' }}>
+        {hasFilters ? 'No tasks match the filters.' : 'No tasks created yet.'}
+      </Text>
+    );
   };
 
-  if (!position) {
+  if (!permissions) {
     return (
       <View style={styles.container}>
         <ActivityIndicator style={{ marginTop: 40 }} />
@@ -276,13 +384,13 @@ export default function MenuTabs({ navigation }) {
    * ------------------------------------------------------------------ */
   return (
     <View style={styles.container}>
-      <Header title={'Tasks'} navigation={navigation} />
+      <Header title={'Tasks'} navigation={navigation} onSearchPress={() => navigation.navigate('Search')} />
 
       <View style={styles.content}>
         {/* TOP BUTTONS */}
         <View style={styles.row}>
           <View style={styles.column}>
-            {position?.toLowerCase() === 'sales' || position?.toLowerCase() === 'admin'  && (
+            {can('visits.sales.create') && (
               <TouchableOpacity onPress={() => navigation.navigate('Form1')}>
                 <View style={[styles.card, styles.largeCard, { backgroundColor: '#FCA5A5' }]}>
                   <MaterialCommunityIcons name="hospital-building" size={48} color="#fff" />
@@ -291,7 +399,7 @@ export default function MenuTabs({ navigation }) {
               </TouchableOpacity>
             )}
 
-            {position?.toLowerCase() === 'technician' || position?.toLowerCase() === 'admin'  && (
+            {can('visits.activity.create') && (
               <TouchableOpacity onPress={() => navigation.navigate('Form3')}>
                 <LinearGradient colors={['#60A5FA', '#3B82F6']} style={[styles.card, styles.smallCard]}>
                   <FontAwesome5 name="chalkboard-teacher" size={38} color="#fff" />
@@ -302,7 +410,7 @@ export default function MenuTabs({ navigation }) {
           </View>
 
           <View style={styles.column}>
-            {position?.toLowerCase() === 'sales' || position?.toLowerCase() === 'admin'  && (
+            {can('visits.sales.create') && (
               <TouchableOpacity onPress={() => navigation.navigate('Form2')}>
                 <LinearGradient colors={['#A78BFA', '#7C3AED']} style={[styles.card, styles.smallCard]}>
                   <FontAwesome5 name="briefcase" size={38} color="#fff" />
@@ -311,7 +419,7 @@ export default function MenuTabs({ navigation }) {
               </TouchableOpacity>
             )}
 
-            {position?.toLowerCase() === 'technician' || position?.toLowerCase() === 'admin'  && (
+            {can('visits.service.create') && (
               <TouchableOpacity onPress={() => navigation.navigate('Form4')}>
                 <View style={[styles.card, styles.largeCard, { backgroundColor: '#86EFAC' }]}>
                   <FontAwesome5 name="tools" size={38} color="#fff" />
@@ -325,14 +433,56 @@ export default function MenuTabs({ navigation }) {
         {/* LIST SCROLL VIEW */}
         <ScrollView
           contentContainerStyle={{ paddingBottom: 40 }}
+          onScroll={onListScroll}
+          scrollEventThrottle={200}
           refreshControl={
             <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
           }
         >
+          {/* TODAY'S ATTENDANCE */}
+          {can('attendance.record') && <AttendanceWidget refreshKey={refreshKey} />}
+
+          {/* OUTBOX */}
+          {outbox.length > 0 && (
+            <View style={styles.outbox}>
+              <View style={styles.outboxHeader}>
+                <Text style={styles.header2}>Outbox ({outbox.length})</Text>
+                <TouchableOpacity onPress={() => flushOutbox({ force: true })}>
+                  <Text style={styles.outboxAction}>Send now</Text>
+                </TouchableOpacity>
+              </View>
+              {outbox.map(entry => (
+                <View key={entry.id} style={styles.outboxItem}>
+                  <FontAwesome5
+                    name={entry.status === 'failed' ? 'exclamation-circle' : 'cloud-upload-alt'}
+                    size={20}
+                    color={entry.status === 'failed' ? '#DC2626' : '#3B82F6'}
+                  />
+                  <View style={{ flex: 1, marginLeft: 12 }}>
+                    <Text style={styles.outboxTitle}>
+                      {entry.title}{entry.is_draft ? ' (draft)' : ''}
+                    </Text>
+                    <Text style={styles.outboxMeta}>{formatAnyDate(entry.created_at)} · {getOutboxStatus(entry)}</Text>
+                  </View>
+                  {!entry.sending && (
+                    <>
+                      <TouchableOpacity onPress={() => retryEntry(entry.id)} style={{ padding: 6 }}>
+                        <FontAwesome5 name="redo" size={16} color="#3B82F6" />
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => confirmRemoveEntry(entry)} style={{ padding: 6 }}>
+                        <FontAwesome5 name="trash" size={16} color="#6B7280" />
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* DRAFTS */}
           <Text style={styles.header2}>Drafts</Text>
-          {draftItems.length === 0 && renderEmpty()}
-          {draftItems.map(item => (
+          {drafts.items.length === 0 && renderEmpty()}
+          {drafts.items.map(item => (
             <View key={`${item.visit_type}-${item.id}`} style={{ marginVertical: 8 }}>
               <TaskCard
                 title={getCardTitle(item.visit_type)}
@@ -341,10 +491,17 @@ export default function MenuTabs({ navigation }) {
                   formatAnyDate(item.visited_at) 
                 }
                 formTypeColor={FORM_TYPE_COLORS[item.visit_type]}
+                warning={describeVisitWarnings(item)}
                 onEdit={() => editClick(item)}
+                onDelete={() => confirmDelete(item)}
               />
             </View>
           ))}
+          {drafts.cursor && (
+            <TouchableOpacity onPress={() => loadMore('draft')} style={styles.moreLink}>
+              <Text style={styles.moreLinkText}>Show more drafts</Text>
+            </TouchableOpacity>
+          )}
 
           {/* CREATED TASKS */}
           <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 35 }}>
@@ -362,20 +519,36 @@ export default function MenuTabs({ navigation }) {
             </TouchableOpacity>
           </View>
 
-          {submittedItems.length === 0 && renderEmpty()}
-          {submittedItems.map(item => {
+          {submitted.items.length === 0 && renderEmpty()}
+          {submitted.items.map(item => {
+            // A colleague's visit this user took part in: listed for them, but only the owner deletes it
+            const isParticipant = item.participation === 'participant';
             return (
               <View key={`${item.visit_type}-${item.id}`} style={{ marginVertical: 8 }}>
                 <TaskCard
                   title={getCardTitle(item.visit_type)}
                   iconName={getIconName(item.visit_type)}
                   date={formatAnyDate(item.visited_at)}
+                  note={isParticipant ? 'Ikut serta' : null}
                   formTypeColor={FORM_TYPE_COLORS[item.visit_type]}
+                  warning={describeVisitWarnings(item)}
                   onEdit={() => editClick(item)}
+                  onDelete={isParticipant ? null : () => confirmDelete(item)}
                 />
               </View>
             );
           })}
+          {loadingMore && <ActivityIndicator style={{ marginTop: 12 }} />}
+
+          {/* ACCOUNT */}
+          <TouchableOpacity style={styles.accountLink} onPress={() => navigation.navigate('ChangePassword')}>
+            <FontAwesome5 name="key" size={16} color="#3B82F6" />
+            <Text style={styles.accountLinkText}>Change password</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.accountLink} onPress={() => navigation.navigate('Trash', { onRestored: () => load() })}>
+            <FontAwesome5 name="trash-restore" size={16} color="#3B82F6" />
+            <Text style={styles.accountLinkText}>Trash</Text>
+          </TouchableOpacity>
         </ScrollView>
       </View>
     </View>
@@ -401,4 +574,22 @@ const styles = StyleSheet.create({
   smallCard: { height: 130 },
   cardTitle: { fontSize: 18, fontWeight: '600', color: '#fff', marginTop: 12 },
   header2: { fontSize: 20, fontWeight: 'bold', marginTop: 25 },
+  outbox: { marginBottom: 10 },
+  outboxHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'flex-end' },
+  outboxAction: { color: '#3B82F6', fontWeight: '600' },
+  outboxItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 10,
+    elevation: 2,
+  },
+  outboxTitle: { fontWeight: '600', color: '#1E293B' },
+  outboxMeta: { color: '#6B7280', marginTop: 2, fontSize: 12 },
+  moreLink: { alignSelf: 'center', padding: 8 },
+  moreLinkText: { color: '#3B82F6', fontWeight: '600' },
+  accountLink: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', marginTop: 30 },
+  accountLinkText: { color: '#3B82F6', fontWeight: '600', marginLeft: 8 },
 });
@@ -0,0 +1,237 @@
+/**
+ * ResetPassword.js
+ * ----------------
+ * Sets a new password with a one-time reset code issued by IT support
+ * (POST /api/auth/reset-password).
+ *
+ * • Reached from "Forgot password?" on the Login screen.
+ * • The code is single use; it stays valid if the new password is rejected.
+ * • After a successful reset every device is signed out, so the user is sent
+ *   back to Login.
+ */
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { KeyboardAwareScrollView } from 'react-native-keyboard-aware-scroll-view';
+import { LinearGradient } from 'expo-linear-gradient';
+
+import API_BASE from '../config/api';
+
+export default function ResetPassword({ navigation }) {
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({});  // field → message (server 422)
+
+  const onSubmit = async () => {
+    setFieldErrors({});
+    if (!code.trim() || !newPassword) {
+      Alert.alert('Reset password', 'Please enter the reset code and a new password.');
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      Alert.alert('Reset password', 'The new passwords do not match.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const response = await fetch(`${API_BASE}/api/auth/reset-password`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: code.trim(), new_password: newPassword }),
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (response.status === 422 && data.errors) {
+        setFieldErrors(data.errors);
+        return;
+      }
+      if (!response.ok) {
+        Alert.alert('Reset password failed', data.message || 'Reset failed');
+        return;
+      }
+
+      Alert.alert('Reset password', data.message || 'Password has been reset.', [
+        { text: 'OK', onPress: () => navigation.replace('Login') },
+      ]);
+    } catch (err) {
+      Alert.alert('Reset password failed', err?.message || 'A network or server error occurred.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <KeyboardAwareScrollView
+      style={{ flex: 1, backgroundColor: '#fff' }}
+      contentContainerStyle={{ flexGrow: 1 }}
+      bounces={false}
+      enableOnAndroid={true}
+      extraScrollHeight={50}
+    >
+      <View style={styles.container}>
+
+        {/* Top gradient header section */}
+        <LinearGradient
+          colors={['#60A5FA', '#3B82F6']}
+          start={{ x: 0, y: 0 }}
+          end={{ x: 1, y: 1 }}
+          style={styles.topSection}
+        >
+          <Text style={styles.headerText}>Reset</Text>
+          <Text style={styles.subHeaderText}>your password</Text>
+        </LinearGradient>
+
+        <View style={styles.bottomSection}>
+          <Text style={styles.label}>Reset code</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Code from IT support"
+            placeholderTextColor="#9CA3AF"
+            value={code}
+            onChangeText={setCode}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            spellCheck={false}
+          />
+
+          <Text style={[styles.label, { marginTop: 20 }]}>New password</Text>
+          <TextInput
+            style={[styles.input, fieldErrors.new_password && styles.inputError]}
+            placeholder="At least 8 characters, letters and numbers"
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            value={newPassword}
+            onChangeText={setNewPassword}
+            autoCapitalize="none"
+            autoCorrect={false}
+            textContentType="newPassword"
+          />
+          {fieldErrors.new_password ? <Text style={styles.errorText}>{fieldErrors.new_password}</Text> : null}
+
+          <Text style={[styles.label, { marginTop: 20 }]}>Confirm new password</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="Repeat the new password"
+            placeholderTextColor="#9CA3AF"
+            secureTextEntry
+            value={confirmPassword}
+            onChangeText={setConfirmPassword}
+            autoCapitalize="none"
+            autoCorrect={false}
+            textContentType="newPassword"
+          />
+
+          <TouchableOpacity style={{ marginTop: 30 }} onPress={onSubmit} disabled={saving}>
+            <LinearGradient
+              colors={['#60A5FA', '#3B82F6']}
+              start={{ x: 0, y: 0 }}
+              end={{ x: 1, y: 0 }}
+              style={styles.button}
+            >
+              {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.buttonText}>RESET PASSWORD</Text>}
+            </LinearGradient>
+          </TouchableOpacity>
+
+          <TouchableOpacity style={{ alignSelf: 'center', marginTop: 25 }} onPress={() => navigation.goBack()}>
+            <Text style={styles.link}>Back to sign in</Text>
+          </TouchableOpacity>
+        </View>
+
+      </View>
+    </KeyboardAwareScrollView>
+  );
+}
+
+/* -------------------- Styles -------------------- */
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+
+  topSection: {
+    flex: 0.35,
+    justifyContent: 'center',
+    paddingHorizontal: 30,
+    paddingTop: 60,
+  },
+
+  headerText: {
+    color: 'white',
+    fontSize: 36,
+    fontWeight: '700',
+  },
+
+  subHeaderText: {
+    color: 'white',
+    fontSize: 28,
+    fontWeight: '600',
+    marginTop: 5,
+  },
+
+  bottomSection: {
+    flex: 0.65,
+    backgroundColor: 'white',
+    borderTopLeftRadius: 40,
+    borderTopRightRadius: 40,
+    marginTop: -30,
+    paddingHorizontal: 30,
+    paddingTop: 40,
+    shadowColor: '#000',
+    shadowOpacity: 0.1,
+    shadowRadius: 10,
+    elevation: 5,
+  },
+
+  label: {
+    color: '#1E40AF',
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+
+  input: {
+    borderBottomWidth: 1,
+    borderBottomColor: '#CBD5E1',
+    paddingVertical: 8,
+    color: '#1E293B',
+  },
+
+  inputError: {
+    borderBottomColor: '#EF4444',
+  },
+
+  errorText: {
+    color: '#EF4444',
+    fontSize: 13,
+    marginTop: 6,
+  },
+
+  button: {
+    paddingVertical: 15,
+    borderRadius: 30,
+    alignItems: 'center',
+  },
+
+  buttonText: {
+    color: 'white',
+    fontWeight: '700',
+    fontSize: 16,
+  },
+
+  link: {
+    color: '#3B82F6',
+    fontWeight: '600',
+  },
+});
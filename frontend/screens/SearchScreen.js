@@ -0,0 +1,237 @@
+/**
+ * SearchScreen.js
+ * ---------------
+ * Full-text search over the signed-in user's visits (GET /api/search), opened
+ * from the search box in the Tasks header.
+ *
+ * • Searches as the user types (after a short pause, from MIN_QUERY_LENGTH characters).
+ * • Every word must match; results are ordered best match first.
+ * • Each result lists the fields that matched with the words highlighted.
+ * • Tapping a result loads its detail and opens CardInfo, like the task list.
+ */
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  StyleSheet,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+
+import HighlightedText from '../components/HighlightedText';
+import { searchVisits, fetchVisitForCard } from '../config/visits';
+import { describeVisitWarnings } from '../config/location';
+
+/* ------------------------------------------------------------------
+ * Constants
+ * ------------------------------------------------------------------ */
+
+const MIN_QUERY_LENGTH = 2;
+const SEARCH_DELAY_MS = 400;
+const RESULT_LIMIT = 30;
+
+/** Result title per visit type (sales visits by category). */
+const getResultTitle = (visit) => {
+  switch (visit.visit_type) {
+    case 'technician_service':
+      return 'Technician Service';
+    case 'technician_activity':
+      return 'Technician Activity';
+    case 'sales':
+      return visit.sales_category === 'healthcare' ? 'Sales Visit Customer' : 'Sales Visit Non Faskes';
+    default:
+      return 'Form';
+  }
+};
+
+const TYPE_COLORS = {
+  technician_service: '#22C55E',
+  technician_activity: '#3B82F6',
+  sales: '#7C3AED',
+};
+
+const formatDate = (value) => {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '' : d.toDateString();
+};
+
+/* ------------------------------------------------------------------
+ * Screen
+ * ------------------------------------------------------------------ */
+
+export default function SearchScreen({ navigation }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [terms, setTerms] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Only the response to the latest query is shown
+  const searchSeq = useRef(0);
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      searchSeq.current += 1;
+      setResults([]);
+      setTerms([]);
+      setSearching(false);
+      setError(null);
+      return undefined;
+    }
+
+    const seq = ++searchSeq.current;
+    const timer = setTimeout(async () => {
+      try {
+        setSearching(true);
+        const data = await searchVisits(q, { limit: RESULT_LIMIT });
+        if (seq !== searchSeq.current) return;
+        setResults(data.results);
+        setTerms(data.terms);
+        setError(null);
+      } catch (err) {
+        if (seq !== searchSeq.current) return;
+        setResults([]);
+        setError(err?.response?.data?.message || err?.message || 'Search failed');
+      } finally {
+        if (seq === searchSeq.current) setSearching(false);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const openResult = async (visit) => {
+    try {
+      const data = await fetchVisitForCard(visit);
+      navigation.navigate('CardInfo', { data });
+    } catch (err) {
+      Alert.alert('Error', err?.response?.data?.message || err?.message || 'Failed to open visit');
+    }
+  };
+
+  const renderResult = ({ item }) => {
+    const warning = describeVisitWarnings(item);
+    return (
+      <TouchableOpacity style={styles.result} onPress={() => openResult(item)}>
+        <View style={[styles.typeBar, { backgroundColor: TYPE_COLORS[item.visit_type] || '#9CA3AF' }]} />
+        <View style={{ flex: 1 }}>
+          <View style={styles.resultHeader}>
+            <Text style={styles.resultTitle}>{getResultTitle(item)}</Text>
+            <Text style={styles.resultDate}>
+              {formatDate(item.visited_at)}
+              {Number(item.is_draft) === 1 ? ' · Draft' : ''}
+            </Text>
+          </View>
+
+          {item.matches.map((match) => (
+            <View key={match.field} style={styles.match}>
+              <Text style={styles.matchLabel}>{match.label}</Text>
+              <HighlightedText text={match.text} terms={terms} style={styles.matchText} numberOfLines={3} />
+            </View>
+          ))}
+
+          {warning ? <Text style={styles.warning}>{warning}</Text> : null}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderEmpty = () => {
+    if (searching) return <ActivityIndicator style={{ marginTop: 24 }} />;
+    if (error) return <Text style={styles.emptyText}>{error}</Text>;
+    if (query.trim().length < MIN_QUERY_LENGTH) {
+      return <Text style={styles.emptyText}>Search notes, locations, customers, serial numbers and report numbers.</Text>;
+    }
+    return <Text style={styles.emptyText}>No visits found.</Text>;
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      {/* Header with search input */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 6 }}>
+          <FontAwesome5 name="arrow-left" size={20} color="#111827" />
+        </TouchableOpacity>
+
+        <View style={styles.inputWrapper}>
+          <FontAwesome5 name="search" size={14} color="#6B7280" />
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. Mindray Siloam"
+            placeholderTextColor="#9CA3AF"
+            value={query}
+            onChangeText={setQuery}
+            autoFocus
+            returnKeyType="search"
+            maxLength={200}
+          />
+          {query ? (
+            <TouchableOpacity onPress={() => setQuery('')}>
+              <FontAwesome5 name="times-circle" size={16} color="#9CA3AF" />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      </View>
+
+      {searching && results.length > 0 && <ActivityIndicator style={{ marginBottom: 8 }} />}
+
+      <FlatList
+        data={results}
+        keyExtractor={(item) => String(item.id)}
+        renderItem={renderResult}
+        ListEmptyComponent={renderEmpty}
+        keyboardShouldPersistTaps="handled"
+        contentContainerStyle={styles.list}
+      />
+    </SafeAreaView>
+  );
+}
+
+/* ------------------------------------------------------------------
+ * Styles
+ * ------------------------------------------------------------------ */
+const styles = StyleSheet.create({
+  safeArea: { flex: 1, backgroundColor: '#F9FAFB' },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  inputWrapper: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 12,
+    paddingHorizontal: 14,
+    borderRadius: 20,
+    borderWidth: 1.5,
+    borderColor: '#3B82F6',
+    backgroundColor: '#fff',
+  },
+  input: { flex: 1, height: 42, marginHorizontal: 10, fontSize: 15, color: '#111827' },
+  list: { paddingHorizontal: 16, paddingBottom: 40 },
+  result: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 10,
+    elevation: 2,
+  },
+  typeBar: { width: 4, borderRadius: 2, marginRight: 12 },
+  resultHeader: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 6 },
+  resultTitle: { fontWeight: '700', color: '#1E293B' },
+  resultDate: { color: '#6B7280', fontSize: 12 },
+  match: { marginTop: 4 },
+  matchLabel: { color: '#6B7280', fontSize: 12 },
+  matchText: { color: '#334155', fontSize: 14 },
+  warning: { color: '#B45309', fontSize: 12, marginTop: 6 },
+  emptyText: { color: '#6B7280', marginTop: 24, textAlign: 'center' },
+});
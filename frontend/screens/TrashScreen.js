@@ -0,0 +1,201 @@
+/**
+ * TrashScreen.js
+ * --------------
+ * Visits the signed-in user deleted from the task list (GET /api/visits/trash).
+ *
+ * • Deleted visits stay here for the server's retention period (retention_days),
+ *   then the nightly purge removes them with their photos.
+ * • Restore puts a visit back in the task list; `route.params.onRestored` lets
+ *   MenuTabs reload.
+ */
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesome5 } from '@expo/vector-icons';
+
+import { fetchTrash, restoreVisit } from '../config/visits';
+
+/* ------------------------------------------------------------------
+ * Constants
+ * ------------------------------------------------------------------ */
+
+/** Title per visit type (sales visits by category). */
+const getVisitTitle = (visit) => {
+  switch (visit.visit_type) {
+    case 'technician_service':
+      return 'Technician Service';
+    case 'technician_activity':
+      return 'Technician Activity';
+    case 'sales':
+      return visit.sales_category === 'healthcare' ? 'Sales Visit Customer' : 'Sales Visit Non Faskes';
+    default:
+      return 'Form';
+  }
+};
+
+const TYPE_COLORS = {
+  technician_service: '#22C55E',
+  technician_activity: '#3B82F6',
+  sales: '#7C3AED',
+};
+
+const formatDate = (value) => {
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '' : d.toDateString();
+};
+
+/* ------------------------------------------------------------------
+ * Screen
+ * ------------------------------------------------------------------ */
+
+export default function TrashScreen({ navigation, route }) {
+  const onRestored = route?.params?.onRestored;
+
+  const [visits, setVisits] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    try {
+      const data = await fetchTrash();
+      setVisits(data.visits);
+      setRetentionDays(data.retention_days);
+      setError(null);
+    } catch (err) {
+      setError(err?.response?.data?.message || err?.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await load();
+    setRefreshing(false);
+  };
+
+  const restore = async (visit) => {
+    try {
+      setRestoringId(visit.id);
+      await restoreVisit(visit.id);
+      setVisits((prev) => prev.filter((v) => v.id !== visit.id));
+      if (typeof onRestored === 'function') onRestored();
+    } catch (err) {
+      const gone = err?.response?.status === 410 || err?.response?.status === 404;
+      Alert.alert(
+        'Restore failed',
+        err?.response?.data?.message || err?.message || 'Failed to restore visit'
+      );
+      if (gone) setVisits((prev) => prev.filter((v) => v.id !== visit.id));
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const renderItem = ({ item }) => (
+    <View style={styles.item}>
+      <View style={[styles.typeBar, { backgroundColor: TYPE_COLORS[item.visit_type] || '#9CA3AF' }]} />
+      <View style={{ flex: 1 }}>
+        <Text style={styles.itemTitle}>{getVisitTitle(item)}</Text>
+        <Text style={styles.itemMeta}>
+          Visited {formatDate(item.visited_at)}
+          {Number(item.is_draft) === 1 ? ' · Draft' : ''}
+        </Text>
+        <Text style={styles.itemMeta}>
+          Deleted {formatDate(item.deleted_at)} · restorable until {formatDate(item.restore_until)}
+        </Text>
+      </View>
+      {restoringId === item.id ? (
+        <ActivityIndicator style={{ padding: 8 }} />
+      ) : (
+        <TouchableOpacity
+          onPress={() => restore(item)}
+          disabled={restoringId !== null}
+          style={styles.restoreButton}
+          accessibilityRole="button"
+          accessibilityLabel={`Restore ${getVisitTitle(item)}`}
+        >
+          <FontAwesome5 name="undo" size={14} color="#3B82F6" />
+          <Text style={styles.restoreText}>Restore</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderEmpty = () => {
+    if (loading) return <ActivityIndicator style={{ marginTop: 24 }} />;
+    if (error) return <Text style={styles.emptyText}>{error}</Text>;
+    return <Text style={styles.emptyText}>Trash is empty.</Text>;
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ padding: 6 }}>
+          <FontAwesome5 name="arrow-left" size={20} color="#111827" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Trash</Text>
+      </View>
+
+      {retentionDays ? (
+        <Text style={styles.hint}>Deleted tasks are removed permanently after {retentionDays} days.</Text>
+      ) : null}
+
+      <FlatList
+        data={visits}
+        keyExtractor={(item) => String(item.id)}
+        renderItem={renderItem}
+        ListEmptyComponent={renderEmpty}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+        contentContainerStyle={styles.list}
+      />
+    </SafeAreaView>
+  );
+}
+
+/* ------------------------------------------------------------------
+ * Styles
+ * ------------------------------------------------------------------ */
+const styles = StyleSheet.create({
+  safeArea: { flex: 1, backgroundColor: '#F9FAFB' },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  headerTitle: { fontSize: 20, fontWeight: '700', color: '#111827', marginLeft: 12 },
+  hint: { color: '#6B7280', fontSize: 13, paddingHorizontal: 16 },
+  list: { paddingHorizontal: 16, paddingBottom: 40 },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 10,
+    elevation: 2,
+  },
+  typeBar: { width: 4, alignSelf: 'stretch', borderRadius: 2, marginRight: 12 },
+  itemTitle: { fontWeight: '700', color: '#1E293B' },
+  itemMeta: { color: '#6B7280', fontSize: 12, marginTop: 2 },
+  restoreButton: { flexDirection: 'row', alignItems: 'center', padding: 8 },
+  restoreText: { color: '#3B82F6', fontWeight: '600', marginLeft: 6 },
+  emptyText: { color: '#6B7280', marginTop: 24, textAlign: 'center' },
+});
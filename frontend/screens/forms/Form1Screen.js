@@ -7,7 +7,10 @@
  *  - Render a large form with fields: sales name, region, hospital/location,
  *    coordinates (GPS), address, user name, user position, visit purposes,
  *    visit status, documentation image, and notes.
- *  - Allow selecting hospitals by region (remote lookup).
+ *  - Suggest the hospitals nearest to the device position (GET /api/hospitals/nearest);
+ *    picking one fills region and address.
+ *  - Allow selecting hospitals by region (remote lookup), or adding a missing one
+ *    (proposeHospital → POST /api/hospitals, pending until an admin approves it).
  *  - Cache hospital lookups per-region to avoid repeated network calls.
  *  - Provide an image picker and upload images with the form as multipart/form-data.
  *  - Use API_URL from .env (with a fallback for local debugging).
@@ -15,7 +18,23 @@
  *
  * Key behaviors:
  *  - onSelectRegion(selectReg): fetch hospitals for a region, cache results, supports AbortController.
- *  - onSubmit(): build FormData including optional image and send to backend `/api/forms/customer`.
+ *  - onSubmit(): build the visit + sales detail and submit them through the offline outbox
+ *    (config/outbox.js); they are queued and sent later when there is no connection.
+ *  - Validation errors (local check or the server's 422 field map) are shown on the
+ *    offending inputs through `fieldErrors`.
+ *  - The selected hospital's id and how the coordinates were obtained (source, accuracy,
+ *    mock flag, capture time) are sent with the visit for the server's geofence and
+ *    tampering checks; CoordinateInput warns when the device is
+ *    outside the check-in radius (the visit is still sent, and flagged). The server
+ *    also links the visit to the hospital's customer.
+ *  - Once a hospital is picked, the people met there before (GET /api/customers/by-hospital/:id/contacts)
+ *    are offered as quick-picks for the user list; a picked contact is sent with its
+ *    `contact_id` and phone so the server links the visit to that contact.
+ *  - Option lists (sales names, regions, jabatan, purposes, statuses) come from the server's
+ *    master data through the pickers' `listKey` (config/masterData.js).
+ *  - Nama Sales is the signed-in user's own name, prefilled and locked.
+ *  - A "Join Visit" purpose asks for the other sales reps, sent as the visit's
+ *    `participants` so the visit is listed and counted for them as well.
  *  - Keyboard and dropdown states control when the footer submit button is visible.
  *
  * Notes for maintainers:
@@ -34,10 +53,17 @@ import MultiSelectCheckbox from '../../components/MultiselectCheckbox';
 import CameraInput from '../../components/CameraInput';
 import Footer from '../../components/Footer';
 import SearchBar from '../../components/SearchBar';
-import { nama_sales, regions, jabatan, status_kunjungan, jumlah_user } from "../../data/appData";
+import { jumlah_user } from "../../data/appData";
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import API_BASE from '../../config/api';
+import { submitVisit, describeSubmitResult } from '../../config/outbox';
+import { getCurrentPosition, formatCoords, parseCoords, fetchNearestHospitals, locationProvenance } from '../../config/location';
+import { fetchHospitalContacts, contactToUser } from '../../config/customers';
+import { getStaffName } from '../../config/session';
+
+/** Visit purpose (tujuan_kunjungan) of a visit made with other sales reps. */
+const JOIN_VISIT = 'Join Visit';
 
 /**
  * HEADER_HEIGHT exported so other components/layout can align with the form header.
@@ -54,26 +80,34 @@ export default function Form1Screen({ navigation }) {
    * Local UI state
    * ------------------------- */
   const [selected, setSelected] = useState([]);         // multi-select choices for visit purposes
+  const [joinSales, setJoinSales] = useState([]);       // other sales reps of a "Join Visit" (nama_sales values)
   const [keyboardVisible, setKeyboardVisible] = useState(false);
   const [namaSales, setNamaSales] = useState('');       // selected sales (controlled by DropdownPicker)
   const [region, setRegion] = useState('');             // selected region (string)
-  const [lokasi, setLokasi] = useState('');             // selected hospital name (string)
+  const [lokasi, setLokasi] = useState('');             // selected hospital (toLokasi)
   const [alamat, setAlamat] = useState('');             // address text
   const [status, setStatus] = useState('');             // visit status
   const [note, setNote] = useState('');                 // notes about visit
   const [dokumentasi, setDok] = useState('');           // image asset (CameraInput)
   const [coords, setCoords] = useState('');             // coordinate string (lat, lng)
+  const [coordsMeta, setCoordsMeta] = useState({});     // { source, accuracy, mocked, capturedAt } of the GPS fix
   const [dropdownOpen, setDropdownOpen] = useState(false); // whether any dropdown/modal is open
   const [other, setOther] = useState('');               // 'other' text for multiselect
   const [loading, setLoading] = useState(false);        // loading state for hospital lookup
   const [error, setError] = useState(null);             // error message for hospital lookup
   const [hospitals, setHospitals] = useState([]);       // retrieved hospital list (normalized)
+  const [nearby, setNearby] = useState([]);             // hospitals around the captured coordinates
   const [jumlahUser, setJumlahUser] = useState('1');
   const [users, setUsers] = useState([
-  { nama: '', jabatan: '' }
+  { nama: '', jabatan: '', telepon: '' }
   ]);
+  const [knownContacts, setKnownContacts] = useState([]); // contacts met before at the selected hospital
   const [saving, setSaving] = useState(false);        
   const [isDraft, setDraft] = useState(false);         
+  const [fieldErrors, setFieldErrors] = useState({});  // field → message (server 422 or local check)
+
+  // "Join Visit" among the purposes asks for the other sales reps
+  const isJoinVisit = selected.includes(JOIN_VISIT);
 
   /* -------------------------
    * Caching and cancellation helpers
@@ -102,26 +136,86 @@ export default function Form1Screen({ navigation }) {
       }));
   }, [hospitals, region]);
 
+  // Shape used for hospitals from the API (lookup list and newly added ones)
+  const normalizeHospital = (h) => ({
+    hospital_id: Number(h.hospital_id),
+    region: h.region || '',
+    name: h.name || '',
+    street: h.street || '',
+    latitude: h.latitude != null && h.latitude !== '' ? Number(h.latitude) : null,
+    longitude: h.longitude != null && h.longitude !== '' ? Number(h.longitude) : null,
+    status: h.status || 'active',
+  });
+
+  // Selected hospital as kept in `lokasi`: the name plus what the geofence check needs
+  const toLokasi = (h) => ({
+    label: h.name,
+    addr: h.street,
+    hospital_id: h.hospital_id != null ? Number(h.hospital_id) : null,
+    lat: h.latitude != null && h.latitude !== '' ? Number(h.latitude) : null,
+    lng: h.longitude != null && h.longitude !== '' ? Number(h.longitude) : null,
+  });
+
+  // Check-in target for CoordinateInput (null until a hospital with coordinates is selected)
+  const target = lokasi?.lat != null && lokasi?.lng != null ? { lat: lokasi.lat, lng: lokasi.lng } : null;
+
   // callback used when user selects a hospital from SearchBar modal
-  const searchbarSelect = (hosp_name, addr) => {
+  // (a nearby suggestion may be in another region: switch to it)
+  const searchbarSelect = (hosp_name, addr, item) => {
     setAlamat(addr);
-    setLokasi({ label: hosp_name.replace(/_/g, ' '), addr });
+    setLokasi(toLokasi({ ...item, name: hosp_name.replace(/_/g, ' '), street: addr }));
+    if (item?.region && item.region !== region) onSelectRegion(item.region);
   };
 
   /* -------------------------
-   * Static options for multiselect
+   * Nearby hospitals
+   * - loadNearby(point): suggestions for the SearchBar, nearest first
+   * - onCoordsCaptured: CoordinateInput callback; refreshes the suggestions
+   * - onSearchOpen: when no coordinates were captured yet, take a GPS fix
+   *   first (it fills the Koordinat field too)
+   * Suggestions are optional, so failures are only logged.
    * ------------------------- */
-  const options = [
-    'Presentasi',
-    'Kunjungan Rutin',
-    'Follow Up Produk',
-    'Check Stock',
-    'Entertain',
-    'Trial',
-    'Penanganan Complaint',
-    'Join Visit',
-    'Nego Harga'
-  ];
+  const loadNearby = async (point) => {
+    try {
+      setNearby(await fetchNearestHospitals({ latitude: point.lat, longitude: point.lng }));
+    } catch (err) {
+      console.warn('nearest hospitals error', err?.message || err);
+    }
+  };
+
+  const onCoordsCaptured = (formatted, meta = {}) => {
+    setCoords(formatted);
+    setCoordsMeta(meta);
+    const point = parseCoords(formatted);
+    if (point) loadNearby(point);
+  };
+
+  const onSearchOpen = async () => {
+    if (nearby.length) return;
+
+    const point = parseCoords(coords);
+    if (point) {
+      loadNearby(point);
+      return;
+    }
+
+    try {
+      const position = await getCurrentPosition();
+      onCoordsCaptured(formatCoords(position.latitude, position.longitude), {
+        source: 'gps',
+        accuracy: position.accuracy,
+        mocked: position.mocked,
+        capturedAt: position.capturedAt,
+      });
+    } catch (err) {
+      console.warn('location for nearby hospitals failed', err?.message || err);
+    }
+  };
+
+  // Nama Sales: the signed-in user's linked name, locked (the server overwrites it anyway)
+  useEffect(() => {
+    getStaffName('nama_sales').then(setNamaSales).catch(() => {});
+  }, []);
 
   /* -------------------------
    * Keyboard listeners (for hiding footer while keyboard open)
@@ -146,7 +240,7 @@ export default function Form1Screen({ navigation }) {
       if (copy.length < count) {
         // add empty users
         while (copy.length < count) {
-          copy.push({ nama: '', jabatan: '' });
+          copy.push({ nama: '', jabatan: '', telepon: '' });
         }
       } else {
         // trim extra users
@@ -158,6 +252,45 @@ export default function Form1Screen({ navigation }) {
   };
 
 
+  /* -------------------------
+   * Contact quick-picks
+   * - Reload the contacts met before whenever the selected hospital changes
+   * - pickContact(contact): fill the first empty user, or add one (up to the
+   *   largest "Jumlah User"); a contact already in the list is skipped
+   * Quick-picks are optional, so failures are only logged.
+   * ------------------------- */
+  const hospitalId = lokasi?.hospital_id || null;
+
+  useEffect(() => {
+    setKnownContacts([]);
+    if (!hospitalId) return undefined;
+
+    const controller = new AbortController();
+    fetchHospitalContacts(hospitalId, { signal: controller.signal })
+      .then(setKnownContacts)
+      .catch((err) => {
+        if (axios.isCancel?.(err) || err.name === 'CanceledError') return;
+        console.warn('hospital contacts error', err?.message || err);
+      });
+    return () => controller.abort();
+  }, [hospitalId]);
+
+  const pickContact = (contact) => {
+    if (users.some((u) => u.contact_id === contact.id)) return;
+
+    const index = users.findIndex((u) => !isNonEmptyString(u.nama));
+    if (index < 0 && users.length >= jumlah_user.length) {
+      alert(`At most ${jumlah_user.length} users per visit.`);
+      return;
+    }
+
+    const copy = [...users];
+    if (index >= 0) copy[index] = contactToUser(contact);
+    else copy.push(contactToUser(contact));
+    setUsers(copy);
+    setJumlahUser(String(copy.length));
+  };
+
   /* -------------------------
    * onSelectRegion(selectReg)
    * - Fetch hospitals for a given region
@@ -201,14 +334,7 @@ export default function Form1Screen({ navigation }) {
         ? resp.data.retrieved_hospitals
         : [];
 
-      const normalized = hospitalsRaw.map(h => ({
-        hospital_id: Number(h.hospital_id),
-        region: h.region || '',
-        name: h.name || '',
-        street: h.street || '',
-        latitude: h.latitude != null && h.latitude !== '' ? Number(h.latitude) : null,
-        longitude: h.longitude != null && h.longitude !== '' ? Number(h.longitude) : null,
-      }));
+      const normalized = hospitalsRaw.map(normalizeHospital);
 
       // Cache normalized result for this region
       cacheRef.current.set(selectReg, normalized);
@@ -228,74 +354,73 @@ export default function Form1Screen({ navigation }) {
     }
   };
 
-  // URL builders (single source of truth)
-  const getVisitsUrl = (baseUrl) => `${baseUrl}/api/visits`;
-  const getSalesUrl = (baseUrl, visitId) => `${baseUrl}/api/visits/${visitId}/sales`;
-
   // Helper to check empty string 
   const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
 
-  //Parse lat and longitude
-  const parseCoords = (coordsStr) => {
-    if (!isNonEmptyString(coordsStr)) return null;
-
-    // allow "lat,lng" or "lat, lng"
-    const parts = coordsStr.split(",").map((s) => s.trim());
-    if (parts.length !== 2) return null;
-
-    const lat = Number(parts[0]);
-    const lng = Number(parts[1]);
-
-    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
-
-    return { lat, lng };
-  };
-  
   // helper for function headers
   const buildAuthHeaders = (token) => ({
     Authorization: `Bearer ${token}`,
   });
 
-  const uploadImageToS3 = async (image) => {
-    if (!image || !image.uri) return null;
+  /* -------------------------
+   * proposeHospital(name)
+   * - Called from the SearchBar when the clinic is not in the list
+   * - Creates it with the current region, address and coordinates; for sales
+   *   users it stays "pending" (only visible to them) until an admin approves it
+   * - The server answers 409 when a hospital with the same name or location exists
+   * ------------------------- */
+  const proposeHospital = async (name) => {
+    if (!region) {
+      alert('Please select a region first.');
+      return;
+    }
 
+    const point = parseCoords(coords);
     try {
-      // Step 1: ask backend for presigned URL
-      const presignRes = await axios.post(`${API_BASE}/api/uploads/presign`, {
-        fileName: image.fileName || "photo.jpg",
-        contentType: image.type || "image/jpeg",
-      });
-
-      const { uploadUrl, key } = presignRes.data;
-
-      // Step 2: upload file directly to S3
-      await axios.put(uploadUrl, {
-        uri: image.uri,
-        type: image.type || "image/jpeg",
-        name: image.fileName || "photo.jpg",
-      }, {
-        headers: {
-          "Content-Type": image.type || "image/jpeg",
+      const token = await AsyncStorage.getItem('token');
+      const resp = await axios.post(
+        `${API_BASE}/api/hospitals`,
+        {
+          name,
+          region,
+          street: isNonEmptyString(alamat) ? alamat : null,
+          latitude: point ? point.lat : null,
+          longitude: point ? point.lng : null,
         },
-      });
-
-      // Step 3: return S3 key
-      return key;
-
+        { headers: buildAuthHeaders(token), timeout: 10000 }
+      );
+
+      const hospital = normalizeHospital(resp.data.hospital);
+      const list = [...hospitals, hospital];
+      cacheRef.current.set(region, list);
+      setHospitals(list);
+      setLokasi(toLokasi(hospital));
+      if (hospital.street) setAlamat(hospital.street);
+
+      alert(
+        hospital.status === 'pending'
+          ? 'Hospital added. Other users will see it once an admin approves it.'
+          : 'Hospital added.'
+      );
     } catch (err) {
-      console.error("Image upload failed:", err);
-      throw new Error("Image upload failed");
+      const data = err?.response?.data;
+      if (data?.code === 'DUPLICATE_HOSPITAL') {
+        const names = (data.duplicates || []).map((d) => `- ${d.name}`).join('\n');
+        alert(`This hospital may already exist:\n${names}\n\nPlease select it from the list.`);
+        return;
+      }
+      alert(`Could not add hospital: ${data?.message || err?.message || 'Unknown error'}`);
     }
   };
 
   /* -------------------------
     * submitForm()
     * - Validates draft vs final
-    * - Creates visit header -> gets visitId
-    * - Creates sales detail
+    * - Queues visit header + sales detail + photo in the outbox
+    *   and tries to send them right away (config/outbox.js)
     * ------------------------- */
   const submitForm = async ({ isDraft }) => {
+    setFieldErrors({});
 
     const norm = (v) => (v?.value ?? v?.label ?? v ?? "").toString().trim();
     const fail = (msg) => {
@@ -324,22 +449,24 @@ export default function Form1Screen({ navigation }) {
       const noteToSend = norm(note);
       const statusToSend = norm(status);
 
+      // Quick offline check; the server applies the full rules (422 → fieldErrors)
       if (!isDraft) {
-        const missing = [];
-
-        if (!isNonEmptyString(nameToSend)) missing.push("Nama Sales");
-        if (!isNonEmptyString(regionToSend)) missing.push("Region");
-        if (!isNonEmptyString(lokasiToSend)) missing.push("Lokasi");
-        if (!isNonEmptyString(alamatToSend)) missing.push("Alamat");
-        if (!isNonEmptyString(coordsToSend)) missing.push("Koordinat");
-        if (!isNonEmptyString(tujuanToSend)) missing.push("Tujuan Kunjungan");
-        if (!isNonEmptyString(noteToSend)) missing.push("Note Kunjungan");
-        if (!users || users.length === 0) missing.push("Nama & Jabatan User");
-        if (!isNonEmptyString(statusToSend)) missing.push("Status Kunjungan");
-
-        if (missing.length) {
-          alert(`Please complete required fields:\n${missing.map((m) => `• ${m}`).join("\n")}`);
-          return;
+        const missing = {};
+
+        if (!isNonEmptyString(nameToSend)) missing.sales_name = "Nama Sales wajib diisi";
+        if (!isNonEmptyString(regionToSend)) missing.region = "Region wajib diisi";
+        if (!isNonEmptyString(lokasiToSend)) missing.location_name = "Lokasi wajib diisi";
+        if (!isNonEmptyString(alamatToSend)) missing.location_address = "Alamat wajib diisi";
+        if (!isNonEmptyString(coordsToSend)) missing.latitude = "Koordinat wajib diisi";
+        if (!isNonEmptyString(tujuanToSend)) missing.visit_purpose = "Tujuan Kunjungan wajib diisi";
+        if (isJoinVisit && !joinSales.length) missing.participants = "Pilih sales yang ikut Join Visit";
+        if (!isNonEmptyString(noteToSend)) missing.note = "Note Kunjungan wajib diisi";
+        if (!users.some((u) => isNonEmptyString(u.nama))) missing.users_json = "Nama & Jabatan User wajib diisi";
+        if (!isNonEmptyString(statusToSend)) missing.visit_status = "Status Kunjungan wajib diisi";
+
+        if (Object.keys(missing).length) {
+          setFieldErrors(missing);
+          return fail("Please complete the highlighted fields.");
         }
       }
 
@@ -348,47 +475,28 @@ export default function Form1Screen({ navigation }) {
       if (!isDraft) {
         parsed = parseCoords(coordsToSend);
         if (!parsed) {
+          setFieldErrors({ latitude: 'Format: "-6.214620, 106.845130"' });
           return fail('Koordinat invalid. Format: "-6.214620, 106.845130"');
         }
       }
 
-      const axiosCfg = {
-        headers: buildAuthHeaders(token),
-        timeout: 20000,
-      };
-
       const draftToSend = isDraft ? 1 : 0;
 
-      let dokumentasiKey = null;
-
-      if (dokumentasi && dokumentasi.uri) {
-        dokumentasiKey = await uploadImageToS3(dokumentasi);
-      }
-
       const visitPayload = {
         user_id: userId,
-        customer_id: 1,
         visited_at: new Date().toISOString(),
         latitude: parsed.lat != null ? String(parsed.lat) : null,
         longitude: parsed.lng != null ? String(parsed.lng) : null,
+        hospital_id: lokasi?.hospital_id || null,
+        ...locationProvenance(parsed.lat != null, coordsMeta),
         visit_type: "sales",
         note: noteToSend,
         is_draft: draftToSend,
         sales_category: "healthcare",
+        // Accounts credited with the visit too (server: visit_participants)
+        participants: isJoinVisit ? joinSales : [],
       };
 
-      const visitRes = await axios.post(getVisitsUrl(API_BASE), visitPayload, axiosCfg);
-
-      const visitId =
-        visitRes?.data?.visit_id ??
-        visitRes?.data?.id ??
-        visitRes?.data?.data?.id;
-
-      if (!visitId) {
-        console.error("Bad visit response:", visitRes?.data);
-        return fail("Visit created but no ID returned.");
-      }
-
       const salesPayload = {
         visit_form_type: "healthcare",
         region: regionToSend,
@@ -398,28 +506,24 @@ export default function Form1Screen({ navigation }) {
         visit_status: statusToSend,
         sales_name: nameToSend,
         customer_contacts: users,
-        visit_documentation: dokumentasiKey,
+        visit_documentation: null,
         is_draft: draftToSend,
       };
 
-      await axios.post(getSalesUrl(API_BASE, visitId), salesPayload, axiosCfg);
+      // Photo is uploaded by the outbox; its key fills visit_documentation
+      const result = await submitVisit({
+        title: "Sales Visit Customer",
+        visit: visitPayload,
+        detail: salesPayload,
+        photos: { visit_documentation: dokumentasi },
+      });
 
-      alert(isDraft ? "Draft saved!" : "Submitted successfully!");
+      if (result.status === "rejected") setFieldErrors(result.errors);
+      alert(describeSubmitResult(result, { isDraft }));
 
     } catch (err) {
-      const status = err?.response?.status;
-      const msg =
-        err?.response?.data?.message ||
-        err?.response?.data?.error ||
-        err?.message ||
-        "Unknown error";
-
-      console.error("submitForm error:", { status, msg });
-
-      if (status === 401) return alert("Session expired.");
-      if (status === 422) return alert(`Validation failed: ${msg}`);
-
-      alert(`Submit failed: ${msg}`);
+      console.error("submitForm error:", err);
+      alert(`Submit failed: ${err?.message || "Unknown error"}`);
       }
     };
 
@@ -450,10 +554,10 @@ export default function Form1Screen({ navigation }) {
           nestedScrollEnabled
         >
           {/* Form fields (composed from small, reusable components) */}
-          <DropdownPicker value={namaSales} title="Nama Sales" options={nama_sales} onSelect={setNamaSales} />
+          <DropdownPicker value={namaSales} title="Nama Sales" listKey="nama_sales" onSelect={setNamaSales} error={fieldErrors.sales_name} disabled />
 
           {/* Region dropdown triggers fetching hospitals */}
-          <DropdownPicker value={region} title="Region" options={regions} onSelect={onSelectRegion} />
+          <DropdownPicker value={region} title="Region" listKey="regions" onSelect={onSelectRegion} error={fieldErrors.region} />
           
           {/* Loading indicator and error text for hospital lookups */}
           {loading && (
@@ -465,21 +569,46 @@ export default function Form1Screen({ navigation }) {
           {error && <Text style={styles.errorText}>{error}</Text>}
 
           {/* Searchable hospital selector */}
-          <SearchBar value={lokasi} title="Nama Lokasi" onDropdownOpenChange={setDropdownOpen} onPress={searchbarSelect} hospitalData={hospitals} />
+          <SearchBar value={lokasi} title="Nama Lokasi" onDropdownOpenChange={setDropdownOpen} onPress={searchbarSelect} onAddNew={proposeHospital} onOpen={onSearchOpen} suggestions={nearby} hospitalData={hospitals} error={fieldErrors.location_name} />
 
           {/* Location capture (GPS) */}
-          <CoordinateInput value={coords} onPress={setCoords} />
+          <CoordinateInput value={coords} onPress={onCoordsCaptured} target={target} error={fieldErrors.latitude || fieldErrors.longitude} />
 
           {/* Address and user/contact information */}
-          <InputBox value={alamat} title="Alamat Lokasi" onChangeText={setAlamat} />
+          <InputBox value={alamat} title="Alamat Lokasi" onChangeText={setAlamat} error={fieldErrors.location_address} />
 
           <DropdownPicker
             value={jumlahUser}
             title="Jumlah User"
             options={jumlah_user}
             onSelect={onJumlahUserSelect}
+            error={fieldErrors.users_json}
           />
 
+          {/* Contacts met before at this hospital */}
+          {knownContacts.length > 0 && (
+            <View style={styles.contactPicks}>
+              <Text style={styles.contactPicksTitle}>Kontak sebelumnya</Text>
+              <View style={styles.chipRow}>
+                {knownContacts.map((contact) => {
+                  const picked = users.some((u) => u.contact_id === contact.id);
+                  return (
+                    <TouchableOpacity
+                      key={contact.id}
+                      onPress={() => pickContact(contact)}
+                      style={[styles.chip, picked && styles.chipPicked]}
+                      disabled={picked}
+                    >
+                      <Text style={styles.chipText}>
+                        {contact.name}{contact.position ? ` (${contact.position.replace(/_/g, ' ')})` : ''}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </View>
+          )}
+
           {users.map((user, index) => (
             <View key={index}>
               <InputBox
@@ -488,7 +617,8 @@ export default function Form1Screen({ navigation }) {
                 onChangeText={(text) => {
                   setUsers(prev => {
                     const copy = [...prev];
-                    copy[index] = { ...copy[index], nama: text };
+                    // A typed name is matched by the server; it no longer is the picked contact
+                    copy[index] = { ...copy[index], nama: text, contact_id: null };
                     return copy;
                   });
                 }}
@@ -497,7 +627,7 @@ export default function Form1Screen({ navigation }) {
               <DropdownPicker
                 value={user.jabatan}
                 title={`Jabatan User ${index + 1}`}
-                options={jabatan}
+                listKey="jabatan"
                 onSelect={(value) => {
                   setUsers(prev => {
                     const copy = [...prev];
@@ -506,21 +636,38 @@ export default function Form1Screen({ navigation }) {
                   });
                 }}
               />
+
+              <InputBox
+                value={user.telepon}
+                title={`No. Telepon User ${index + 1}`}
+                onChangeText={(text) => {
+                  setUsers(prev => {
+                    const copy = [...prev];
+                    copy[index] = { ...copy[index], telepon: text };
+                    return copy;
+                  });
+                }}
+              />
             </View>
           ))}
 
 
           {/* Purpose multi-select */}
-          <MultiSelectCheckbox value={selected} title="Tujuan Kunjungan" options={options} selected={selected} onChange={setSelected} otherValue={other} onOtherChange={setOther} />
+          <MultiSelectCheckbox value={selected} title="Tujuan Kunjungan" listKey="tujuan_kunjungan" selected={selected} onChange={setSelected} otherValue={other} onOtherChange={setOther} error={fieldErrors.visit_purpose} />
+
+          {/* Sales reps joining the visit: it shows up in their task lists too */}
+          {isJoinVisit ? (
+            <MultiSelectCheckbox title="Sales Yang Ikut (Join Visit)" listKey="nama_sales" selected={joinSales} exclude={[namaSales, 'lainnya']} onChange={setJoinSales} error={fieldErrors.participants} />
+          ) : null}
 
           {/* Visit status */}
-          <DropdownPicker value={status} title="Status Kunjungan" options={status_kunjungan} onSelect={setStatus} />
+          <DropdownPicker value={status} title="Status Kunjungan" listKey="status_kunjungan" onSelect={setStatus} error={fieldErrors.visit_status} />
 
           {/* Documentation image */}
-          <CameraInput image={dokumentasi} title="Dokumentasi kunjungan 0/1" onImageSelected={setDok} />
+          <CameraInput image={dokumentasi} title="Dokumentasi kunjungan 0/1" onImageSelected={setDok} error={fieldErrors.visit_documentation} />
 
           {/* Notes */}
-          <InputBox value={note} title="Note Kunjungan (Hasil/Update Kunjungan)" onChangeText={setNote} />
+          <InputBox value={note} title="Note Kunjungan (Hasil/Update Kunjungan)" onChangeText={setNote} error={fieldErrors.note} />
 
           <Text>Mohon dicek kembali sebelum menyelesaikan task !!</Text>
         </KeyboardAwareScrollView>
@@ -578,4 +725,19 @@ const styles = StyleSheet.create({
     height: 55,
   },
   saveText: { color: '#fff', fontWeight: '700', fontSize: 18 },
+  contactPicks: { marginBottom: 12, marginRight: 20 },
+  contactPicksTitle: { fontSize: 14, color: '#374151', marginBottom: 6 },
+  chipRow: { flexDirection: 'row', flexWrap: 'wrap' },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#63bf3c',
+    backgroundColor: '#fff',
+  },
+  chipPicked: { backgroundColor: '#E5F5DD', borderColor: '#E5F5DD' },
+  chipText: { fontSize: 13, color: '#111827' },
 });
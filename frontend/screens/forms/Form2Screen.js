@@ -7,8 +7,16 @@
  *  - Collect basic visit data: sales name, region, location/hospital, address,
  *    coordinates (GPS), visit purpose, documentation image, and notes.
  *  - Lookup hospitals by region (cached per-region to reduce network calls).
- *  - Build and POST a multipart/form-data payload to the backend.
+ *    The picked hospital's id is sent so the server links the visit to that
+ *    customer; otherwise the customer is found (or created) by Nama Lokasi.
+ *  - Submit the visit through the offline outbox (config/outbox.js); it is queued
+ *    and sent automatically when there is no connection.
+ *  - Sales names and regions come from the server's master data (pickers' `listKey`,
+ *    config/masterData.js), with the bundled lists as offline fallback.
+ *  - Nama Sales is locked to the signed-in user's own name.
  *  - Keep the footer submit button hidden while keyboard or dropdown modal is open.
+ *  - Show validation errors (local check or the server's 422 field map) on the
+ *    offending inputs through `fieldErrors`.
  *
  * Important implementation notes:
  *  - API base URL is read from `API_URL` (.env). This file normalizes the URL to
@@ -30,10 +38,12 @@ import DropdownPicker from '../../components/DropdownPicker';
 import CameraInput from '../../components/CameraInput';
 import Footer from '../../components/Footer';
 import SearchBar from '../../components/SearchBar';
-import { nama_sales, regions } from "../../data/appData";
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import API_BASE from '../../config/api';
+import { submitVisit, describeSubmitResult } from '../../config/outbox';
+import { locationProvenance } from '../../config/location';
+import { getStaffName } from '../../config/session';
 
 /**
  * Height of the form header. Exported so other components/layouts can align with it.
@@ -53,12 +63,14 @@ export default function Form2Screen({ navigation }) {
   const [tujuan, setTujuanKunjungan] = useState(''); // purpose text
   const [dokumentasi, setDok] = useState('');       // image asset object
   const [coords, setCoords] = useState('');         // coordinate string
+  const [coordsMeta, setCoordsMeta] = useState({}); // { source, accuracy, mocked, capturedAt } of the GPS fix
   const [note, setNote] = useState('');             // notes
   const [hospitals, setHospitals] = useState([]);   // fetched hospitals
   const [loading, setLoading] = useState(false);    // loading state for hospital lookup
   const [error, setError] = useState(null);         // error message for hospital lookup
   const [isDraft, setIsDraft] = useState(false);
   const [saving, setSaving] = useState(false);          // save the  
+  const [fieldErrors, setFieldErrors] = useState({});  // field → message (server 422 or local check)
   
 
   /* -------------------------
@@ -88,9 +100,9 @@ export default function Form2Screen({ navigation }) {
   }, [hospitals, region]);
 
   // Called by SearchBar when a hospital is selected: set nama lokasi + address
-  const searchbarSelect = (hosp_name, addr) => {
+  const searchbarSelect = (hosp_name, addr, item) => {
     setAlamat(addr);
-    setLokasi({ label: hosp_name.replace(/_/g, ' '), addr });
+    setLokasi({ label: hosp_name.replace(/_/g, ' '), addr, hospital_id: item?.hospital_id ?? null });
   };
   
   /* -------------------------
@@ -163,9 +175,11 @@ export default function Form2Screen({ navigation }) {
     }
   };
 
-  // URL builders (single source of truth)
-  const getVisitsUrl = (baseUrl) => `${baseUrl}/api/visits`;
-  const getSalesUrl = (baseUrl, visitId) => `${baseUrl}/api/visits/${visitId}/sales`;
+  // CoordinateInput callback: the coordinate string plus how it was obtained
+  const onCoordsCaptured = (formatted, meta = {}) => {
+    setCoords(formatted);
+    setCoordsMeta(meta);
+  };
 
   // Helper to check empty string 
   const isNonEmptyString = (v) => typeof v === "string" && v.trim().length > 0;
@@ -192,46 +206,15 @@ export default function Form2Screen({ navigation }) {
     Authorization: `Bearer ${token}`,
   });
 
-  const uploadImageToS3 = async (image) => {
-    if (!image || !image.uri) return null;
-
-    try {
-      // Step 1: ask backend for presigned URL
-      const presignRes = await axios.post(`${API_BASE}/api/uploads/presign`, {
-        fileName: image.fileName || "photo.jpg",
-        contentType: image.type || "image/jpeg",
-      });
-
-      const { uploadUrl, key } = presignRes.data;
-
-      // Step 2: upload file directly to S3
-      await axios.put(uploadUrl, {
-        uri: image.uri,
-        type: image.type || "image/jpeg",
-        name: image.fileName || "photo.jpg",
-      }, {
-        headers: {
-          "Content-Type": image.type || "image/jpeg",
-        },
-      });
-
-      // Step 3: return S3 key
-      return key;
-
-    } catch (err) {
-      console.error("Image upload failed:", err);
-      throw new Error("Image upload failed");
-    }
-  };
-
   /* -------------------------
   * submitForm()
   * - Normalize values
   * - Validate (draft vs final)
-  * - Upload image if provided
-  * - Create Visit -> Create Sales detail
+  * - Queue Visit + Sales detail + photo in the outbox and
+  *   try to send them right away (config/outbox.js)
   * ------------------------- */
   const submitForm = async ({ isDraft }) => {
+    setFieldErrors({});
 
     const normalizeValue = (value, fallbackKeys = []) => {
       if (value == null) return "";
@@ -251,14 +234,9 @@ export default function Form2Screen({ navigation }) {
       return null;
     };
 
-    const getVisitIdFromResponse = (responseData) =>
-      responseData?.visit_id ??
-      responseData?.id ??
-      responseData?.data?.id ??
-      null;
-
+    // Quick offline check; the server applies the full rules (422 → fieldErrors)
     const validateFinalSubmit = ({
-      name,
+      salesName,
       region,
       lokasi,
       alamat,
@@ -266,15 +244,15 @@ export default function Form2Screen({ navigation }) {
       tujuan,
       note,
     }) => {
-      const missing = [];
+      const missing = {};
 
-      if (!isNonEmptyString(name)) missing.push("Nama Sales");
-      if (!isNonEmptyString(region)) missing.push("Region");
-      if (!isNonEmptyString(lokasi)) missing.push("Lokasi");
-      if (!isNonEmptyString(alamat)) missing.push("Alamat");
-      if (!isNonEmptyString(coords)) missing.push("Koordinat");
-      if (!isNonEmptyString(tujuan)) missing.push("Tujuan Kunjungan");
-      if (!isNonEmptyString(note)) missing.push("Note Kunjungan");
+      if (!isNonEmptyString(salesName)) missing.sales_name = "Nama Sales wajib diisi";
+      if (!isNonEmptyString(region)) missing.region = "Region wajib diisi";
+      if (!isNonEmptyString(lokasi)) missing.location_name = "Lokasi wajib diisi";
+      if (!isNonEmptyString(alamat)) missing.location_address = "Alamat wajib diisi";
+      if (!isNonEmptyString(coords)) missing.latitude = "Koordinat wajib diisi";
+      if (!isNonEmptyString(tujuan)) missing.visit_purpose = "Tujuan Kunjungan wajib diisi";
+      if (!isNonEmptyString(note)) missing.note = "Note Kunjungan wajib diisi";
 
       return missing;
     };
@@ -311,12 +289,9 @@ export default function Form2Screen({ navigation }) {
       if (!isDraft) {
         const missingFields = validateFinalSubmit(normalized);
 
-        if (missingFields.length > 0) {
-          return showError(
-            `Please complete required fields:\n${missingFields
-              .map((field) => `• ${field}`)
-              .join("\n")}`
-          );
+        if (Object.keys(missingFields).length > 0) {
+          setFieldErrors(missingFields);
+          return showError("Please complete the highlighted fields.");
         }
       }
 
@@ -328,54 +303,30 @@ export default function Form2Screen({ navigation }) {
         parsedCoords = parseCoords(normalized.coords);
 
         if (!parsedCoords) {
+          setFieldErrors({ latitude: 'Format: "-6.214620, 106.845130"' });
           return showError(
             'Koordinat format invalid. Use "lat, lng" e.g. "-6.214620, 106.845130"'
           );
         }
       }
 
-      const axiosCfg = {
-        headers: buildAuthHeaders(token),
-        timeout: 20000,
-      };
-
       const draftFlag = isDraft ? 1 : 0;
 
-      // 5) Upload image if any
-      let dokumentasiKey = null;
-      if (dokumentasi?.uri) {
-        dokumentasiKey = await uploadImageToS3(dokumentasi);
-      }
-
-      // 6) Create visit header
+      // 5) Visit header
       const visitPayload = {
         user_id: userId,
-        customer_id: 1,
         visited_at: new Date().toISOString(),
         latitude: parsedCoords.lat != null ? String(parsedCoords.lat) : null,
         longitude: parsedCoords.lng != null ? String(parsedCoords.lng) : null,
+        hospital_id: lokasi?.hospital_id || null,
+        ...locationProvenance(parsedCoords.lat != null, coordsMeta),
         visit_type: "sales",
         note: normalized.note,
         sales_category: "non_healthcare",
         is_draft: draftFlag,
       };
 
-      const visitRes = await axios.post(
-        getVisitsUrl(API_BASE),
-        visitPayload,
-        axiosCfg
-      );
-
-      const visitId = getVisitIdFromResponse(visitRes?.data);
-
-      if (!visitId) {
-        console.error("Unexpected visit create response:", visitRes?.data);
-        return showError(
-          "Visit created but no visitId returned. Check backend response."
-        );
-      }
-
-      // 7) Create sales detail
+      // 6) Sales detail
       const salesPayload = {
         visit_form_type: "non_healthcare",
         region: normalized.region || null,
@@ -384,42 +335,34 @@ export default function Form2Screen({ navigation }) {
         visit_purpose: normalized.tujuan || null,
         visit_status: null,
         sales_name: normalized.salesName || null,
-        visit_documentation: dokumentasiKey,
+        visit_documentation: null,
         is_draft: draftFlag,
       };
 
-      await axios.post(getSalesUrl(API_BASE, visitId), salesPayload, axiosCfg);
-
-      alert(isDraft ? "Draft saved!" : "Submitted successfully!");
-    } catch (err) {
-      const status = err?.response?.status;
-      const msg =
-        err?.response?.data?.message ||
-        err?.response?.data?.error ||
-        err?.message ||
-        "Unknown error";
-
-      console.error("submitForm error:", {
-        status,
-        msg,
-        data: err?.response?.data,
+      // 7) Submit through the outbox; the photo key fills visit_documentation
+      const result = await submitVisit({
+        title: "Sales Visit Non Faskes",
+        visit: visitPayload,
+        detail: salesPayload,
+        photos: { visit_documentation: dokumentasi },
       });
 
-      if (status === 401) {
-        return alert("Session expired (401). Please log in again.");
-      }
-
-      if (status === 422) {
-        return alert(`Validation failed (422): ${msg}`);
-      }
-
-      alert(`Failed to submit: ${msg}`);
+      if (result.status === "rejected") setFieldErrors(result.errors);
+      alert(describeSubmitResult(result, { isDraft }));
+    } catch (err) {
+      console.error("submitForm error:", err);
+      alert(`Failed to submit: ${err?.message || "Unknown error"}`);
     }
   };
 
   const onSubmit = () => submitForm({ isDraft: false });
   const onSave = () => submitForm({ isDraft: true });
 
+  // The name is the signed-in user's own (config/session.js); the server stores it either way
+  useEffect(() => {
+    getStaffName('nama_sales').then(setNamaSales).catch(() => {});
+  }, []);
+
   /* -------------------------
    * Keyboard visibility listeners
    * - Hide footer submit while typing
@@ -453,23 +396,24 @@ export default function Form2Screen({ navigation }) {
           nestedScrollEnabled
         >
           {/* Form inputs composed from small reusable components */}
-          <DropdownPicker value={namaSales} title="Nama Sales" options={nama_sales} onSelect={setNamaSales} />
+          <DropdownPicker value={namaSales} title="Nama Sales" listKey="nama_sales" onSelect={setNamaSales} error={fieldErrors.sales_name} disabled />
           <View style={{ flexDirection: 'row', alignItems: 'center' }}>
             <DropdownPicker
               value={region}
               title="Region"
-              options={regions}
+              listKey="regions"
               onSelect={onSelectRegion}
+              error={fieldErrors.region}
             />
             {loading && <ActivityIndicator style={{ marginLeft: 8 }} />}
           </View>
 
-          <SearchBar value={lokasi} title="Nama Lokasi" onDropdownOpenChange={setDropdownOpen} onPress={searchbarSelect} hospitalData={hospitals} />
-          <InputBox value={alamat} title="Alamat Lokasi" onChangeText={setAlamat} />
-          <CoordinateInput value={coords} onPress={setCoords} />
-          <InputBox value={tujuan} title="Tujuan Kunjungan" onChangeText={setTujuanKunjungan} />
-          <CameraInput image={dokumentasi} title="Dokumentasi kunjungan 0/1" onImageSelected={setDok} />
-          <InputBox value={note} title="Note Kunjungan" onChangeText={setNote} />
+          <SearchBar value={lokasi} title="Nama Lokasi" onDropdownOpenChange={setDropdownOpen} onPress={searchbarSelect} hospitalData={hospitals} error={fieldErrors.location_name} />
+          <InputBox value={alamat} title="Alamat Lokasi" onChangeText={setAlamat} error={fieldErrors.location_address} />
+          <CoordinateInput value={coords} onPress={onCoordsCaptured} error={fieldErrors.latitude || fieldErrors.longitude} />
+          <InputBox value={tujuan} title="Tujuan Kunjungan" onChangeText={setTujuanKunjungan} error={fieldErrors.visit_purpose} />
+          <CameraInput image={dokumentasi} title="Dokumentasi kunjungan 0/1" onImageSelected={setDok} error={fieldErrors.visit_documentation} />
+          <InputBox value={note} title="Note Kunjungan" onChangeText={setNote} error={fieldErrors.note} />
           <Text style={{fontWeight:'bold', marginTop: 20, fontSize: 18}}>Mohon dicek kembali sebelum menyelesaikan task !!</Text>
         </KeyboardAwareScrollView>
       </KeyboardAvoidingView>
@@ -7,9 +7,19 @@
  *  • 3-step paginated form (page 1–3)
  *  • Uses a progress bar and dynamic content rendering
  *  • Collects technician activity data: purpose, date, product details, photos, etc.
- *  • Uses FormData to submit payload to backend
- *  • Handles multipart uploads for images (foto kegiatan + BA foto)
+ *  • Nama Lokasi suggests the hospitals nearest to the device position; a name
+ *    that is not in the list can still be typed in. The picked hospital (or the
+ *    typed name) is what the server links the visit's customer to
+ *  • Submits through the offline outbox (config/outbox.js): the visit, photos
+ *    (foto kegiatan + BA foto) and a new product are queued when offline
+ *  • Technician names and quantities come from the server's master data
+ *    (pickers' `listKey`, config/masterData.js); the filling technician's own
+ *    name is prefilled and locked
+ *  • Teknisi Lain is a checklist: the picked technicians are sent as the visit's
+ *    `participants`, so the activity is listed and counted for each of them
  *  • Hides bottom pagination bar when keyboard or dropdown picker is open
+ *  • Validation errors (local check or the server's 422 field map) are shown on
+ *    the offending inputs; the form jumps to the first page that has one
  *
  * IMPORTANT DETAILS:
  *  • DatePicker returns a JS Date; converted into YYYY-MM-DD format for MariaDB.
@@ -21,7 +31,7 @@
  *  @param {object} navigation - React Navigation stack navigator object.
  *
  * BACKEND ROUTE:
- *  POST `${API_URL}/api/forms/tech-activity`
+ *  POST `${API_URL}/api/visits/submit` (visit + activity detail + new product, one transaction)
  *
  * This file is intended to stay clean and declarative — complex logic (API, helpers)
  * should be separated when the project grows.
@@ -43,15 +53,38 @@ import DatePicker from "../../components/DatePicker";
 import FooterPagination from "../../components/FooterPagination";
 import InputBox from '../../components/InputBox';
 import DropdownPicker from '../../components/DropdownPicker';
+import MultiSelectCheckbox from '../../components/MultiselectCheckbox';
 import SearchBar from "../../components/SearchBar";
 import CameraInput from "../../components/CameraInput";
+import CoordinateInput from "../../components/CoordinateInput";
 
-import { nama_teknisi, kuantitas_option } from "../../data/appData";
-import axios from "axios";
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { submitVisit, describeSubmitResult } from '../../config/outbox';
+import { getCurrentPosition, formatCoords, parseCoords, fetchNearestHospitals, locationProvenance } from '../../config/location';
+import { getStaffName, authFetch } from '../../config/session';
 
 const PRIMARY = "#3B82F6";
 
+/** Step that holds each server field, used to jump to the first error. */
+const FIELD_PAGE = {
+  activity_purpose: 1,
+  activity_date: 1,
+  technician_name: 1,
+  location_name: 1,
+  location_address: 1,
+  latitude: 1,
+  longitude: 1,
+  participants: 1,
+  product_id: 2,
+  serial_number: 2,
+  unit_quantity: 2,
+  official_report_number: 2,
+  selfie_photo: 3,
+  attendance_document_photo: 3,
+  activity_notes: 3,
+  note: 3,
+};
+
 export default function Form3screen({ navigation }) {
   /** UI states */
   const [keyboardVisible, setKeyboardVisible] = useState(false);
@@ -67,8 +100,12 @@ export default function Form3screen({ navigation }) {
   const [notes, setNotes] = useState("");
   const [tgl_aktivitas, setTgl] = useState("");
   const [hospital, setHospital] = useState("");
+  const [hospitalId, setHospitalId] = useState(null); // set when Nama Lokasi was picked from the hospital list
   const [lokasi, setLokasi] = useState("");
-  const [tekLain, setTekLain] = useState("");
+  const [coords, setCoords] = useState("");      // "lat, lng" (optional for technicians)
+  const [coordsMeta, setCoordsMeta] = useState({}); // { source, accuracy, mocked, capturedAt } of the GPS fix
+  const [nearby, setNearby] = useState([]);      // hospitals around the captured coordinates
+  const [tekLain, setTekLain] = useState([]);     // other technicians (nama_teknisi values)
   const [prodName, setProdName] = useState("");
   const [tipeProd, setTipeProd] = useState("");
   const [kuantitas, setKuantitas] = useState(null);
@@ -79,6 +116,7 @@ export default function Form3screen({ navigation }) {
   const [prodExist, setProdExist] = useState(false);
   const [isDraft, setIsDraft] = useState(false);
   const [prodId, setProdId] = useState(false);
+  const [fieldErrors, setFieldErrors] = useState({}); // field → message (server 422 or local check)
 
   const scrollRef = useRef(null);
   
@@ -86,6 +124,66 @@ export default function Form3screen({ navigation }) {
       scrollRef.current?.scrollToPosition?.(0, 0, false);
     }, [page]);
 
+  // Nama Teknisi is the signed-in technician (config/session.js); only Teknisi Lain is picked
+  useEffect(() => {
+    getStaffName('nama_teknisi').then(setTechnicianName).catch(() => {});
+  }, []);
+
+  /**
+   * Nearby hospitals for the Nama Lokasi picker (GET /api/hospitals/nearest).
+   * Opening the picker without coordinates takes a GPS fix first, which also
+   * fills the Koordinat field. Suggestions are optional: failures are only logged.
+   */
+  const loadNearby = async (point) => {
+    try {
+      setNearby(await fetchNearestHospitals({ latitude: point.lat, longitude: point.lng }));
+    } catch (err) {
+      console.warn("nearest hospitals error", err?.message || err);
+    }
+  };
+
+  const onCoordsCaptured = (formatted, meta = {}) => {
+    setCoords(formatted);
+    setCoordsMeta(meta);
+    const point = parseCoords(formatted);
+    if (point) loadNearby(point);
+  };
+
+  const onSearchOpen = async () => {
+    if (nearby.length) return;
+
+    const point = parseCoords(coords);
+    if (point) {
+      loadNearby(point);
+      return;
+    }
+
+    try {
+      const position = await getCurrentPosition();
+      onCoordsCaptured(formatCoords(position.latitude, position.longitude), {
+        source: "gps",
+        accuracy: position.accuracy,
+        mocked: position.mocked,
+        capturedAt: position.capturedAt,
+      });
+    } catch (err) {
+      console.warn("location for nearby hospitals failed", err?.message || err);
+    }
+  };
+
+  // Picking a suggestion fills name and address; a typed name is used as-is
+  const onSelectHospital = (name, street, item) => {
+    setHospital(name);
+    setHospitalId(item?.hospital_id ?? null);
+    if (street) setLokasi(street);
+  };
+
+  // A typed name is not in the hospital list; the server files it as its own customer
+  const onTypeLocation = (name) => {
+    setHospital(name);
+    setHospitalId(null);
+  };
+
   /**
    * Format date for MariaDB (YYYY-MM-DD)
    */
@@ -95,10 +193,12 @@ export default function Form3screen({ navigation }) {
   };
 
   const onSerialBlur = async (e) => {
-    console.log('in correct method')
+    const serial = (e?.nativeEvent?.text ?? serialNumber).trim();
+    if (!serial) return;
+
     try {
-      const res = await fetch(
-        `${API_BASE}/api/products/by-serial/${serial}`
+      const res = await authFetch(
+        `${API_BASE}/api/products/by-serial/${encodeURIComponent(serial)}`
       );
 
       if (res.ok) {
@@ -145,34 +245,11 @@ export default function Form3screen({ navigation }) {
   const goNext = () => setPage((p) => Math.min(3, p + 1));
   const goBack = () => setPage((p) => Math.max(1, p - 1));
 
-  const getVisitsUrl = (baseUrl) => `${baseUrl}/api/visits`;
-  const getActivityUrl = (baseUrl, visitId) => `${baseUrl}/api/visits/${visitId}/activity`;
-
-  const buildAuthHeaders = (token) => ({
-    Authorization: `Bearer ${token}`,
-  });
-
-  const getOrCreateProduct = async (body) => {
-    try {
-      const token = await AsyncStorage.getItem("token");
-
-      const response = await axios.post(
-        `${API_BASE}/api/products/get-or-create`,
-        body,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-
-      console.log("Result:", response.data);
-      return response.data;
-
-    } catch (err) {
-      console.log("Error:", err.response?.data || err.message);
-      throw err;
-    }
+  /** Highlight fields and show the first page that has an error. */
+  const showFieldErrors = (errors = {}) => {
+    setFieldErrors(errors);
+    const pages = Object.keys(errors).map((field) => FIELD_PAGE[field]).filter(Boolean);
+    if (pages.length) setPage(Math.min(...pages));
   };
 
   // Normalize picker/value shapes
@@ -222,47 +299,16 @@ export default function Form3screen({ navigation }) {
     return fd;
   };
 
-  const uploadImageToS3 = async (image) => {
-    try {
-      // Step 1: ask backend for presigned URL
-      const presignRes = await axios.post(`${API_BASE}/api/uploads/presign`, {
-        fileName: image.fileName || "photo.jpg",
-        contentType: image.type || "image/jpeg",
-      });
-
-      const { uploadUrl, key } = presignRes.data;
-
-      // Step 2: upload file directly to S3
-      await axios.put(uploadUrl, {
-        uri: image.uri,
-        type: image.type || "image/jpeg",
-        name: image.fileName || "photo.jpg",
-      }, {
-        headers: {
-          "Content-Type": image.type || "image/jpeg",
-        },
-      });
-
-      // Step 3: return S3 key
-      return key;
-
-    } catch (err) {
-      console.error("Image upload failed:", err);
-      throw new Error("Image upload failed");
-    }
-  };
-
   /**
-   * handleSubmit — Submit technician activity form to backend
+   * handleSubmit — Submit technician activity form through the offline outbox
    * - Auth validation
    * - Normalize / prepare values
-   * - Upload images
-   * - Ensure product exists
    * - Validate draft vs final submit
-   * - Create visit header
-   * - Create activity detail
+   * - Queue visit header + activity detail + photos (+ new product) and try
+   *   to send them right away (config/outbox.js)
    */
-  const handleSubmit = async ({isDraft}) => { 
+  const handleSubmit = async ({ isDraft }) => {
+    setFieldErrors({});
 
     const fail = (message, extra = null) => {
       if (extra) console.error(message, extra);
@@ -270,24 +316,6 @@ export default function Form3screen({ navigation }) {
       return null;
     };
 
-    const getVisitId = (data) =>
-      data?.id ?? data?.visit_id ?? data?.data?.id ?? null;
-
-    const uploadIfPresent = async (file) => {
-      if (file?.uri) {
-        return await uploadImageToS3(file);
-      }
-      return null;
-    };
-
-    const buildAxiosConfig = (token) => ({
-      headers: {
-        ...buildAuthHeaders(token),
-        'Content-Type': 'application/json',
-      },
-      timeout: 20000,
-    });
-
     try {
       // 1) Auth
       const [userIdRaw, token] = await Promise.all([
@@ -306,40 +334,19 @@ export default function Form3screen({ navigation }) {
 
       // 2) Normalize / prepare values
       const technicianNameValue = pickValue(technicianName);
-      const additionalTechniciansValue = pickValue(tekLain);
       const quantityValue = pickValue(kuantitas);
       const hospitalNameValue = pickValue(hospital);
+      const point = parseCoords(coords);
 
-      // 3) Upload images first
-      const [selfiePhotoKey, attendancePhotoKey] = await Promise.all([
-        uploadIfPresent(fotoKegiatan),
-        uploadIfPresent(fotoBa),
-      ]);
-
-      // 4) Prepare product id
-      let resolvedProductId = prodId;
-
-      if (!prodExist) {
-        const productPayload = {
-          serial_number: serialNumber,
-          product_name: prodName,
-          product_type: tipeProd,
-          brand_name: merkProd,
-        };
-
-        const productResponse = await getOrCreateProduct(productPayload);
-        resolvedProductId = productResponse?.product?.id ?? null;
-      }
-
-      // 5) Build field definitions
+      // 3) Build field definitions
       const visitHeaderFields = [
         { key: 'user_id', value: userId, label: 'User' },
-        { key: 'customer_id', value: 1, label: 'Customer ID' },
+        { key: 'hospital_id', value: hospitalId, label: 'Hospital' },
         { key: 'visited_at', value: new Date().toISOString(), label: 'Visit Date' },
         { key: 'visit_type', value: 'technician_activity', label: 'Visit Type' },
         { key: 'note', value: notes, label: 'Notes' },
-        { key: 'latitude', value: null, label: 'Latitude' },
-        { key: 'longitude', value: null, label: 'Longitude' },
+        { key: 'latitude', value: point ? point.lat : null, label: 'Latitude' },
+        { key: 'longitude', value: point ? point.lng : null, label: 'Longitude' },
         { key: 'is_draft', value: Number(isDraft), label: 'Draft' },
       ];
 
@@ -349,91 +356,79 @@ export default function Form3screen({ navigation }) {
         { key: 'technician_name', value: technicianNameValue, label: 'Nama Teknisi' },
         { key: 'location_name', value: hospitalNameValue, label: 'Nama Lokasi' },
         { key: 'location_address', value: lokasi, label: 'Alamat Lokasi' },
-        { key: 'additional_technicians', value: additionalTechniciansValue, label: 'Teknisi Lain' },
         { key: 'activity_purpose', value: visitPurpose, label: 'Tujuan Kunjungan' },
         { key: 'activity_notes', value: notes, label: 'Catatan' },
         { key: 'official_report_number', value: beritaAcara, label: 'Nomor Berita Acara' },
-        { key: 'product_id', value: resolvedProductId, label: 'Product Id' },
         { key: 'is_draft', value: Number(isDraft), label: 'Draft' },
-        { key: 'selfie_photo', value: selfiePhotoKey, label: 'Foto Kegiatan' },
-        { key: 'attendance_document_photo', value: attendancePhotoKey, label: 'Foto Berita Acara' },
       ];
 
-      // 6) Validation
+      // Product and photos are resolved by the outbox; only check they are provided
+      const pendingFields = [
+        { key: 'product_id', value: prodExist ? prodId : serialNumber, label: 'Serial Number' },
+        { key: 'selfie_photo', value: fotoKegiatan?.uri, label: 'Foto Kegiatan' },
+      ];
+
+      // 4) Quick offline check; the server applies the full rules (422 → fieldErrors)
       // Draft: only require quantity
       if (isDraft && isEmpty(quantityValue)) {
+        showFieldErrors({ unit_quantity: 'Mohon isi kuantitas unit.' });
         return fail('Mohon isi kuantitas unit.');
       }
 
-      // Final submit: require all activity fields
-      // 6) Validation
-      // Draft: allow empty fields
-      // Final submit: require all activity fields
+      // Final submit: require the activity fields
+      const optionalKeys = ['activity_notes', 'official_report_number', 'is_draft'];
       if (!isDraft) {
-        const missingFields = activityFields.filter((field) => isEmpty(field.value));
+        const missingFields = [...activityFields, ...pendingFields]
+          .filter((field) => !optionalKeys.includes(field.key) && isEmpty(field.value));
 
         if (missingFields.length > 0) {
-          return fail(
-            `Tolong isi:\n${missingFields.map((field) => `• ${field.label}`).join('\n')}`
-          );
+          showFieldErrors(Object.fromEntries(missingFields.map((field) => [field.key, `${field.label} wajib diisi`])));
+          return fail('Tolong lengkapi field yang ditandai.');
         }
       }
 
-      const axiosCfg = buildAxiosConfig(token);
-
-      // 7) Create visit header
-      const visitPayload = fieldsToObject(visitHeaderFields);
-
-      const visitRes = await axios.post(
-        getVisitsUrl(API_BASE),
-        visitPayload,
-        axiosCfg
-      );
-
-      const visitId = getVisitId(visitRes?.data);
-
-      if (!visitId) {
-        return fail('Failed to create visit (missing visitId).', visitRes?.data);
-      }
-
-      // 8) Create activity detail
-      const activityPayload = fieldsToObject(activityFields);
-
-      if (activityPayload.product_id != null) {
-        activityPayload.product_id = Number(activityPayload.product_id);
-      }
-
-      const activityRes = await axios.post(
-        getActivityUrl(API_BASE, visitId),
-        activityPayload,
-        axiosCfg
-      );
-
-      alert(isDraft ? 'Draft saved.' : 'Submitted successfully!');
-      return activityRes?.data;
-    } catch (error) {
-      const status = error?.response?.status;
-      const backendMessage =
-        error?.response?.data?.message ||
-        error?.response?.data?.error ||
-        null;
-
-      console.error('handleSubmit failed:', {
-        status,
-        backendMessage,
-        data: error?.response?.data,
-        message: error?.message,
+      // 5) Payloads
+      const visitPayload = {
+        ...fieldsToObject(visitHeaderFields),
+        ...locationProvenance(Boolean(point), coordsMeta),
+        // The server credits them with the visit and fills additional_technicians
+        participants: tekLain,
+      };
+      const activityPayload = {
+        ...fieldsToObject(activityFields),
+        product_id: prodExist && prodId != null ? Number(prodId) : null,
+        selfie_photo: null,
+        attendance_document_photo: null,
+      };
+
+      // A new device is registered (get-or-create) before the detail is sent
+      const product = !prodExist && !isEmpty(serialNumber)
+        ? {
+            serial_number: serialNumber,
+            product_name: prodName,
+            product_type: tipeProd,
+            brand_name: merkProd,
+          }
+        : null;
+
+      // 6) Submit
+      const result = await submitVisit({
+        title: 'Technician Activity',
+        visit: visitPayload,
+        detail: activityPayload,
+        photos: {
+          selfie_photo: fotoKegiatan,
+          attendance_document_photo: fotoBa,
+        },
+        product,
       });
 
-      if (status === 401) {
-        return fail('Session expired. Please login again.');
-      }
-
-      if (status === 422) {
-        return fail(`Validation failed: ${backendMessage || 'Please check your input.'}`);
-      }
-
-      return fail(backendMessage || error?.message || 'Failed to submit form. Please try again.');
+      if (result.status === 'rejected') showFieldErrors(result.errors);
+      alert(describeSubmitResult(result, { isDraft }));
+      return result;
+    } catch (error) {
+      console.error('handleSubmit failed:', error);
+      return fail(error?.message || 'Failed to submit form. Please try again.');
     }
   };
 
@@ -447,7 +442,7 @@ export default function Form3screen({ navigation }) {
 
   const handleRightPress = () => {
     if (page < 3) goNext();
-    else handleSubmit();
+    else onSubmit();
   };
 
   return (
@@ -472,27 +467,41 @@ export default function Form3screen({ navigation }) {
           {/* Step 1 */}
           {page === 1 && (
             <View style={styles.pageInner}>
-              <InputBox title="Tujuan Kunjungan" value={visitPurpose} onChangeText={setVisitPurpose} />
+              <InputBox title="Tujuan Kunjungan" value={visitPurpose} onChangeText={setVisitPurpose} error={fieldErrors.activity_purpose} />
               <Text style={[styles.label, { marginTop: 0 }]}>Tanggal Aktivitas</Text>
-              <DatePicker value={tgl_aktivitas} onConfirm={setDate} />
+              <DatePicker value={tgl_aktivitas} onConfirm={setDate} error={fieldErrors.activity_date} />
 
               <DropdownPicker
                 value={technicianName}
                 title="Nama Teknisi Yang Mengisi"
-                options={nama_teknisi}
+                listKey="nama_teknisi"
                 onSelect={setTechnicianName}
+                error={fieldErrors.technician_name}
+                disabled
               />
 
-              <InputBox value={hospital} title="Nama Lokasi" onChangeText={setHospital} />
-
+              <CoordinateInput value={coords} onPress={onCoordsCaptured} required={false} error={fieldErrors.latitude || fieldErrors.longitude} />
+
+              <SearchBar
+                value={hospital ? { label: hospital } : null}
+                title="Nama Lokasi"
+                onPress={onSelectHospital}
+                onOpen={onSearchOpen}
+                suggestions={nearby}
+                onAddNew={onTypeLocation}
+                addNewLabel={(name) => `Use "${name}" as the location`}
+                error={fieldErrors.location_name}
+              />
 
-              <InputBox value={lokasi} title="Alamat Lokasi" onChangeText={setLokasi} />
+              <InputBox value={lokasi} title="Alamat Lokasi" onChangeText={setLokasi} error={fieldErrors.location_address} />
 
-              <DropdownPicker
-                value={tekLain}
+              <MultiSelectCheckbox
                 title="Teknisi Lain Yang Bertugas"
-                options={nama_teknisi}
-                onSelect={setTekLain}
+                listKey="nama_teknisi"
+                selected={tekLain}
+                exclude={[technicianName, 'lainnya']}
+                onChange={setTekLain}
+                error={fieldErrors.participants}
               />
             </View>
           )}
@@ -507,6 +516,7 @@ export default function Form3screen({ navigation }) {
                 value={serialNumber}
                 onChangeText={setSerialNumber}
                 onEndEditing={onSerialBlur}
+                error={fieldErrors.serial_number || fieldErrors.product_id}
               />
 
               {prodExist === false && (
@@ -522,12 +532,13 @@ export default function Form3screen({ navigation }) {
               <DropdownPicker
                 value={kuantitas}
                 title="Kuantitas Unit"
-                options={kuantitas_option}
+                listKey="kuantitas_option"
                 onSelect={setKuantitas}
+                error={fieldErrors.unit_quantity}
               />
 
               <InputBox value={merkProd} title="Merk Produk" onChangeText={setMerk} />
-              <InputBox value={beritaAcara} title="Nomor Berita Acara" onChangeText={setBerita} />
+              <InputBox value={beritaAcara} title="Nomor Berita Acara" onChangeText={setBerita} error={fieldErrors.official_report_number} />
             </View>
           )}
 
@@ -540,15 +551,17 @@ export default function Form3screen({ navigation }) {
                 image={fotoKegiatan}
                 title="Selfie Foto Kegiatan (Wajib)"
                 onImageSelected={setFotoKegiatan}
+                error={fieldErrors.selfie_photo}
               />
 
               <CameraInput
                 image={fotoBa}
                 title="Foto BA / Daftar Hadir"
                 onImageSelected={setFotoBA}
+                error={fieldErrors.attendance_document_photo}
               />
 
-              <InputBox value={notes} title="Notes" onChangeText={setNotes} />
+              <InputBox value={notes} title="Notes" onChangeText={setNotes} error={fieldErrors.activity_notes || fieldErrors.note} />
             </View>
           )}
         </View>
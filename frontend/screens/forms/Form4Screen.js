@@ -3,15 +3,19 @@
  *
  * Multi-step screen to create a technician service form and upload it to backend.
  * - 3-step form flow (product details, customer/location, service detail)
+ * - Quantity options come from the server's master data (DropdownPicker `listKey`)
  * - Uses KeyboardAwareScrollView and SafeAreaView for proper layout with keyboard
- * - Builds a multipart FormData payload (including optional images) and POSTs to:
- *     {API_URL}/api/forms/tech-service
+ * - Submits through the offline outbox (config/outbox.js), which sends visit, service
+ *   detail and a new product to {API_URL}/api/visits/submit (one transaction) and
+ *   queues everything while offline
  *
  * Notes:
  * - API_URL is read from .env and normalized (trailing slashes removed).
  * - Dropdown / picker values may be objects (with `.value` / `.label`) or simple strings;
  *   the code normalizes them before sending.
  * - onSubmit throws on error after showing a user-friendly alert (caller can catch if needed).
+ * - Validation errors (local check or the server's 422 field map) are shown on the
+ *   offending inputs; the form jumps to the first page that has one.
  */
 
 import React, { useState, useEffect } from "react";
@@ -31,14 +35,36 @@ import InputBox from '../../components/InputBox';
 import DropdownPicker from '../../components/DropdownPicker';
 import SearchBar from "../../components/SearchBar";
 import CameraInput from "../../components/CameraInput";
-import { kuantitas_option } from "../../data/appData";
-import axios from "axios";
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import API_BASE from "../../config/api";
+import { submitVisit, describeSubmitResult } from "../../config/outbox";
+import { authFetch } from "../../config/session";
 
 
 const PRIMARY = "#3B82F6";
 
+/** Step that holds each field, used to jump to the first error. */
+const FIELD_PAGE = {
+  product_id: 1,
+  serial_number: 1,
+  product_name: 1,
+  product_type: 1,
+  brand_name: 1,
+  unit_quantity: 1,
+  issue_description: 1,
+  resolution_estimate: 1,
+  device_before_service_photo: 1,
+  customer_name: 2,
+  customer_contact: 2,
+  healthcare_facility_name: 2,
+  pickup_date: 2,
+  root_cause: 3,
+  corrective_action: 3,
+  corrective_proof: 3,
+  capa_action: 3,
+  capa_action_image: 3,
+};
+
 export default function Form4screen({ navigation }) {
   const [keyboardVisible, setKeyboardVisible] = useState(false);
   const [dropdownOpen, setDropdownOpen] = useState(false);
@@ -65,6 +91,7 @@ export default function Form4screen({ navigation }) {
   const [prodExist, setProdExist] = useState(false);
   const [isDraft, setIsDraft] = useState(false);
   const [prodId, setProdID] = useState();
+  const [fieldErrors, setFieldErrors] = useState({}); // field → message (server 422 or local check)
   
 
   // Convert Date -> YYYY-MM-DD
@@ -92,73 +119,21 @@ export default function Form4screen({ navigation }) {
   const goNext = () => setPage((p) => Math.min(3, p + 1));
   const goBack = () => setPage((p) => Math.max(1, p - 1));
 
-  const getVisitsUrl = (baseUrl) => `${baseUrl}/api/visits`;
-  const getServiceUrl = (baseUrl, visitId) => `${baseUrl}/api/visits/${visitId}/service`;
-
-  const buildAuthHeaders = (token) => ({
-    Authorization: `Bearer ${token}`,
-  });
-
-  const getOrCreateProduct = async (body) => {
-    try {
-      const token = await AsyncStorage.getItem("token");
-
-      const response = await axios.post(
-        `${API_BASE}/api/products/get-or-create`,
-        body,
-        {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        }
-      );
-
-      console.log("Result:", response.data);
-      return response.data;
-
-    } catch (err) {
-      console.log("Error:", err.response?.data || err.message);
-      throw err;
-    }
-  };
-  
-  const uploadImageToS3 = async (image) => {
-    try {
-      // Step 1: ask backend for presigned URL
-      const presignRes = await axios.post(`${API_BASE}/api/uploads/presign`, {
-        fileName: image.fileName || "photo.jpg",
-        contentType: image.type || "image/jpeg",
-      });
-
-      const { uploadUrl, key } = presignRes.data;
-
-      // Step 2: upload file directly to S3
-      await axios.put(uploadUrl, {
-        uri: image.uri,
-        type: image.type || "image/jpeg",
-        name: image.fileName || "photo.jpg",
-      }, {
-        headers: {
-          "Content-Type": image.type || "image/jpeg",
-        },
-      });
-
-      // Step 3: return S3 key
-      return key;
-
-    } catch (err) {
-      console.error("Image upload failed:", err);
-      throw new Error("Image upload failed");
-    }
+  /** Highlight fields and show the first page that has an error. */
+  const showFieldErrors = (errors = {}) => {
+    setFieldErrors(errors);
+    const pages = Object.keys(errors).map((field) => FIELD_PAGE[field]).filter(Boolean);
+    if (pages.length) setPage(Math.min(...pages));
   };
 
   /**
-   * Submit a tech-service form to the backend.
-   * - Creates visit first, then submits service detail for that visit.
-   * - Uses FormData for service detail + optional images.
+   * Submit a tech-service form through the offline outbox (config/outbox.js).
+   * - Queues the visit header, service detail, photos and (for a new device)
+   *   the product, then tries to send them right away.
    */
   const handleSubmit = async ({ isDraft }) => {
     const isEmpty = (v) => v === null || v === undefined || v === "" || v === 0;
+    setFieldErrors({});
 
     try {
 
@@ -175,13 +150,13 @@ export default function Form4screen({ navigation }) {
         return;
       }
 
-      const headers = buildAuthHeaders(token);
-
       const kuantitasToSend = kuantitas?.value ?? kuantitas ?? "";
       const lokasiToSend = lokasi?.label ?? lokasi ?? "";
 
+      // Quick offline check; the server applies the full rules (422 → fieldErrors)
       // Draft validation
       if (isDraft && isEmpty(kuantitasToSend)) {
+        showFieldErrors({ unit_quantity: "Mohon isi kuantitas unit." });
         alert("Mohon isi kuantitas unit.");
         return;
       }
@@ -189,44 +164,30 @@ export default function Form4screen({ navigation }) {
       // Final-submit validation only
       if (!isDraft) {
         const requiredFields = [
-          { value: prodName, label: "Nama Produk" },
-          { value: productType, label: "Tipe Produk" },
-          { value: serialNum, label: "Serial Number" },
-          { value: merkProd, label: "Merk Produk" },
-          { value: fotoAlat?.uri, label: "Foto Alat" },
-          { value: fotoKoreksi?.uri, label: "Foto Koreksi" },
-          { value: fotoCapa?.uri, label: "Foto CAPA" },
+          { key: "product_name", value: prodName, label: "Nama Produk" },
+          { key: "product_type", value: productType, label: "Tipe Produk" },
+          { key: "serial_number", value: serialNum, label: "Serial Number" },
+          { key: "brand_name", value: merkProd, label: "Merk Produk" },
+          { key: "unit_quantity", value: kuantitasToSend, label: "Kuantitas Produk" },
+          { key: "issue_description", value: deskMas, label: "Deskripsi Masalah" },
+          { key: "customer_name", value: namaCust, label: "Nama Customer" },
+          { key: "healthcare_facility_name", value: lokasiToSend, label: "Nama Faskes" },
+          { key: "pickup_date", value: tgl, label: "Tanggal Pengambilan" },
+          { key: "device_before_service_photo", value: fotoAlat?.uri, label: "Foto Alat" },
+          { key: "corrective_proof", value: fotoKoreksi?.uri, label: "Foto Koreksi" },
+          { key: "capa_action_image", value: fotoCapa?.uri, label: "Foto CAPA" },
         ];
 
         const missing = requiredFields.filter((f) => isEmpty(f.value));
         if (missing.length) {
-          alert(
-            `Please complete required fields:\n${missing
-              .map((f) => `• ${f.label}`)
-              .join("\n")}`
-          );
+          showFieldErrors(Object.fromEntries(missing.map((f) => [f.key, `${f.label} wajib diisi`])));
+          alert("Please complete the highlighted fields.");
           return;
         }
       }
 
-      let device_before_service_photoKey = null;
-      if (fotoAlat?.uri) {
-        device_before_service_photoKey = await uploadImageToS3(fotoAlat);
-      }
-
-      let corrective_proofKey = null;
-      if (fotoKoreksi?.uri) {
-        corrective_proofKey = await uploadImageToS3(fotoKoreksi);
-      }
-
-      let capa_action_imageKey = null;
-      if (fotoCapa?.uri) {
-        capa_action_imageKey = await uploadImageToS3(fotoCapa);
-      }
-
       const visitPayload = {
         user_id: userId,
-        customer_id: 1,
         visited_at: new Date().toISOString(),
         visit_type: "technician_service",
         latitude: null,
@@ -234,32 +195,19 @@ export default function Form4screen({ navigation }) {
         is_draft: Number(isDraft),
       };
 
-      const visitRes = await axios.post(getVisitsUrl(API_BASE), visitPayload, { headers });
-
-      const visitId =
-        visitRes?.data?.id ??
-        visitRes?.data?.data?.id ??
-        visitRes?.data?.visit?.id;
-
-      if (!visitId) throw new Error("Visit created but visitId not returned");
-
-      let resolvedProdId = prodId;
-
-      if (!prodExist) {
-        const prodBody = {
-          serial_number: serialNumber,
-          product_name: prodName,
-          product_type: tipeProd,
-          brand_name: merkProd,
-        };
-
-        const result = await getOrCreateProduct(prodBody);
-        resolvedProdId = result?.product?.id;
-        setProdID(resolvedProdId);
-      }
-
+      // A new device is registered (get-or-create) before the detail is sent
+      const product = !prodExist && !isEmpty(serialNum)
+        ? {
+            serial_number: serialNum,
+            product_name: prodName,
+            product_type: productType,
+            brand_name: merkProd,
+          }
+        : null;
+
+      // Photo columns are filled with their upload keys by the outbox
       const serviceDetailPayload = {
-        product_id: resolvedProdId,
+        product_id: prodExist ? prodId : null,
         customer_name: namaCust,
         unit_quantity: kuantitasToSend,
         customer_contact: kontakCust,
@@ -270,29 +218,29 @@ export default function Form4screen({ navigation }) {
         issue_description: deskMas,
         corrective_action: koreksi,
         capa_action: Capa,
-        device_before_service_photo: device_before_service_photoKey,
-        corrective_proof: corrective_proofKey,
-        capa_action_image: capa_action_imageKey,
+        device_before_service_photo: null,
+        corrective_proof: null,
+        capa_action_image: null,
         is_draft: Number(isDraft),
       };
 
-      const serviceRes = await axios.post(
-        getServiceUrl(API_BASE, visitId),
-        serviceDetailPayload,
-        {
-          headers: {
-            ...headers,
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      const result = await submitVisit({
+        title: "Technician Service In House",
+        visit: visitPayload,
+        detail: serviceDetailPayload,
+        photos: {
+          device_before_service_photo: fotoAlat,
+          corrective_proof: fotoKoreksi,
+          capa_action_image: fotoCapa,
+        },
+        product,
+      });
 
-      console.info("Form upload successful:", serviceRes.status);
-      alert(isDraft ? "Draft saved!" : "Form submitted successfully!");
-      return serviceRes.data;
+      if (result.status === "rejected") showFieldErrors(result.errors);
+      alert(describeSubmitResult(result, { isDraft }));
+      return result;
     } catch (err) {
-      const payload = err.response?.data ?? err.message ?? err;
-      console.error("handleSubmit failed:", payload);
+      console.error("handleSubmit failed:", err);
       alert("Failed to submit form. Please try again.");
       throw err;
     }
@@ -302,12 +250,12 @@ export default function Form4screen({ navigation }) {
   const onSave = () => handleSubmit({ isDraft: true });
 
   const onSerialBlur = async (e) => {
-    const serial = e?.nativeEvent?.text;
+    const serial = e?.nativeEvent?.text?.trim();
     if (!serial) return;
 
     try {
-      const res = await fetch(
-        `${API_BASE}/api/products/by-serial/${serial}`
+      const res = await authFetch(
+        `${API_BASE}/api/products/by-serial/${encodeURIComponent(serial)}`
       );
 
       if (res.ok) {
@@ -336,7 +284,7 @@ export default function Form4screen({ navigation }) {
 
   const handleRightPress = () => {
     if (page < 3) goNext();
-    else handleSubmit();
+    else onSubmit();
   };
 
   return (
@@ -363,49 +311,51 @@ export default function Form4screen({ navigation }) {
           {page === 1 && (
             <View style={styles.pageInner}>
               <Text style={styles.sectionTitle}>Detail Produk</Text>
-              <InputBox title="Serial Number" value={serialNum} onChangeText={setSerialNum} onEndEditing={onSerialBlur} />
+              <InputBox title="Serial Number" value={serialNum} onChangeText={setSerialNum} onEndEditing={onSerialBlur} error={fieldErrors.serial_number || fieldErrors.product_id} />
               {prodExist === false && (
                 <Text style={{ color: '#6B7280', marginTop: 4 }}>
                   Produk baru — silakan lengkapi detail produk
                 </Text>
               )}
-              <InputBox title="Nama Produk" value={prodName} onChangeText={setProdName} />
-              <InputBox title="Tipe Produk" value={productType} onChangeText={setProductType} />
-              <InputBox title="Merk Produk" value={merkProd} onChangeText={setMerk} />
+              <InputBox title="Nama Produk" value={prodName} onChangeText={setProdName} error={fieldErrors.product_name} />
+              <InputBox title="Tipe Produk" value={productType} onChangeText={setProductType} error={fieldErrors.product_type} />
+              <InputBox title="Merk Produk" value={merkProd} onChangeText={setMerk} error={fieldErrors.brand_name} />
               <DropdownPicker
                 title="Kuantitas Produk"
-                options={kuantitas_option}
+                listKey="kuantitas_option"
                 onSelect={(item) => setKuantitas(item)}
                 value={kuantitas}
+                error={fieldErrors.unit_quantity}
               />
-              <InputBox title="Deskripsi Masalah" onChangeText={setDesMas} value={deskMas} />
-              <InputBox title="Estimasi Penyelesaian" onChangeText={setEstimasi} value={estimasi} />
+              <InputBox title="Deskripsi Masalah" onChangeText={setDesMas} value={deskMas} error={fieldErrors.issue_description} />
+              <InputBox title="Estimasi Penyelesaian" onChangeText={setEstimasi} value={estimasi} error={fieldErrors.resolution_estimate} />
               <CameraInput
                 image={fotoAlat}
                 title="Foto Alat Sebelum Service Termasuk Serial Number (Wajib)"
                 onImageSelected={setFotoAlat}
+                error={fieldErrors.device_before_service_photo}
               />
             </View>
           )}
 
           {page === 2 && (
             <View style={styles.pageInner}>
-              <InputBox value={namaCust} title="Nama Customer" onChangeText={setNamaCust} />
-              <InputBox value={kontakCust} title="Kontak Customer (No. Telp / Email)" onChangeText={setKontak} />
-              <InputBox value={lokasi} title="Nama Faskes" onChangeText={setLokasi} />
+              <InputBox value={namaCust} title="Nama Customer" onChangeText={setNamaCust} error={fieldErrors.customer_name} />
+              <InputBox value={kontakCust} title="Kontak Customer (No. Telp / Email)" onChangeText={setKontak} error={fieldErrors.customer_contact} />
+              <InputBox value={lokasi} title="Nama Faskes" onChangeText={setLokasi} error={fieldErrors.healthcare_facility_name} />
               <Text style={[styles.label, { marginTop: 10 }]}>Tanggal Pengambilan/Penerimaan Alat</Text>
-              <DatePicker value={tgl} title="Tanggal Pengambilan/Penerimaan Alat" onConfirm={setDate} />
+              <DatePicker value={tgl} title="Tanggal Pengambilan/Penerimaan Alat" onConfirm={setDate} error={fieldErrors.pickup_date} />
             </View>
           )}
 
           {page === 3 && (
             <View style={styles.pageInner}>
               <Text style={styles.sectionTitle}>Service Detail</Text>
-              <InputBox value={masalah} title="Penyebab Masalah" onChangeText={setMasalah} />
-              <InputBox value={koreksi} title="Koreksi" onChangeText={setKoreksi} />
-              <CameraInput image={fotoKoreksi} title="Bukti Koreksi" onImageSelected={setfotoKoreksi} />
-              <InputBox value={Capa} title="Tindakan Koreksi (CAPA)" onChangeText={setCapa} />
-              <CameraInput image={fotoCapa} title="Tindakan Koreksi (CAPA) Foto" onImageSelected={setFotoCapa} />
+              <InputBox value={masalah} title="Penyebab Masalah" onChangeText={setMasalah} error={fieldErrors.root_cause} />
+              <InputBox value={koreksi} title="Koreksi" onChangeText={setKoreksi} error={fieldErrors.corrective_action} />
+              <CameraInput image={fotoKoreksi} title="Bukti Koreksi" onImageSelected={setfotoKoreksi} error={fieldErrors.corrective_proof} />
+              <InputBox value={Capa} title="Tindakan Koreksi (CAPA)" onChangeText={setCapa} error={fieldErrors.capa_action} />
+              <CameraInput image={fotoCapa} title="Tindakan Koreksi (CAPA) Foto" onImageSelected={setFotoCapa} error={fieldErrors.capa_action_image} />
             </View>
           )}
         </View>